@@ -0,0 +1,125 @@
+// ============================================
+// INTERNATIONALIZATION
+// ============================================
+// Message catalogs, interpolation and plurals. Plain JavaScript with no
+// dependencies beyond Intl, so the same file runs in the browser (as the
+// `I18n` global) and in Node, where the mock server uses it to answer in the
+// language the app asks for.
+//
+// Each language has a catalog in locales/<code>.js: a flat object mapping
+// message keys to text. Text can contain {placeholders}. A message that
+// depends on a number is an object of plural forms keyed by Intl.PluralRules
+// category ({ one: '...', other: '...' }); the `count` parameter picks one.
+// Keys missing from a catalog fall back to English, then to the key itself.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    const I18n = factory();
+    Object.keys(I18n.LOCALES).forEach((locale) => {
+      I18n.addMessages(locale, require(`./locales/${locale}.js`));
+    });
+    module.exports = I18n;
+  } else {
+    // The catalogs register themselves from their own script tags
+    root.I18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // Supported languages, with their name in that language and text direction
+  const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+  };
+
+  const DEFAULT_LOCALE = 'en';
+
+  const catalogs = {};
+
+  /**
+   * Add messages to a language's catalog
+   * @param {string} locale - Key of LOCALES
+   * @param {Object} messages - Message key -> text or plural forms
+   */
+  const addMessages = (locale, messages) => {
+    catalogs[locale] = { ...catalogs[locale], ...messages };
+  };
+
+  /**
+   * Get a language's catalog
+   * @param {string} locale - Key of LOCALES
+   * @returns {Object} - Message key -> text or plural forms
+   */
+  const getMessages = (locale) => ({ ...catalogs[locale] });
+
+  /**
+   * Pick the best supported language for a list of preferences
+   * @param {Array|string} preferred - Language tags in order of preference
+   *   (navigator.languages), or an Accept-Language header
+   * @returns {string} - Key of LOCALES
+   */
+  const negotiateLocale = (preferred) => {
+    const tags =
+      typeof preferred === 'string'
+        ? preferred.split(',').map((part) => part.split(';')[0].trim())
+        : preferred || [];
+    for (const tag of tags) {
+      // 'es-MX' is served by 'es'
+      const language = String(tag).toLowerCase().split('-')[0];
+      if (LOCALES[language]) return language;
+    }
+    return DEFAULT_LOCALE;
+  };
+
+  /**
+   * Text direction of a language
+   * @param {string} locale - Key of LOCALES
+   * @returns {string} - 'ltr' or 'rtl'
+   */
+  const getDirection = (locale) => (LOCALES[locale] ? LOCALES[locale].dir : 'ltr');
+
+  /**
+   * Look up a message and fill in its placeholders
+   * @param {string} locale - Key of LOCALES
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values; `count` also picks the plural form.
+   *   Numbers are formatted for the language.
+   * @returns {string} - Translated text
+   */
+  const translate = (locale, key, params = {}) => {
+    let source = locale;
+    let message = catalogs[locale] && catalogs[locale][key];
+    if (message === undefined) {
+      source = DEFAULT_LOCALE;
+      message = catalogs[DEFAULT_LOCALE] && catalogs[DEFAULT_LOCALE][key];
+    }
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const category = new Intl.PluralRules(source).select(Number(params.count) || 0);
+      message = message[category] !== undefined ? message[category] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return placeholder;
+      return typeof value === 'number' ? new Intl.NumberFormat(source).format(value) : String(value);
+    });
+  };
+
+  /**
+   * Bind translate() to one language
+   * @param {string} locale - Key of LOCALES
+   * @returns {Function} - (key, params) => text
+   */
+  const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+  return {
+    LOCALES,
+    DEFAULT_LOCALE,
+    addMessages,
+    getMessages,
+    negotiateLocale,
+    getDirection,
+    translate,
+    createTranslator
+  };
+});
@@ -0,0 +1,505 @@
+// ============================================
+// ARABIC MESSAGES
+// ============================================
+// Same keys as locales/en.js. Arabic is written right to left; App sets
+// dir="rtl" on the page while it is active. Plural forms follow
+// Intl.PluralRules('ar'): zero, one, two, few (3-10), many (11-99) and other.
+// The one and two forms say the number in words, so they leave out {count}.
+(function (root, messages) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = messages;
+  } else {
+    root.I18n.addMessages('ar', messages);
+  }
+})(typeof self !== 'undefined' ? self : this, {
+  'app.title': 'نظام إدارة الحسابات',
+  'language.label': 'اللغة',
+
+  // Shared buttons and links
+  'common.backToLogin': 'العودة إلى تسجيل الدخول',
+  'common.backToProfile': 'العودة إلى الملف الشخصي',
+  'common.cancel': 'إلغاء',
+  'common.checking': 'جارٍ التحقق...',
+  'common.dismiss': 'إغلاق',
+  'common.done': 'تم',
+  'common.logout': 'تسجيل الخروج',
+  'common.saving': 'جارٍ الحفظ...',
+  'common.verify': 'تحقق',
+  'common.verifying': 'جارٍ التحقق...',
+  'common.viewOutbox': 'عرض صندوق الصادر',
+
+  // Form labels and placeholders
+  'fields.address': 'العنوان البريدي',
+  'fields.appCode': 'الرمز من تطبيقك',
+  'fields.authCode': 'رمز المصادقة',
+  'fields.bio': 'نبذة تعريفية',
+  'fields.birthDate': 'تاريخ الميلاد',
+  'fields.confirmNewPassword': 'تأكيد كلمة المرور الجديدة',
+  'fields.confirmPassword': 'تأكيد كلمة المرور',
+  'fields.confirmWithPassword': 'أكّد بكلمة المرور',
+  'fields.currentPassword': 'كلمة المرور الحالية',
+  'fields.email': 'البريد الإلكتروني',
+  'fields.firstName': 'الاسم الأول',
+  'fields.lastName': 'اسم العائلة',
+  'fields.memberSince': 'عضو منذ',
+  'fields.newPassword': 'كلمة المرور الجديدة',
+  'fields.passkeyName': 'اسم مفتاح المرور',
+  'fields.password': 'كلمة المرور',
+  'fields.phone': 'رقم الهاتف',
+  'fields.resetCode': 'رمز إعادة التعيين',
+  'fields.timezone': 'المنطقة الزمنية',
+  'fields.verificationCode': 'رمز التحقق',
+  'placeholders.address': 'الشارع والمدينة والرمز البريدي والبلد',
+  'placeholders.bio': 'بضع كلمات عنك',
+  'placeholders.confirmNewPassword': 'أكّد كلمة المرور الجديدة',
+  'placeholders.confirmPassword': 'أكّد كلمة المرور',
+  'placeholders.currentPassword': 'أدخل كلمة المرور الحالية',
+  'placeholders.email': 'أدخل بريدك الإلكتروني',
+  'placeholders.firstName': 'أدخل الاسم الأول',
+  'placeholders.lastName': 'أدخل اسم العائلة',
+  'placeholders.newPassword': 'أنشئ كلمة مرور',
+  'placeholders.newPasswordChange': 'أنشئ كلمة مرور جديدة',
+  'placeholders.passkeyName': 'مثال: حاسوب العمل',
+  'placeholders.password': 'أدخل كلمة المرور',
+  'placeholders.phone': 'مثال: +966112345678',
+  'placeholders.resetCode': 'الصق الرمز من بريدك الإلكتروني',
+  'placeholders.sixDigitCode': 'رمز من 6 أرقام',
+
+  // Field validation
+  'validation.appCodeFormat': 'أدخل الرمز المكوّن من 6 أرقام من تطبيقك',
+  'validation.birthDateFuture': 'يجب أن يكون تاريخ الميلاد في الماضي',
+  'validation.birthDateInvalid': 'يرجى إدخال تاريخ صالح',
+  'validation.confirmPasswordRequired': 'يرجى تأكيد كلمة المرور',
+  'validation.confirmWithPassword': 'أدخل كلمة المرور للتأكيد',
+  'validation.currentPasswordRequired': 'كلمة المرور الحالية مطلوبة',
+  'validation.emailCodeFormat': 'أدخل الرمز المكوّن من 6 أرقام من بريدك الإلكتروني',
+  'validation.emailInvalid': 'يرجى إدخال عنوان بريد إلكتروني صالح',
+  'validation.emailRepeated': 'يظهر هذا البريد الإلكتروني في صف سابق من الملف',
+  'validation.emailRequired': 'البريد الإلكتروني مطلوب',
+  'validation.emailTaken': 'هذا البريد الإلكتروني مستخدم بالفعل',
+  'validation.fieldRequired': 'هذا الحقل مطلوب',
+  'validation.firstNameRequired': 'الاسم الأول مطلوب',
+  'validation.lastNameRequired': 'اسم العائلة مطلوب',
+  'validation.newPasswordSameAsCurrent': 'يجب أن تختلف كلمة المرور الجديدة عن الحالية',
+  'validation.passkeyNameRequired': 'أدخل اسمًا لمفتاح المرور',
+  'validation.passwordRequired': 'كلمة المرور مطلوبة',
+  'validation.passwordsDontMatch': 'كلمتا المرور غير متطابقتين',
+  'validation.phoneInvalid': 'أدخل الرقم بالصيغة الدولية، بدءًا بعلامة + ثم رمز البلد',
+  'validation.resetCodeRequired': 'رمز إعادة التعيين مطلوب',
+  'validation.roleUnknown': 'استخدم «user» أو «admin»',
+  'validation.timezoneInvalid': 'يرجى اختيار منطقة زمنية من القائمة',
+  'validation.tooLong': 'الحد الأقصى لعدد الأحرف هو {max}',
+  'validation.twoFactorCodeRequired': 'يرجى إدخال الرمز من تطبيق المصادقة',
+  'validation.yesOrNo': 'استخدم نعم أو لا',
+
+  // Password policy (codes from password-policy.js)
+  'passwordPolicy.TOO_SHORT': 'يجب ألا تقل كلمة المرور عن {min} أحرف',
+  'passwordPolicy.TOO_LONG': 'يجب ألا تزيد كلمة المرور على {max} حرفًا',
+  'passwordPolicy.COMMON': 'هذه من أكثر كلمات المرور استخدامًا. يرجى اختيار كلمة أخرى',
+  'passwordPolicy.PERSONAL_INFO': 'يجب ألا تحتوي كلمة المرور على اسمك أو بريدك الإلكتروني',
+  'passwordPolicy.LOW_ENTROPY': 'كلمة المرور سهلة التخمين. اجعلها أطول أو أضف أنواعًا أخرى من الأحرف',
+  'passwordPolicy.SEQUENCE': 'تجنّب التسلسلات مثل "{text}"',
+  'passwordPolicy.REPEAT': 'تجنّب الأحرف المكررة مثل "{text}"',
+  'password.strengthLabel': 'قوة كلمة المرور: {strength}',
+  'password.strength.weak': 'ضعيفة',
+  'password.strength.medium': 'متوسطة',
+  'password.strength.strong': 'قوية',
+
+  // Errors from the auth service
+  'errors.accountDisabled': 'تم تعطيل هذا الحساب. يرجى التواصل مع المسؤول.',
+  'errors.accountNotFound': 'هذا الحساب لم يعد موجودًا',
+  'errors.accountSignedOut': 'تم تسجيل الخروج من ذلك الحساب. يرجى تسجيل الدخول إليه مرة أخرى.',
+  'errors.badJson': 'يجب أن يكون نص الطلب بصيغة JSON صالحة',
+  'errors.challengeExpired': 'انتهت صلاحية محاولة تسجيل الدخول هذه. يرجى تسجيل الدخول مرة أخرى.',
+  'errors.currentPasswordIncorrect': 'كلمة المرور الحالية غير صحيحة',
+  'errors.emailExists': 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+  'errors.emailUnverified': 'يرجى تأكيد بريدك الإلكتروني قبل تسجيل الدخول',
+  'errors.fixFields': 'يرجى تصحيح الحقول المميزة',
+  'errors.forbidden': 'ليس لديك إذن للقيام بذلك',
+  'errors.invalidCode': 'هذا الرمز غير صالح',
+  'errors.invalidCredentials': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+  'errors.invalidResetCode': 'رمز إعادة التعيين هذا غير صالح أو منتهي الصلاحية',
+  'errors.invalidVerificationCode': 'رمز التحقق هذا غير صالح أو منتهي الصلاحية',
+  'errors.network': 'تعذّر الوصول إلى الخادم. يرجى المحاولة مرة أخرى.',
+  'errors.noRoute': 'لا يوجد مسار لـ {method} {path}',
+  'errors.ownAccount': 'لا يمكنك تغيير حسابك من لوحة الإدارة',
+  'errors.passkeyInvalid': 'تعذّر حفظ مفتاح المرور. يرجى المحاولة مرة أخرى.',
+  'errors.passkeyLoginFailed': 'مفتاح المرور هذا غير مرتبط بأي حساب هنا. ربما تمت إزالته.',
+  'errors.passkeyNotFound': 'تمت إزالة مفتاح المرور هذا بالفعل',
+  'errors.passkeyNoOrigin': 'لا يمكن استخدام مفاتيح المرور لأن الطلب لم يحدد الموقع الذي جاء منه',
+  'errors.passwordIncorrect': 'كلمة المرور غير صحيحة',
+  'errors.passwordResetRequired':
+    'يجب إعادة تعيين كلمة المرور قبل تسجيل الدخول. تحقق من بريدك الإلكتروني للحصول على رمز إعادة التعيين.',
+  'errors.profileChangedElsewhere': 'تم تغيير ملفك الشخصي من مكان آخر. يرجى مراجعة أحدث البيانات والمحاولة مرة أخرى.',
+  'errors.profileConflict':
+    'تم تغيير ملفك الشخصي من مكان آخر (ربما في علامة تبويب أخرى). ' +
+    'تظهر أحدث البيانات أدناه؛ يرجى إجراء تغييراتك مرة أخرى.',
+  'errors.requestFailed': 'فشل الطلب ({status})',
+  'errors.sessionExpired': 'انتهت صلاحية جلستك. يرجى تسجيل الدخول مرة أخرى.',
+  'errors.throttled': 'محاولات تسجيل دخول فاشلة كثيرة جدًا',
+  'errors.tooManyCodes': 'رموز غير صحيحة كثيرة جدًا. يرجى تسجيل الدخول مرة أخرى.',
+  'errors.tooManyImportRows': 'يمكنك استيراد {max} حساب على الأكثر في كل مرة',
+  'errors.tooManyPasskeys': 'يمكنك امتلاك {max} من مفاتيح المرور على الأكثر',
+  'errors.twoFactorCodeMismatch': 'هذا الرمز غير مطابق. تحقق من تطبيقك وحاول مرة أخرى.',
+  'errors.unexpected': 'حدث خطأ ما',
+  'errors.unknownRole': 'دور غير معروف',
+
+  // Login throttling
+  'throttle.locked': 'محاولات تسجيل دخول فاشلة كثيرة جدًا. تسجيل الدخول مقفل لمدة {wait}.',
+  'throttle.retry': 'محاولات تسجيل دخول فاشلة كثيرة جدًا. حاول مرة أخرى بعد {wait}.',
+  'throttle.seconds': {
+    zero: '{count} ثانية',
+    one: 'ثانية واحدة',
+    two: 'ثانيتين',
+    few: '{count} ثوانٍ',
+    many: '{count} ثانية',
+    other: '{count} ثانية'
+  },
+  'throttle.minutes': {
+    zero: '{count} دقيقة',
+    one: 'دقيقة واحدة',
+    two: 'دقيقتين',
+    few: '{count} دقائق',
+    many: '{count} دقيقة',
+    other: '{count} دقيقة'
+  },
+
+  // Emails
+  'email.reset.subject': 'إعادة تعيين كلمة المرور',
+  'email.reset.body':
+    'مرحبًا {firstName}،\n\n' +
+    'طلب أحدهم إعادة تعيين كلمة المرور لحسابك. ' +
+    'افتح هذا الرابط لاختيار كلمة مرور جديدة:\n\n' +
+    '{link}\n\n' +
+    'أو أدخل رمز إعادة التعيين هذا في صفحة إعادة تعيين كلمة المرور:\n\n' +
+    '{token}\n\n' +
+    'تنتهي صلاحية الرمز خلال {expiry} ولا يمكن استخدامه إلا مرة واحدة. ' +
+    'إذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.',
+  'email.reset.expiry': {
+    zero: '{count} دقيقة',
+    one: 'دقيقة واحدة',
+    two: 'دقيقتين',
+    few: '{count} دقائق',
+    many: '{count} دقيقة',
+    other: '{count} دقيقة'
+  },
+  'email.verify.subject': 'تأكيد عنوان بريدك الإلكتروني',
+  'email.verify.body':
+    'مرحبًا {firstName}،\n\n' +
+    'أدخل هذا الرمز في صفحة تأكيد البريد الإلكتروني لتأكيد عنوانك:\n\n' +
+    '{code}\n\n' +
+    'صفحة تأكيد البريد الإلكتروني: {link}\n\n' +
+    'تنتهي صلاحية الرمز خلال 24 ساعة.',
+
+  // Storage problems found on startup
+  'notices.newerVersion': 'تم حفظ بيانات حسابك بإصدار أحدث من هذا التطبيق وقد لا تعمل بشكل صحيح.',
+  'notices.damaged': 'كانت بيانات الحسابات المخزنة تالفة وتم عزلها. قد تحتاج إلى التسجيل مرة أخرى.',
+  'notices.quarantined': {
+    zero: 'لم يتم عزل أي سجل حساب تالف.',
+    one: 'تم عزل سجل حساب تالف واحد ولا يمكن استخدامه لتسجيل الدخول.',
+    two: 'تم عزل سجلَّي حساب تالفين ولا يمكن استخدامهما لتسجيل الدخول.',
+    few: 'تم عزل {count} سجلات حسابات تالفة ولا يمكن استخدامها لتسجيل الدخول.',
+    many: 'تم عزل {count} سجلًا تالفًا ولا يمكن استخدامها لتسجيل الدخول.',
+    other: 'تم عزل {count} سجل تالف ولا يمكن استخدامها لتسجيل الدخول.'
+  },
+
+  // Messages on the login page after a session ends
+  'session.accountDeleted': 'تم حذف حسابك.',
+  'session.accountDeletedRestorable': 'تم حذف حسابك. سجّل الدخول مرة أخرى قبل {date} لاستعادته.',
+  'session.accountUnavailable': 'حسابك لم يعد متاحًا.',
+  'session.loggedOutElsewhere': 'تم تسجيل خروجك من علامة تبويب أخرى.',
+
+  // Login
+  'login.title': 'مرحبًا بعودتك',
+  'login.subtitle': 'سجّل الدخول إلى حسابك',
+  'login.enterCode': 'إدخال الرمز',
+  'login.remember': 'تذكرني',
+  'login.submit': 'تسجيل الدخول',
+  'login.submitting': 'جارٍ تسجيل الدخول...',
+  'login.forgotPassword': 'هل نسيت كلمة المرور؟',
+  'login.noAccount': 'ليس لديك حساب؟',
+  'login.registerLink': 'سجّل هنا',
+  'login.passkey': 'تسجيل الدخول بمفتاح مرور',
+  'login.passkeyWaiting': 'بانتظار مفتاح المرور...',
+  'login.addTitle': 'إضافة حساب',
+  'login.addSubtitle': 'سجّل الدخول إلى حساب آخر. ستبقى مسجّلًا الدخول إلى هذا الحساب أيضًا.',
+  'login.cancelAdd': 'العودة إلى ملفي الشخصي',
+  'login.continueAs': 'المتابعة باسم',
+
+  // Registration
+  'register.title': 'إنشاء حساب',
+  'register.subtitle': 'انضم إلينا اليوم',
+  'register.success': 'تم إنشاء الحساب بنجاح! أرسلنا إليك رمز تحقق عبر البريد الإلكتروني...',
+  'register.submit': 'إنشاء حساب',
+  'register.submitting': 'جارٍ إنشاء الحساب...',
+  'register.haveAccount': 'لديك حساب بالفعل؟',
+  'register.loginLink': 'سجّل الدخول هنا',
+
+  // Email verification
+  'verifyEmail.title': 'تأكيد البريد الإلكتروني',
+  'verifyEmail.subtitle': 'أدخل الرمز الذي أرسلناه إليك',
+  'verifyEmail.success': 'تم تأكيد البريد الإلكتروني! جارٍ التحويل...',
+  'verifyEmail.resend': 'إعادة إرسال الرمز',
+  'verifyEmail.resendNotice': 'إذا كان هذا الحساب لا يزال بحاجة إلى التأكيد، فسيصلك رمز جديد قريبًا.',
+  'verifyEmail.codeResent': 'تم إرسال رمز تحقق جديد إلى {email}.',
+
+  // Password reset
+  'forgotPassword.title': 'نسيت كلمة المرور',
+  'forgotPassword.subtitle': 'سنرسل إليك رمزًا لإعادة تعيينها',
+  'forgotPassword.sent': 'إذا كان هناك حساب بهذا البريد الإلكتروني، فسيصلك رمز إعادة التعيين قريبًا.',
+  'forgotPassword.submit': 'إرسال رمز إعادة التعيين',
+  'forgotPassword.haveCode': 'لديك رمز بالفعل؟',
+  'forgotPassword.resetLink': 'أعد تعيين كلمة المرور',
+  'resetPassword.title': 'إعادة تعيين كلمة المرور',
+  'resetPassword.subtitle': 'اختر كلمة مرور جديدة',
+  'resetPassword.success': 'تمت إعادة تعيين كلمة المرور بنجاح! جارٍ التحويل إلى تسجيل الدخول...',
+  'resetPassword.submit': 'إعادة تعيين كلمة المرور',
+
+  // Outbox
+  'outbox.title': 'صندوق الصادر',
+  'outbox.subtitle': 'رسائل البريد التي كان التطبيق سيرسلها. لا شيء هنا يغادر هذا المتصفح.',
+  'outbox.messages': 'الرسائل',
+  'outbox.empty': 'صندوق الصادر فارغ.',
+  'outbox.to': 'إلى {email}',
+  'outbox.clear': 'إفراغ صندوق الصادر',
+
+  // Signed-in accounts
+  'accounts.switch': 'تبديل الحساب',
+  'accounts.option': '{name} ({email})',
+  'accounts.add': 'إضافة حساب',
+  'accounts.signOutAll': 'تسجيل الخروج من جميع الحسابات',
+
+  // Profile
+  'profile.title': 'ملفي الشخصي',
+  'profile.adminConsole': 'لوحة الإدارة',
+  'profile.unverified': 'لم يتم تأكيد بريدك الإلكتروني بعد. لن تتمكن من تسجيل الدخول مرة أخرى حتى يتم تأكيده.',
+  'profile.verifyNow': 'تأكيد الآن',
+  'profile.accountInfo': 'معلومات الحساب',
+  'profile.edit': 'تعديل الملف الشخصي',
+  'profile.save': 'حفظ التغييرات',
+  'profile.updated': 'تم تحديث الملف الشخصي بنجاح!',
+  'profile.updatedVerify': 'تم تحديث الملف الشخصي! تحقق من بريدك الإلكتروني الجديد للحصول على رمز التحقق.',
+  'profile.notSet': 'غير محدد',
+  'profile.optional': 'اختياري',
+  'profile.charactersLeft': {
+    zero: 'لم يتبقَّ أي حرف',
+    one: 'تبقّى حرف واحد',
+    two: 'تبقّى حرفان',
+    few: 'تبقّى {count} أحرف',
+    many: 'تبقّى {count} حرفًا',
+    other: 'تبقّى {count} حرف'
+  },
+
+  // صورة الملف الشخصي
+  'avatar.title': 'صورة الملف الشخصي',
+  'avatar.hint': 'اختر صورة بصيغة JPEG أو PNG أو WebP أو GIF لا يتجاوز حجمها {size} ميغابايت، أو أفلتها هنا.',
+  'avatar.upload': 'رفع صورة',
+  'avatar.change': 'تغيير الصورة',
+  'avatar.remove': 'إزالة الصورة',
+  'avatar.dropHere': 'أفلت الصورة لرفعها',
+  'avatar.cropHint': 'اسحب الصورة لضبط موضعها واستخدم شريط التمرير للتكبير. يمكنك تحريكها بمفاتيح الأسهم أيضًا.',
+  'avatar.cropArea': 'منطقة قص الصورة',
+  'avatar.zoom': 'التكبير',
+  'avatar.save': 'حفظ الصورة',
+  'avatar.saved': 'تم تحديث صورة الملف الشخصي!',
+  'avatar.removed': 'تمت إزالة صورة الملف الشخصي.',
+  'avatar.alt': 'صورة الملف الشخصي لـ {name}',
+  'avatar.errors.type': 'اختر صورة بصيغة JPEG أو PNG أو WebP أو GIF',
+  'avatar.errors.tooLarge': 'يجب ألا يتجاوز حجم الصورة {size} ميغابايت',
+  'avatar.errors.unreadable': 'تعذّرت قراءة الملف كصورة',
+  'avatar.errors.invalid': 'تعذّر حفظ الصورة: بيانات الصورة غير صالحة',
+  'avatar.errors.storageFull': 'لا تتوفر مساحة تخزين كافية في هذا المتصفح لحفظ الصورة',
+
+  'changePassword.title': 'تغيير كلمة المرور',
+  'changePassword.submit': 'تغيير كلمة المرور',
+  'changePassword.success': 'تم تغيير كلمة المرور بنجاح!',
+
+  // Two-factor authentication
+  'twoFactor.title': 'المصادقة الثنائية',
+  'twoFactor.loginTitle': 'المصادقة الثنائية',
+  'twoFactor.loginSubtitle': 'أدخل الرمز المكوّن من 6 أرقام من تطبيق المصادقة، أو أحد رموز الاسترداد',
+  'twoFactor.offSummary': 'احمِ حسابك برمز من تطبيق مصادقة في كل مرة تسجّل فيها الدخول.',
+  'twoFactor.onSummary': 'المصادقة الثنائية مفعّلة. يُطلب رمز من تطبيق المصادقة عند تسجيل الدخول.',
+  'twoFactor.setUp': 'إعداد المصادقة الثنائية',
+  'twoFactor.setupHint':
+    'امسح هذا الرمز بتطبيق مصادقة، أو أدخل المفتاح يدويًا، ثم اكتب الرمز المكوّن من 6 أرقام الذي يظهر فيه.',
+  'twoFactor.qrAlt': 'رمز QR لتطبيق المصادقة',
+  'twoFactor.key': 'المفتاح:',
+  'twoFactor.turnOn': 'تفعيل',
+  'twoFactor.turnOff': 'إيقاف',
+  'twoFactor.turnOffConfirm': 'إيقاف المصادقة الثنائية',
+  'twoFactor.turningOff': 'جارٍ الإيقاف...',
+  'twoFactor.enabled': 'المصادقة الثنائية مفعّلة.',
+  'twoFactor.recoveryCodesHint':
+    'احفظ رموز الاسترداد هذه في مكان آمن. يمكن استخدام كل رمز مرة واحدة لتسجيل الدخول ' +
+    'إذا فقدت الوصول إلى تطبيق المصادقة. لن تظهر مرة أخرى.',
+
+  // مفاتيح المرور
+  'passkeys.title': 'مفاتيح المرور',
+  'passkeys.summary': 'سجّل الدخول ببصمتك أو وجهك أو قفل الشاشة أو مفتاح أمان بدلًا من كلمة المرور.',
+  'passkeys.none': 'ليست لديك مفاتيح مرور بعد.',
+  'passkeys.add': 'إضافة مفتاح مرور',
+  'passkeys.adding': 'بانتظار جهازك...',
+  'passkeys.added': 'أُضيف في {date}',
+  'passkeys.lastUsed': 'آخر استخدام {date}',
+  'passkeys.neverUsed': 'لم يُستخدم بعد',
+  'passkeys.remove': 'إزالة',
+  'passkeys.removeConfirm': 'هل تريد إزالة مفتاح المرور "{name}"؟ لن تتمكن من تسجيل الدخول به بعد ذلك.',
+  'passkeys.unsupported': 'هذا المتصفح لا يدعم مفاتيح المرور.',
+  'passkeys.errors.cancelled': 'أُلغي طلب مفتاح المرور أو انتهت مهلته.',
+  'passkeys.errors.alreadyRegistered': 'يحتوي هذا الجهاز بالفعل على مفتاح مرور لحسابك.',
+  'passkeys.errors.failed': 'تعذّر على جهازك إكمال طلب مفتاح المرور.',
+
+  // Export and deletion
+  'accountData.title': 'بياناتك',
+  'accountData.subtitle': 'نزّل نسخة من بيانات حسابك ونشاطك الأخير، أو احذف حسابك.',
+  'accountData.download': 'تنزيل بياناتي',
+  'accountData.delete': 'حذف الحساب',
+  'accountData.deleteConfirm': 'حذف حسابي',
+  'accountData.deleting': 'جارٍ الحذف...',
+  'accountData.deleteWarning': {
+    zero: 'سيتم حذف حسابك نهائيًا.',
+    one: 'سيتم حذف حسابك. يمكنك استعادته بتسجيل الدخول مرة أخرى خلال يوم واحد؛ وبعد ذلك سيُحذف نهائيًا.',
+    two: 'سيتم حذف حسابك. يمكنك استعادته بتسجيل الدخول مرة أخرى خلال يومين؛ وبعد ذلك سيُحذف نهائيًا.',
+    few: 'سيتم حذف حسابك. يمكنك استعادته بتسجيل الدخول مرة أخرى خلال {count} أيام؛ وبعد ذلك سيُحذف نهائيًا.',
+    many: 'سيتم حذف حسابك. يمكنك استعادته بتسجيل الدخول مرة أخرى خلال {count} يومًا؛ وبعد ذلك سيُحذف نهائيًا.',
+    other: 'سيتم حذف حسابك. يمكنك استعادته بتسجيل الدخول مرة أخرى خلال {count} يوم؛ وبعد ذلك سيُحذف نهائيًا.'
+  },
+  'accountData.deleteWarningNow': 'سيتم حذف حسابك فورًا. لا يمكن التراجع عن ذلك.',
+
+  // Activity
+  'audit.login': 'تسجيل الدخول',
+  'audit.loginFailed': 'محاولة تسجيل دخول فاشلة',
+  'audit.logout': 'تسجيل الخروج',
+  'audit.register': 'إنشاء الحساب',
+  'audit.accountImported': 'استيراد الحساب',
+  'audit.profileUpdated': 'تحديث الملف الشخصي',
+  'audit.emailChanged': 'تغيير البريد الإلكتروني',
+  'audit.passwordChanged': 'تغيير كلمة المرور',
+  'audit.passwordReset': 'إعادة تعيين كلمة المرور عبر البريد الإلكتروني',
+  'audit.twoFactorEnabled': 'تفعيل المصادقة الثنائية',
+  'audit.twoFactorDisabled': 'إيقاف المصادقة الثنائية',
+  'audit.accountDeleted': 'حذف الحساب',
+  'audit.avatarChanged': 'تغيير صورة الملف الشخصي',
+  'audit.passkeyAdded': 'إضافة مفتاح مرور',
+  'audit.passkeyRemoved': 'إزالة مفتاح مرور',
+  'activity.recentTitle': 'النشاط الأخير',
+  'activity.logTitle': 'سجل النشاط',
+  'activity.none': 'لم يُسجَّل أي نشاط بعد.',
+  'activity.noMatches': 'لا يوجد نشاط مطابق.',
+  'activity.unknownAccount': 'حساب غير معروف',
+  'activity.change': '{field}: {from} ← {to}',
+  'activity.filterAccount': 'تصفية حسب الحساب',
+  'activity.filterEvent': 'تصفية حسب الحدث',
+  'activity.allAccounts': 'كل الحسابات',
+  'activity.allEvents': 'كل الأحداث',
+
+  // Admin console
+  'admin.title': 'لوحة الإدارة',
+  'admin.accountCount': {
+    zero: 'لا توجد حسابات',
+    one: 'حساب واحد',
+    two: 'حسابان',
+    few: '{count} حسابات',
+    many: '{count} حسابًا',
+    other: '{count} حساب'
+  },
+  'admin.searchPlaceholder': 'ابحث بالاسم أو البريد الإلكتروني',
+  'admin.searchLabel': 'البحث في الحسابات',
+  'admin.column.name': 'الاسم',
+  'admin.column.email': 'البريد الإلكتروني',
+  'admin.column.role': 'الدور',
+  'admin.column.status': 'الحالة',
+  'admin.column.memberSince': 'عضو منذ',
+  'admin.column.actions': 'الإجراءات',
+  'admin.status.active': 'نشط',
+  'admin.status.disabled': 'معطّل',
+  'admin.status.pendingDeletion': 'بانتظار الحذف',
+  'admin.status.resetRequired': 'إعادة التعيين مطلوبة',
+  'admin.status.unverified': 'غير مؤكد',
+  'admin.roleFor': 'دور {email}',
+  'admin.self': 'هذا أنت',
+  'admin.enable': 'تفعيل',
+  'admin.disable': 'تعطيل',
+  'admin.forceReset': 'فرض إعادة التعيين',
+  'admin.delete': 'حذف',
+  'admin.enabled': 'تم تفعيل {email}.',
+  'admin.disabled': 'تم تعطيل {email}.',
+  'admin.nowAdmin': '{email} أصبح مسؤولًا.',
+  'admin.nowUser': '{email} أصبح مستخدمًا عاديًا.',
+  'admin.resetForced':
+    'يجب على {email} إعادة تعيين كلمة المرور قبل تسجيل الدخول مرة أخرى. تم إرسال رمز إعادة التعيين إليه بالبريد الإلكتروني.',
+  'admin.confirmDelete': 'هل تريد حذف حساب {email}؟ لا يمكن التراجع عن ذلك.',
+  'admin.deleted': 'تم حذف {email}.',
+  'admin.loading': 'جارٍ تحميل الحسابات...',
+  'admin.noMatches': 'لا توجد حسابات مطابقة لبحثك.',
+  'admin.previous': 'السابق',
+  'admin.next': 'التالي',
+  'admin.page': 'الصفحة {page} من {pages}',
+  'roles.user': 'مستخدم',
+  'roles.admin': 'مسؤول',
+
+  // Import and export
+  'transfer.title': 'الاستيراد والتصدير',
+  'transfer.summary':
+    'أضف حسابات دفعة واحدة من ملف CSV أو JSON، أو نزّل جميع الحسابات. لا تتضمن ملفات التصدير كلمات المرور أبدًا.',
+  'transfer.exportCsv': 'تصدير CSV',
+  'transfer.exportJson': 'تصدير JSON',
+  'transfer.exported': {
+    zero: 'لم يُصدَّر أي حساب.',
+    one: 'صُدِّر حساب واحد.',
+    two: 'صُدِّر حسابان.',
+    few: 'صُدِّرت {count} حسابات.',
+    many: 'صُدِّر {count} حسابًا.',
+    other: 'صُدِّر {count} حساب.'
+  },
+  'transfer.file': 'الملف المراد استيراده',
+  'transfer.fileHint':
+    'حساب واحد في كل صف، مع الأعمدة firstName وlastName وemail، واختياريًا phone وaddress وbio ' +
+    'وtimezone وbirthDate وpassword وrole وverified. ' +
+    'تُرسَل إلى الحسابات التي ليس لها كلمة مرور رسالة برمز إعادة التعيين، ' +
+    'وإلى الحسابات غير المعلَّمة بأنها مُتحقَّق منها رسالة برمز التحقق.',
+  'transfer.checking': 'جارٍ فحص الملف...',
+  'transfer.previewSummary': {
+    zero: 'يمكن استيراد {valid} من {count} صف.',
+    one: 'يمكن استيراد {valid} من صف واحد.',
+    two: 'يمكن استيراد {valid} من صفّين.',
+    few: 'يمكن استيراد {valid} من {count} صفوف.',
+    many: 'يمكن استيراد {valid} من {count} صفًا.',
+    other: 'يمكن استيراد {valid} من {count} صف.'
+  },
+  'transfer.ignoredColumns': 'سيتم تجاهل هذه الأعمدة: {columns}',
+  'transfer.column.row': 'الصف',
+  'transfer.column.result': 'النتيجة',
+  'transfer.column.verified': 'موثّق',
+  'transfer.ready': 'جاهز للاستيراد',
+  'transfer.problem': '{column}: {message}',
+  'transfer.import': {
+    zero: 'لا توجد حسابات للاستيراد',
+    one: 'استيراد حساب واحد',
+    two: 'استيراد حسابين',
+    few: 'استيراد {count} حسابات',
+    many: 'استيراد {count} حسابًا',
+    other: 'استيراد {count} حساب'
+  },
+  'transfer.importing': 'جارٍ الاستيراد...',
+  'transfer.imported': {
+    zero: 'لم يُستورَد أي حساب.',
+    one: 'استُورد حساب واحد.',
+    two: 'استُورد حسابان.',
+    few: 'استُوردت {count} حسابات.',
+    many: 'استُورد {count} حسابًا.',
+    other: 'استُورد {count} حساب.'
+  },
+  'transfer.errors.unknownFormat': 'اختر ملف .csv أو .json.',
+  'transfer.errors.badJson': 'الملف ليس بصيغة JSON صالحة.',
+  'transfer.errors.notAList': 'يجب أن يحتوي ملف JSON على قائمة حسابات.',
+  'transfer.errors.noEmailColumn': 'يجب أن يحتوي الملف على عمود email.',
+  'transfer.errors.empty': 'لا يحتوي الملف على أي حسابات.',
+  'transfer.errors.unreadable': 'تعذّرت قراءة الملف.',
+
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.subtitle': 'لا يوجد شيء في هذا العنوان.',
+  'notFound.toProfile': 'الذهاب إلى ملفك الشخصي',
+  'notFound.toLogin': 'الذهاب إلى تسجيل الدخول'
+});
@@ -0,0 +1,447 @@
+// ============================================
+// ENGLISH MESSAGES
+// ============================================
+// The reference catalog: every key the app uses is defined here, and other
+// languages fall back to it for anything they're missing. `npm test` checks
+// every other catalog against it (test/unit/locales.test.js).
+(function (root, messages) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = messages;
+  } else {
+    root.I18n.addMessages('en', messages);
+  }
+})(typeof self !== 'undefined' ? self : this, {
+  'app.title': 'Account Management System',
+  'language.label': 'Language',
+
+  // Shared buttons and links
+  'common.backToLogin': 'Back to login',
+  'common.backToProfile': 'Back to profile',
+  'common.cancel': 'Cancel',
+  'common.checking': 'Checking...',
+  'common.dismiss': 'Dismiss',
+  'common.done': 'Done',
+  'common.logout': 'Logout',
+  'common.saving': 'Saving...',
+  'common.verify': 'Verify',
+  'common.verifying': 'Verifying...',
+  'common.viewOutbox': 'View outbox',
+
+  // Form labels and placeholders
+  'fields.address': 'Postal Address',
+  'fields.appCode': 'Code from your app',
+  'fields.authCode': 'Authentication Code',
+  'fields.bio': 'Bio',
+  'fields.birthDate': 'Date of Birth',
+  'fields.confirmNewPassword': 'Confirm New Password',
+  'fields.confirmPassword': 'Confirm Password',
+  'fields.confirmWithPassword': 'Confirm with your password',
+  'fields.currentPassword': 'Current Password',
+  'fields.email': 'Email Address',
+  'fields.firstName': 'First Name',
+  'fields.lastName': 'Last Name',
+  'fields.memberSince': 'Member Since',
+  'fields.newPassword': 'New Password',
+  'fields.passkeyName': 'Passkey name',
+  'fields.password': 'Password',
+  'fields.phone': 'Phone Number',
+  'fields.resetCode': 'Reset Code',
+  'fields.timezone': 'Time Zone',
+  'fields.verificationCode': 'Verification Code',
+  'placeholders.address': 'Street, city, postal code and country',
+  'placeholders.bio': 'A few words about yourself',
+  'placeholders.confirmNewPassword': 'Confirm your new password',
+  'placeholders.confirmPassword': 'Confirm your password',
+  'placeholders.currentPassword': 'Enter your current password',
+  'placeholders.email': 'Enter your email',
+  'placeholders.firstName': 'Enter first name',
+  'placeholders.lastName': 'Enter last name',
+  'placeholders.newPassword': 'Create a password',
+  'placeholders.newPasswordChange': 'Create a new password',
+  'placeholders.passkeyName': 'e.g. Work laptop',
+  'placeholders.password': 'Enter your password',
+  'placeholders.phone': 'e.g. +14155552671',
+  'placeholders.resetCode': 'Paste the code from your email',
+  'placeholders.sixDigitCode': '6-digit code',
+
+  // Field validation
+  'validation.appCodeFormat': 'Enter the 6-digit code from your app',
+  'validation.birthDateFuture': 'Date of birth must be in the past',
+  'validation.birthDateInvalid': 'Please enter a valid date',
+  'validation.confirmPasswordRequired': 'Please confirm your password',
+  'validation.confirmWithPassword': 'Enter your password to confirm',
+  'validation.currentPasswordRequired': 'Current password is required',
+  'validation.emailCodeFormat': 'Enter the 6-digit code from your email',
+  'validation.emailInvalid': 'Please enter a valid email address',
+  'validation.emailRepeated': 'This email appears earlier in the file',
+  'validation.emailRequired': 'Email is required',
+  'validation.emailTaken': 'This email is already in use',
+  'validation.fieldRequired': 'This field is required',
+  'validation.firstNameRequired': 'First name is required',
+  'validation.lastNameRequired': 'Last name is required',
+  'validation.newPasswordSameAsCurrent': 'New password must be different from the current one',
+  'validation.passkeyNameRequired': 'Give the passkey a name',
+  'validation.passwordRequired': 'Password is required',
+  'validation.passwordsDontMatch': 'Passwords do not match',
+  'validation.phoneInvalid': 'Enter the number in international format, starting with + and the country code',
+  'validation.resetCodeRequired': 'Reset code is required',
+  'validation.roleUnknown': 'Use “user” or “admin”',
+  'validation.timezoneInvalid': 'Please choose a time zone from the list',
+  'validation.tooLong': 'Use at most {max} characters',
+  'validation.twoFactorCodeRequired': 'Please enter the code from your authenticator app',
+  'validation.yesOrNo': 'Use yes or no',
+
+  // Password policy (codes from password-policy.js)
+  'passwordPolicy.TOO_SHORT': 'Password must be at least {min} characters',
+  'passwordPolicy.TOO_LONG': 'Password must be at most {max} characters',
+  'passwordPolicy.COMMON': 'This is one of the most commonly used passwords. Please choose another',
+  'passwordPolicy.PERSONAL_INFO': 'Password must not contain your name or email address',
+  'passwordPolicy.LOW_ENTROPY':
+    'Password is too easy to guess. Make it longer or mix in other kinds of characters',
+  'passwordPolicy.SEQUENCE': 'Avoid sequences like "{text}"',
+  'passwordPolicy.REPEAT': 'Avoid repeated characters like "{text}"',
+  'password.strengthLabel': 'Password strength: {strength}',
+  'password.strength.weak': 'weak',
+  'password.strength.medium': 'medium',
+  'password.strength.strong': 'strong',
+
+  // Errors from the auth service
+  'errors.accountDisabled': 'This account has been disabled. Please contact an administrator.',
+  'errors.accountNotFound': 'This account no longer exists',
+  'errors.accountSignedOut': 'That account has been signed out. Please log in to it again.',
+  'errors.badJson': 'Request body must be valid JSON',
+  'errors.challengeExpired': 'This login attempt has expired. Please log in again.',
+  'errors.currentPasswordIncorrect': 'Current password is incorrect',
+  'errors.emailExists': 'An account with this email already exists',
+  'errors.emailUnverified': 'Please verify your email address before logging in',
+  'errors.fixFields': 'Please fix the highlighted fields',
+  'errors.forbidden': "You don't have permission to do that",
+  'errors.invalidCode': 'That code is not valid',
+  'errors.invalidCredentials': 'Invalid email or password',
+  'errors.invalidResetCode': 'This reset code is invalid or has expired',
+  'errors.invalidVerificationCode': 'This verification code is invalid or has expired',
+  'errors.network': 'Could not reach the server. Please try again.',
+  'errors.noRoute': 'No route for {method} {path}',
+  'errors.ownAccount': "You can't change your own account from the admin console",
+  'errors.passkeyInvalid': "The passkey couldn't be saved. Please try again.",
+  'errors.passkeyLoginFailed': "That passkey isn't linked to an account here. It may have been removed.",
+  'errors.passkeyNotFound': 'This passkey has already been removed',
+  'errors.passkeyNoOrigin': "Passkeys can't be used because the request didn't say which site it came from",
+  'errors.passwordIncorrect': 'Password is incorrect',
+  'errors.passwordResetRequired':
+    'Your password has to be reset before you can log in. Check your email for a reset code.',
+  'errors.profileChangedElsewhere':
+    'Your profile was changed somewhere else. Please review the latest details and try again.',
+  'errors.profileConflict':
+    'Your profile was changed somewhere else (perhaps another tab). ' +
+    'The latest details are shown below; please make your changes again.',
+  'errors.requestFailed': 'Request failed ({status})',
+  'errors.sessionExpired': 'Your session has expired. Please log in again.',
+  'errors.throttled': 'Too many failed login attempts',
+  'errors.tooManyCodes': 'Too many incorrect codes. Please log in again.',
+  'errors.tooManyImportRows': 'Import at most {max} accounts at a time',
+  'errors.tooManyPasskeys': 'You can have at most {max} passkeys',
+  'errors.twoFactorCodeMismatch': "That code doesn't match. Check your app and try again.",
+  'errors.unexpected': 'Something went wrong',
+  'errors.unknownRole': 'Unknown role',
+
+  // Login throttling
+  'throttle.locked': 'Too many failed login attempts. Login is locked for {wait}.',
+  'throttle.retry': 'Too many failed login attempts. Try again in {wait}.',
+  'throttle.seconds': { one: '{count} second', other: '{count} seconds' },
+  'throttle.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+  // Emails
+  'email.reset.subject': 'Reset your password',
+  'email.reset.body':
+    'Hi {firstName},\n\n' +
+    'Someone asked to reset the password for your account. ' +
+    'Open this link to choose a new password:\n\n' +
+    '{link}\n\n' +
+    'or enter this reset code on the Reset Password page:\n\n' +
+    '{token}\n\n' +
+    'The code expires in {expiry} and can only be used once. ' +
+    'If you did not ask for this, you can ignore this email.',
+  'email.reset.expiry': { one: '{count} minute', other: '{count} minutes' },
+  'email.verify.subject': 'Verify your email address',
+  'email.verify.body':
+    'Hi {firstName},\n\n' +
+    'Enter this code on the Verify Email page to confirm your email address:\n\n' +
+    '{code}\n\n' +
+    'Verify Email page: {link}\n\n' +
+    'The code expires in 24 hours.',
+
+  // Storage problems found on startup
+  'notices.newerVersion':
+    'Your account data was saved by a newer version of this app and may not work correctly.',
+  'notices.damaged':
+    'Stored account data was damaged and has been set aside. You may need to register again.',
+  'notices.quarantined': {
+    one: "{count} damaged account record was set aside and can't be used to log in.",
+    other: "{count} damaged account records were set aside and can't be used to log in."
+  },
+
+  // Messages on the login page after a session ends
+  'session.accountDeleted': 'Your account has been deleted.',
+  'session.accountDeletedRestorable':
+    'Your account has been deleted. Log in again before {date} to restore it.',
+  'session.accountUnavailable': 'Your account is no longer available.',
+  'session.loggedOutElsewhere': 'You were logged out in another tab.',
+
+  // Login
+  'login.title': 'Welcome Back',
+  'login.subtitle': 'Sign in to your account',
+  'login.enterCode': 'Enter Code',
+  'login.remember': 'Remember me',
+  'login.submit': 'Login',
+  'login.submitting': 'Logging in...',
+  'login.forgotPassword': 'Forgot your password?',
+  'login.noAccount': "Don't have an account?",
+  'login.registerLink': 'Register here',
+  'login.passkey': 'Sign in with a passkey',
+  'login.passkeyWaiting': 'Waiting for your passkey...',
+  'login.addTitle': 'Add an Account',
+  'login.addSubtitle': "Sign in to another account. You'll stay signed in to this one too.",
+  'login.cancelAdd': 'Back to my profile',
+  'login.continueAs': 'Continue as',
+
+  // Registration
+  'register.title': 'Create Account',
+  'register.subtitle': 'Join us today',
+  'register.success': "Account created successfully! We've emailed you a verification code...",
+  'register.submit': 'Create Account',
+  'register.submitting': 'Creating Account...',
+  'register.haveAccount': 'Already have an account?',
+  'register.loginLink': 'Login here',
+
+  // Email verification
+  'verifyEmail.title': 'Verify Email',
+  'verifyEmail.subtitle': 'Enter the code we emailed you',
+  'verifyEmail.success': 'Email verified! Redirecting...',
+  'verifyEmail.resend': 'Resend Code',
+  'verifyEmail.resendNotice': 'If that account still needs verifying, a new code is on its way.',
+  'verifyEmail.codeResent': 'A new verification code has been sent to {email}.',
+
+  // Password reset
+  'forgotPassword.title': 'Forgot Password',
+  'forgotPassword.subtitle': "We'll email you a code to reset it",
+  'forgotPassword.sent': 'If an account exists for that email, a reset code is on its way.',
+  'forgotPassword.submit': 'Send Reset Code',
+  'forgotPassword.haveCode': 'Already have a code?',
+  'forgotPassword.resetLink': 'Reset your password',
+  'resetPassword.title': 'Reset Password',
+  'resetPassword.subtitle': 'Choose a new password',
+  'resetPassword.success': 'Password reset successfully! Redirecting to login...',
+  'resetPassword.submit': 'Reset Password',
+
+  // Outbox
+  'outbox.title': 'Outbox',
+  'outbox.subtitle': 'Emails the app would have sent. Nothing here leaves this browser.',
+  'outbox.messages': 'Messages',
+  'outbox.empty': 'The outbox is empty.',
+  'outbox.to': 'To {email}',
+  'outbox.clear': 'Clear Outbox',
+
+  // Signed-in accounts
+  'accounts.switch': 'Switch account',
+  'accounts.option': '{name} ({email})',
+  'accounts.add': 'Add Account',
+  'accounts.signOutAll': 'Sign Out of All Accounts',
+
+  // Profile
+  'profile.title': 'My Profile',
+  'profile.adminConsole': 'Admin Console',
+  'profile.unverified':
+    "Your email address hasn't been verified yet. You won't be able to log in again until it is.",
+  'profile.verifyNow': 'Verify now',
+  'profile.accountInfo': 'Account Information',
+  'profile.edit': 'Edit Profile',
+  'profile.save': 'Save Changes',
+  'profile.updated': 'Profile updated successfully!',
+  'profile.updatedVerify': 'Profile updated! Check your new email address for a verification code.',
+  'profile.notSet': 'Not set',
+  'profile.optional': 'optional',
+  'profile.charactersLeft': { one: '{count} character left', other: '{count} characters left' },
+
+  // Profile photo
+  'avatar.title': 'Profile Photo',
+  'avatar.hint': 'Choose a JPEG, PNG, WebP or GIF image of up to {size} MB, or drop one here.',
+  'avatar.upload': 'Upload photo',
+  'avatar.change': 'Change photo',
+  'avatar.remove': 'Remove photo',
+  'avatar.dropHere': 'Drop the image to upload it',
+  'avatar.cropHint': 'Drag the image to position it and use the slider to zoom. The arrow keys move it too.',
+  'avatar.cropArea': 'Photo crop area',
+  'avatar.zoom': 'Zoom',
+  'avatar.save': 'Save photo',
+  'avatar.saved': 'Profile photo updated!',
+  'avatar.removed': 'Profile photo removed.',
+  'avatar.alt': 'Profile photo of {name}',
+  'avatar.errors.type': 'Choose a JPEG, PNG, WebP or GIF image',
+  'avatar.errors.tooLarge': 'Images can be at most {size} MB',
+  'avatar.errors.unreadable': "That file couldn't be read as an image",
+  'avatar.errors.invalid': "The photo couldn't be saved: the image data isn't valid",
+  'avatar.errors.storageFull': "There isn't enough storage space left in this browser for the photo",
+
+  'changePassword.title': 'Change Password',
+  'changePassword.submit': 'Change Password',
+  'changePassword.success': 'Password changed successfully!',
+
+  // Two-factor authentication
+  'twoFactor.title': 'Two-Factor Authentication',
+  'twoFactor.loginTitle': 'Two-Factor Authentication',
+  'twoFactor.loginSubtitle':
+    'Enter the 6-digit code from your authenticator app, or one of your recovery codes',
+  'twoFactor.offSummary':
+    'Protect your account with a code from an authenticator app each time you log in.',
+  'twoFactor.onSummary':
+    'Two-factor authentication is on. Logging in asks for a code from your authenticator app.',
+  'twoFactor.setUp': 'Set up two-factor authentication',
+  'twoFactor.setupHint':
+    'Scan this code with an authenticator app, or enter the key by hand, then type the 6-digit code it shows.',
+  'twoFactor.qrAlt': 'QR code for your authenticator app',
+  'twoFactor.key': 'Key:',
+  'twoFactor.turnOn': 'Turn on',
+  'twoFactor.turnOff': 'Turn off',
+  'twoFactor.turnOffConfirm': 'Turn off two-factor authentication',
+  'twoFactor.turningOff': 'Turning off...',
+  'twoFactor.enabled': 'Two-factor authentication is on.',
+  'twoFactor.recoveryCodesHint':
+    'Save these recovery codes somewhere safe. Each one can be used once to log in if you ' +
+    "lose access to your authenticator app. They won't be shown again.",
+
+  // Passkeys
+  'passkeys.title': 'Passkeys',
+  'passkeys.summary':
+    'Sign in with your fingerprint, face, screen lock or a security key instead of your password.',
+  'passkeys.none': 'You have no passkeys yet.',
+  'passkeys.add': 'Add a passkey',
+  'passkeys.adding': 'Waiting for your device...',
+  'passkeys.added': 'Added {date}',
+  'passkeys.lastUsed': 'Last used {date}',
+  'passkeys.neverUsed': 'Never used',
+  'passkeys.remove': 'Remove',
+  'passkeys.removeConfirm': "Remove the passkey “{name}”? You won't be able to sign in with it any more.",
+  'passkeys.unsupported': "This browser doesn't support passkeys.",
+  'passkeys.errors.cancelled': 'The passkey request was cancelled or timed out.',
+  'passkeys.errors.alreadyRegistered': 'This device already has a passkey for your account.',
+  'passkeys.errors.failed': "Your device couldn't complete the passkey request.",
+
+  // Export and deletion
+  'accountData.title': 'Your Data',
+  'accountData.subtitle':
+    'Download a copy of your account details and recent activity, or delete your account.',
+  'accountData.download': 'Download my data',
+  'accountData.delete': 'Delete account',
+  'accountData.deleteConfirm': 'Delete my account',
+  'accountData.deleting': 'Deleting...',
+  'accountData.deleteWarning': {
+    one: 'Your account will be deleted. You can restore it by logging in again within {count} day; after that it is gone for good.',
+    other:
+      'Your account will be deleted. You can restore it by logging in again within {count} days; after that it is gone for good.'
+  },
+  'accountData.deleteWarningNow': "Your account will be deleted right away. This can't be undone.",
+
+  // Activity
+  'audit.login': 'Logged in',
+  'audit.loginFailed': 'Failed login attempt',
+  'audit.logout': 'Logged out',
+  'audit.register': 'Account created',
+  'audit.accountImported': 'Account imported',
+  'audit.profileUpdated': 'Profile updated',
+  'audit.emailChanged': 'Email address changed',
+  'audit.passwordChanged': 'Password changed',
+  'audit.passwordReset': 'Password reset by email',
+  'audit.twoFactorEnabled': 'Two-factor authentication turned on',
+  'audit.twoFactorDisabled': 'Two-factor authentication turned off',
+  'audit.accountDeleted': 'Account deleted',
+  'audit.avatarChanged': 'Profile photo changed',
+  'audit.passkeyAdded': 'Passkey added',
+  'audit.passkeyRemoved': 'Passkey removed',
+  'activity.recentTitle': 'Recent Activity',
+  'activity.logTitle': 'Activity Log',
+  'activity.none': 'No activity recorded yet.',
+  'activity.noMatches': 'No matching activity.',
+  'activity.unknownAccount': 'Unknown account',
+  'activity.change': '{field}: {from} → {to}',
+  'activity.filterAccount': 'Filter by account',
+  'activity.filterEvent': 'Filter by event',
+  'activity.allAccounts': 'All accounts',
+  'activity.allEvents': 'All events',
+
+  // Admin console
+  'admin.title': 'Admin Console',
+  'admin.accountCount': { one: '{count} account', other: '{count} accounts' },
+  'admin.searchPlaceholder': 'Search by name or email',
+  'admin.searchLabel': 'Search accounts',
+  'admin.column.name': 'Name',
+  'admin.column.email': 'Email',
+  'admin.column.role': 'Role',
+  'admin.column.status': 'Status',
+  'admin.column.memberSince': 'Member Since',
+  'admin.column.actions': 'Actions',
+  'admin.status.active': 'Active',
+  'admin.status.disabled': 'Disabled',
+  'admin.status.pendingDeletion': 'Pending deletion',
+  'admin.status.resetRequired': 'Reset required',
+  'admin.status.unverified': 'Unverified',
+  'admin.roleFor': 'Role for {email}',
+  'admin.self': 'This is you',
+  'admin.enable': 'Enable',
+  'admin.disable': 'Disable',
+  'admin.forceReset': 'Force Reset',
+  'admin.delete': 'Delete',
+  'admin.enabled': '{email} was enabled.',
+  'admin.disabled': '{email} was disabled.',
+  'admin.nowAdmin': '{email} is now an admin.',
+  'admin.nowUser': '{email} is now a regular user.',
+  'admin.resetForced':
+    '{email} has to reset their password before logging in again. A reset code was emailed to them.',
+  'admin.confirmDelete': "Delete the account for {email}? This can't be undone.",
+  'admin.deleted': '{email} was deleted.',
+  'admin.loading': 'Loading accounts...',
+  'admin.noMatches': 'No accounts match your search.',
+  'admin.previous': 'Previous',
+  'admin.next': 'Next',
+  'admin.page': 'Page {page} of {pages}',
+  'roles.user': 'user',
+  'roles.admin': 'admin',
+
+  // Import and export
+  'transfer.title': 'Import and Export',
+  'transfer.summary':
+    'Add accounts in bulk from a CSV or JSON file, or download every account. Exports never include passwords.',
+  'transfer.exportCsv': 'Export CSV',
+  'transfer.exportJson': 'Export JSON',
+  'transfer.exported': { one: '{count} account exported.', other: '{count} accounts exported.' },
+  'transfer.file': 'File to import',
+  'transfer.fileHint':
+    'One account per row, with the columns firstName, lastName and email, and optionally phone, address, bio, ' +
+    'timezone, birthDate, password, role and verified. Accounts without a password are emailed a reset code, ' +
+    'and accounts not marked as verified a verification code.',
+  'transfer.checking': 'Checking the file...',
+  'transfer.previewSummary': {
+    one: '{valid} of {count} row can be imported.',
+    other: '{valid} of {count} rows can be imported.'
+  },
+  'transfer.ignoredColumns': 'These columns will be ignored: {columns}',
+  'transfer.column.row': 'Row',
+  'transfer.column.result': 'Result',
+  'transfer.column.verified': 'Verified',
+  'transfer.ready': 'Ready to import',
+  'transfer.problem': '{column}: {message}',
+  'transfer.import': { one: 'Import {count} account', other: 'Import {count} accounts' },
+  'transfer.importing': 'Importing...',
+  'transfer.imported': { one: '{count} account was imported.', other: '{count} accounts were imported.' },
+  'transfer.errors.unknownFormat': 'Choose a .csv or .json file.',
+  'transfer.errors.badJson': "The file isn't valid JSON.",
+  'transfer.errors.notAList': 'The JSON file should hold a list of accounts.',
+  'transfer.errors.noEmailColumn': 'The file needs an email column.',
+  'transfer.errors.empty': 'The file has no accounts in it.',
+  'transfer.errors.unreadable': "The file couldn't be read.",
+
+  'notFound.title': 'Page Not Found',
+  'notFound.subtitle': "There's nothing at this address.",
+  'notFound.toProfile': 'Go to your profile',
+  'notFound.toLogin': 'Go to login'
+});
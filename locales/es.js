@@ -0,0 +1,461 @@
+// ============================================
+// SPANISH MESSAGES
+// ============================================
+// Same keys as locales/en.js. Plural forms follow Intl.PluralRules('es'):
+// one, many (round millions: "1.000.000 de cuentas") and other.
+(function (root, messages) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = messages;
+  } else {
+    root.I18n.addMessages('es', messages);
+  }
+})(typeof self !== 'undefined' ? self : this, {
+  'app.title': 'Sistema de gestión de cuentas',
+  'language.label': 'Idioma',
+
+  // Shared buttons and links
+  'common.backToLogin': 'Volver a iniciar sesión',
+  'common.backToProfile': 'Volver al perfil',
+  'common.cancel': 'Cancelar',
+  'common.checking': 'Comprobando...',
+  'common.dismiss': 'Cerrar',
+  'common.done': 'Listo',
+  'common.logout': 'Cerrar sesión',
+  'common.saving': 'Guardando...',
+  'common.verify': 'Verificar',
+  'common.verifying': 'Verificando...',
+  'common.viewOutbox': 'Ver bandeja de salida',
+
+  // Form labels and placeholders
+  'fields.address': 'Dirección postal',
+  'fields.appCode': 'Código de tu aplicación',
+  'fields.authCode': 'Código de autenticación',
+  'fields.bio': 'Biografía',
+  'fields.birthDate': 'Fecha de nacimiento',
+  'fields.confirmNewPassword': 'Confirmar nueva contraseña',
+  'fields.confirmPassword': 'Confirmar contraseña',
+  'fields.confirmWithPassword': 'Confirma con tu contraseña',
+  'fields.currentPassword': 'Contraseña actual',
+  'fields.email': 'Correo electrónico',
+  'fields.firstName': 'Nombre',
+  'fields.lastName': 'Apellidos',
+  'fields.memberSince': 'Miembro desde',
+  'fields.newPassword': 'Nueva contraseña',
+  'fields.passkeyName': 'Nombre de la llave de acceso',
+  'fields.password': 'Contraseña',
+  'fields.phone': 'Número de teléfono',
+  'fields.resetCode': 'Código de restablecimiento',
+  'fields.timezone': 'Zona horaria',
+  'fields.verificationCode': 'Código de verificación',
+  'placeholders.address': 'Calle, ciudad, código postal y país',
+  'placeholders.bio': 'Unas palabras sobre ti',
+  'placeholders.confirmNewPassword': 'Confirma tu nueva contraseña',
+  'placeholders.confirmPassword': 'Confirma tu contraseña',
+  'placeholders.currentPassword': 'Introduce tu contraseña actual',
+  'placeholders.email': 'Introduce tu correo electrónico',
+  'placeholders.firstName': 'Introduce tu nombre',
+  'placeholders.lastName': 'Introduce tus apellidos',
+  'placeholders.newPassword': 'Crea una contraseña',
+  'placeholders.newPasswordChange': 'Crea una nueva contraseña',
+  'placeholders.passkeyName': 'p. ej. Portátil del trabajo',
+  'placeholders.password': 'Introduce tu contraseña',
+  'placeholders.phone': 'p. ej., +34912345678',
+  'placeholders.resetCode': 'Pega el código de tu correo',
+  'placeholders.sixDigitCode': 'Código de 6 dígitos',
+
+  // Field validation
+  'validation.appCodeFormat': 'Introduce el código de 6 dígitos de tu aplicación',
+  'validation.birthDateFuture': 'La fecha de nacimiento debe ser anterior a hoy',
+  'validation.birthDateInvalid': 'Introduce una fecha válida',
+  'validation.confirmPasswordRequired': 'Confirma tu contraseña',
+  'validation.confirmWithPassword': 'Introduce tu contraseña para confirmar',
+  'validation.currentPasswordRequired': 'La contraseña actual es obligatoria',
+  'validation.emailCodeFormat': 'Introduce el código de 6 dígitos de tu correo',
+  'validation.emailInvalid': 'Introduce una dirección de correo válida',
+  'validation.emailRepeated': 'Este correo aparece antes en el archivo',
+  'validation.emailRequired': 'El correo electrónico es obligatorio',
+  'validation.emailTaken': 'Este correo electrónico ya está en uso',
+  'validation.fieldRequired': 'Este campo es obligatorio',
+  'validation.firstNameRequired': 'El nombre es obligatorio',
+  'validation.lastNameRequired': 'Los apellidos son obligatorios',
+  'validation.newPasswordSameAsCurrent': 'La nueva contraseña debe ser distinta de la actual',
+  'validation.passkeyNameRequired': 'Ponle un nombre a la llave de acceso',
+  'validation.passwordRequired': 'La contraseña es obligatoria',
+  'validation.passwordsDontMatch': 'Las contraseñas no coinciden',
+  'validation.phoneInvalid': 'Escribe el número en formato internacional, empezando por + y el código del país',
+  'validation.resetCodeRequired': 'El código de restablecimiento es obligatorio',
+  'validation.roleUnknown': 'Usa «user» o «admin»',
+  'validation.timezoneInvalid': 'Elige una zona horaria de la lista',
+  'validation.tooLong': 'Usa como máximo {max} caracteres',
+  'validation.twoFactorCodeRequired': 'Introduce el código de tu aplicación de autenticación',
+  'validation.yesOrNo': 'Usa sí o no',
+
+  // Password policy (codes from password-policy.js)
+  'passwordPolicy.TOO_SHORT': 'La contraseña debe tener al menos {min} caracteres',
+  'passwordPolicy.TOO_LONG': 'La contraseña debe tener como máximo {max} caracteres',
+  'passwordPolicy.COMMON': 'Es una de las contraseñas más usadas. Elige otra',
+  'passwordPolicy.PERSONAL_INFO': 'La contraseña no puede contener tu nombre ni tu correo electrónico',
+  'passwordPolicy.LOW_ENTROPY':
+    'La contraseña es demasiado fácil de adivinar. Hazla más larga o combina otros tipos de caracteres',
+  'passwordPolicy.SEQUENCE': 'Evita secuencias como «{text}»',
+  'passwordPolicy.REPEAT': 'Evita caracteres repetidos como «{text}»',
+  'password.strengthLabel': 'Seguridad de la contraseña: {strength}',
+  'password.strength.weak': 'débil',
+  'password.strength.medium': 'media',
+  'password.strength.strong': 'fuerte',
+
+  // Errors from the auth service
+  'errors.accountDisabled': 'Esta cuenta está desactivada. Ponte en contacto con un administrador.',
+  'errors.accountNotFound': 'Esta cuenta ya no existe',
+  'errors.accountSignedOut': 'Se cerró la sesión de esa cuenta. Vuelve a iniciar sesión en ella.',
+  'errors.badJson': 'El cuerpo de la solicitud debe ser JSON válido',
+  'errors.challengeExpired': 'Este intento de inicio de sesión ha caducado. Vuelve a iniciar sesión.',
+  'errors.currentPasswordIncorrect': 'La contraseña actual no es correcta',
+  'errors.emailExists': 'Ya existe una cuenta con este correo electrónico',
+  'errors.emailUnverified': 'Verifica tu correo electrónico antes de iniciar sesión',
+  'errors.fixFields': 'Corrige los campos marcados',
+  'errors.forbidden': 'No tienes permiso para hacer eso',
+  'errors.invalidCode': 'Ese código no es válido',
+  'errors.invalidCredentials': 'Correo electrónico o contraseña incorrectos',
+  'errors.invalidResetCode': 'Este código de restablecimiento no es válido o ha caducado',
+  'errors.invalidVerificationCode': 'Este código de verificación no es válido o ha caducado',
+  'errors.network': 'No se pudo conectar con el servidor. Inténtalo de nuevo.',
+  'errors.noRoute': 'No hay ninguna ruta para {method} {path}',
+  'errors.ownAccount': 'No puedes cambiar tu propia cuenta desde la consola de administración',
+  'errors.passkeyInvalid': 'No se pudo guardar la llave de acceso. Inténtalo de nuevo.',
+  'errors.passkeyLoginFailed': 'Esa llave de acceso no está vinculada a ninguna cuenta. Puede que se haya eliminado.',
+  'errors.passkeyNotFound': 'Esta llave de acceso ya se eliminó',
+  'errors.passkeyNoOrigin': 'No se pueden usar llaves de acceso porque la solicitud no indica de qué sitio procede',
+  'errors.passwordIncorrect': 'La contraseña no es correcta',
+  'errors.passwordResetRequired':
+    'Tienes que restablecer tu contraseña antes de iniciar sesión. Busca el código en tu correo.',
+  'errors.profileChangedElsewhere':
+    'Tu perfil se ha modificado en otro lugar. Revisa los datos más recientes e inténtalo de nuevo.',
+  'errors.profileConflict':
+    'Tu perfil se ha modificado en otro lugar (quizá en otra pestaña). ' +
+    'Abajo se muestran los datos más recientes; vuelve a hacer tus cambios.',
+  'errors.requestFailed': 'La solicitud ha fallado ({status})',
+  'errors.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'errors.throttled': 'Demasiados intentos fallidos de inicio de sesión',
+  'errors.tooManyCodes': 'Demasiados códigos incorrectos. Vuelve a iniciar sesión.',
+  'errors.tooManyImportRows': 'Importa como máximo {max} cuentas cada vez',
+  'errors.tooManyPasskeys': 'Puedes tener como máximo {max} llaves de acceso',
+  'errors.twoFactorCodeMismatch': 'Ese código no coincide. Revisa tu aplicación e inténtalo de nuevo.',
+  'errors.unexpected': 'Algo ha salido mal',
+  'errors.unknownRole': 'Rol desconocido',
+
+  // Login throttling
+  'throttle.locked':
+    'Demasiados intentos fallidos de inicio de sesión. El acceso está bloqueado durante {wait}.',
+  'throttle.retry': 'Demasiados intentos fallidos de inicio de sesión. Inténtalo de nuevo en {wait}.',
+  'throttle.seconds': { one: '{count} segundo', many: '{count} de segundos', other: '{count} segundos' },
+  'throttle.minutes': { one: '{count} minuto', many: '{count} de minutos', other: '{count} minutos' },
+
+  // Emails
+  'email.reset.subject': 'Restablece tu contraseña',
+  'email.reset.body':
+    'Hola, {firstName}:\n\n' +
+    'Alguien ha pedido restablecer la contraseña de tu cuenta. ' +
+    'Abre este enlace para elegir una contraseña nueva:\n\n' +
+    '{link}\n\n' +
+    'o introduce este código en la página Restablecer contraseña:\n\n' +
+    '{token}\n\n' +
+    'El código caduca en {expiry} y solo se puede usar una vez. ' +
+    'Si no lo has pedido tú, puedes ignorar este correo.',
+  'email.reset.expiry': { one: '{count} minuto', many: '{count} de minutos', other: '{count} minutos' },
+  'email.verify.subject': 'Verifica tu correo electrónico',
+  'email.verify.body':
+    'Hola, {firstName}:\n\n' +
+    'Introduce este código en la página Verificar correo para confirmar tu dirección:\n\n' +
+    '{code}\n\n' +
+    'Página Verificar correo: {link}\n\n' +
+    'El código caduca en 24 horas.',
+
+  // Storage problems found on startup
+  'notices.newerVersion':
+    'Los datos de tu cuenta se guardaron con una versión más reciente de esta aplicación y puede que no funcionen bien.',
+  'notices.damaged':
+    'Los datos de cuentas guardados estaban dañados y se han apartado. Puede que tengas que volver a registrarte.',
+  'notices.quarantined': {
+    one: 'Se ha apartado {count} registro de cuenta dañado; no se puede usar para iniciar sesión.',
+    many: 'Se han apartado {count} de registros de cuenta dañados; no se pueden usar para iniciar sesión.',
+    other: 'Se han apartado {count} registros de cuenta dañados; no se pueden usar para iniciar sesión.'
+  },
+
+  // Messages on the login page after a session ends
+  'session.accountDeleted': 'Tu cuenta se ha eliminado.',
+  'session.accountDeletedRestorable':
+    'Tu cuenta se ha eliminado. Inicia sesión antes del {date} para recuperarla.',
+  'session.accountUnavailable': 'Tu cuenta ya no está disponible.',
+  'session.loggedOutElsewhere': 'Has cerrado sesión en otra pestaña.',
+
+  // Login
+  'login.title': 'Bienvenido de nuevo',
+  'login.subtitle': 'Inicia sesión en tu cuenta',
+  'login.enterCode': 'Introducir código',
+  'login.remember': 'Recordarme',
+  'login.submit': 'Iniciar sesión',
+  'login.submitting': 'Iniciando sesión...',
+  'login.forgotPassword': '¿Has olvidado tu contraseña?',
+  'login.noAccount': '¿No tienes cuenta?',
+  'login.registerLink': 'Regístrate aquí',
+  'login.passkey': 'Iniciar sesión con una llave de acceso',
+  'login.passkeyWaiting': 'Esperando a tu llave de acceso...',
+  'login.addTitle': 'Añadir una cuenta',
+  'login.addSubtitle': 'Inicia sesión en otra cuenta. También seguirás conectado a esta.',
+  'login.cancelAdd': 'Volver a mi perfil',
+  'login.continueAs': 'Continuar como',
+
+  // Registration
+  'register.title': 'Crear cuenta',
+  'register.subtitle': 'Únete hoy',
+  'register.success': '¡Cuenta creada! Te hemos enviado un código de verificación por correo...',
+  'register.submit': 'Crear cuenta',
+  'register.submitting': 'Creando cuenta...',
+  'register.haveAccount': '¿Ya tienes cuenta?',
+  'register.loginLink': 'Inicia sesión aquí',
+
+  // Email verification
+  'verifyEmail.title': 'Verificar correo',
+  'verifyEmail.subtitle': 'Introduce el código que te hemos enviado',
+  'verifyEmail.success': '¡Correo verificado! Redirigiendo...',
+  'verifyEmail.resend': 'Reenviar código',
+  'verifyEmail.resendNotice': 'Si esa cuenta aún no está verificada, te llegará un código nuevo.',
+  'verifyEmail.codeResent': 'Se ha enviado un nuevo código de verificación a {email}.',
+
+  // Password reset
+  'forgotPassword.title': 'Contraseña olvidada',
+  'forgotPassword.subtitle': 'Te enviaremos un código por correo para restablecerla',
+  'forgotPassword.sent': 'Si existe una cuenta con ese correo, te llegará un código de restablecimiento.',
+  'forgotPassword.submit': 'Enviar código',
+  'forgotPassword.haveCode': '¿Ya tienes un código?',
+  'forgotPassword.resetLink': 'Restablece tu contraseña',
+  'resetPassword.title': 'Restablecer contraseña',
+  'resetPassword.subtitle': 'Elige una contraseña nueva',
+  'resetPassword.success': '¡Contraseña restablecida! Redirigiendo al inicio de sesión...',
+  'resetPassword.submit': 'Restablecer contraseña',
+
+  // Outbox
+  'outbox.title': 'Bandeja de salida',
+  'outbox.subtitle': 'Correos que la aplicación habría enviado. Nada de esto sale de este navegador.',
+  'outbox.messages': 'Mensajes',
+  'outbox.empty': 'La bandeja de salida está vacía.',
+  'outbox.to': 'Para {email}',
+  'outbox.clear': 'Vaciar bandeja de salida',
+
+  // Signed-in accounts
+  'accounts.switch': 'Cambiar de cuenta',
+  'accounts.option': '{name} ({email})',
+  'accounts.add': 'Añadir cuenta',
+  'accounts.signOutAll': 'Cerrar sesión en todas las cuentas',
+
+  // Profile
+  'profile.title': 'Mi perfil',
+  'profile.adminConsole': 'Consola de administración',
+  'profile.unverified':
+    'Tu correo electrónico aún no está verificado. No podrás volver a iniciar sesión hasta que lo esté.',
+  'profile.verifyNow': 'Verificar ahora',
+  'profile.accountInfo': 'Información de la cuenta',
+  'profile.edit': 'Editar perfil',
+  'profile.save': 'Guardar cambios',
+  'profile.updated': '¡Perfil actualizado!',
+  'profile.updatedVerify': '¡Perfil actualizado! Busca el código de verificación en tu nuevo correo.',
+  'profile.notSet': 'Sin indicar',
+  'profile.optional': 'opcional',
+  'profile.charactersLeft': { one: 'Queda {count} carácter', many: 'Quedan {count} caracteres', other: 'Quedan {count} caracteres' },
+
+  // Foto de perfil
+  'avatar.title': 'Foto de perfil',
+  'avatar.hint': 'Elige una imagen JPEG, PNG, WebP o GIF de hasta {size} MB, o suéltala aquí.',
+  'avatar.upload': 'Subir foto',
+  'avatar.change': 'Cambiar foto',
+  'avatar.remove': 'Quitar foto',
+  'avatar.dropHere': 'Suelta la imagen para subirla',
+  'avatar.cropHint':
+    'Arrastra la imagen para colocarla y usa el control deslizante para acercarla. También se mueve con las flechas del teclado.',
+  'avatar.cropArea': 'Área de recorte de la foto',
+  'avatar.zoom': 'Zoom',
+  'avatar.save': 'Guardar foto',
+  'avatar.saved': '¡Foto de perfil actualizada!',
+  'avatar.removed': 'Foto de perfil eliminada.',
+  'avatar.alt': 'Foto de perfil de {name}',
+  'avatar.errors.type': 'Elige una imagen JPEG, PNG, WebP o GIF',
+  'avatar.errors.tooLarge': 'Las imágenes pueden ocupar como máximo {size} MB',
+  'avatar.errors.unreadable': 'No se pudo leer el archivo como imagen',
+  'avatar.errors.invalid': 'No se pudo guardar la foto: los datos de la imagen no son válidos',
+  'avatar.errors.storageFull': 'No queda espacio suficiente en este navegador para guardar la foto',
+
+  'changePassword.title': 'Cambiar contraseña',
+  'changePassword.submit': 'Cambiar contraseña',
+  'changePassword.success': '¡Contraseña cambiada!',
+
+  // Two-factor authentication
+  'twoFactor.title': 'Autenticación en dos pasos',
+  'twoFactor.loginTitle': 'Autenticación en dos pasos',
+  'twoFactor.loginSubtitle':
+    'Introduce el código de 6 dígitos de tu aplicación de autenticación o uno de tus códigos de recuperación',
+  'twoFactor.offSummary':
+    'Protege tu cuenta con un código de una aplicación de autenticación cada vez que inicies sesión.',
+  'twoFactor.onSummary':
+    'La autenticación en dos pasos está activada. Al iniciar sesión se te pedirá un código de tu aplicación.',
+  'twoFactor.setUp': 'Configurar la autenticación en dos pasos',
+  'twoFactor.setupHint':
+    'Escanea este código con una aplicación de autenticación o introduce la clave a mano, y luego escribe el código de 6 dígitos que muestre.',
+  'twoFactor.qrAlt': 'Código QR para tu aplicación de autenticación',
+  'twoFactor.key': 'Clave:',
+  'twoFactor.turnOn': 'Activar',
+  'twoFactor.turnOff': 'Desactivar',
+  'twoFactor.turnOffConfirm': 'Desactivar la autenticación en dos pasos',
+  'twoFactor.turningOff': 'Desactivando...',
+  'twoFactor.enabled': 'La autenticación en dos pasos está activada.',
+  'twoFactor.recoveryCodesHint':
+    'Guarda estos códigos de recuperación en un lugar seguro. Cada uno sirve una vez para iniciar sesión ' +
+    'si pierdes el acceso a tu aplicación de autenticación. No se volverán a mostrar.',
+
+  // Llaves de acceso
+  'passkeys.title': 'Llaves de acceso',
+  'passkeys.summary':
+    'Inicia sesión con tu huella, tu cara, el bloqueo de pantalla o una llave de seguridad en lugar de tu contraseña.',
+  'passkeys.none': 'Todavía no tienes llaves de acceso.',
+  'passkeys.add': 'Añadir una llave de acceso',
+  'passkeys.adding': 'Esperando a tu dispositivo...',
+  'passkeys.added': 'Añadida el {date}',
+  'passkeys.lastUsed': 'Último uso: {date}',
+  'passkeys.neverUsed': 'Sin usar',
+  'passkeys.remove': 'Eliminar',
+  'passkeys.removeConfirm': '¿Eliminar la llave de acceso "{name}"? Ya no podrás iniciar sesión con ella.',
+  'passkeys.unsupported': 'Este navegador no admite llaves de acceso.',
+  'passkeys.errors.cancelled': 'La solicitud de la llave de acceso se canceló o caducó.',
+  'passkeys.errors.alreadyRegistered': 'Este dispositivo ya tiene una llave de acceso para tu cuenta.',
+  'passkeys.errors.failed': 'Tu dispositivo no pudo completar la solicitud de la llave de acceso.',
+
+  // Export and deletion
+  'accountData.title': 'Tus datos',
+  'accountData.subtitle':
+    'Descarga una copia de los datos de tu cuenta y de tu actividad reciente, o elimina tu cuenta.',
+  'accountData.download': 'Descargar mis datos',
+  'accountData.delete': 'Eliminar cuenta',
+  'accountData.deleteConfirm': 'Eliminar mi cuenta',
+  'accountData.deleting': 'Eliminando...',
+  'accountData.deleteWarning': {
+    one: 'Tu cuenta se eliminará. Puedes recuperarla iniciando sesión en los próximos {count} día; después desaparecerá para siempre.',
+    many: 'Tu cuenta se eliminará. Puedes recuperarla iniciando sesión en los próximos {count} de días; después desaparecerá para siempre.',
+    other:
+      'Tu cuenta se eliminará. Puedes recuperarla iniciando sesión en los próximos {count} días; después desaparecerá para siempre.'
+  },
+  'accountData.deleteWarningNow': 'Tu cuenta se eliminará de inmediato. No se puede deshacer.',
+
+  // Activity
+  'audit.login': 'Inicio de sesión',
+  'audit.loginFailed': 'Intento de inicio de sesión fallido',
+  'audit.logout': 'Cierre de sesión',
+  'audit.register': 'Cuenta creada',
+  'audit.accountImported': 'Cuenta importada',
+  'audit.profileUpdated': 'Perfil actualizado',
+  'audit.emailChanged': 'Correo electrónico cambiado',
+  'audit.passwordChanged': 'Contraseña cambiada',
+  'audit.passwordReset': 'Contraseña restablecida por correo',
+  'audit.twoFactorEnabled': 'Autenticación en dos pasos activada',
+  'audit.twoFactorDisabled': 'Autenticación en dos pasos desactivada',
+  'audit.accountDeleted': 'Cuenta eliminada',
+  'audit.avatarChanged': 'Foto de perfil cambiada',
+  'audit.passkeyAdded': 'Llave de acceso añadida',
+  'audit.passkeyRemoved': 'Llave de acceso eliminada',
+  'activity.recentTitle': 'Actividad reciente',
+  'activity.logTitle': 'Registro de actividad',
+  'activity.none': 'Aún no hay actividad registrada.',
+  'activity.noMatches': 'No hay actividad que coincida.',
+  'activity.unknownAccount': 'Cuenta desconocida',
+  'activity.change': '{field}: {from} → {to}',
+  'activity.filterAccount': 'Filtrar por cuenta',
+  'activity.filterEvent': 'Filtrar por evento',
+  'activity.allAccounts': 'Todas las cuentas',
+  'activity.allEvents': 'Todos los eventos',
+
+  // Admin console
+  'admin.title': 'Consola de administración',
+  'admin.accountCount': { one: '{count} cuenta', many: '{count} de cuentas', other: '{count} cuentas' },
+  'admin.searchPlaceholder': 'Buscar por nombre o correo',
+  'admin.searchLabel': 'Buscar cuentas',
+  'admin.column.name': 'Nombre',
+  'admin.column.email': 'Correo electrónico',
+  'admin.column.role': 'Rol',
+  'admin.column.status': 'Estado',
+  'admin.column.memberSince': 'Miembro desde',
+  'admin.column.actions': 'Acciones',
+  'admin.status.active': 'Activa',
+  'admin.status.disabled': 'Desactivada',
+  'admin.status.pendingDeletion': 'Pendiente de eliminación',
+  'admin.status.resetRequired': 'Restablecimiento obligatorio',
+  'admin.status.unverified': 'Sin verificar',
+  'admin.roleFor': 'Rol de {email}',
+  'admin.self': 'Eres tú',
+  'admin.enable': 'Activar',
+  'admin.disable': 'Desactivar',
+  'admin.forceReset': 'Forzar restablecimiento',
+  'admin.delete': 'Eliminar',
+  'admin.enabled': 'Se ha activado {email}.',
+  'admin.disabled': 'Se ha desactivado {email}.',
+  'admin.nowAdmin': '{email} ahora es administrador.',
+  'admin.nowUser': '{email} ahora es un usuario normal.',
+  'admin.resetForced':
+    '{email} tiene que restablecer su contraseña antes de volver a iniciar sesión. Se le ha enviado un código por correo.',
+  'admin.confirmDelete': '¿Eliminar la cuenta de {email}? No se puede deshacer.',
+  'admin.deleted': 'Se ha eliminado {email}.',
+  'admin.loading': 'Cargando cuentas...',
+  'admin.noMatches': 'Ninguna cuenta coincide con la búsqueda.',
+  'admin.previous': 'Anterior',
+  'admin.next': 'Siguiente',
+  'admin.page': 'Página {page} de {pages}',
+  'roles.user': 'usuario',
+  'roles.admin': 'administrador',
+
+  // Import and export
+  'transfer.title': 'Importar y exportar',
+  'transfer.summary':
+    'Añade cuentas en bloque desde un archivo CSV o JSON, o descarga todas las cuentas. ' +
+    'Las exportaciones nunca incluyen contraseñas.',
+  'transfer.exportCsv': 'Exportar CSV',
+  'transfer.exportJson': 'Exportar JSON',
+  'transfer.exported': {
+    one: '{count} cuenta exportada.',
+    many: '{count} de cuentas exportadas.',
+    other: '{count} cuentas exportadas.'
+  },
+  'transfer.file': 'Archivo para importar',
+  'transfer.fileHint':
+    'Una cuenta por fila, con las columnas firstName, lastName y email, y opcionalmente phone, address, bio, ' +
+    'timezone, birthDate, password, role y verified. ' +
+    'Las cuentas sin contraseña reciben por correo un código de restablecimiento, ' +
+    'y las que no están marcadas como verificadas, un código de verificación.',
+  'transfer.checking': 'Comprobando el archivo...',
+  'transfer.previewSummary': {
+    one: 'Se puede importar {valid} de {count} fila.',
+    many: 'Se pueden importar {valid} de {count} de filas.',
+    other: 'Se pueden importar {valid} de {count} filas.'
+  },
+  'transfer.ignoredColumns': 'Se ignorarán estas columnas: {columns}',
+  'transfer.column.row': 'Fila',
+  'transfer.column.result': 'Resultado',
+  'transfer.column.verified': 'Verificado',
+  'transfer.ready': 'Lista para importar',
+  'transfer.problem': '{column}: {message}',
+  'transfer.import': { one: 'Importar {count} cuenta', many: 'Importar {count} de cuentas', other: 'Importar {count} cuentas' },
+  'transfer.importing': 'Importando...',
+  'transfer.imported': {
+    one: 'Se importó {count} cuenta.',
+    many: 'Se importaron {count} de cuentas.',
+    other: 'Se importaron {count} cuentas.'
+  },
+  'transfer.errors.unknownFormat': 'Elige un archivo .csv o .json.',
+  'transfer.errors.badJson': 'El archivo no es JSON válido.',
+  'transfer.errors.notAList': 'El archivo JSON debe contener una lista de cuentas.',
+  'transfer.errors.noEmailColumn': 'El archivo necesita una columna email.',
+  'transfer.errors.empty': 'El archivo no contiene ninguna cuenta.',
+  'transfer.errors.unreadable': 'No se pudo leer el archivo.',
+
+  'notFound.title': 'Página no encontrada',
+  'notFound.subtitle': 'No hay nada en esta dirección.',
+  'notFound.toProfile': 'Ir a tu perfil',
+  'notFound.toLogin': 'Ir a iniciar sesión'
+});
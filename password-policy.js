@@ -0,0 +1,312 @@
+// ============================================
+// PASSWORD POLICY
+// ============================================
+// Decides whether a new password is acceptable and explains why not. Plain
+// JavaScript with no dependencies, so the same file runs in the browser (as
+// the `PasswordPolicy` global) and in Node, where the mock server uses it.
+//
+// A password is rejected when it is too short or too long, appears in the
+// bundled list of common passwords (also after undoing l33t substitutions and
+// dropping trailing digits and symbols, so "P@ssword1!" counts as
+// "password"), contains the user's name or email address, or has too little
+// estimated entropy. Sequences ("abcd", "4321", "qwer") and repeats ("aaa",
+// "abab") only produce warnings, but they also lower the entropy estimate.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PasswordPolicy = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const POLICY_DEFAULTS = {
+    minLength: 8,
+    maxLength: 128,
+    minEntropyBits: 35, // about 8 random lowercase letters
+    strongEntropyBits: 60, // shown as "strong" from here on
+    rejectCommon: true,
+    rejectPersonalInfo: true,
+    minPersonalInfoLength: 3 // shorter names aren't matched
+  };
+
+  // Most frequently used passwords, from public breach corpora
+  const COMMON_PASSWORDS = [
+    '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111',
+    '000000', '123123', '654321', '666666', '121212', '112233', '123321', '7777777',
+    '888888', '987654321', '159753', '147258369', '1q2w3e4r', '1q2w3e4r5t', '1qaz2wsx',
+    'zaq12wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm',
+    'qazwsx', 'azerty', 'password', 'passw0rd', 'password1', 'password123', 'pass',
+    'passpass', 'letmein', 'welcome', 'welcome1', 'admin', 'administrator', 'root',
+    'toor', 'login', 'guest', 'master', 'changeme', 'default', 'secret', 'iloveyou',
+    'love', 'lovely', 'loveme', 'trustno1', 'monkey', 'dragon', 'shadow', 'sunshine',
+    'princess', 'football', 'baseball', 'basketball', 'soccer', 'hockey', 'superman',
+    'batman', 'spiderman', 'starwars', 'pokemon', 'michael', 'jennifer', 'jordan',
+    'jordan23', 'michelle', 'jessica', 'ashley', 'daniel', 'charlie', 'thomas',
+    'robert', 'matthew', 'andrew', 'joshua', 'hunter', 'harley', 'ranger', 'buster',
+    'tigger', 'pepper', 'ginger', 'cookie', 'chocolate', 'cheese', 'banana', 'orange',
+    'maggie', 'bailey', 'summer', 'winter', 'flower', 'hello', 'hello123', 'freedom',
+    'whatever', 'nothing', 'computer', 'internet', 'mustang', 'ferrari', 'corvette',
+    'killer', 'fuckyou', 'biteme', 'access', 'blahblah', 'zaq1zaq1', 'abc123',
+    'abcdef', 'abcd1234', 'a1b2c3', 'aa123456', 'qwe123', 'asd123', 'azerty123',
+    'iloveyou1', 'princess1', 'monkey1', 'dragon1', 'football1', 'baseball1', 'sunshine1',
+    'letmein1', 'master1', 'shadow1', 'superman1', 'michael1', 'charlie1', 'jesus',
+    'jesus1', 'god', 'angel', 'angel1', 'naruto', 'minecraft', 'fortnite', 'roblox',
+    'samsung', 'apple', 'google', 'facebook', 'linkedin', 'twitter', 'yahoo',
+    'microsoft', 'windows', 'london', 'paris', 'newyork', 'chelsea', 'liverpool',
+    'arsenal', 'barcelona', 'yankees', 'cowboys', 'eagles', 'lakers', 'steelers',
+    'maverick', 'matrix', 'merlin', 'mickey', 'midnight', 'money', 'mother', 'nicole',
+    'purple', 'qwertyui', 'rainbow', 'scooter', 'silver', 'slipknot', 'snoopy',
+    'soccer1', 'sparky', 'taylor', 'tennis', 'thunder', 'tiger', 'trouble', 'victoria',
+    'william', 'yellow', 'zxcvbn', 'zxcvbnm1', 'qwerty1', 'q1w2e3r4', 'q1w2e3r4t5',
+    '11111111', '00000000', '12341234', '123qwe', '123abc', 'abc12345', 'pa55word',
+    'p4ssw0rd', 'passwort', 'contrasena', 'motdepasse', 'senha', 'parola', 'haslo',
+    'test', 'test123', 'testing', 'temp', 'temp123', 'user', 'user123', 'demo',
+    'letmein123', 'welcome123', 'admin123', 'admin1234', 'root123', 'qwerty12345'
+  ];
+  const COMMON_PASSWORD_SET = new Set(COMMON_PASSWORDS);
+
+  // Common l33t substitutions, undone before looking a password up
+  const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+  const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+  /**
+   * Lowercase a password and undo l33t substitutions
+   * @param {string} password - Password as typed
+   * @returns {string}
+   */
+  const unleet = (password) => {
+    return password
+      .toLowerCase()
+      .split('')
+      .map((char) => LEET_MAP[char] || char)
+      .join('');
+  };
+
+  /**
+   * Check a password against the common password list
+   * @param {string} password - Password to check
+   * @returns {boolean}
+   */
+  const isCommonPassword = (password) => {
+    const lower = password.toLowerCase();
+    // "Password1!" and "dragon2024" are as guessable as the word itself
+    const stripped = lower.replace(/[\d\W_]+$/, '');
+    const candidates = [lower, stripped, unleet(lower), unleet(stripped).replace(/[\d\W_]+$/, '')];
+    return candidates.some((candidate) => candidate && COMMON_PASSWORD_SET.has(candidate));
+  };
+
+  /**
+   * Break names and email addresses into the parts worth looking for
+   * @param {Array} userInputs - e.g. [firstName, lastName, email]
+   * @param {number} minLength - Ignore parts shorter than this
+   * @returns {Array} - Lowercase tokens
+   */
+  const getPersonalTokens = (userInputs, minLength) => {
+    const tokens = [];
+    userInputs
+      .filter((input) => typeof input === 'string')
+      .forEach((input) => {
+        const value = input.trim().toLowerCase();
+        const [local, domain = ''] = value.split('@');
+        // "jane.doe+work@example.com" gives jane.doe, jane, doe, work and example
+        [local, ...local.split(/[\s._+-]+/), domain.split('.')[0], ...value.split(/\s+/)]
+          .filter((token) => token && token.length >= minLength)
+          .forEach((token) => {
+            if (!tokens.includes(token)) tokens.push(token);
+          });
+      });
+    return tokens;
+  };
+
+  /**
+   * Find the user's name or email inside a password
+   * @param {string} password - Password to check
+   * @param {Array} userInputs - Strings describing the user
+   * @param {number} minLength - Shortest part that counts
+   * @returns {string|null} - The part that was found
+   */
+  const findPersonalInfo = (password, userInputs, minLength) => {
+    const lower = password.toLowerCase();
+    const plain = unleet(lower);
+    return (
+      getPersonalTokens(userInputs, minLength).find(
+        (token) => lower.includes(token) || plain.includes(token)
+      ) || null
+    );
+  };
+
+  /**
+   * Find runs like "abcd", "9876" or "qwer"
+   * @param {string} password - Password to check
+   * @param {number} minRun - Shortest run that counts
+   * @returns {Array} - [{ start, end, text }] for each run (end is exclusive)
+   */
+  const findSequences = (password, minRun = 3) => {
+    const lower = password.toLowerCase();
+    const runs = [];
+
+    // Steps of +1 or -1 in character code: abc, 123, cba, 321
+    let start = 0;
+    for (let i = 1; i <= lower.length; i++) {
+      const step = i < lower.length ? lower.charCodeAt(i) - lower.charCodeAt(i - 1) : 0;
+      const prevStep = i > 1 ? lower.charCodeAt(i - 1) - lower.charCodeAt(i - 2) : step;
+      const continues = (step === 1 || step === -1) && (i - start < 2 || step === prevStep);
+      if (!continues) {
+        if (i - start >= minRun && /^[a-z0-9]+$/.test(lower.slice(start, i))) {
+          runs.push({ start, end: i, text: password.slice(start, i) });
+        }
+        start = i - 1 >= start && (step === 1 || step === -1) ? i - 1 : i;
+      }
+    }
+
+    // Neighbouring keys, either way along a row: qwer, lkjh
+    KEYBOARD_ROWS.forEach((row) => {
+      const reversed = row.split('').reverse().join('');
+      for (let length = row.length; length >= minRun + 1; length--) {
+        for (let i = 0; i + length <= row.length; i++) {
+          [row.slice(i, i + length), reversed.slice(i, i + length)].forEach((fragment) => {
+            let index = lower.indexOf(fragment);
+            while (index !== -1) {
+              const overlaps = runs.some((run) => index < run.end && index + length > run.start);
+              if (!overlaps) runs.push({ start: index, end: index + length, text: password.slice(index, index + length) });
+              index = lower.indexOf(fragment, index + 1);
+            }
+          });
+        }
+      }
+    });
+
+    return runs.sort((a, b) => a.start - b.start);
+  };
+
+  /**
+   * Find repeated characters ("aaa") and repeated chunks ("abcabc")
+   * @param {string} password - Password to check
+   * @returns {Array} - [{ start, end, text }] for each repeat (end is exclusive)
+   */
+  const findRepeats = (password) => {
+    const repeats = [];
+    const pattern = /(.)\1{2,}|(.{2,}?)\2+/g;
+    let match;
+    while ((match = pattern.exec(password)) !== null) {
+      repeats.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+    return repeats;
+  };
+
+  /**
+   * Estimate how many bits of guessing a password takes. Every character is
+   * worth log2 of the size of the character classes used, except characters
+   * that continue a sequence or repeat, which are worth one bit each.
+   * @param {string} password - Password to measure
+   * @returns {number} - Estimated entropy in bits
+   */
+  const estimateEntropy = (password) => {
+    if (!password) return 0;
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/\d/.test(password)) pool += 10;
+    if (/[^a-zA-Z\d]/.test(password)) pool += 33;
+    const bitsPerChar = Math.log2(pool);
+
+    // The first character of a sequence or repeat is a real guess; the rest are not
+    const predictable = new Set();
+    [...findSequences(password), ...findRepeats(password)].forEach(({ start, end }) => {
+      for (let i = start + 1; i < end; i++) predictable.add(i);
+    });
+
+    return (password.length - predictable.size) * bitsPerChar + predictable.size;
+  };
+
+  /**
+   * Check a new password against the policy
+   * @param {string} password - Proposed password
+   * @param {Object} options - { userInputs, policy }; userInputs are strings the
+   *   password mustn't contain (name, email), policy overrides POLICY_DEFAULTS
+   * @returns {Object} - { valid, errors, warnings, entropyBits, strength }; errors
+   *   and warnings are [{ code, message, params }], strength is 'weak', 'medium' or 'strong'.
+   *   The messages are English; translated apps look the code up with the params.
+   */
+  const checkPassword = (password, { userInputs = [], policy = {} } = {}) => {
+    const settings = { ...POLICY_DEFAULTS, ...policy };
+    const errors = [];
+    const warnings = [];
+
+    if (password.length < settings.minLength) {
+      errors.push({
+        code: 'TOO_SHORT',
+        message: `Password must be at least ${settings.minLength} characters`,
+        params: { min: settings.minLength }
+      });
+    } else if (password.length > settings.maxLength) {
+      errors.push({
+        code: 'TOO_LONG',
+        message: `Password must be at most ${settings.maxLength} characters`,
+        params: { max: settings.maxLength }
+      });
+    }
+
+    if (settings.rejectCommon && isCommonPassword(password)) {
+      errors.push({
+        code: 'COMMON',
+        message: 'This is one of the most commonly used passwords. Please choose another',
+        params: {}
+      });
+    }
+
+    const personal =
+      settings.rejectPersonalInfo && findPersonalInfo(password, userInputs, settings.minPersonalInfoLength);
+    if (personal) {
+      errors.push({
+        code: 'PERSONAL_INFO',
+        message: 'Password must not contain your name or email address',
+        params: {}
+      });
+    }
+
+    const entropyBits = estimateEntropy(password);
+    if (errors.length === 0 && entropyBits < settings.minEntropyBits) {
+      errors.push({
+        code: 'LOW_ENTROPY',
+        message: 'Password is too easy to guess. Make it longer or mix in other kinds of characters',
+        params: {}
+      });
+    }
+
+    const sequence = findSequences(password)[0];
+    if (sequence) {
+      warnings.push({
+        code: 'SEQUENCE',
+        message: `Avoid sequences like "${sequence.text}"`,
+        params: { text: sequence.text }
+      });
+    }
+    const repeat = findRepeats(password)[0];
+    if (repeat) {
+      warnings.push({
+        code: 'REPEAT',
+        message: `Avoid repeated characters like "${repeat.text}"`,
+        params: { text: repeat.text }
+      });
+    }
+
+    let strength = 'weak';
+    if (errors.length === 0) {
+      strength = entropyBits >= settings.strongEntropyBits && warnings.length === 0 ? 'strong' : 'medium';
+    }
+
+    return { valid: errors.length === 0, errors, warnings, entropyBits: Math.round(entropyBits), strength };
+  };
+
+  return {
+    POLICY_DEFAULTS,
+    COMMON_PASSWORDS,
+    isCommonPassword,
+    findPersonalInfo,
+    findSequences,
+    findRepeats,
+    estimateEntropy,
+    checkPassword
+  };
+});
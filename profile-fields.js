@@ -0,0 +1,258 @@
+// ============================================
+// PROFILE FIELDS
+// ============================================
+// The registry of fields a user profile has. The profile page builds both its
+// read-only view and its edit form from this list, and the auth service (and
+// the mock server, in Node) check submitted profiles against the same rules.
+// Plain JavaScript with no dependencies: in the browser it is the
+// `ProfileFields` global.
+//
+// Each field has:
+//   name        - key on the user record
+//   label       - message key for its label
+//   type        - 'text', 'email', 'tel', 'date', 'textarea' or 'select'
+//   required    - an empty value is refused
+//   visible     - shown and editable on the profile page; hidden fields keep
+//                 whatever is stored but are neither shown nor checked
+//   maxLength   - optional limit in characters (textareas show a counter)
+//   check       - optional (value) => problem or null, for a non-empty value
+//   normalize   - optional (value) => value as stored, applied before checks
+// plus optional hints for the form: placeholder (message key), autoComplete,
+// rows (textareas), options (selects: () => array of values), optionLabel
+// (selects: value => text shown for it) and requiredMessage (message key used
+// when a required field is empty).
+//
+// Problems are reported as { key, params }: a message key from locales/ and
+// the values to fill in.
+//
+// To add a field, append an entry below (and its label to the catalogs). A
+// field with a new `type` also needs a case in the profile page's input.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ProfileFields = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const problem = (key, params = {}) => ({ key, params });
+
+  // Fallback for engines without Intl.supportedValuesOf
+  const COMMON_TIME_ZONES = [
+    'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+    'America/Mexico_City', 'America/Bogota', 'America/Sao_Paulo', 'America/Argentina/Buenos_Aires',
+    'Europe/London', 'Europe/Madrid', 'Europe/Paris', 'Europe/Berlin', 'Europe/Istanbul',
+    'Europe/Moscow', 'Africa/Cairo', 'Africa/Lagos', 'Africa/Johannesburg', 'Asia/Dubai',
+    'Asia/Riyadh', 'Asia/Karachi', 'Asia/Kolkata', 'Asia/Bangkok', 'Asia/Shanghai',
+    'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+  ];
+
+  /**
+   * Time zones offered in the time zone picker
+   * @returns {Array} - IANA zone names, e.g. 'Europe/Paris'
+   */
+  const getTimeZones = () => {
+    if (typeof Intl.supportedValuesOf === 'function') {
+      const zones = Intl.supportedValuesOf('timeZone');
+      return zones.includes('UTC') ? zones : ['UTC', ...zones];
+    }
+    return COMMON_TIME_ZONES;
+  };
+
+  /**
+   * Check whether the runtime knows a time zone
+   * @param {string} zone - IANA zone name
+   * @returns {boolean}
+   */
+  const isTimeZone = (zone) => {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: zone });
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  /**
+   * Check a date of birth given as YYYY-MM-DD
+   * @param {string} value - Date from a date input
+   * @returns {Object|null} - Problem, or null
+   */
+  const checkBirthDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // Date.UTC rolls over days that don't exist (2023-02-30), so compare back
+    if (!date || date.toISOString().slice(0, 10) !== value || Number(match[1]) < 1900) {
+      return problem('validation.birthDateInvalid');
+    }
+    if (date.getTime() > Date.now()) return problem('validation.birthDateFuture');
+    return null;
+  };
+
+  const PROFILE_FIELDS = [
+    {
+      name: 'firstName',
+      label: 'fields.firstName',
+      type: 'text',
+      required: true,
+      visible: true,
+      requiredMessage: 'validation.firstNameRequired',
+      autoComplete: 'given-name'
+    },
+    {
+      name: 'lastName',
+      label: 'fields.lastName',
+      type: 'text',
+      required: true,
+      visible: true,
+      requiredMessage: 'validation.lastNameRequired',
+      autoComplete: 'family-name'
+    },
+    {
+      name: 'email',
+      label: 'fields.email',
+      type: 'email',
+      required: true,
+      visible: true,
+      requiredMessage: 'validation.emailRequired',
+      autoComplete: 'email',
+      check: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : problem('validation.emailInvalid'))
+    },
+    {
+      name: 'phone',
+      label: 'fields.phone',
+      type: 'tel',
+      required: false,
+      visible: true,
+      placeholder: 'placeholders.phone',
+      autoComplete: 'tel',
+      // Spaces, dashes, dots and brackets are only there for readability
+      normalize: (value) => value.replace(/[\s().-]/g, ''),
+      // E.164: a plus sign, a country code and at most 15 digits in all
+      check: (value) => (/^\+[1-9]\d{1,14}$/.test(value) ? null : problem('validation.phoneInvalid'))
+    },
+    {
+      name: 'address',
+      label: 'fields.address',
+      type: 'textarea',
+      required: false,
+      visible: true,
+      maxLength: 300,
+      rows: 3,
+      placeholder: 'placeholders.address',
+      autoComplete: 'street-address'
+    },
+    {
+      name: 'bio',
+      label: 'fields.bio',
+      type: 'textarea',
+      required: false,
+      visible: true,
+      maxLength: 500,
+      rows: 4,
+      placeholder: 'placeholders.bio'
+    },
+    {
+      name: 'timezone',
+      label: 'fields.timezone',
+      type: 'select',
+      required: false,
+      visible: true,
+      options: getTimeZones,
+      optionLabel: (zone) => zone.replace(/_/g, ' '),
+      check: (value) => (isTimeZone(value) ? null : problem('validation.timezoneInvalid'))
+    },
+    {
+      name: 'birthDate',
+      label: 'fields.birthDate',
+      type: 'date',
+      required: false,
+      visible: true,
+      autoComplete: 'bday',
+      check: checkBirthDate
+    }
+  ];
+
+  /**
+   * Look up a field by name
+   * @param {string} name - Field name
+   * @returns {Object|undefined} - Field definition
+   */
+  const getField = (name) => PROFILE_FIELDS.find((field) => field.name === name);
+
+  /**
+   * Fields shown on the profile page, in order
+   * @returns {Array} - Field definitions
+   */
+  const getVisibleFields = () => PROFILE_FIELDS.filter((field) => field.visible);
+
+  /**
+   * Tidy a value the way it will be stored: trimmed, then the field's own
+   * normalization. Anything that isn't a string counts as empty.
+   * @param {Object} field - Field definition
+   * @param {*} value - Value as entered
+   * @returns {string}
+   */
+  const normalizeValue = (field, value) => {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    return trimmed && field.normalize ? field.normalize(trimmed) : trimmed;
+  };
+
+  /**
+   * Check one value against its field's rules
+   * @param {Object} field - Field definition
+   * @param {*} value - Value as entered
+   * @returns {Object|null} - First problem as { key, params }, or null
+   */
+  const checkValue = (field, value) => {
+    const normalized = normalizeValue(field, value);
+    if (!normalized) {
+      return field.required ? problem(field.requiredMessage || 'validation.fieldRequired') : null;
+    }
+    if (field.maxLength && normalized.length > field.maxLength) {
+      return problem('validation.tooLong', { max: field.maxLength });
+    }
+    return field.check ? field.check(normalized) : null;
+  };
+
+  /**
+   * Check a submitted profile. Only visible fields are looked at.
+   * @param {Object} values - Field values
+   * @param {Array} names - Fields to check (defaults to every visible one)
+   * @returns {Object} - Problems keyed by field; empty if all pass
+   */
+  const validateProfile = (values, names = getVisibleFields().map((field) => field.name)) => {
+    const problems = {};
+    names.forEach((name) => {
+      const field = getField(name);
+      if (!field || !field.visible) return;
+      const found = checkValue(field, values[name]);
+      if (found) problems[name] = found;
+    });
+    return problems;
+  };
+
+  /**
+   * Pick the visible fields out of submitted values and normalize them.
+   * Fields that weren't submitted are left out; empty ones come back as ''.
+   * @param {Object} values - Submitted values
+   * @returns {Object} - { name: value } for each visible field present
+   */
+  const normalizeProfile = (values) => {
+    const normalized = {};
+    getVisibleFields().forEach((field) => {
+      if (values[field.name] !== undefined) normalized[field.name] = normalizeValue(field, values[field.name]);
+    });
+    return normalized;
+  };
+
+  return {
+    PROFILE_FIELDS,
+    getTimeZones,
+    getField,
+    getVisibleFields,
+    normalizeValue,
+    checkValue,
+    validateProfile,
+    normalizeProfile
+  };
+});
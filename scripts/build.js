@@ -0,0 +1,172 @@
+// ============================================
+// PRODUCTION BUILD
+// ============================================
+// Builds an installable, offline-capable copy of the app in dist/:
+//   - every module index.html loads with Babel is compiled ahead of time,
+//     the same way its in-browser 'app' preset does (each module publishes
+//     its exports as a global named after its file), and joined into app.js
+//     together with the shared scripts, in index.html's order
+//   - React, ReactDOM and the QR code library come from node_modules instead
+//     of unpkg, and Babel standalone isn't needed at all
+//   - manifest.webmanifest, icon.svg and the service worker (sw.js) make the
+//     app installable and let it start without a network connection
+//
+//   npm run build
+//
+// index.html stays the development page and the one list of scripts: add a
+// module there and the next build picks it up.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const ROOT = path.join(__dirname, '..');
+
+const BUILD_CONFIG = {
+  outDir: path.join(ROOT, 'dist'),
+  // Files copied as they are
+  assets: ['style.css', 'manifest.webmanifest', 'icon.svg'],
+  // Scripts index.html loads from a CDN, and where the build finds them
+  // (null: only needed to compile in the browser, so left out)
+  vendor: {
+    'https://unpkg.com/react@18/umd/react.production.min.js': 'node_modules/react/umd/react.production.min.js',
+    'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js':
+      'node_modules/react-dom/umd/react-dom.production.min.js',
+    'https://unpkg.com/@babel/standalone/babel.min.js': null,
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js': 'node_modules/qrcode-generator/qrcode.js'
+  }
+};
+
+// Globals for imports that aren't in src/, keyed by file name. Keep in step
+// with the 'app' preset in index.html.
+const MODULE_GLOBALS = {
+  react: 'React',
+  'react-dom': 'ReactDOM',
+  client: 'ReactDOM', // react-dom/client
+  i18n: 'I18n',
+  'password-policy': 'PasswordPolicy',
+  'profile-fields': 'ProfileFields',
+  totp: 'Totp',
+  webauthn: 'WebAuthn'
+};
+
+/**
+ * List the external scripts of a page, in order
+ * @param {string} html - Page source
+ * @returns {Array} - { src, isModule } for each <script src>
+ */
+const listScripts = (html) => {
+  return [...html.matchAll(/<script\b([^>]*)\bsrc="([^"]+)"[^>]*><\/script>/g)].map((match) => ({
+    src: match[2],
+    isModule: /type="text\/babel"/.test(match[1])
+  }));
+};
+
+/**
+ * Compile one module the way the in-browser preset does
+ * @param {string} file - Path relative to the project root
+ * @returns {string} - Script
+ */
+const compileModule = (file) => {
+  const { code } = babel.transformFileSync(path.join(ROOT, file), {
+    babelrc: false,
+    configFile: false,
+    comments: false,
+    presets: [require.resolve('@babel/preset-react')],
+    plugins: [[require.resolve('@babel/plugin-transform-modules-umd'), { globals: MODULE_GLOBALS }]]
+  });
+  return code;
+};
+
+/**
+ * Read a script as it should appear in app.js
+ * @param {Object} script - { src, isModule } from listScripts
+ * @returns {string|null} - Script, or null if the build leaves it out
+ */
+const loadScript = ({ src, isModule }) => {
+  if (/^https?:/.test(src)) {
+    if (!(src in BUILD_CONFIG.vendor)) {
+      throw new Error(`${src} is loaded from another site; add it to BUILD_CONFIG.vendor`);
+    }
+    const file = BUILD_CONFIG.vendor[src];
+    return file && fs.readFileSync(path.join(ROOT, file), 'utf8');
+  }
+  return isModule ? compileModule(src) : fs.readFileSync(path.join(ROOT, src), 'utf8');
+};
+
+/**
+ * Turn the development page into the built one: one app.js instead of the
+ * CDN, Babel and module scripts, plus the manifest and the service worker
+ * @param {string} html - index.html
+ * @returns {string}
+ */
+const buildPage = (html) => {
+  const [head, body] = html.split('<body>');
+  const builtHead = head
+    .replace(/[ \t]*<!--[\s\S]*?-->\n/g, '')
+    .replace(/[ \t]*<script\b[\s\S]*?<\/script>\n/g, '')
+    .replace(
+      /([ \t]*)<link rel="stylesheet" href="style.css">\n/,
+      '$1<link rel="stylesheet" href="style.css">\n' +
+        '$1<link rel="manifest" href="manifest.webmanifest">\n' +
+        '$1<link rel="icon" href="icon.svg" type="image/svg+xml">\n' +
+        '$1<meta name="theme-color" content="#21808d">\n'
+    );
+  const builtBody = body
+    .replace(/[ \t]*<!-- React application:[\s\S]*?-->\n/, '')
+    .replace(/[ \t]*<script type="text\/babel"[^>]*><\/script>\n/g, '')
+    .replace(
+      /([ \t]*)<\/body>/,
+      '$1    <script src="app.js"></script>\n' +
+        '$1    <script>\n' +
+        "$1        if ('serviceWorker' in navigator) {\n" +
+        "$1            window.addEventListener('load', () => navigator.serviceWorker.register('sw.js'));\n" +
+        '$1        }\n' +
+        '$1    </script>\n' +
+        '$1</body>'
+    );
+  return `${builtHead}<body>${builtBody}`;
+};
+
+/**
+ * Build the app into a directory
+ * @param {Object} options - { outDir }
+ * @returns {Object} - { version, files } as given to the service worker
+ */
+const build = ({ outDir = BUILD_CONFIG.outDir } = {}) => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const outputs = {
+    'index.html': buildPage(html),
+    'app.js': listScripts(html)
+      .map(loadScript)
+      .filter((script) => script !== null)
+      .map((script) => `${script.trim()}\n`)
+      .join(';\n'),
+    ...Object.fromEntries(
+      BUILD_CONFIG.assets.map((file) => [file, fs.readFileSync(path.join(ROOT, file), 'utf8')])
+    )
+  };
+
+  // The version changes with any file, so browsers pick up a new build
+  const hash = crypto.createHash('sha256');
+  Object.keys(outputs)
+    .sort()
+    .forEach((file) => hash.update(file).update(outputs[file]));
+  const shell = {
+    version: hash.digest('hex').slice(0, 12),
+    files: ['./', ...Object.keys(outputs)]
+  };
+  outputs['sw.js'] = `const BUILD = ${JSON.stringify(shell)};\n\n${fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8')}`;
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  Object.entries(outputs).forEach(([file, content]) => fs.writeFileSync(path.join(outDir, file), content));
+  return shell;
+};
+
+if (require.main === module) {
+  const { version, files } = build();
+  console.log(`Built ${files.length - 1} files into ${path.relative(process.cwd(), BUILD_CONFIG.outDir)}/ (version ${version})`);
+}
+
+module.exports = { BUILD_CONFIG, MODULE_GLOBALS, build, buildPage, listScripts };
@@ -0,0 +1,1147 @@
+// ============================================
+// MOCK API SERVER
+// ============================================
+// A small in-memory implementation of the REST API used by the app (src/) in 'api'
+// mode. It has no dependencies beyond Node itself:
+//
+//   node server/mock-server.js            # listens on http://localhost:3001
+//   PORT=4000 node server/mock-server.js
+//   APP_ORIGIN=https://app.example node server/mock-server.js
+//
+// Data lives in memory and is lost when the server stops. Emails (verification
+// codes and reset codes) are printed to the console instead of being sent.
+// Error messages are translated into the language in the request's
+// Accept-Language header, using the app's own catalogs.
+const http = require('http');
+const crypto = require('crypto');
+const Totp = require('../totp.js');
+const WebAuthn = require('../webauthn.js');
+const PasswordPolicy = require('../password-policy.js');
+const ProfileFields = require('../profile-fields.js');
+const I18n = require('../i18n.js');
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const CONFIG = {
+  hashIterations: 210000,
+  tokenTtlMs: 12 * 60 * 60 * 1000,
+  resetTokenTtlMs: 30 * 60 * 1000,
+  verificationTtlMs: 24 * 60 * 60 * 1000,
+  maxVerificationAttempts: 5, // as EMAIL_VERIFICATION_CONFIG.maxAttempts in the app
+  accountMaxFailures: 5, // as LOGIN_THROTTLE_CONFIG in the app
+  clientMaxFailures: 20,
+  lockoutMs: 15 * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  deletionGraceMs: 30 * 24 * 60 * 60 * 1000,
+  twoFactorIssuer: 'Account Manager',
+  recoveryCodeCount: 10,
+  challengeTtlMs: 5 * 60 * 1000,
+  maxCodeAttempts: 5,
+  auditMaxEntries: 1000,
+  auditMaxAgeMs: 90 * 24 * 60 * 60 * 1000,
+  recentActivityLimit: 20,
+  avatarMaxLength: 256 * 1024, // characters of a photo's data URL
+  // Origin the app is served from, which passkeys are bound to. Without it
+  // the Origin header of each passkey request is used.
+  appOrigin: process.env.APP_ORIGIN || null,
+  passkeyRpName: 'Account Manager',
+  passkeyTimeoutMs: 60 * 1000,
+  passkeyUserVerification: 'preferred',
+  maxPasskeys: 10,
+  maxPasskeyNameLength: 64,
+  maxImportRows: 500
+};
+
+// In-memory tables
+const users = new Map(); // id -> user record
+const sessions = new Map(); // token -> { userId, expiresAt }
+const resetTokens = new Map(); // token -> { userId, expiresAt }
+const verifications = new Map(); // userId -> { email, codeHash, expiresAt, attempts }
+const failedLogins = new Map(); // throttle key -> { failures: [timestamps], lockedUntil }
+const twoFactorChallenges = new Map(); // token -> { userId, expiresAt, attempts }
+const passkeyChallenges = new Map(); // challenge -> { userId (null for sign-in), origin, expiresAt }
+const avatars = new Map(); // userId -> photo as a data URL (kept out of the user record)
+let auditLog = []; // audit entries, newest first
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Error that is sent back as { error: { code, message, fieldErrors, details } }.
+ * `message` is a message key (see locales/), filled in with `params`; the
+ * values of `fieldErrors` are keys too, or { key, params }. They are
+ * translated when the response is sent.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, { fieldErrors, details, params } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.details = details;
+    this.params = params;
+  }
+}
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// IDs are creation times, bumped when several accounts share a millisecond
+let lastUserId = 0;
+const createUserId = () => {
+  lastUserId = Math.max(Date.now(), lastUserId + 1);
+  return lastUserId.toString();
+};
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.pbkdf2Sync(password, salt, CONFIG.hashIterations, 32, 'sha256');
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations: CONFIG.hashIterations,
+    salt: salt.toString('base64'),
+    hash: hash.toString('base64')
+  };
+};
+
+const verifyPassword = (password, stored) => {
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = crypto.pbkdf2Sync(
+    password,
+    Buffer.from(stored.salt, 'base64'),
+    stored.iterations,
+    expected.length,
+    'sha256'
+  );
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Strip password, two-factor secrets and passkey keys before a user is sent to the client
+ */
+const toPublicUser = ({ passwordHash, twoFactor, twoFactorPending, passkeys = [], ...user }) => ({
+  ...user,
+  twoFactorEnabled: Boolean(twoFactor),
+  passkeys: passkeys.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }))
+});
+
+/**
+ * Compare a code with the hash it was stored as, in constant time
+ */
+const matchesCodeHash = (code, codeHash) => {
+  const actual = crypto.createHash('sha256').update(String(code || '')).digest();
+  return crypto.timingSafeEqual(actual, Buffer.from(codeHash, 'hex'));
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+/**
+ * Check a code from the authenticator app or a recovery code, using it up
+ */
+const checkSecondFactor = async (user, code = '') => {
+  const trimmed = code.trim();
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = await Totp.verifyTotp(user.twoFactor.secret, trimmed);
+    // Each code works once, even while it is still within its time window
+    if (step === null || step <= user.twoFactor.lastUsedStep) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  const hash = hashRecoveryCode(trimmed);
+  const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+  if (index === -1) return false;
+  user.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Refuse sign-in for disabled accounts, accounts sent through a password
+ * reset, and unconfirmed email addresses
+ */
+const assertCanSignIn = (user) => {
+  if (user.disabled) {
+    throw new ApiError(403, 'ACCOUNT_DISABLED', 'errors.accountDisabled');
+  }
+  if (user.passwordResetRequired) {
+    throw new ApiError(403, 'PASSWORD_RESET_REQUIRED', 'errors.passwordResetRequired', {
+      details: { email: user.email }
+    });
+  }
+  if (user.verified === false) {
+    throw new ApiError(403, 'EMAIL_UNVERIFIED', 'errors.emailUnverified', {
+      details: { email: user.email }
+    });
+  }
+};
+
+/**
+ * Hand out a session for a user who passed every login check
+ */
+const startSession = (req, user) => {
+  // Logging in during the grace period restores a deleted account
+  if (user.deletedAt) {
+    delete user.deletedAt;
+    user.updatedAt = new Date().toISOString();
+  }
+
+  const token = randomToken();
+  sessions.set(token, { userId: user.id, expiresAt: Date.now() + CONFIG.tokenTtlMs });
+  recordAuditEvent(req, 'login', { user });
+  return [200, { token, user: toPublicUser(user) }];
+};
+
+const findByEmail = (email) => [...users.values()].find((u) => u.email === email);
+
+const sendMail = (to, subject, body) => {
+  console.log(`\n[mail] To: ${to}\nSubject: ${subject}\n\n${body}\n`);
+};
+
+const sendResetToken = (user) => {
+  // Only the most recent token for a user stays valid
+  for (const [token, record] of resetTokens) {
+    if (record.userId === user.id) resetTokens.delete(token);
+  }
+  const token = randomToken();
+  resetTokens.set(token, { userId: user.id, expiresAt: Date.now() + CONFIG.resetTokenTtlMs });
+  sendMail(user.email, 'Reset your password', `Your reset code is ${token}`);
+};
+
+/**
+ * Append to the audit log, dropping entries past the retention limits
+ */
+const recordAuditEvent = (req, type, { user = null, email = user && user.email, changes } = {}) => {
+  const entry = {
+    id: randomToken(),
+    type,
+    at: new Date().toISOString(),
+    userId: user ? user.id : null,
+    email: email || null,
+    userAgent: req.headers['user-agent'] || ''
+  };
+  if (changes) entry.changes = changes;
+
+  const cutoff = Date.now() - CONFIG.auditMaxAgeMs;
+  auditLog = [entry, ...auditLog]
+    .filter((e) => Date.parse(e.at) >= cutoff)
+    .slice(0, CONFIG.auditMaxEntries);
+};
+
+/**
+ * Remove an account and everything kept about it
+ */
+const removeUser = (user) => {
+  users.delete(user.id);
+  avatars.delete(user.id);
+  auditLog = auditLog.filter((entry) => entry.userId !== user.id);
+  endSessionsFor(user.id);
+  verifications.delete(user.id);
+  // Only the account's throttle record; the client's stays in place
+  failedLogins.delete(accountThrottleKey(user.email));
+  for (const [token, record] of resetTokens) {
+    if (record.userId === user.id) resetTokens.delete(token);
+  }
+};
+
+/**
+ * Log a user out everywhere
+ */
+const endSessionsFor = (userId) => {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId) sessions.delete(token);
+  }
+};
+
+const sendVerificationCode = (user) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  verifications.set(user.id, {
+    email: user.email,
+    codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+    expiresAt: Date.now() + CONFIG.verificationTtlMs,
+    attempts: 0
+  });
+  sendMail(user.email, 'Verify your email address', `Your verification code is ${code}`);
+};
+
+/**
+ * Throttle key for failed logins to an account
+ */
+const accountThrottleKey = (email) => `account:${email}`;
+
+/**
+ * Throttle keys a login attempt counts against: the account and the client
+ * address it came from, as getThrottleKeys in the app
+ */
+const getThrottleKeys = (req, email) => [
+  { key: accountThrottleKey(email), maxFailures: CONFIG.accountMaxFailures },
+  { key: `client:${req.socket.remoteAddress}`, maxFailures: CONFIG.clientMaxFailures }
+];
+
+/**
+ * Work out the backoff/lockout state for one throttle key
+ */
+const getKeyState = (key, now) => {
+  const record = failedLogins.get(key);
+  if (!record) return { retryAt: 0, locked: false };
+  if (record.lockedUntil > now) return { retryAt: record.lockedUntil, locked: true };
+
+  const { failures } = record;
+  if (failures.length === 0) return { retryAt: 0, locked: false };
+  const delay = Math.min(CONFIG.baseDelayMs * 2 ** (failures.length - 1), CONFIG.maxDelayMs);
+  const retryAt = failures[failures.length - 1] + delay;
+  return { retryAt: retryAt > now ? retryAt : 0, locked: false };
+};
+
+/**
+ * Work out the backoff/lockout state for a login, the longest wait of its keys
+ */
+const getThrottleState = (req, email, now = Date.now()) => {
+  return getThrottleKeys(req, email)
+    .map(({ key }) => getKeyState(key, now))
+    .reduce((worst, state) => (state.retryAt > worst.retryAt ? state : worst), { retryAt: 0, locked: false });
+};
+
+const recordFailure = (req, email) => {
+  const now = Date.now();
+  for (const { key, maxFailures } of getThrottleKeys(req, email)) {
+    const record = failedLogins.get(key) || { failures: [], lockedUntil: 0 };
+    record.failures = [...record.failures.filter((t) => now - t < CONFIG.lockoutMs), now];
+    if (record.failures.length >= maxFailures) {
+      record.lockedUntil = now + CONFIG.lockoutMs;
+      record.failures = [];
+    }
+    failedLogins.set(key, record);
+  }
+  return getThrottleState(req, email, now);
+};
+
+const resetFailures = (req, email) => {
+  getThrottleKeys(req, email).forEach(({ key }) => failedLogins.delete(key));
+};
+
+/**
+ * Look up the user for the request's bearer token
+ */
+const requireUser = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const session = match && sessions.get(match[1]);
+  const user = session && users.get(session.userId);
+  if (!user || session.expiresAt < Date.now() || user.disabled || user.passwordResetRequired || user.deletedAt) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'errors.sessionExpired');
+  }
+  return { token: match[1], user };
+};
+
+/**
+ * Like requireUser, but only for admins
+ */
+const requireAdmin = (req) => {
+  const { user } = requireUser(req);
+  if (user.role !== 'admin') {
+    throw new ApiError(403, 'FORBIDDEN', 'errors.forbidden');
+  }
+  return user;
+};
+
+/**
+ * Find the account an admin action targets; admins can't act on themselves
+ */
+const getAdminTarget = (admin, id) => {
+  if (id === admin.id) {
+    throw new ApiError(403, 'FORBIDDEN', 'errors.ownAccount');
+  }
+  const user = users.get(id);
+  if (!user) throw new ApiError(404, 'NOT_FOUND', 'errors.accountNotFound');
+  return user;
+};
+
+/**
+ * Check the name and email given at registration (profile-fields.js has the rules)
+ */
+const validateRegistration = (body) => ProfileFields.validateProfile(body, ['firstName', 'lastName', 'email']);
+
+/**
+ * Check a new password against the shared password policy
+ * @param {string} password - Proposed password
+ * @param {Object} user - Whose password it will be (their name and email are off limits)
+ * @returns {Object|string|null} - Message for the password field (a key, or
+ *   { key, params }), or null if it's allowed
+ */
+const checkNewPassword = (password, { firstName, lastName, email }) => {
+  if (!password) return 'validation.passwordRequired';
+  const { valid, errors } = PasswordPolicy.checkPassword(password, { userInputs: [firstName, lastName, email] });
+  return valid ? null : { key: `passwordPolicy.${errors[0].code}`, params: errors[0].params };
+};
+
+/**
+ * The site passkeys are bound to, for a request from the app
+ * @returns {Object} - { rpId, origin }
+ */
+const getRelyingParty = (req) => {
+  const origin = CONFIG.appOrigin || req.headers.origin;
+  if (!origin) throw new ApiError(400, 'BAD_REQUEST', 'errors.passkeyNoOrigin');
+  return { rpId: new URL(origin).hostname, origin };
+};
+
+/**
+ * Remember a passkey challenge until the matching finish request
+ */
+const issuePasskeyChallenge = (userId, origin) => {
+  const challenge = WebAuthn.generateChallenge();
+  passkeyChallenges.set(challenge, { userId, origin, expiresAt: Date.now() + CONFIG.challengeTtlMs });
+  return challenge;
+};
+
+/**
+ * Use up the challenge a credential answers
+ * @returns {Object|null} - { challenge, origin }, or null if it is unknown,
+ *   expired or was issued to someone else
+ */
+const takePasskeyChallenge = (credential, userId) => {
+  const clientData = credential && credential.response && WebAuthn.parseClientData(credential.response.clientDataJSON);
+  const challenge = clientData && clientData.challenge;
+  const record = challenge && passkeyChallenges.get(challenge);
+  if (!record) return null;
+  passkeyChallenges.delete(challenge);
+  if (record.expiresAt < Date.now() || record.userId !== userId) return null;
+  return { challenge, origin: record.origin };
+};
+
+/**
+ * Check one row of an account import the way registration would, apart from
+ * whether the email is free. Import files may also set any other profile
+ * field, a password, the role and whether the address is already verified.
+ * @returns {Object} - { profile, password, role, verified, fieldErrors }
+ */
+const checkImportRow = (values) => {
+  const normalized = ProfileFields.normalizeProfile(values);
+  const fieldErrors = ProfileFields.validateProfile(normalized, [
+    ...new Set(['firstName', 'lastName', 'email', ...Object.keys(normalized)])
+  ]);
+  const profile = Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== ''));
+
+  const password = typeof values.password === 'string' ? values.password : '';
+  const passwordError = password && checkNewPassword(password, profile);
+  if (passwordError) fieldErrors.password = passwordError;
+
+  const role = (typeof values.role === 'string' && values.role.trim().toLowerCase()) || 'user';
+  if (!['user', 'admin'].includes(role)) fieldErrors.role = 'validation.roleUnknown';
+
+  const verified = typeof values.verified === 'string' ? values.verified.trim().toLowerCase() : '';
+  if (verified && !['true', 'yes', 'y', '1', 'false', 'no', 'n', '0'].includes(verified)) {
+    fieldErrors.verified = 'validation.yesOrNo';
+  }
+
+  // Addresses still have to be confirmed unless the file says they were
+  return { profile, password, role, verified: ['true', 'yes', 'y', '1'].includes(verified), fieldErrors };
+};
+
+const failValidation = (fieldErrors) => {
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'errors.fixFields', { fieldErrors });
+  }
+};
+
+/**
+ * Refuse fields sent as anything but a string (a number or null in the JSON),
+ * which the password hashing and code checks can't take
+ * @param {Object} body - Request body
+ * @param {Object} messages - Message key for each field, as when it is missing
+ */
+const requireStringFields = (body, messages) => {
+  failValidation(
+    Object.fromEntries(
+      Object.entries(messages).filter(([field]) => body[field] !== undefined && typeof body[field] !== 'string')
+    )
+  );
+};
+
+// ============================================
+// ROUTES
+// ============================================
+// Each handler receives ({ req, body, params, query }) and returns
+// [status, responseBody] (or a Promise of one).
+// Path segments starting with ':' are captured into params, and the query
+// string into query.
+const routes = {
+  'POST /auth/login': ({ req, body }) => {
+    requireStringFields(body, { email: 'validation.emailRequired', password: 'validation.passwordRequired' });
+    const { email = '', password = '' } = body;
+    const throttle = getThrottleState(req, email);
+    if (throttle.retryAt) {
+      throw new ApiError(429, 'THROTTLED', 'errors.throttled', { details: throttle });
+    }
+
+    let user = findByEmail(email);
+    if (user && user.deletedAt && Date.parse(user.deletedAt) + CONFIG.deletionGraceMs <= Date.now()) {
+      // Grace period over: finish deleting the account
+      removeUser(user);
+      user = null;
+    }
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      recordAuditEvent(req, 'login-failed', { user, email });
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'errors.invalidCredentials', {
+        details: recordFailure(req, email)
+      });
+    }
+    assertCanSignIn(user);
+
+    // The password was right, but a one-time code is needed as well. The
+    // failure counters stay until it is given, so wrong codes are throttled too.
+    if (user.twoFactor) {
+      const challengeToken = randomToken();
+      twoFactorChallenges.set(challengeToken, {
+        userId: user.id,
+        expiresAt: Date.now() + CONFIG.challengeTtlMs,
+        attempts: 0
+      });
+      return [200, { twoFactorRequired: true, challengeToken }];
+    }
+
+    resetFailures(req, email);
+    return startSession(req, user);
+  },
+
+  'POST /auth/login/2fa': async ({ req, body }) => {
+    requireStringFields(body, { code: 'validation.twoFactorCodeRequired' });
+    const challenge = twoFactorChallenges.get(body.challengeToken);
+    const user = challenge && users.get(challenge.userId);
+    if (!user || !user.twoFactor || challenge.expiresAt < Date.now()) {
+      twoFactorChallenges.delete(body.challengeToken);
+      throw new ApiError(401, 'CHALLENGE_EXPIRED', 'errors.challengeExpired');
+    }
+
+    // Wrong codes count as failed logins
+    const throttle = getThrottleState(req, user.email);
+    if (throttle.retryAt) {
+      throw new ApiError(429, 'THROTTLED', 'errors.throttled', { details: throttle });
+    }
+
+    if (!(await checkSecondFactor(user, body.code))) {
+      recordAuditEvent(req, 'login-failed', { user });
+      const details = recordFailure(req, user.email);
+      challenge.attempts++;
+      if (challenge.attempts >= CONFIG.maxCodeAttempts) {
+        twoFactorChallenges.delete(body.challengeToken);
+        throw new ApiError(401, 'CHALLENGE_EXPIRED', 'errors.tooManyCodes');
+      }
+      throw new ApiError(400, 'INVALID_CODE', 'errors.invalidCode', {
+        fieldErrors: { code: 'errors.invalidCode' },
+        details
+      });
+    }
+
+    twoFactorChallenges.delete(body.challengeToken);
+    resetFailures(req, user.email);
+    return startSession(req, user);
+  },
+
+  'POST /auth/passkey/options': ({ req }) => {
+    const { rpId, origin } = getRelyingParty(req);
+    const options = WebAuthn.buildRequestOptions({
+      rpId,
+      challenge: issuePasskeyChallenge(null, origin),
+      timeout: CONFIG.passkeyTimeoutMs,
+      userVerification: CONFIG.passkeyUserVerification
+    });
+    return [200, { options }];
+  },
+
+  'POST /auth/passkey': async ({ req, body }) => {
+    const { credential } = body;
+    const expected = takePasskeyChallenge(credential, null);
+    const userHandle = credential && credential.response && credential.response.userHandle;
+    let user = null;
+    try {
+      user = userHandle ? users.get(WebAuthn.fromUserHandle(userHandle)) || null : null;
+    } catch (err) {
+      user = null; // not a user handle we gave out
+    }
+    if (user && user.deletedAt && Date.parse(user.deletedAt) + CONFIG.deletionGraceMs <= Date.now()) {
+      // Grace period over: finish deleting the account
+      removeUser(user);
+      user = null;
+    }
+
+    const passkey = user && (user.passkeys || []).find((p) => p.id === credential.id);
+    const result =
+      passkey &&
+      expected &&
+      (await WebAuthn.verifyAuthentication({
+        credential,
+        passkey,
+        expectedChallenge: expected.challenge,
+        expectedOrigin: expected.origin,
+        rpId: new URL(expected.origin).hostname,
+        requireUserVerification: CONFIG.passkeyUserVerification === 'required'
+      }));
+    if (!result) {
+      recordAuditEvent(req, 'login-failed', { user });
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'errors.passkeyLoginFailed');
+    }
+    passkey.signCount = result.signCount;
+    passkey.lastUsedAt = new Date().toISOString();
+
+    // A passkey already covers two factors, so no one-time code is asked for
+    assertCanSignIn(user);
+    return startSession(req, user);
+  },
+
+  'POST /auth/logout': ({ req }) => {
+    const { token, user } = requireUser(req);
+    sessions.delete(token);
+    recordAuditEvent(req, 'logout', { user });
+    return [204, null];
+  },
+
+  'POST /users': ({ req, body }) => {
+    requireStringFields(body, { password: 'validation.passwordRequired' });
+    const fieldErrors = validateRegistration(body);
+    const passwordError = checkNewPassword(body.password, body);
+    if (passwordError) fieldErrors.password = passwordError;
+    failValidation(fieldErrors);
+
+    const email = body.email.trim();
+    if (findByEmail(email)) {
+      throw new ApiError(409, 'EMAIL_TAKEN', 'errors.emailExists');
+    }
+
+    const user = {
+      id: createUserId(),
+      firstName: body.firstName.trim(),
+      lastName: body.lastName.trim(),
+      email,
+      passwordHash: hashPassword(body.password),
+      verified: false,
+      // The first account administers the rest
+      role: users.size === 0 ? 'admin' : 'user',
+      disabled: false,
+      passwordResetRequired: false,
+      memberSince: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    users.set(user.id, user);
+    recordAuditEvent(req, 'register', { user });
+    sendVerificationCode(user);
+    return [201, { user: toPublicUser(user) }];
+  },
+
+  'GET /users/email-available': ({ query }) => {
+    return [200, { available: !findByEmail((query.email || '').trim()) }];
+  },
+
+  'GET /users/me': ({ req }) => {
+    const { user } = requireUser(req);
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'PATCH /users/me': ({ req, body }) => {
+    const { user } = requireUser(req);
+
+    // Optional precondition: refuse to overwrite changes the client hasn't seen
+    if (body.expectedUpdatedAt && body.expectedUpdatedAt !== user.updatedAt) {
+      throw new ApiError(409, 'CONFLICT', 'errors.profileChangedElsewhere', {
+        details: { user: toPublicUser(user) }
+      });
+    }
+    // Only fields from the profile registry can be changed; the rest keep their values
+    const changes = ProfileFields.normalizeProfile(body);
+    failValidation(ProfileFields.validateProfile(changes, Object.keys(changes)));
+
+    const email = changes.email !== undefined ? changes.email : user.email;
+    const existing = findByEmail(email);
+    if (existing && existing.id !== user.id) {
+      throw new ApiError(409, 'EMAIL_TAKEN', 'validation.emailTaken', {
+        fieldErrors: { email: 'validation.emailTaken' }
+      });
+    }
+
+    const emailChanged = email !== user.email;
+    const diff = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      const before = user[field];
+      // Cleared fields are removed from the record
+      if (value === '') delete user[field];
+      else user[field] = value;
+      if (before !== user[field]) diff[field] = { from: before, to: user[field] };
+    });
+    user.updatedAt = new Date().toISOString();
+    if (Object.keys(diff).length > 0) {
+      recordAuditEvent(req, emailChanged ? 'email-changed' : 'profile-updated', { user, changes: diff });
+    }
+    if (emailChanged) {
+      user.verified = false;
+      sendVerificationCode(user);
+    }
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'GET /users/me/activity': ({ req }) => {
+    const { user } = requireUser(req);
+    return [200, { events: auditLog.filter((entry) => entry.userId === user.id).slice(0, CONFIG.recentActivityLimit) }];
+  },
+
+  'POST /users/me/2fa/setup': ({ req }) => {
+    const { user } = requireUser(req);
+    const secret = Totp.generateSecret();
+    user.twoFactorPending = { secret, createdAt: new Date().toISOString() };
+    const uri = Totp.buildOtpauthUri({ secret, accountName: user.email, issuer: CONFIG.twoFactorIssuer });
+    return [200, { secret, uri }];
+  },
+
+  'POST /users/me/2fa/confirm': async ({ req, body }) => {
+    const { user } = requireUser(req);
+    requireStringFields(body, { code: 'validation.twoFactorCodeRequired' });
+    const pending = user.twoFactorPending;
+    const step = pending ? await Totp.verifyTotp(pending.secret, (body.code || '').trim()) : null;
+    if (step === null) {
+      throw new ApiError(400, 'INVALID_CODE', 'errors.invalidCode', {
+        fieldErrors: { code: 'errors.twoFactorCodeMismatch' }
+      });
+    }
+
+    const recoveryCodes = Array.from({ length: CONFIG.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(4).toString('hex');
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+    user.twoFactor = {
+      secret: pending.secret,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode)
+    };
+    delete user.twoFactorPending;
+    user.updatedAt = new Date().toISOString();
+    recordAuditEvent(req, 'two-factor-enabled', { user });
+    return [200, { user: toPublicUser(user), recoveryCodes }];
+  },
+
+  'DELETE /users/me/2fa': ({ req, body }) => {
+    const { user } = requireUser(req);
+    requireStringFields(body, { password: 'validation.confirmWithPassword' });
+    if (!verifyPassword(body.password || '', user.passwordHash)) {
+      throw new ApiError(400, 'INVALID_PASSWORD', 'errors.passwordIncorrect', {
+        fieldErrors: { password: 'errors.passwordIncorrect' }
+      });
+    }
+    delete user.twoFactor;
+    delete user.twoFactorPending;
+    user.updatedAt = new Date().toISOString();
+    recordAuditEvent(req, 'two-factor-disabled', { user });
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'POST /users/me/passkeys/options': ({ req }) => {
+    const { user } = requireUser(req);
+    const passkeys = user.passkeys || [];
+    if (passkeys.length >= CONFIG.maxPasskeys) {
+      throw new ApiError(400, 'TOO_MANY_PASSKEYS', 'errors.tooManyPasskeys', {
+        params: { max: CONFIG.maxPasskeys }
+      });
+    }
+    const { rpId, origin } = getRelyingParty(req);
+    const options = WebAuthn.buildCreationOptions({
+      rpId,
+      rpName: CONFIG.passkeyRpName,
+      user: { id: user.id, email: user.email, displayName: `${user.firstName} ${user.lastName}` },
+      challenge: issuePasskeyChallenge(user.id, origin),
+      excludeIds: passkeys.map((passkey) => passkey.id),
+      timeout: CONFIG.passkeyTimeoutMs,
+      userVerification: CONFIG.passkeyUserVerification
+    });
+    return [200, { options }];
+  },
+
+  'POST /users/me/passkeys': async ({ req, body }) => {
+    const { user } = requireUser(req);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      failValidation({ name: 'validation.passkeyNameRequired' });
+    } else if (name.length > CONFIG.maxPasskeyNameLength) {
+      failValidation({ name: { key: 'validation.tooLong', params: { max: CONFIG.maxPasskeyNameLength } } });
+    }
+
+    const expected = takePasskeyChallenge(body.credential, user.id);
+    const verified =
+      expected &&
+      (await WebAuthn.verifyRegistration({
+        credential: body.credential,
+        expectedChallenge: expected.challenge,
+        expectedOrigin: expected.origin,
+        rpId: new URL(expected.origin).hostname,
+        requireUserVerification: CONFIG.passkeyUserVerification === 'required'
+      }));
+    const passkeys = user.passkeys || [];
+    if (!verified || passkeys.some((passkey) => passkey.id === verified.id)) {
+      throw new ApiError(400, 'INVALID_PASSKEY', 'errors.passkeyInvalid');
+    }
+
+    const now = new Date().toISOString();
+    user.passkeys = [...passkeys, { ...verified, name, createdAt: now, lastUsedAt: null }];
+    user.updatedAt = now;
+    recordAuditEvent(req, 'passkey-added', { user });
+    return [201, { user: toPublicUser(user) }];
+  },
+
+  'DELETE /users/me/passkeys/:id': ({ req, params }) => {
+    const { user } = requireUser(req);
+    const passkeys = user.passkeys || [];
+    if (!passkeys.some((passkey) => passkey.id === params.id)) {
+      throw new ApiError(404, 'NOT_FOUND', 'errors.passkeyNotFound');
+    }
+    user.passkeys = passkeys.filter((passkey) => passkey.id !== params.id);
+    user.updatedAt = new Date().toISOString();
+    recordAuditEvent(req, 'passkey-removed', { user });
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'GET /users/me/avatar': ({ req }) => {
+    const { user } = requireUser(req);
+    return [200, { image: avatars.get(user.id) || null }];
+  },
+
+  'PUT /users/me/avatar': ({ req, body }) => {
+    const { user } = requireUser(req);
+    // The client crops and shrinks photos, so anything big or odd is refused
+    const { image } = body;
+    if (
+      typeof image !== 'string' ||
+      image.length > CONFIG.avatarMaxLength ||
+      !/^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+={0,2}$/.test(image)
+    ) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'avatar.errors.invalid');
+    }
+    avatars.set(user.id, image);
+    user.avatarUpdatedAt = new Date().toISOString();
+    user.updatedAt = user.avatarUpdatedAt;
+    recordAuditEvent(req, 'avatar-changed', { user });
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'DELETE /users/me/avatar': ({ req }) => {
+    const { user } = requireUser(req);
+    avatars.delete(user.id);
+    delete user.avatarUpdatedAt;
+    user.updatedAt = new Date().toISOString();
+    recordAuditEvent(req, 'avatar-changed', { user });
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'GET /users/me/export': ({ req }) => {
+    const { user } = requireUser(req);
+    const throttle = failedLogins.get(accountThrottleKey(user.email));
+    return [200, {
+      exportedAt: new Date().toISOString(),
+      user: toPublicUser(user),
+      avatar: avatars.get(user.id) || null,
+      activity: {
+        activeSessions: [...sessions.values()].filter((s) => s.userId === user.id).length,
+        recentFailedLogins: throttle ? throttle.failures.map((t) => new Date(t).toISOString()) : [],
+        securityEvents: auditLog
+          .filter((entry) => entry.userId === user.id)
+          .map(({ type, at, userAgent, changes }) => ({ type, at, userAgent, changes }))
+      }
+    }];
+  },
+
+  'DELETE /users/me': ({ req, body }) => {
+    const { user } = requireUser(req);
+    requireStringFields(body, { password: 'validation.confirmWithPassword' });
+    if (!body.password || !verifyPassword(body.password, user.passwordHash)) {
+      throw new ApiError(400, 'INVALID_PASSWORD', 'errors.passwordIncorrect', {
+        fieldErrors: { password: 'errors.passwordIncorrect' }
+      });
+    }
+    recordAuditEvent(req, 'account-deleted', { user });
+
+    if (CONFIG.deletionGraceMs <= 0) {
+      removeUser(user);
+      return [200, { restoreUntil: null }];
+    }
+    user.deletedAt = new Date().toISOString();
+    user.updatedAt = user.deletedAt;
+    endSessionsFor(user.id);
+    return [200, { restoreUntil: new Date(Date.now() + CONFIG.deletionGraceMs).toISOString() }];
+  },
+
+  'POST /users/me/password': ({ req, body }) => {
+    const { user } = requireUser(req);
+    requireStringFields(body, {
+      currentPassword: 'validation.currentPasswordRequired',
+      newPassword: 'validation.passwordRequired'
+    });
+    if (!body.currentPassword || !verifyPassword(body.currentPassword, user.passwordHash)) {
+      throw new ApiError(400, 'INVALID_PASSWORD', 'errors.currentPasswordIncorrect', {
+        fieldErrors: { currentPassword: 'errors.currentPasswordIncorrect' }
+      });
+    }
+    const passwordError = checkNewPassword(body.newPassword, user);
+    if (passwordError) failValidation({ newPassword: passwordError });
+    user.passwordHash = hashPassword(body.newPassword);
+    user.updatedAt = new Date().toISOString();
+    recordAuditEvent(req, 'password-changed', { user });
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'POST /auth/password-reset': ({ body }) => {
+    // Same response whether or not the account exists
+    const user = findByEmail(body.email);
+    if (user) sendResetToken(user);
+    return [202, null];
+  },
+
+  'POST /auth/password-reset/confirm': ({ req, body }) => {
+    requireStringFields(body, { password: 'validation.passwordRequired' });
+    const record = resetTokens.get(body.token);
+    if (!record || record.expiresAt < Date.now() || !users.has(record.userId)) {
+      resetTokens.delete(body.token);
+      throw new ApiError(400, 'INVALID_TOKEN', 'errors.invalidResetCode');
+    }
+    // A rejected password leaves the code usable so the user can pick another
+    const user = users.get(record.userId);
+    const passwordError = checkNewPassword(body.password, user);
+    if (passwordError) failValidation({ password: passwordError });
+    resetTokens.delete(body.token);
+    user.passwordHash = hashPassword(body.password);
+    user.passwordResetRequired = false;
+    user.updatedAt = new Date().toISOString();
+    resetFailures(req, user.email);
+    recordAuditEvent(req, 'password-reset', { user });
+    return [204, null];
+  },
+
+  'POST /auth/verify-email': ({ body }) => {
+    const user = findByEmail(body.email);
+    const record = user && verifications.get(user.id);
+    if (!record || record.email !== user.email || record.expiresAt < Date.now()) {
+      throw new ApiError(400, 'INVALID_CODE', 'errors.invalidVerificationCode');
+    }
+    if (!matchesCodeHash(body.code, record.codeHash)) {
+      // Limit guesses: the code is dropped after too many wrong attempts
+      record.attempts++;
+      if (record.attempts >= CONFIG.maxVerificationAttempts) verifications.delete(user.id);
+      throw new ApiError(400, 'INVALID_CODE', 'errors.invalidVerificationCode');
+    }
+    verifications.delete(user.id);
+    user.verified = true;
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'POST /auth/verify-email/resend': ({ body }) => {
+    const user = findByEmail(body.email);
+    if (user && user.verified === false) sendVerificationCode(user);
+    return [202, null];
+  },
+
+  'GET /admin/users': ({ req }) => {
+    requireAdmin(req);
+    return [200, { users: [...users.values()].map(toPublicUser) }];
+  },
+
+  'PATCH /admin/users/:id': ({ req, body, params }) => {
+    const user = getAdminTarget(requireAdmin(req), params.id);
+    if (body.role !== undefined && !['user', 'admin'].includes(body.role)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'errors.unknownRole');
+    }
+    if (body.role !== undefined) user.role = body.role;
+    if (body.disabled !== undefined) {
+      user.disabled = Boolean(body.disabled);
+      if (user.disabled) endSessionsFor(user.id);
+    }
+    user.updatedAt = new Date().toISOString();
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'POST /admin/users/:id/password-reset': ({ req, params }) => {
+    const user = getAdminTarget(requireAdmin(req), params.id);
+    user.passwordResetRequired = true;
+    user.updatedAt = new Date().toISOString();
+    endSessionsFor(user.id);
+    sendResetToken(user);
+    return [200, { user: toPublicUser(user) }];
+  },
+
+  'DELETE /admin/users/:id': ({ req, params }) => {
+    removeUser(getAdminTarget(requireAdmin(req), params.id));
+    return [204, null];
+  },
+
+  'POST /admin/users/import': ({ req, body }) => {
+    requireAdmin(req);
+    const rows = body.rows;
+    if (!Array.isArray(rows) || rows.length > CONFIG.maxImportRows) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'errors.tooManyImportRows', {
+        params: { max: CONFIG.maxImportRows }
+      });
+    }
+
+    // Check every row first, so a dry run reports what the import would
+    const emailsInFile = new Set();
+    const checked = rows.map(({ row, values } = {}) => {
+      const account = checkImportRow(values && typeof values === 'object' ? values : {});
+      const { email } = account.profile;
+      if (email && !account.fieldErrors.email) {
+        if (findByEmail(email)) account.fieldErrors.email = 'validation.emailTaken';
+        else if (emailsInFile.has(email)) account.fieldErrors.email = 'validation.emailRepeated';
+        emailsInFile.add(email);
+      }
+      return { row, account };
+    });
+
+    const t = I18n.createTranslator(I18n.negotiateLocale(req.headers['accept-language']));
+    const results = checked.map(({ row, account }) => ({
+      row,
+      email: account.profile.email || '',
+      errors: translateFieldErrors(account.fieldErrors, t)
+    }));
+    const accepted = checked.filter(({ account }) => Object.keys(account.fieldErrors).length === 0);
+    if (body.dryRun) return [200, { results, imported: 0 }];
+
+    accepted.forEach(({ account }) => {
+      const now = new Date().toISOString();
+      const user = {
+        id: createUserId(),
+        ...account.profile,
+        // Without a password nobody can sign in until the emailed reset is used
+        passwordHash: hashPassword(account.password || randomToken()),
+        verified: account.verified,
+        role: account.role,
+        disabled: false,
+        passwordResetRequired: !account.password,
+        memberSince: now,
+        updatedAt: now
+      };
+      users.set(user.id, user);
+      recordAuditEvent(req, 'account-imported', { user });
+      if (!account.password) sendResetToken(user);
+      if (!account.verified) sendVerificationCode(user);
+    });
+    return [200, { results, imported: accepted.length }];
+  },
+
+  'GET /admin/audit-log': ({ req, query }) => {
+    requireAdmin(req);
+    const events = auditLog.filter(
+      (entry) => (!query.userId || entry.userId === query.userId) && (!query.type || entry.type === query.type)
+    );
+    return [200, { events }];
+  }
+};
+
+/**
+ * Find the handler for a request, capturing ':name' path segments
+ * @returns {Object|null} - { handler, params }
+ */
+const matchRoute = (method, pathname) => {
+  const parts = pathname.split('/');
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    const routeParts = routePath.split('/');
+    if (routeMethod !== method || routeParts.length !== parts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(parts[i]);
+        return true;
+      }
+      return part === parts[i];
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+};
+
+// ============================================
+// HTTP SERVER
+// ============================================
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept-Language',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+  });
+  res.end(body === null ? undefined : JSON.stringify(body));
+};
+
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(new ApiError(400, 'BAD_REQUEST', 'errors.badJson'));
+      }
+    });
+    req.on('error', reject);
+  });
+};
+
+/**
+ * Translate field errors, whose values are message keys or { key, params }
+ * @param {Object} fieldErrors - { field: message }
+ * @param {Function} t - Translator from I18n.createTranslator
+ * @returns {Object} - { field: text }
+ */
+const translateFieldErrors = (fieldErrors, t) =>
+  Object.fromEntries(
+    Object.entries(fieldErrors).map(([field, message]) => [
+      field,
+      typeof message === 'string' ? t(message) : t(message.key, message.params)
+    ])
+  );
+
+/**
+ * Build the error body for a response, translated into a language
+ * @param {Error} err - Error thrown by a handler
+ * @param {string} locale - Key of I18n.LOCALES
+ * @returns {Object} - { code, message, fieldErrors, details }
+ */
+const localizeError = (err, locale) => {
+  const t = I18n.createTranslator(locale);
+  if (!(err instanceof ApiError)) {
+    return { code: err.code || 'SERVER_ERROR', message: t('errors.unexpected') };
+  }
+
+  const fieldErrors = err.fieldErrors ? translateFieldErrors(err.fieldErrors, t) : err.fieldErrors;
+  return { code: err.code, message: t(err.message, err.params), fieldErrors, details: err.details };
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, null);
+    return;
+  }
+
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  const route = matchRoute(req.method, pathname);
+
+  try {
+    if (!route) {
+      throw new ApiError(404, 'NOT_FOUND', 'errors.noRoute', { params: { method: req.method, path: pathname } });
+    }
+    const [status, body] = await route.handler({
+      req,
+      body: await readBody(req),
+      params: route.params,
+      query: Object.fromEntries(searchParams)
+    });
+    sendJson(res, status, body);
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error(err);
+    const status = err instanceof ApiError ? err.status : 500;
+    sendJson(res, status, { error: localizeError(err, I18n.negotiateLocale(req.headers['accept-language'])) });
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock API server listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { server, routes };
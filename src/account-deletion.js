@@ -0,0 +1,117 @@
+// ============================================
+// ACCOUNT DELETION & DATA EXPORT
+// ============================================
+// Users can delete their own account. With a grace period the record is only
+// marked with `deletedAt`: it can't be used, but logging in again before the
+// period ends restores it. Accounts past the period are removed for good the
+// next time the app starts (or when someone tries to log in to them).
+
+import { queryAuditLog, removeAuditEvents } from './audit-log.js';
+import { removeAvatar } from './avatars.js';
+import { loadVerifications, saveVerifications } from './email-verification.js';
+import { getThrottleKeys, loadLoginAttempts, saveLoginAttempts } from './login-throttle.js';
+import { getOutbox } from './mailer.js';
+import { loadResetTokens, saveResetTokens } from './password-reset.js';
+import { loadSession, removeOtherSession } from './sessions.js';
+import { userRepository } from './user-repository.js';
+
+export const ACCOUNT_DELETION_CONFIG = {
+  gracePeriodMs: 30 * 24 * 60 * 60 * 1000 // 30 days; 0 deletes immediately
+};
+
+/**
+ * Check whether an account is waiting to be deleted
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+export const isDeletionPending = (user) => Boolean(user.deletedAt);
+
+/**
+ * When an account marked for deletion stops being restorable
+ * @param {Object} user - User record with deletedAt
+ * @returns {number} - Timestamp
+ */
+export const getRestoreDeadline = (user) => {
+  return Date.parse(user.deletedAt) + ACCOUNT_DELETION_CONFIG.gracePeriodMs;
+};
+
+/**
+ * Remove an account and everything stored about it
+ * @param {Object} user - User record
+ */
+export const removeUserData = async (user) => {
+  await userRepository.delete(user.id);
+  removeAvatar(user.id);
+  saveResetTokens(loadResetTokens().filter((t) => t.userId !== user.id));
+  saveVerifications(loadVerifications().filter((r) => r.userId !== user.id));
+  removeAuditEvents(user.id);
+  removeOtherSession(user.id);
+
+  // Only the account's throttle record; the client's stays in place
+  const attempts = loadLoginAttempts();
+  delete attempts[getThrottleKeys(user.email)[0].key];
+  saveLoginAttempts(attempts);
+};
+
+/**
+ * Delete an account, or mark it for deletion if there is a grace period
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} - { restoreUntil } ISO date, or null if already gone
+ */
+export const scheduleAccountDeletion = async (user) => {
+  if (ACCOUNT_DELETION_CONFIG.gracePeriodMs <= 0) {
+    await removeUserData(user);
+    return { restoreUntil: null };
+  }
+
+  const updatedUser = await userRepository.update(user.id, {
+    deletedAt: new Date().toISOString()
+  });
+  return { restoreUntil: new Date(getRestoreDeadline(updatedUser)).toISOString() };
+};
+
+/**
+ * Remove accounts whose grace period has run out
+ * @returns {Promise<number>} - Number of accounts removed
+ */
+export const purgeDeletedAccounts = async () => {
+  const expired = (await userRepository.list()).filter(
+    (user) => isDeletionPending(user) && getRestoreDeadline(user) <= Date.now()
+  );
+  for (const user of expired) {
+    await removeUserData(user);
+  }
+  return expired.length;
+};
+
+/**
+ * Gather what this browser knows about a user's activity, for the data export.
+ * Codes and tokens are left out.
+ * @param {Object} user - User record
+ * @returns {Object} - Activity history
+ */
+export const collectUserActivity = (user) => {
+  const session = loadSession();
+  const throttle = loadLoginAttempts()[getThrottleKeys(user.email)[0].key];
+
+  return {
+    currentSession:
+      session && session.userId === user.id
+        ? {
+            createdAt: new Date(session.createdAt).toISOString(),
+            lastSeen: new Date(session.lastSeen).toISOString(),
+            persistent: session.persistent
+          }
+        : null,
+    recentFailedLogins: throttle ? throttle.failures.map((t) => new Date(t).toISOString()) : [],
+    securityEvents: queryAuditLog({ userId: user.id }).map(({ type, at, userAgent, changes }) => ({
+      type,
+      at,
+      userAgent,
+      changes
+    })),
+    emailsSent: getOutbox()
+      .filter((message) => message.to === user.email)
+      .map(({ subject, sentAt }) => ({ subject, sentAt }))
+  };
+};
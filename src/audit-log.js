@@ -0,0 +1,123 @@
+// ============================================
+// AUDIT LOG
+// ============================================
+// Security-relevant events (logins, failed logins, logouts, registrations,
+// profile and password changes) are appended to a log in localStorage, newest
+// first. Entries older than maxAgeMs are dropped, and only the newest
+// maxEntries are kept, so the log can't grow without bound.
+
+import ProfileFields from '../profile-fields.js';
+import { generateToken } from './sessions.js';
+
+export const AUDIT_CONFIG = {
+  storageKey: 'auditLog',
+  maxEntries: 1000,
+  maxAgeMs: 90 * 24 * 60 * 60 * 1000, // 90 days
+  profileFields: ProfileFields.PROFILE_FIELDS.map((field) => field.name), // diffed on profile edits
+  recentActivityLimit: 20 // entries shown on the profile page
+};
+
+// Event types and the message keys that describe them to users
+export const AUDIT_EVENT_TYPES = {
+  login: 'audit.login',
+  'login-failed': 'audit.loginFailed',
+  logout: 'audit.logout',
+  register: 'audit.register',
+  'account-imported': 'audit.accountImported',
+  'profile-updated': 'audit.profileUpdated',
+  'email-changed': 'audit.emailChanged',
+  'password-changed': 'audit.passwordChanged',
+  'password-reset': 'audit.passwordReset',
+  'two-factor-enabled': 'audit.twoFactorEnabled',
+  'two-factor-disabled': 'audit.twoFactorDisabled',
+  'passkey-added': 'audit.passkeyAdded',
+  'passkey-removed': 'audit.passkeyRemoved',
+  'account-deleted': 'audit.accountDeleted',
+  'avatar-changed': 'audit.avatarChanged'
+};
+
+/**
+ * Read the audit log from storage
+ * @returns {Array} - Entries, newest first
+ */
+const loadAuditLog = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(AUDIT_CONFIG.storageKey));
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Apply the retention limits and write the audit log to storage
+ * @param {Array} entries - Entries, newest first
+ */
+const saveAuditLog = (entries) => {
+  const cutoff = Date.now() - AUDIT_CONFIG.maxAgeMs;
+  const kept = entries
+    .filter((entry) => Date.parse(entry.at) >= cutoff)
+    .slice(0, AUDIT_CONFIG.maxEntries);
+  localStorage.setItem(AUDIT_CONFIG.storageKey, JSON.stringify(kept));
+};
+
+/**
+ * Work out which profile fields an edit changed
+ * @param {Object} before - Record before the edit
+ * @param {Object} after - Record after the edit
+ * @returns {Object} - { field: { from, to } } for each changed field
+ */
+export const diffProfile = (before, after) => {
+  const changes = {};
+  AUDIT_CONFIG.profileFields.forEach((field) => {
+    if (before[field] !== after[field]) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Add an event to the audit log. A full or broken log never stops the action
+ * being recorded from going ahead.
+ * @param {string} type - Key of AUDIT_EVENT_TYPES
+ * @param {Object} params - { user, email, changes }; email is used when there
+ *   is no user (e.g. a failed login for an unknown address)
+ */
+export const recordAuditEvent = (type, { user = null, email = user && user.email, changes } = {}) => {
+  const entry = {
+    id: generateToken(),
+    type,
+    at: new Date().toISOString(),
+    userId: user ? user.id : null,
+    email: email || null,
+    userAgent: navigator.userAgent
+  };
+  if (changes) entry.changes = changes;
+
+  try {
+    saveAuditLog([entry, ...loadAuditLog()]);
+  } catch (err) {
+    console.error('Could not write to the audit log', err);
+  }
+};
+
+/**
+ * Look up audit log entries
+ * @param {Object} filters - { userId, type, limit }; omitted filters match everything
+ * @returns {Array} - Matching entries, newest first
+ */
+export const queryAuditLog = ({ userId, type, limit } = {}) => {
+  const entries = loadAuditLog().filter(
+    (entry) => (!userId || entry.userId === userId) && (!type || entry.type === type)
+  );
+  return limit ? entries.slice(0, limit) : entries;
+};
+
+/**
+ * Remove a user's entries from the audit log
+ * @param {string} userId - User ID
+ */
+export const removeAuditEvents = (userId) => {
+  saveAuditLog(loadAuditLog().filter((entry) => entry.userId !== userId));
+};
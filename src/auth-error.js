@@ -0,0 +1,32 @@
+// ============================================
+// AUTH ERRORS
+// ============================================
+/**
+ * Error thrown by the auth service, worded in the active language.
+ * `fieldErrors` maps form fields to messages; `details` carries extra data
+ * such as throttle state.
+ */
+export class AuthError extends Error {
+  constructor(message, { code = 'ERROR', fieldErrors = null, details = null } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.details = details;
+  }
+}
+
+/**
+ * Show an auth service error on a form: field errors go under their inputs,
+ * anything else goes in the alert box
+ * @param {Error} err - Error thrown by the auth service
+ * @param {Function} setError - Setter for the form's alert message
+ * @param {Function} setFieldErrors - Setter for the form's field errors
+ */
+export const showAuthError = (err, setError, setFieldErrors) => {
+  if (err.fieldErrors) {
+    setFieldErrors(err.fieldErrors);
+  } else {
+    setError(err.message);
+  }
+};
@@ -0,0 +1,943 @@
+// ============================================
+// AUTH SERVICE (local or REST API)
+// ============================================
+// Pages never touch storage directly: they call the auth service, which
+// either works against the UserRepository in this browser ('local') or
+// against a REST backend ('api'). Both implementations expose the same async
+// methods and report failures by throwing an AuthError.
+//
+// To switch modes, define window.APP_CONFIG before the app's scripts, e.g.
+//   <script>window.APP_CONFIG = { mode: 'api', apiBaseUrl: 'http://localhost:3001' };</script>
+
+import ProfileFields from '../profile-fields.js';
+import {
+  isDeletionPending,
+  getRestoreDeadline,
+  removeUserData,
+  scheduleAccountDeletion,
+  collectUserActivity
+} from './account-deletion.js';
+import { AUDIT_CONFIG, diffProfile, recordAuditEvent, queryAuditLog } from './audit-log.js';
+import { AuthError } from './auth-error.js';
+import { loadAvatar, saveAvatar, removeAvatar, isValidAvatarImage } from './avatars.js';
+import {
+  isEmailUnverified,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmailCode
+} from './email-verification.js';
+import { getLocale, t } from './locale.js';
+import { checkLoginThrottle, recordLoginFailure, resetLoginFailures } from './login-throttle.js';
+import { USER_ROLES } from './migrations.js';
+import { hashPassword, setUserPassword, checkUserPassword } from './password-hashing.js';
+import { requestPasswordReset, resetPasswordWithToken } from './password-reset.js';
+import {
+  PASSKEY_CONFIG,
+  summarizePasskeys,
+  validatePasskeyName,
+  startPasskeyRegistration,
+  finishPasskeyRegistration,
+  startPasskeyLogin,
+  checkPasskeyLogin,
+  removePasskey
+} from './passkeys.js';
+import { assertPasswordAllowed } from './password-rules.js';
+import {
+  generateToken,
+  loadSession,
+  clearSession,
+  loadOtherSessions,
+  switchSession,
+  removeOtherSession
+} from './sessions.js';
+import {
+  TWO_FACTOR_CONFIG,
+  twoFactorChallenges,
+  isTwoFactorEnabled,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  checkSecondFactor,
+  createTwoFactorChallenge
+} from './two-factor.js';
+import { userRepository } from './user-repository.js';
+import { StorageConflictError } from './user-storage.js';
+import { USER_TRANSFER_CONFIG, checkImportRow } from './user-transfer.js';
+
+export const API_CONFIG = {
+  mode: 'local', // 'local' or 'api'
+  apiBaseUrl: 'http://localhost:3001',
+  ...(window.APP_CONFIG || {})
+};
+
+/**
+ * Strip password, two-factor secrets and passkey keys from a user record before it reaches the UI
+ * @param {Object|null} user - Stored user record
+ * @returns {Object|null} - User without secrets
+ */
+const toPublicUser = (user) => {
+  if (!user) return null;
+  const { password, passwordHash, twoFactor, twoFactorPending, passkeys, ...publicUser } = user;
+  return {
+    ...publicUser,
+    twoFactorEnabled: Boolean(twoFactor && twoFactor.enabledAt),
+    passkeys: summarizePasskeys(passkeys)
+  };
+};
+
+/**
+ * Translate the problems found by ProfileFields.validateProfile
+ * @param {Object} problems - { field: { key, params } }
+ * @returns {Object} - { field: message }
+ */
+const describeProfileProblems = (problems) => {
+  return Object.fromEntries(
+    Object.entries(problems).map(([field, problem]) => [field, t(problem.key, problem.params)])
+  );
+};
+
+let lastUserId = 0;
+
+/**
+ * Pick an ID for a new account. IDs are creation times in milliseconds,
+ * bumped by one when several accounts are created within the same
+ * millisecond (as an import does).
+ * @returns {string} - User ID
+ */
+const createUserId = () => {
+  lastUserId = Math.max(Date.now(), lastUserId + 1);
+  return lastUserId.toString();
+};
+
+/**
+ * Finish a login whose checks have all passed
+ * @param {Object} user - Stored user record
+ * @returns {Promise<Object>} - { user, token }
+ */
+const completeLogin = async (user) => {
+  // Logging in during the grace period cancels a pending deletion
+  if (isDeletionPending(user)) {
+    user = await userRepository.update(user.id, { deletedAt: undefined });
+  }
+  recordAuditEvent('login', { user });
+  return { user: toPublicUser(user), token: generateToken() };
+};
+
+/**
+ * Throw if a stored user may not sign in: disabled accounts, accounts an admin
+ * has sent through a password reset, and unconfirmed email addresses
+ * @param {Object} user - Stored user record whose password was just checked
+ */
+const assertCanSignIn = (user) => {
+  if (user.disabled) {
+    throw new AuthError(t('errors.accountDisabled'), {
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  if (user.passwordResetRequired) {
+    throw new AuthError(t('errors.passwordResetRequired'), {
+      code: 'PASSWORD_RESET_REQUIRED',
+      details: { email: user.email }
+    });
+  }
+
+  // Accounts must confirm their email before they can sign in
+  if (isEmailUnverified(user)) {
+    throw new AuthError(t('errors.emailUnverified'), {
+      code: 'EMAIL_UNVERIFIED',
+      details: { email: user.email }
+    });
+  }
+};
+
+/**
+ * Load the logged-in user and check that they are an admin. Admin actions
+ * call this themselves instead of trusting the page that invoked them.
+ * @returns {Promise<Object>} - Stored record of the acting admin
+ */
+const requireLocalAdmin = async () => {
+  const session = loadSession();
+  const actor = session && (await userRepository.getById(session.userId));
+  if (!actor || actor.disabled) {
+    throw new AuthError(t('errors.sessionExpired'), { code: 'UNAUTHORIZED' });
+  }
+  if (actor.role !== 'admin') {
+    throw new AuthError(t('errors.forbidden'), { code: 'FORBIDDEN' });
+  }
+  return actor;
+};
+
+/**
+ * Load the target of an admin action. Admins can't act on their own account,
+ * which also guarantees at least one admin always remains.
+ * @param {Object} actor - Acting admin
+ * @param {string} userId - Account to act on
+ * @returns {Promise<Object>} - Stored record of the target account
+ */
+const getAdminTarget = async (actor, userId) => {
+  if (userId === actor.id) {
+    throw new AuthError(t('errors.ownAccount'), { code: 'FORBIDDEN' });
+  }
+  const user = await userRepository.getById(userId);
+  if (!user) {
+    throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+  }
+  return user;
+};
+
+/**
+ * Create the auth service that works against the local UserRepository
+ * @returns {Object} - Auth service
+ */
+export const createLocalAuthService = () => ({
+  login: async (email, password) => {
+    // Refuse attempts while this account or client has to wait
+    const throttleState = checkLoginThrottle(email);
+    if (throttleState.retryAt) {
+      throw new AuthError('', { code: 'THROTTLED', details: throttleState });
+    }
+
+    // Find user in database and check the password against the stored hash
+    let user = await userRepository.findByEmail(email);
+    if (user && isDeletionPending(user) && getRestoreDeadline(user) <= Date.now()) {
+      // Too late to restore: finish deleting it
+      await removeUserData(user);
+      user = null;
+    }
+    if (!user || !(await checkUserPassword(user, password))) {
+      recordAuditEvent('login-failed', { user, email });
+      throw new AuthError(t('errors.invalidCredentials'), {
+        code: 'INVALID_CREDENTIALS',
+        details: recordLoginFailure(email)
+      });
+    }
+
+    assertCanSignIn(user);
+
+    // Ask for the second factor before handing out a session. The failure
+    // counters stay until it is given, so wrong codes are throttled too.
+    if (isTwoFactorEnabled(user)) {
+      return { twoFactorRequired: true, challengeToken: createTwoFactorChallenge(user) };
+    }
+    resetLoginFailures(email);
+    return completeLogin(user);
+  },
+
+  verifyTwoFactorLogin: async (challengeToken, code) => {
+    const challenge = twoFactorChallenges.get(challengeToken);
+    const user = challenge && (await userRepository.getById(challenge.userId));
+    if (!user || !isTwoFactorEnabled(user) || challenge.expiresAt < Date.now()) {
+      twoFactorChallenges.delete(challengeToken);
+      throw new AuthError(t('errors.challengeExpired'), {
+        code: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    // Wrong codes count as failed logins of the account and this client
+    const throttleState = checkLoginThrottle(user.email);
+    if (throttleState.retryAt) {
+      throw new AuthError('', { code: 'THROTTLED', details: throttleState });
+    }
+
+    if (!(await checkSecondFactor(user, code))) {
+      recordAuditEvent('login-failed', { user });
+      const details = recordLoginFailure(user.email);
+      challenge.attempts++;
+      if (challenge.attempts >= TWO_FACTOR_CONFIG.maxCodeAttempts) {
+        twoFactorChallenges.delete(challengeToken);
+        throw new AuthError(t('errors.tooManyCodes'), {
+          code: 'CHALLENGE_EXPIRED'
+        });
+      }
+      throw new AuthError(t('errors.invalidCode'), {
+        code: 'INVALID_CODE',
+        fieldErrors: { code: t('errors.invalidCode') },
+        details
+      });
+    }
+
+    twoFactorChallenges.delete(challengeToken);
+    resetLoginFailures(user.email);
+    return completeLogin(await userRepository.getById(user.id));
+  },
+
+  startPasskeyLogin: async () => {
+    return startPasskeyLogin();
+  },
+
+  finishPasskeyLogin: async (credential) => {
+    let { user, verified } = await checkPasskeyLogin(credential);
+    if (user && isDeletionPending(user) && getRestoreDeadline(user) <= Date.now()) {
+      // Too late to restore: finish deleting it
+      await removeUserData(user);
+      user = null;
+    }
+    if (!user || !verified) {
+      recordAuditEvent('login-failed', { user });
+      throw new AuthError(t('errors.passkeyLoginFailed'), { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // A passkey is already two factors (the device, plus its PIN or biometric),
+    // so no one-time code is asked for
+    assertCanSignIn(user);
+    return completeLogin(user);
+  },
+
+  logout: async (session = loadSession()) => {
+    const user = session && (await userRepository.getById(session.userId));
+    if (user) recordAuditEvent('logout', { user });
+  },
+
+  register: async ({ firstName, lastName, email, password }) => {
+    assertPasswordAllowed(password, { firstName, lastName, email }, 'password');
+
+    // Check if email already exists
+    if (await userRepository.findByEmail(email)) {
+      throw new AuthError(t('errors.emailExists'), { code: 'EMAIL_TAKEN' });
+    }
+
+    // The first account on a fresh install administers the rest
+    const isFirstUser = (await userRepository.list()).length === 0;
+
+    const now = new Date().toISOString();
+    const newUser = await userRepository.create({
+      id: createUserId(),
+      firstName,
+      lastName,
+      email,
+      passwordHash: await hashPassword(password),
+      verified: false,
+      role: isFirstUser ? 'admin' : 'user',
+      disabled: false,
+      passwordResetRequired: false,
+      memberSince: now,
+      updatedAt: now
+    });
+
+    recordAuditEvent('register', { user: newUser });
+
+    // Email a verification code for the new address
+    await sendVerificationEmail(newUser);
+    return toPublicUser(newUser);
+  },
+
+  isEmailAvailable: async (email) => {
+    return !(await userRepository.findByEmail(email));
+  },
+
+  getCurrentUser: async (session) => {
+    const user = await userRepository.getById(session.userId);
+    // Disabling, deleting or forcing a reset ends the account's sessions
+    if (!user || user.disabled || user.passwordResetRequired || isDeletionPending(user)) return null;
+    return toPublicUser(user);
+  },
+
+  updateProfile: async (userId, changes, { expectedUpdatedAt } = {}) => {
+    const current = await userRepository.getById(userId);
+    if (!current) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+
+    // Only fields from the profile registry can be changed here
+    const values = ProfileFields.normalizeProfile(changes);
+    const problems = ProfileFields.validateProfile(values, Object.keys(values));
+    if (Object.keys(problems).length > 0) {
+      throw new AuthError(t('errors.fixFields'), {
+        code: 'VALIDATION_ERROR',
+        fieldErrors: describeProfileProblems(problems)
+      });
+    }
+    // Cleared fields are removed from the record
+    const stored = Object.fromEntries(
+      Object.entries(values).map(([name, value]) => [name, value === '' ? undefined : value])
+    );
+
+    const emailChanged = values.email !== undefined && values.email !== current.email;
+    if (emailChanged) {
+      const existingUser = await userRepository.findByEmail(values.email);
+      if (existingUser && existingUser.id !== userId) {
+        throw new AuthError(t('validation.emailTaken'), {
+          code: 'EMAIL_TAKEN',
+          fieldErrors: { email: t('validation.emailTaken') }
+        });
+      }
+    }
+
+    // A new address has to be confirmed before the account counts as verified
+    let updatedUser;
+    try {
+      updatedUser = await userRepository.update(
+        userId,
+        emailChanged ? { ...stored, verified: false } : stored,
+        { expectedUpdatedAt }
+      );
+    } catch (err) {
+      if (!(err instanceof StorageConflictError)) throw err;
+      throw new AuthError(t('errors.profileConflict'), {
+        code: 'CONFLICT',
+        details: { user: toPublicUser(err.current) }
+      });
+    }
+    const diff = diffProfile(current, updatedUser);
+    if (Object.keys(diff).length > 0) {
+      recordAuditEvent(emailChanged ? 'email-changed' : 'profile-updated', {
+        user: updatedUser,
+        changes: diff
+      });
+    }
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+    return toPublicUser(updatedUser);
+  },
+
+  changePassword: async (userId, currentPassword, newPassword) => {
+    const storedUser = await userRepository.getById(userId);
+    if (!storedUser || !(await checkUserPassword(storedUser, currentPassword))) {
+      throw new AuthError(t('errors.currentPasswordIncorrect'), {
+        code: 'INVALID_PASSWORD',
+        fieldErrors: { currentPassword: t('errors.currentPasswordIncorrect') }
+      });
+    }
+    assertPasswordAllowed(newPassword, storedUser, 'newPassword');
+    const updatedUser = await setUserPassword(userId, newPassword);
+    recordAuditEvent('password-changed', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  requestPasswordReset: async (email) => {
+    await requestPasswordReset(email);
+  },
+
+  resetPassword: async (token, newPassword) => {
+    if (!(await resetPasswordWithToken(token, newPassword))) {
+      throw new AuthError(t('errors.invalidResetCode'), { code: 'INVALID_TOKEN' });
+    }
+  },
+
+  verifyEmail: async (email, code) => {
+    const user = await verifyEmailCode(email, code);
+    if (!user) {
+      throw new AuthError(t('errors.invalidVerificationCode'), { code: 'INVALID_CODE' });
+    }
+    return toPublicUser(user);
+  },
+
+  resendVerification: async (email) => {
+    await resendVerificationEmail(email);
+  },
+
+  startTwoFactorSetup: async (userId) => {
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    return startTwoFactorSetup(user);
+  },
+
+  confirmTwoFactorSetup: async (userId, code) => {
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    const result = await confirmTwoFactorSetup(user, code);
+    if (!result) {
+      throw new AuthError(t('errors.invalidCode'), {
+        code: 'INVALID_CODE',
+        fieldErrors: { code: t('errors.twoFactorCodeMismatch') }
+      });
+    }
+    recordAuditEvent('two-factor-enabled', { user: result.user });
+    return { user: toPublicUser(result.user), recoveryCodes: result.recoveryCodes };
+  },
+
+  disableTwoFactor: async (userId, password) => {
+    const user = await userRepository.getById(userId);
+    if (!user || !(await checkUserPassword(user, password))) {
+      throw new AuthError(t('errors.passwordIncorrect'), {
+        code: 'INVALID_PASSWORD',
+        fieldErrors: { password: t('errors.passwordIncorrect') }
+      });
+    }
+    const updatedUser = await userRepository.update(userId, {
+      twoFactor: undefined,
+      twoFactorPending: undefined
+    });
+    recordAuditEvent('two-factor-disabled', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  startPasskeyRegistration: async (userId) => {
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    if ((user.passkeys || []).length >= PASSKEY_CONFIG.maxPasskeys) {
+      throw new AuthError(t('errors.tooManyPasskeys', { max: PASSKEY_CONFIG.maxPasskeys }), {
+        code: 'TOO_MANY_PASSKEYS'
+      });
+    }
+    return startPasskeyRegistration(user);
+  },
+
+  finishPasskeyRegistration: async (userId, credential, name) => {
+    const nameProblem = validatePasskeyName(name);
+    if (nameProblem) {
+      throw new AuthError(t('errors.fixFields'), {
+        code: 'VALIDATION_ERROR',
+        fieldErrors: { name: t(nameProblem, { max: PASSKEY_CONFIG.maxNameLength }) }
+      });
+    }
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    const updatedUser = await finishPasskeyRegistration(user, credential, name);
+    if (!updatedUser) {
+      throw new AuthError(t('errors.passkeyInvalid'), { code: 'INVALID_PASSKEY' });
+    }
+    recordAuditEvent('passkey-added', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  removePasskey: async (userId, passkeyId) => {
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    const updatedUser = await removePasskey(user, passkeyId);
+    if (!updatedUser) {
+      throw new AuthError(t('errors.passkeyNotFound'), { code: 'NOT_FOUND' });
+    }
+    recordAuditEvent('passkey-removed', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  getRecentActivity: async (userId) => {
+    return queryAuditLog({ userId, limit: AUDIT_CONFIG.recentActivityLimit });
+  },
+
+  exportData: async (userId) => {
+    const user = await userRepository.getById(userId);
+    if (!user) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    return {
+      exportedAt: new Date().toISOString(),
+      user: toPublicUser(user),
+      avatar: loadAvatar(user.id),
+      activity: collectUserActivity(user)
+    };
+  },
+
+  deleteAccount: async (userId, password) => {
+    const user = await userRepository.getById(userId);
+    if (!user || !(await checkUserPassword(user, password))) {
+      throw new AuthError(t('errors.passwordIncorrect'), {
+        code: 'INVALID_PASSWORD',
+        fieldErrors: { password: t('errors.passwordIncorrect') }
+      });
+    }
+    recordAuditEvent('account-deleted', { user });
+    return scheduleAccountDeletion(user);
+  },
+
+  getAvatar: async (userId) => {
+    return loadAvatar(userId);
+  },
+
+  setAvatar: async (userId, image) => {
+    if (!(await userRepository.getById(userId))) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    if (!isValidAvatarImage(image)) {
+      throw new AuthError(t('avatar.errors.invalid'), { code: 'VALIDATION_ERROR' });
+    }
+    try {
+      saveAvatar(userId, image);
+    } catch (err) {
+      throw new AuthError(t('avatar.errors.storageFull'), { code: 'STORAGE_FULL' });
+    }
+    const updatedUser = await userRepository.update(userId, { avatarUpdatedAt: new Date().toISOString() });
+    recordAuditEvent('avatar-changed', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  removeAvatar: async (userId) => {
+    removeAvatar(userId);
+    const updatedUser = await userRepository.update(userId, { avatarUpdatedAt: undefined });
+    if (!updatedUser) {
+      throw new AuthError(t('errors.accountNotFound'), { code: 'NOT_FOUND' });
+    }
+    recordAuditEvent('avatar-changed', { user: updatedUser });
+    return toPublicUser(updatedUser);
+  },
+
+  adminListUsers: async () => {
+    await requireLocalAdmin();
+    return (await userRepository.list()).map(toPublicUser);
+  },
+
+  adminUpdateUser: async (userId, { role, disabled }) => {
+    const actor = await requireLocalAdmin();
+    await getAdminTarget(actor, userId);
+
+    // Only pass the fields being changed: undefined would remove them
+    const changes = {};
+    if (role !== undefined) {
+      if (!USER_ROLES.includes(role)) {
+        throw new AuthError(t('errors.unknownRole'), { code: 'VALIDATION_ERROR' });
+      }
+      changes.role = role;
+    }
+    if (disabled !== undefined) changes.disabled = Boolean(disabled);
+
+    return toPublicUser(await userRepository.update(userId, changes));
+  },
+
+  adminForcePasswordReset: async (userId) => {
+    const actor = await requireLocalAdmin();
+    const user = await getAdminTarget(actor, userId);
+
+    // Block sign-in until the user picks a new password via the emailed code
+    const updatedUser = await userRepository.update(userId, { passwordResetRequired: true });
+    await requestPasswordReset(user.email);
+    return toPublicUser(updatedUser);
+  },
+
+  adminDeleteUser: async (userId) => {
+    const actor = await requireLocalAdmin();
+    await removeUserData(await getAdminTarget(actor, userId));
+  },
+
+  adminListAuditEvents: async ({ userId, type } = {}) => {
+    await requireLocalAdmin();
+    return queryAuditLog({ userId, type });
+  },
+
+  adminImportUsers: async (rows, { dryRun = false } = {}) => {
+    await requireLocalAdmin();
+    if (!Array.isArray(rows) || rows.length > USER_TRANSFER_CONFIG.maxRows) {
+      throw new AuthError(t('errors.tooManyImportRows', { max: USER_TRANSFER_CONFIG.maxRows }), {
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Check every row before creating anything, so a dry run and the real
+    // import report the same problems
+    const emailsInFile = new Set();
+    const checked = [];
+    for (const { row, values = {} } of rows) {
+      const account = checkImportRow(values);
+      const { email } = account.profile;
+      if (email && !account.problems.email) {
+        if (await userRepository.findByEmail(email)) {
+          account.problems.email = { key: 'validation.emailTaken' };
+        } else if (emailsInFile.has(email)) {
+          account.problems.email = { key: 'validation.emailRepeated' };
+        }
+        emailsInFile.add(email);
+      }
+      checked.push({ row, account });
+    }
+
+    const results = checked.map(({ row, account }) => ({
+      row,
+      email: account.profile.email || '',
+      errors: describeProfileProblems(account.problems)
+    }));
+    const accepted = checked.filter(({ account }) => Object.keys(account.problems).length === 0);
+    if (dryRun) return { results, imported: 0 };
+
+    for (const { account } of accepted) {
+      const now = new Date().toISOString();
+      const newUser = await userRepository.create({
+        id: createUserId(),
+        ...account.profile,
+        // Without a password the account gets a random one nobody knows, so
+        // it can only be used after the reset emailed below
+        passwordHash: await hashPassword(account.password || generateToken()),
+        verified: account.verified,
+        role: account.role,
+        disabled: false,
+        passwordResetRequired: !account.password,
+        memberSince: now,
+        updatedAt: now
+      });
+      recordAuditEvent('account-imported', { user: newUser });
+      if (!account.password) await requestPasswordReset(newUser.email);
+      if (!account.verified) await sendVerificationEmail(newUser);
+    }
+    return { results, imported: accepted.length };
+  }
+});
+
+/**
+ * Send a JSON request to the REST backend, adding the session token if there is one
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below API_CONFIG.apiBaseUrl
+ * @param {Object} body - Optional JSON body
+ * @param {string} token - Optional bearer token (defaults to the current session's)
+ * @returns {Promise<Object|null>} - Parsed response body
+ */
+const apiRequest = async (method, path, body, token) => {
+  const session = loadSession();
+  const bearer = token || (session && session.token);
+  // The server answers errors in the app's language
+  const headers = { Accept: 'application/json', 'Accept-Language': getLocale() };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (bearer) headers.Authorization = `Bearer ${bearer}`;
+
+  let response;
+  try {
+    response = await fetch(`${API_CONFIG.apiBaseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    throw new AuthError(t('errors.network'), { code: 'NETWORK_ERROR' });
+  }
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    // Errors come back as { error: { code, message, fieldErrors, details } }
+    const apiError = (data && data.error) || {};
+    throw new AuthError(apiError.message || t('errors.requestFailed', { status: response.status }), {
+      code: apiError.code || `HTTP_${response.status}`,
+      fieldErrors: apiError.fieldErrors || null,
+      details: apiError.details || null
+    });
+  }
+  return data;
+};
+
+/**
+ * Create the auth service that talks to the REST backend
+ * @returns {Object} - Auth service
+ */
+export const createApiAuthService = () => ({
+  login: async (email, password) => {
+    const data = await apiRequest('POST', '/auth/login', { email, password });
+    if (data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: data.challengeToken };
+    }
+    return { user: data.user, token: data.token };
+  },
+
+  verifyTwoFactorLogin: async (challengeToken, code) => {
+    const { user, token } = await apiRequest('POST', '/auth/login/2fa', { challengeToken, code });
+    return { user, token };
+  },
+
+  startPasskeyLogin: async () => {
+    const { options } = await apiRequest('POST', '/auth/passkey/options');
+    return options;
+  },
+
+  finishPasskeyLogin: async (credential) => {
+    const { user, token } = await apiRequest('POST', '/auth/passkey', { credential });
+    return { user, token };
+  },
+
+  logout: async (session = loadSession()) => {
+    // The local session is cleared either way, so a failed call isn't fatal
+    await apiRequest('POST', '/auth/logout', undefined, session && session.token).catch(() => {});
+  },
+
+  register: async (data) => {
+    const { user } = await apiRequest('POST', '/users', data);
+    return user;
+  },
+
+  isEmailAvailable: async (email) => {
+    const query = new URLSearchParams({ email });
+    const { available } = await apiRequest('GET', `/users/email-available?${query.toString()}`);
+    return available;
+  },
+
+  getCurrentUser: async (session) => {
+    try {
+      const { user } = await apiRequest('GET', '/users/me', undefined, session.token);
+      return user;
+    } catch (err) {
+      if (err.code === 'UNAUTHORIZED') return null;
+      throw err;
+    }
+  },
+
+  updateProfile: async (userId, changes, { expectedUpdatedAt } = {}) => {
+    const { user } = await apiRequest('PATCH', '/users/me', { ...changes, expectedUpdatedAt });
+    return user;
+  },
+
+  changePassword: async (userId, currentPassword, newPassword) => {
+    const { user } = await apiRequest('POST', '/users/me/password', { currentPassword, newPassword });
+    return user;
+  },
+
+  requestPasswordReset: async (email) => {
+    await apiRequest('POST', '/auth/password-reset', { email });
+  },
+
+  resetPassword: async (token, newPassword) => {
+    await apiRequest('POST', '/auth/password-reset/confirm', { token, password: newPassword });
+  },
+
+  verifyEmail: async (email, code) => {
+    const { user } = await apiRequest('POST', '/auth/verify-email', { email, code });
+    return user;
+  },
+
+  resendVerification: async (email) => {
+    await apiRequest('POST', '/auth/verify-email/resend', { email });
+  },
+
+  startTwoFactorSetup: async () => {
+    return apiRequest('POST', '/users/me/2fa/setup');
+  },
+
+  confirmTwoFactorSetup: async (userId, code) => {
+    return apiRequest('POST', '/users/me/2fa/confirm', { code });
+  },
+
+  disableTwoFactor: async (userId, password) => {
+    const { user } = await apiRequest('DELETE', '/users/me/2fa', { password });
+    return user;
+  },
+
+  startPasskeyRegistration: async () => {
+    const { options } = await apiRequest('POST', '/users/me/passkeys/options');
+    return options;
+  },
+
+  finishPasskeyRegistration: async (userId, credential, name) => {
+    const { user } = await apiRequest('POST', '/users/me/passkeys', { credential, name });
+    return user;
+  },
+
+  removePasskey: async (userId, passkeyId) => {
+    const { user } = await apiRequest('DELETE', `/users/me/passkeys/${encodeURIComponent(passkeyId)}`);
+    return user;
+  },
+
+  getRecentActivity: async () => {
+    const { events } = await apiRequest('GET', '/users/me/activity');
+    return events;
+  },
+
+  exportData: async () => {
+    return apiRequest('GET', '/users/me/export');
+  },
+
+  deleteAccount: async (userId, password) => {
+    const { restoreUntil } = await apiRequest('DELETE', '/users/me', { password });
+    return { restoreUntil };
+  },
+
+  getAvatar: async () => {
+    const { image } = await apiRequest('GET', '/users/me/avatar');
+    return image;
+  },
+
+  setAvatar: async (userId, image) => {
+    const { user } = await apiRequest('PUT', '/users/me/avatar', { image });
+    return user;
+  },
+
+  removeAvatar: async () => {
+    const { user } = await apiRequest('DELETE', '/users/me/avatar');
+    return user;
+  },
+
+  adminListUsers: async () => {
+    const { users } = await apiRequest('GET', '/admin/users');
+    return users;
+  },
+
+  adminUpdateUser: async (userId, changes) => {
+    const { user } = await apiRequest('PATCH', `/admin/users/${encodeURIComponent(userId)}`, changes);
+    return user;
+  },
+
+  adminForcePasswordReset: async (userId) => {
+    const { user } = await apiRequest(
+      'POST',
+      `/admin/users/${encodeURIComponent(userId)}/password-reset`
+    );
+    return user;
+  },
+
+  adminDeleteUser: async (userId) => {
+    await apiRequest('DELETE', `/admin/users/${encodeURIComponent(userId)}`);
+  },
+
+  adminListAuditEvents: async ({ userId, type } = {}) => {
+    const query = new URLSearchParams();
+    if (userId) query.set('userId', userId);
+    if (type) query.set('type', type);
+    const { events } = await apiRequest('GET', `/admin/audit-log?${query.toString()}`);
+    return events;
+  },
+
+  adminImportUsers: async (rows, { dryRun = false } = {}) => {
+    return apiRequest('POST', '/admin/users/import', { rows, dryRun });
+  }
+});
+
+export let authService = API_CONFIG.mode === 'api' ? createApiAuthService() : createLocalAuthService();
+
+/**
+ * Replace the auth service used by every page
+ * @param {Object} service - Auth service implementation
+ */
+export const setAuthService = (service) => {
+  authService = service;
+};
+
+/**
+ * Find the user that owns the current session
+ * @returns {Promise<Object|null>} - Logged-in user or null
+ */
+export const restoreSessionUser = async () => {
+  const session = loadSession();
+  if (!session) return null;
+  const user = await authService.getCurrentUser(session);
+  if (!user) {
+    clearSession();
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Find the users behind the other signed-in accounts, dropping sessions the
+ * auth service no longer accepts
+ * @returns {Promise<Array>} - Users, in the order of loadOtherSessions
+ */
+export const loadOtherAccounts = async () => {
+  const users = await Promise.all(
+    loadOtherSessions().map(async (session) => {
+      const user = await authService.getCurrentUser(session);
+      if (!user) removeOtherSession(session.userId);
+      return user;
+    })
+  );
+  return users.filter(Boolean);
+};
+
+/**
+ * Make another signed-in account the active one, without logging in again
+ * @param {string} userId - Account to switch to
+ * @returns {Promise<Object>} - Its user
+ */
+export const switchToAccount = async (userId) => {
+  const session = loadOtherSessions().find((other) => other.userId === userId);
+  const user = session && (await authService.getCurrentUser(session));
+  if (!user) {
+    removeOtherSession(userId);
+    throw new AuthError(t('errors.accountSignedOut'), { code: 'UNAUTHORIZED' });
+  }
+  switchSession(userId);
+  return user;
+};
@@ -0,0 +1,184 @@
+// ============================================
+// AVATARS
+// ============================================
+// Profile photos are cropped to a square and scaled down in the browser
+// before upload, so only a small JPEG is ever stored. Each one is kept under
+// its own localStorage key rather than inside the users array, which keeps the
+// array small and means a photo can't push user records over the quota. The
+// user record only carries `avatarUpdatedAt`, so pages know when to reload it.
+
+import { getLocale } from './locale.js';
+
+export const AVATAR_CONFIG = {
+  storageKeyPrefix: 'avatar:', // followed by the user ID
+  acceptedTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  maxFileBytes: 10 * 1024 * 1024, // the file as picked, before resizing
+  size: 256, // stored photos are size x size pixels
+  outputType: 'image/jpeg',
+  outputQuality: 0.85,
+  maxStoredLength: 256 * 1024 // characters of the stored data URL
+};
+
+/**
+ * localStorage key holding a user's photo
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const getAvatarStorageKey = (userId) => `${AVATAR_CONFIG.storageKeyPrefix}${userId}`;
+
+/**
+ * Read a user's photo from storage
+ * @param {string} userId - User ID
+ * @returns {string|null} - Image as a data URL, or null if there is none
+ */
+export const loadAvatar = (userId) => localStorage.getItem(getAvatarStorageKey(userId));
+
+/**
+ * Store a user's photo. Throws if the browser is out of storage space.
+ * @param {string} userId - User ID
+ * @param {string} image - Image as a data URL
+ */
+export const saveAvatar = (userId, image) => {
+  localStorage.setItem(getAvatarStorageKey(userId), image);
+};
+
+/**
+ * Remove a user's photo from storage
+ * @param {string} userId - User ID
+ */
+export const removeAvatar = (userId) => {
+  localStorage.removeItem(getAvatarStorageKey(userId));
+};
+
+/**
+ * Check that an uploaded photo is an image data URL of a sensible size
+ * @param {*} image - Value to check
+ * @returns {boolean}
+ */
+export const isValidAvatarImage = (image) => {
+  return (
+    typeof image === 'string' &&
+    image.length <= AVATAR_CONFIG.maxStoredLength &&
+    /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+={0,2}$/.test(image)
+  );
+};
+
+/**
+ * Check a picked or dropped file before trying to read it
+ * @param {File} file - File from an input or a drop
+ * @returns {Object|null} - Problem as { key, params } for t(), or null if it's usable
+ */
+export const checkAvatarFile = (file) => {
+  if (!AVATAR_CONFIG.acceptedTypes.includes(file.type)) {
+    return { key: 'avatar.errors.type', params: {} };
+  }
+  if (file.size > AVATAR_CONFIG.maxFileBytes) {
+    return { key: 'avatar.errors.tooLarge', params: { size: AVATAR_CONFIG.maxFileBytes / (1024 * 1024) } };
+  }
+  return null;
+};
+
+/**
+ * Decode an image file
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} - { image, url }: the loaded <img> and the object
+ *   URL it was loaded from (release it with URL.revokeObjectURL when done)
+ */
+export const loadImageFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => resolve({ image, url });
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Unreadable image'));
+    };
+    image.src = url;
+  });
+};
+
+/**
+ * Keep a crop square inside the image
+ * @param {Object} image - { naturalWidth, naturalHeight }
+ * @param {Object} crop - { x, y, size } in image pixels
+ * @returns {Object} - Adjusted crop
+ */
+export const clampCrop = (image, { x, y, size }) => {
+  const clampedSize = Math.min(size, image.naturalWidth, image.naturalHeight);
+  return {
+    x: Math.min(Math.max(x, 0), image.naturalWidth - clampedSize),
+    y: Math.min(Math.max(y, 0), image.naturalHeight - clampedSize),
+    size: clampedSize
+  };
+};
+
+/**
+ * The largest square in the middle of an image
+ * @param {Object} image - { naturalWidth, naturalHeight }
+ * @returns {Object} - Crop as { x, y, size }
+ */
+export const getDefaultCrop = (image) => {
+  const size = Math.min(image.naturalWidth, image.naturalHeight);
+  return {
+    x: (image.naturalWidth - size) / 2,
+    y: (image.naturalHeight - size) / 2,
+    size
+  };
+};
+
+/**
+ * Cut the cropped square out of an image and scale it to AVATAR_CONFIG.size.
+ * Large images are halved step by step first: a single big reduction on a
+ * canvas skips most of the source pixels and looks grainy.
+ * @param {HTMLImageElement} image - Loaded image
+ * @param {Object} crop - { x, y, size } in image pixels
+ * @returns {string} - JPEG data URL
+ */
+export const renderAvatar = (image, crop) => {
+  const target = AVATAR_CONFIG.size;
+  let source = image;
+  let { x, y, size } = crop;
+
+  while (size / 2 >= target) {
+    const half = document.createElement('canvas');
+    half.width = half.height = Math.round(size / 2);
+    const context = half.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, x, y, size, size, 0, 0, half.width, half.height);
+    source = half;
+    x = 0;
+    y = 0;
+    size = half.width;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = target;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency: put see-through parts on white, not black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, target, target);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, x, y, size, size, 0, 0, target, target);
+  return canvas.toDataURL(AVATAR_CONFIG.outputType, AVATAR_CONFIG.outputQuality);
+};
+
+/**
+ * Initials shown in place of a missing photo, e.g. 'JD'
+ * @param {Object} user - Public user record
+ * @returns {string}
+ */
+export const getInitials = (user) => {
+  // Array.from splits by character, so letters outside the BMP stay whole
+  const initial = (name) => Array.from((name || '').trim())[0] || '';
+  return `${initial(user.firstName)}${initial(user.lastName)}`.toLocaleUpperCase(getLocale()) || '?';
+};
+
+/**
+ * Background colour for an initials avatar, the same for an account every time
+ * @param {Object} user - Public user record
+ * @returns {string} - CSS colour
+ */
+export const getAvatarColor = (user) => {
+  const hash = Array.from(user.id || '').reduce((sum, char) => (sum * 31 + char.codePointAt(0)) % 360, 0);
+  return `hsl(${hash}, 45%, 42%)`;
+};
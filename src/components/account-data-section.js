@@ -0,0 +1,127 @@
+// ============================================
+// ACCOUNT DATA COMPONENT (export and deletion, shown on the profile page)
+// ============================================
+
+import React, { useState } from 'react';
+import { ACCOUNT_DELETION_CONFIG } from '../account-deletion.js';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { downloadJson } from '../utils.js';
+import { getFieldAriaProps, useFocusOnFieldErrors } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+export function AccountDataSection({ user, onAccountDeleted }) {
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  useFocusOnFieldErrors(fieldErrors, { password: 'deletePassword' });
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  /**
+   * Download everything stored about the user as JSON
+   */
+  const handleExport = async () => {
+    setError('');
+    try {
+      const data = await authService.exportData(user.id);
+      downloadJson(`account-data-${new Date().toISOString().slice(0, 10)}.json`, data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Leave the confirmation step without deleting anything
+   */
+  const handleCancel = () => {
+    setIsConfirming(false);
+    setPassword('');
+    setFieldErrors({});
+    setError('');
+  };
+
+  /**
+   * Delete the account once the password has been confirmed
+   */
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (!password) {
+      setFieldErrors({ password: t('validation.confirmWithPassword') });
+      return;
+    }
+
+    setIsDeleting(true);
+    let result;
+    try {
+      result = await authService.deleteAccount(user.id, password);
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+      setIsDeleting(false);
+      return;
+    }
+
+    onAccountDeleted(result);
+  };
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('accountData.title')}</h2>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      <p className="page-subtitle">{t('accountData.subtitle')}</p>
+
+      {!isConfirming ? (
+        <div className="button-group">
+          <button type="button" className="btn btn-outline" onClick={handleExport}>
+            {t('accountData.download')}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setIsConfirming(true)}>
+            {t('accountData.delete')}
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleDelete}>
+          <div className="alert alert-error" role="alert">
+            {ACCOUNT_DELETION_CONFIG.gracePeriodMs > 0
+              ? t('accountData.deleteWarning', {
+                  count: Math.round(ACCOUNT_DELETION_CONFIG.gracePeriodMs / 86400000)
+                })
+              : t('accountData.deleteWarningNow')}
+          </div>
+
+          {/* Password Confirmation */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="deletePassword">
+              {t('fields.confirmWithPassword')}
+            </label>
+            <input
+              type="password"
+              id="deletePassword"
+              {...getFieldAriaProps('deletePassword', fieldErrors.password)}
+              className={`form-input ${fieldErrors.password ? 'error' : ''}`}
+              placeholder={t('placeholders.password')}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <FieldError id="deletePassword" message={fieldErrors.password} />
+          </div>
+
+          <div className="button-group">
+            <button type="submit" className="btn" disabled={isDeleting}>
+              {isDeleting ? t('accountData.deleting') : t('accountData.deleteConfirm')}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleCancel}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
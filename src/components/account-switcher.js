@@ -0,0 +1,82 @@
+// ============================================
+// ACCOUNT SWITCHER COMPONENT (shown in the profile header)
+// ============================================
+
+import React, { useState } from 'react';
+import { t } from '../locale.js';
+
+/**
+ * How an account is named in the switcher
+ * @param {Object} user - Public user record
+ * @returns {string} - e.g. 'Ada Lovelace (ada@example.com)'
+ */
+const describeAccount = (user) => {
+  return t('accounts.option', { name: `${user.firstName} ${user.lastName}`, email: user.email });
+};
+
+export function AccountSwitcher({ user, otherAccounts, onSwitch, onAdd, onSignOutAll }) {
+  const [error, setError] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  /**
+   * Make the chosen account the active one
+   */
+  const handleChange = async (e) => {
+    const userId = e.target.value;
+    if (userId === user.id) return;
+    setError('');
+    setIsBusy(true);
+    try {
+      await onSwitch(userId);
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsBusy(false);
+  };
+
+  /**
+   * Sign out of every account on this browser
+   */
+  const handleSignOutAll = async () => {
+    setError('');
+    setIsBusy(true);
+    await onSignOutAll();
+  };
+
+  return (
+    <div className="account-switcher">
+      <div className="account-switcher-controls">
+        <label className="form-label" htmlFor="activeAccount">
+          {t('accounts.switch')}
+        </label>
+        <select
+          id="activeAccount"
+          className="form-input"
+          value={user.id}
+          disabled={isBusy || otherAccounts.length === 0}
+          onChange={handleChange}
+        >
+          {[user, ...otherAccounts].map((account) => (
+            <option key={account.id} value={account.id}>
+              {describeAccount(account)}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn btn-outline btn-small" disabled={isBusy} onClick={onAdd}>
+          {t('accounts.add')}
+        </button>
+        {otherAccounts.length > 0 && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-small"
+            disabled={isBusy}
+            onClick={handleSignOutAll}
+          >
+            {t('accounts.signOutAll')}
+          </button>
+        )}
+      </div>
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// ============================================
+// ACTIVITY COMPONENTS (profile and admin console)
+// ============================================
+
+import React, { useState, useEffect } from 'react';
+import ProfileFields from '../../profile-fields.js';
+import { AUDIT_EVENT_TYPES } from '../audit-log.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { subscribeToSync } from '../sync.js';
+import { formatDateTime } from '../utils.js';
+
+function AuditEntryList({ entries, showAccount }) {
+  return (
+    <ul className="activity-list">
+      {entries.map((entry) => (
+        <li className="activity-item" key={entry.id}>
+          <div className="activity-summary">
+            <span className="activity-type">{AUDIT_EVENT_TYPES[entry.type] ? t(AUDIT_EVENT_TYPES[entry.type]) : entry.type}</span>
+            <time dateTime={entry.at}>{formatDateTime(entry.at)}</time>
+          </div>
+          {showAccount && (
+            <div className="activity-detail">{entry.email || t('activity.unknownAccount')}</div>
+          )}
+          {entry.changes &&
+            Object.entries(entry.changes).map(([field, { from, to }]) => (
+              <div className="activity-detail" key={field}>
+                {t('activity.change', {
+                  field: ProfileFields.getField(field) ? t(ProfileFields.getField(field).label) : field,
+                  from: from || t('profile.notSet'),
+                  to: to || t('profile.notSet')
+                })}
+              </div>
+            ))}
+          <div className="activity-detail activity-agent" title={entry.userAgent}>
+            {entry.userAgent}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function ActivitySection({ user }) {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState('');
+
+  // Reload after anything that changes the account (and so may add an entry)
+  useEffect(() => {
+    authService
+      .getRecentActivity(user.id)
+      .then(setEntries)
+      .catch((err) => setError(err.message));
+  }, [user.id, user.updatedAt]);
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('activity.recentTitle')}</h2>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      {entries.length > 0 ? (
+        <AuditEntryList entries={entries} />
+      ) : (
+        !error && <p className="page-subtitle">{t('activity.none')}</p>
+      )}
+    </div>
+  );
+}
+
+export function AuditLogPanel({ users }) {
+  const [entries, setEntries] = useState([]);
+  const [userId, setUserId] = useState('');
+  const [type, setType] = useState('');
+  const [error, setError] = useState('');
+
+  // Load whenever the filters change, and again when accounts change elsewhere
+  useEffect(() => {
+    const loadEntries = () => {
+      authService
+        .adminListAuditEvents({ userId, type })
+        .then((events) => {
+          setEntries(events);
+          setError('');
+        })
+        .catch((err) => setError(err.message));
+    };
+    loadEntries();
+    return subscribeToSync((message) => {
+      if (message.type === 'users-changed') loadEntries();
+    });
+  }, [userId, type]);
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('activity.logTitle')}</h2>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      <div className="form-row activity-filters">
+        <select
+          className="form-input"
+          aria-label={t('activity.filterAccount')}
+          value={userId}
+          onChange={(e) => setUserId(e.target.value)}
+        >
+          <option value="">{t('activity.allAccounts')}</option>
+          {users.map((user) => (
+            <option key={user.id} value={user.id}>{user.email}</option>
+          ))}
+        </select>
+        <select
+          className="form-input"
+          aria-label={t('activity.filterEvent')}
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        >
+          <option value="">{t('activity.allEvents')}</option>
+          {Object.entries(AUDIT_EVENT_TYPES).map(([key, labelKey]) => (
+            <option key={key} value={key}>{t(labelKey)}</option>
+          ))}
+        </select>
+      </div>
+
+      {entries.length > 0 ? (
+        <AuditEntryList entries={entries} showAccount />
+      ) : (
+        <p className="admin-empty">{t('activity.noMatches')}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+// ============================================
+// ADMIN COMPONENT
+// ============================================
+
+import React, { useState, useEffect } from 'react';
+import { isDeletionPending } from '../account-deletion.js';
+import { authService } from '../auth-service.js';
+import { isEmailUnverified } from '../email-verification.js';
+import { getLocale, t } from '../locale.js';
+import { USER_ROLES } from '../migrations.js';
+import { subscribeToSync } from '../sync.js';
+import { formatDate } from '../utils.js';
+import { AuditLogPanel } from './activity.js';
+import { UserTransferSection } from './user-transfer-section.js';
+
+const ADMIN_PAGE_SIZE = 10;
+
+/**
+ * Describe an account's state for the admin table
+ * @param {Object} user - Public user record
+ * @returns {string} - Status label in the active language
+ */
+const getAccountStatus = (user) => {
+  if (isDeletionPending(user)) return t('admin.status.pendingDeletion');
+  if (user.disabled) return t('admin.status.disabled');
+  if (user.passwordResetRequired) return t('admin.status.resetRequired');
+  if (isEmailUnverified(user)) return t('admin.status.unverified');
+  return t('admin.status.active');
+};
+
+// Sortable columns of the admin table; `label` is a message key and `value`
+// gives the string to sort by
+const ADMIN_COLUMNS = [
+  { key: 'name', label: 'admin.column.name', value: (u) => `${u.firstName} ${u.lastName}`.toLowerCase() },
+  { key: 'email', label: 'admin.column.email', value: (u) => u.email.toLowerCase() },
+  { key: 'role', label: 'admin.column.role', value: (u) => u.role },
+  { key: 'status', label: 'admin.column.status', value: getAccountStatus },
+  { key: 'memberSince', label: 'admin.column.memberSince', value: (u) => u.memberSince }
+];
+
+export function AdminPage({ currentUser, onNavigate }) {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'memberSince', direction: 'asc' });
+  const [page, setPage] = useState(0);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  /**
+   * Fetch every account from the auth service
+   */
+  const loadUsers = async () => {
+    try {
+      setUsers(await authService.adminListUsers());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Load on open, and again whenever accounts change in another tab
+  useEffect(() => {
+    loadUsers();
+    return subscribeToSync((message) => {
+      if (message.type === 'users-changed') loadUsers();
+    });
+  }, []);
+
+  /**
+   * Sort by a column, or flip the direction if it's already the sort column
+   * @param {string} key - Column key
+   */
+  const handleSort = (key) => {
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+    setPage(0);
+  };
+
+  /**
+   * Run an admin action on one account and show the outcome
+   * @param {Object} user - Account being changed
+   * @param {Function} action - Returns the updated user, or nothing if it was deleted
+   * @param {string} message - Success message
+   */
+  const runAction = async (user, action, message) => {
+    setError('');
+    setSuccess('');
+    setBusyUserId(user.id);
+    try {
+      const updatedUser = await action();
+      setUsers((prev) =>
+        updatedUser
+          ? prev.map((u) => (u.id === updatedUser.id ? updatedUser : u))
+          : prev.filter((u) => u.id !== user.id)
+      );
+      setSuccess(message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleToggleDisabled = (user) => {
+    runAction(
+      user,
+      () => authService.adminUpdateUser(user.id, { disabled: !user.disabled }),
+      t(user.disabled ? 'admin.enabled' : 'admin.disabled', { email: user.email })
+    );
+  };
+
+  const handleRoleChange = (user, role) => {
+    runAction(
+      user,
+      () => authService.adminUpdateUser(user.id, { role }),
+      t(role === 'admin' ? 'admin.nowAdmin' : 'admin.nowUser', { email: user.email })
+    );
+  };
+
+  const handleForceReset = (user) => {
+    runAction(
+      user,
+      () => authService.adminForcePasswordReset(user.id),
+      t('admin.resetForced', { email: user.email })
+    );
+  };
+
+  const handleDelete = (user) => {
+    if (!window.confirm(t('admin.confirmDelete', { email: user.email }))) return;
+    runAction(user, () => authService.adminDeleteUser(user.id), t('admin.deleted', { email: user.email }));
+  };
+
+  // Search, sort and paginate
+  const normalizedQuery = query.trim().toLowerCase();
+  const matchingUsers = users.filter((user) =>
+    `${user.firstName} ${user.lastName} ${user.email}`.toLowerCase().includes(normalizedQuery)
+  );
+  const sortColumn = ADMIN_COLUMNS.find((column) => column.key === sort.key);
+  const sortedUsers = [...matchingUsers].sort((a, b) => {
+    const order = sortColumn.value(a).localeCompare(sortColumn.value(b), getLocale());
+    return sort.direction === 'asc' ? order : -order;
+  });
+  const pageCount = Math.max(1, Math.ceil(sortedUsers.length / ADMIN_PAGE_SIZE));
+  const pageIndex = Math.min(page, pageCount - 1);
+  const visibleUsers = sortedUsers.slice(
+    pageIndex * ADMIN_PAGE_SIZE,
+    (pageIndex + 1) * ADMIN_PAGE_SIZE
+  );
+
+  return (
+    <div className="app-container">
+      <div className="profile-container admin-container">
+        <div className="profile-header">
+          <div className="profile-header-content">
+            <h1 className="profile-title">{t('admin.title')}</h1>
+            <button className="btn btn-secondary" onClick={() => onNavigate('profile')}>
+              {t('common.backToProfile')}
+            </button>
+          </div>
+          <p className="page-subtitle">{t('admin.accountCount', { count: users.length })}</p>
+
+          {success && <div className="alert alert-success" role="status">{success}</div>}
+          {error && <div className="alert alert-error" role="alert">{error}</div>}
+        </div>
+
+        <div className="profile-card">
+          <input
+            type="search"
+            className="form-input admin-search"
+            placeholder={t('admin.searchPlaceholder')}
+            aria-label={t('admin.searchLabel')}
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setPage(0);
+            }}
+          />
+
+          <div className="admin-table-wrapper">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  {ADMIN_COLUMNS.map((column) => (
+                    <th key={column.key}>
+                      <button
+                        type="button"
+                        className="admin-sort"
+                        onClick={() => handleSort(column.key)}
+                      >
+                        {t(column.label)}
+                        {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                  <th>{t('admin.column.actions')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleUsers.map((user) => {
+                  const isSelf = user.id === currentUser.id;
+                  const isBusy = busyUserId === user.id;
+                  return (
+                    <tr key={user.id}>
+                      <td>{user.firstName} {user.lastName}</td>
+                      <td>{user.email}</td>
+                      <td>
+                        {isSelf ? (
+                          t(`roles.${user.role}`)
+                        ) : (
+                          <select
+                            className="form-input admin-role"
+                            aria-label={t('admin.roleFor', { email: user.email })}
+                            value={user.role}
+                            disabled={isBusy}
+                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                          >
+                            {USER_ROLES.map((role) => (
+                              <option key={role} value={role}>{t(`roles.${role}`)}</option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td>{getAccountStatus(user)}</td>
+                      <td>{formatDate(user.memberSince)}</td>
+                      <td>
+                        {isSelf ? (
+                          <span className="admin-self">{t('admin.self')}</span>
+                        ) : (
+                          <div className="admin-actions">
+                            <button
+                              type="button"
+                              className="btn btn-outline btn-small"
+                              disabled={isBusy}
+                              onClick={() => handleToggleDisabled(user)}
+                            >
+                              {user.disabled ? t('admin.enable') : t('admin.disable')}
+                            </button>
+                            <button
+                              type="button"
+                              className="btn btn-outline btn-small"
+                              disabled={isBusy}
+                              onClick={() => handleForceReset(user)}
+                            >
+                              {t('admin.forceReset')}
+                            </button>
+                            <button
+                              type="button"
+                              className="btn btn-secondary btn-small"
+                              disabled={isBusy}
+                              onClick={() => handleDelete(user)}
+                            >
+                              {t('admin.delete')}
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {isLoading && <p className="admin-empty">{t('admin.loading')}</p>}
+          {!isLoading && visibleUsers.length === 0 && (
+            <p className="admin-empty">{t('admin.noMatches')}</p>
+          )}
+
+          {/* Pagination */}
+          <div className="admin-pagination">
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              disabled={pageIndex === 0}
+              onClick={() => setPage(pageIndex - 1)}
+            >
+              {t('admin.previous')}
+            </button>
+            <span>{t('admin.page', { page: pageIndex + 1, pages: pageCount })}</span>
+            <button
+              type="button"
+              className="btn btn-outline btn-small"
+              disabled={pageIndex >= pageCount - 1}
+              onClick={() => setPage(pageIndex + 1)}
+            >
+              {t('admin.next')}
+            </button>
+          </div>
+        </div>
+
+        {/* Import and Export */}
+        <UserTransferSection onImported={loadUsers} />
+
+        {/* Audit Log */}
+        <AuditLogPanel users={users} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,435 @@
+// ============================================
+// MAIN APP COMPONENT
+// ============================================
+
+import React, { useState, useEffect, useRef } from 'react';
+import ReactDOM from 'react-dom';
+import {
+  authService,
+  restoreSessionUser,
+  loadOtherAccounts,
+  switchToAccount
+} from '../auth-service.js';
+import { getLocale, t, setLocale, reloadLocale } from '../locale.js';
+import { navigateTo, getRouteRedirect, useHashRoute } from '../routing.js';
+import {
+  SESSION_CONFIG,
+  createSession,
+  loadSession,
+  touchSession,
+  clearSession,
+  loadOtherSessions,
+  removeOtherSession,
+  clearAllSessions
+} from '../sessions.js';
+import { broadcastSync, subscribeToSync } from '../sync.js';
+import { formatDate } from '../utils.js';
+import { AdminPage } from './admin-page.js';
+import { ForgotPasswordPage } from './forgot-password-page.js';
+import { LanguageSwitcher } from './language-switcher.js';
+import { LoginPage } from './login-page.js';
+import { NotFoundPage } from './not-found-page.js';
+import { OutboxPage } from './outbox-page.js';
+import { ProfilePage } from './profile-page.js';
+import { RegisterPage } from './register-page.js';
+import { ResetPasswordPage } from './reset-password-page.js';
+import { StorageNotices } from './storage-notices.js';
+import { VerifyEmailPage } from './verify-email-page.js';
+
+export function App() {
+  // Application state (isRestoring until the saved session has been checked)
+  const [currentUser, setCurrentUser] = useState(null);
+  // Other accounts signed in on this browser, available without a password
+  const [otherAccounts, setOtherAccounts] = useState([]);
+  const [accountsVersion, setAccountsVersion] = useState(0);
+  const [isRestoring, setIsRestoring] = useState(true);
+  const [loginNotice, setLoginNotice] = useState('');
+  // Message for the profile page of the account the app carries on as
+  const [profileNotice, setProfileNotice] = useState('');
+  // Changing it re-renders every page in the new language
+  const [locale, setActiveLocale] = useState(getLocale);
+  const route = useHashRoute();
+  // The page last shown, and the element pages render into (for focus)
+  const shownPage = useRef(null);
+  const mainRef = useRef(null);
+
+  /**
+   * Drop the current session. Protected pages then redirect to login and
+   * come back here once the user logs in again.
+   * @param {string} notice - Message explaining why, shown on the login page
+   */
+  const endSession = (notice) => {
+    clearSession();
+    setCurrentUser(null);
+    setLoginNotice(notice);
+  };
+
+  // Restore the logged-in user from a saved session on first load
+  useEffect(() => {
+    restoreSessionUser()
+      .then((user) => {
+        setCurrentUser(user);
+      })
+      .catch((err) => {
+        // e.g. the API server is down; the saved session is kept for next time
+        setLoginNotice(err.message);
+      })
+      .finally(() => {
+        setIsRestoring(false);
+      });
+  }, []);
+
+  // Look up the other signed-in accounts whenever the active one changes
+  useEffect(() => {
+    if (isRestoring) return undefined;
+
+    let isCurrent = true;
+    loadOtherAccounts()
+      .catch(() => [])
+      .then((users) => {
+        if (isCurrent) setOtherAccounts(users);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [currentUser, isRestoring, accountsVersion]);
+
+  /**
+   * Look up the other signed-in accounts again
+   */
+  const refreshOtherAccounts = () => {
+    setAccountsVersion((version) => version + 1);
+  };
+
+  // Redirect routes that don't fit the auth state (e.g. #/profile when logged out)
+  useEffect(() => {
+    // Wait for the hashchange if a navigation is still on its way to `route`
+    if (isRestoring || window.location.hash.replace(/^#/, '') !== route.fullPath) return;
+    const redirect = getRouteRedirect(route, currentUser);
+    if (redirect) window.location.replace(redirect);
+  }, [route, currentUser, isRestoring]);
+
+  // Keep the session alive while the user is active and log out once it expires
+  useEffect(() => {
+    if (!currentUser) return undefined;
+
+    let lastTouch = 0;
+    const handleActivity = () => {
+      // Throttle storage writes to once every few seconds
+      if (Date.now() - lastTouch < 5000) return;
+      lastTouch = Date.now();
+      if (!touchSession()) expireSession();
+    };
+
+    const expireSession = () => {
+      endSession(t('errors.sessionExpired'));
+    };
+
+    const checkSession = () => {
+      if (!loadSession()) expireSession();
+    };
+
+    const activityEvents = ['click', 'keydown', 'mousemove', 'touchstart'];
+    activityEvents.forEach((name) => window.addEventListener(name, handleActivity));
+    const intervalId = setInterval(checkSession, SESSION_CONFIG.checkIntervalMs);
+
+    return () => {
+      activityEvents.forEach((name) => window.removeEventListener(name, handleActivity));
+      clearInterval(intervalId);
+    };
+  }, [currentUser]);
+
+  // Follow logins, logouts and account changes made in other tabs
+  useEffect(() => {
+    if (isRestoring) return undefined;
+
+    return subscribeToSync(async (message) => {
+      const session = loadSession();
+
+      if (message.type === 'logout') {
+        if (!currentUser || message.userId !== currentUser.id) return;
+        if (!session || session.userId === message.userId) {
+          endSession(t('session.loggedOutElsewhere'));
+          return;
+        }
+        // The other tab carried on as another account, whose session must stay
+        const user = await restoreSessionUser();
+        if (user) {
+          setCurrentUser(user);
+        } else {
+          endSession(t('session.loggedOutElsewhere'));
+        }
+        return;
+      }
+
+      if (message.type === 'session-changed') {
+        refreshOtherAccounts();
+        if (!session && currentUser) {
+          endSession(t('session.loggedOutElsewhere'));
+        } else if (session && (!currentUser || session.userId !== currentUser.id)) {
+          // Logged in (or switched user) in another tab
+          const user = await restoreSessionUser();
+          if (user) setCurrentUser(user);
+        }
+        return;
+      }
+
+      if (message.type === 'users-changed' && currentUser && session) {
+        // Pick up profile edits saved in another tab
+        const user = await authService.getCurrentUser(session);
+        if (user) {
+          setCurrentUser(user);
+        } else {
+          endSession(t('session.accountUnavailable'));
+        }
+      }
+    });
+  }, [currentUser, isRestoring]);
+
+  // Follow a language chosen in another tab
+  useEffect(() => {
+    return subscribeToSync((message) => {
+      if (message.type === 'locale-changed') {
+        reloadLocale();
+        setActiveLocale(getLocale());
+      }
+    });
+  }, []);
+
+  /**
+   * Switch the whole app to another language
+   * @param {string} nextLocale - Key of I18n.LOCALES
+   */
+  const handleLocaleChange = (nextLocale) => {
+    setLocale(nextLocale);
+    setActiveLocale(getLocale());
+  };
+
+  /**
+   * Leave the login page once another account has been added, without
+   * keeping it in the history
+   */
+  const finishAddingAccount = () => {
+    if (route.page === 'login' && route.params.add) {
+      navigateTo('profile', {}, { replace: true });
+    }
+  };
+
+  /**
+   * Handle successful login (the login route then redirects to returnTo or the profile).
+   * An account that was already signed in stays available in the switcher.
+   */
+  const handleLogin = (user, { remember = false, token } = {}) => {
+    createSession(user.id, remember, token);
+    setLoginNotice('');
+    setProfileNotice('');
+    setCurrentUser(user);
+    finishAddingAccount();
+  };
+
+  /**
+   * Make another signed-in account the active one
+   * @param {string} userId - Account to switch to
+   */
+  const handleSwitchAccount = async (userId) => {
+    let user;
+    try {
+      user = await switchToAccount(userId);
+    } catch (err) {
+      // That account's session has ended, so it leaves the list
+      refreshOtherAccounts();
+      throw err;
+    }
+    setLoginNotice('');
+    setProfileNotice('');
+    setCurrentUser(user);
+    finishAddingAccount();
+  };
+
+  /**
+   * Open the login page to sign in to one more account
+   */
+  const handleAddAccount = () => {
+    navigateTo('login', { add: 1 });
+  };
+
+  /**
+   * Handle successful registration
+   */
+  const handleRegister = () => {
+    navigateTo('login');
+  };
+
+  /**
+   * Sign out in this tab and any other tab showing the same user
+   * @param {string} notice - Optional message for the login page
+   */
+  const signOut = (notice = '') => {
+    clearSession();
+    refreshOtherAccounts();
+    broadcastSync({ type: 'logout', userId: currentUser.id });
+    // React renders hashchange updates synchronously, so apply the logout now;
+    // otherwise #/login could render with the user still set and bounce back
+    navigateTo('login');
+    ReactDOM.flushSync(() => {
+      setCurrentUser(null);
+      setLoginNotice(notice);
+    });
+  };
+
+  /**
+   * Leave the active account: carry on as the next signed-in account if
+   * there is one, otherwise sign out
+   * @param {string} notice - Optional message for the page shown next
+   */
+  const continueAsNextAccount = async (notice = '') => {
+    for (const account of switchableAccounts) {
+      const user = await switchToAccount(account.id).catch(() => null);
+      if (user) {
+        removeOtherSession(currentUser.id);
+        broadcastSync({ type: 'logout', userId: currentUser.id });
+        setProfileNotice(notice);
+        setCurrentUser(user);
+        return;
+      }
+    }
+    signOut(notice);
+  };
+
+  /**
+   * Handle logout
+   */
+  const handleLogout = async () => {
+    await authService.logout();
+    await continueAsNextAccount();
+  };
+
+  /**
+   * Sign every account out of this browser
+   */
+  const handleSignOutAll = async () => {
+    await Promise.all(loadOtherSessions().map((session) => authService.logout(session)));
+    await authService.logout();
+    clearAllSessions();
+    otherAccounts.forEach((account) => broadcastSync({ type: 'logout', userId: account.id }));
+    signOut();
+  };
+
+  /**
+   * Handle a deleted account
+   * @param {Object} result - { restoreUntil } from authService.deleteAccount
+   */
+  const handleAccountDeleted = ({ restoreUntil }) => {
+    return continueAsNextAccount(
+      restoreUntil
+        ? t('session.accountDeletedRestorable', { date: formatDate(restoreUntil) })
+        : t('session.accountDeleted')
+    );
+  };
+
+  /**
+   * Handle profile updates
+   */
+  const handleUpdateProfile = (updatedUser) => {
+    setCurrentUser(updatedUser);
+  };
+
+  /**
+   * Handle a confirmed email address
+   */
+  const handleVerified = (user) => {
+    if (currentUser && currentUser.id === user.id) {
+      setCurrentUser({ ...user });
+    }
+  };
+
+  /**
+   * Handle navigation between pages
+   * @param {string} page - Route name (see ROUTES)
+   * @param {Object} params - Optional values for the page (e.g. a prefilled email)
+   */
+  const handleNavigate = (page, params = {}) => {
+    navigateTo(page, params);
+  };
+
+  // Until the lookup catches up with a switch, the list may hold the active account
+  const switchableAccounts = otherAccounts.filter((account) => !currentUser || account.id !== currentUser.id);
+
+  // Nothing is shown while the session loads or a redirect is pending
+  const currentPage =
+    isRestoring || getRouteRedirect(route, currentUser) ? null : route.page;
+  const pageParams = route.params;
+
+  // Move focus to the heading of each new page, so keyboard and screen reader
+  // users start from the top of it rather than from a link that is now gone
+  useEffect(() => {
+    if (!currentPage) return;
+    const previousPage = shownPage.current;
+    shownPage.current = currentPage;
+    if (!previousPage || previousPage === currentPage) return;
+    const heading = mainRef.current && mainRef.current.querySelector('h1');
+    if (heading) {
+      heading.tabIndex = -1;
+      heading.focus();
+    }
+  }, [currentPage]);
+
+  // Render current page based on route
+  return (
+    <div>
+      <header>
+        <LanguageSwitcher locale={locale} onChange={handleLocaleChange} />
+      </header>
+      <main ref={mainRef}>
+        <StorageNotices />
+        {currentPage === 'login' && (
+          <LoginPage
+            onLogin={handleLogin}
+            onNavigate={handleNavigate}
+            notice={loginNotice}
+            accounts={switchableAccounts}
+            isAddingAccount={Boolean(currentUser)}
+            onSwitchAccount={handleSwitchAccount}
+          />
+        )}
+        {currentPage === 'register' && (
+          <RegisterPage onRegister={handleRegister} onNavigate={handleNavigate} />
+        )}
+        {currentPage === 'verify-email' && (
+          <VerifyEmailPage
+            initialEmail={pageParams.email}
+            currentUser={currentUser}
+            onVerified={handleVerified}
+            onNavigate={handleNavigate}
+          />
+        )}
+        {currentPage === 'forgot-password' && (
+          <ForgotPasswordPage onNavigate={handleNavigate} />
+        )}
+        {currentPage === 'reset-password' && (
+          <ResetPasswordPage initialToken={pageParams.token} onNavigate={handleNavigate} />
+        )}
+        {currentPage === 'outbox' && <OutboxPage onNavigate={handleNavigate} />}
+        {currentPage === 'profile' && (
+          <ProfilePage
+            key={currentUser.id}
+            user={currentUser}
+            onLogout={handleLogout}
+            otherAccounts={switchableAccounts}
+            onSwitchAccount={handleSwitchAccount}
+            onAddAccount={handleAddAccount}
+            onSignOutAll={handleSignOutAll}
+            onUpdateProfile={handleUpdateProfile}
+            onAccountDeleted={handleAccountDeleted}
+            onNavigate={handleNavigate}
+            notice={profileNotice}
+          />
+        )}
+        {currentPage === 'admin' && (
+          <AdminPage currentUser={currentUser} onNavigate={handleNavigate} />
+        )}
+        {currentPage === 'not-found' && <NotFoundPage currentUser={currentUser} />}
+      </main>
+    </div>
+  );
+}
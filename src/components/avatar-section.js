@@ -0,0 +1,326 @@
+// ============================================
+// AVATAR COMPONENTS (shown on the profile page)
+// ============================================
+import React, { useState, useEffect, useRef } from 'react';
+import { authService } from '../auth-service.js';
+import {
+  AVATAR_CONFIG,
+  checkAvatarFile,
+  loadImageFile,
+  clampCrop,
+  getDefaultCrop,
+  renderAvatar,
+  getInitials,
+  getAvatarColor
+} from '../avatars.js';
+import { t } from '../locale.js';
+
+// Width and height of the crop preview, in CSS pixels
+const AVATAR_CROP_VIEWPORT = 240;
+
+/**
+ * Load a user's photo, reloading whenever it changes
+ * @param {Object} user - Public user record
+ * @returns {string|null} - Image as a data URL, or null if there is none
+ */
+const useAvatarImage = (user) => {
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    if (!user.avatarUpdatedAt) {
+      setImage(null);
+      return undefined;
+    }
+    let cancelled = false;
+    authService
+      .getAvatar(user.id)
+      .then((loaded) => {
+        if (!cancelled) setImage(loaded);
+      })
+      .catch(() => {
+        // Fall back to the initials
+        if (!cancelled) setImage(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user.id, user.avatarUpdatedAt]);
+
+  return image;
+};
+
+function Avatar({ user, image, size = 96 }) {
+  const name = `${user.firstName} ${user.lastName}`.trim();
+  const style = { width: size, height: size };
+
+  if (image) {
+    return <img className="avatar" src={image} alt={t('avatar.alt', { name })} style={style} />;
+  }
+  return (
+    <span
+      className="avatar avatar-initials"
+      role="img"
+      aria-label={t('avatar.alt', { name })}
+      style={{ ...style, backgroundColor: getAvatarColor(user), fontSize: size * 0.4 }}
+    >
+      {getInitials(user)}
+    </span>
+  );
+}
+
+function AvatarCropper({ image, src, crop, onChange }) {
+  // Where the current drag started: pointer position and crop at that moment
+  const dragStart = useRef(null);
+  const scale = AVATAR_CROP_VIEWPORT / crop.size;
+  const fullSize = Math.min(image.naturalWidth, image.naturalHeight);
+  const zoom = fullSize / crop.size;
+
+  /**
+   * Zoom around the middle of the current crop
+   */
+  const handleZoom = (e) => {
+    const size = fullSize / Number(e.target.value);
+    const centerX = crop.x + crop.size / 2;
+    const centerY = crop.y + crop.size / 2;
+    onChange(clampCrop(image, { x: centerX - size / 2, y: centerY - size / 2, size }));
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStart.current = { pointerX: e.clientX, pointerY: e.clientY, crop };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStart.current) return;
+    const { pointerX, pointerY, crop: startCrop } = dragStart.current;
+    // Dragging the picture right shows more of its left side
+    onChange(
+      clampCrop(image, {
+        ...startCrop,
+        x: startCrop.x - (e.clientX - pointerX) / scale,
+        y: startCrop.y - (e.clientY - pointerY) / scale
+      })
+    );
+  };
+
+  const handlePointerUp = () => {
+    dragStart.current = null;
+  };
+
+  /**
+   * Arrow keys move the picture by a tenth of the visible area
+   */
+  const handleKeyDown = (e) => {
+    const step = crop.size / 10;
+    const moves = {
+      ArrowLeft: [step, 0],
+      ArrowRight: [-step, 0],
+      ArrowUp: [0, step],
+      ArrowDown: [0, -step]
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    const [dx, dy] = moves[e.key];
+    onChange(clampCrop(image, { ...crop, x: crop.x + dx, y: crop.y + dy }));
+  };
+
+  return (
+    <div className="avatar-cropper">
+      <div
+        className="avatar-crop-viewport"
+        style={{ width: AVATAR_CROP_VIEWPORT, height: AVATAR_CROP_VIEWPORT }}
+        tabIndex={0}
+        aria-label={t('avatar.cropArea')}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+      >
+        <img
+          src={src}
+          alt=""
+          draggable={false}
+          style={{
+            width: image.naturalWidth * scale,
+            height: image.naturalHeight * scale,
+            left: -crop.x * scale,
+            top: -crop.y * scale
+          }}
+        />
+      </div>
+
+      <p className="page-subtitle">{t('avatar.cropHint')}</p>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="avatarZoom">
+          {t('avatar.zoom')}
+        </label>
+        <input
+          type="range"
+          id="avatarZoom"
+          className="avatar-zoom"
+          min="1"
+          max="4"
+          step="0.01"
+          value={zoom}
+          onChange={handleZoom}
+        />
+      </div>
+    </div>
+  );
+}
+
+export function AvatarSection({ user, onUpdateProfile }) {
+  const image = useAvatarImage(user);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  // { image, url, crop } while a new photo is being cropped
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInput = useRef(null);
+
+  // Release the draft's object URL once it is saved or dropped
+  const draftUrl = draft && draft.url;
+  useEffect(() => {
+    return () => {
+      if (draftUrl) URL.revokeObjectURL(draftUrl);
+    };
+  }, [draftUrl]);
+
+  /**
+   * Check a picked or dropped file and open it in the cropper
+   * @param {File} file - Image file
+   */
+  const openFile = async (file) => {
+    setError('');
+    setSuccess('');
+    if (!file) return;
+
+    const problem = checkAvatarFile(file);
+    if (problem) {
+      setError(t(problem.key, problem.params));
+      return;
+    }
+    try {
+      const loaded = await loadImageFile(file);
+      setDraft({ ...loaded, crop: getDefaultCrop(loaded.image) });
+    } catch (err) {
+      setError(t('avatar.errors.unreadable'));
+    }
+  };
+
+  const handleFileChange = (e) => {
+    openFile(e.target.files[0]);
+    // Let the same file be picked again after a cancel
+    e.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    openFile(e.dataTransfer.files[0]);
+  };
+
+  /**
+   * Shrink the cropped square and upload it
+   */
+  const handleSave = async () => {
+    setError('');
+    setIsSaving(true);
+    try {
+      onUpdateProfile(await authService.setAvatar(user.id, renderAvatar(draft.image, draft.crop)));
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+      return;
+    }
+    setIsSaving(false);
+    setDraft(null);
+    setSuccess(t('avatar.saved'));
+
+    // Clear success message after 3 seconds
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleRemove = async () => {
+    setError('');
+    setSuccess('');
+    try {
+      onUpdateProfile(await authService.removeAvatar(user.id));
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    setSuccess(t('avatar.removed'));
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('avatar.title')}</h2>
+
+      {success && <div className="alert alert-success" role="status">{success}</div>}
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      {draft ? (
+        <>
+          <AvatarCropper
+            image={draft.image}
+            src={draft.url}
+            crop={draft.crop}
+            onChange={(crop) => setDraft({ ...draft, crop })}
+          />
+          <div className="button-group">
+            <button type="button" className="btn" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? t('common.saving') : t('avatar.save')}
+            </button>
+            <button type="button" className="btn btn-outline" onClick={() => setDraft(null)}>
+              {t('common.cancel')}
+            </button>
+          </div>
+        </>
+      ) : (
+        <div
+          className={`avatar-dropzone ${isDragging ? 'dragging' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+        >
+          <Avatar user={user} image={image} />
+          <div className="avatar-dropzone-content">
+            <p className="page-subtitle">
+              {isDragging
+                ? t('avatar.dropHere')
+                : t('avatar.hint', { size: AVATAR_CONFIG.maxFileBytes / (1024 * 1024) })}
+            </p>
+            <input
+              type="file"
+              ref={fileInput}
+              className="avatar-file-input"
+              aria-label={t('avatar.upload')}
+              accept={AVATAR_CONFIG.acceptedTypes.join(',')}
+              onChange={handleFileChange}
+            />
+            <div className="header-actions">
+              <button type="button" className="btn btn-outline" onClick={() => fileInput.current.click()}>
+                {user.avatarUpdatedAt ? t('avatar.change') : t('avatar.upload')}
+              </button>
+              {user.avatarUpdatedAt && (
+                <button type="button" className="btn btn-secondary" onClick={handleRemove}>
+                  {t('avatar.remove')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
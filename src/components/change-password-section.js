@@ -0,0 +1,130 @@
+// ============================================
+// CHANGE PASSWORD COMPONENT (shown on the profile page)
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { validators, newPasswordRules, confirmPasswordRules, useForm } from '../validation.js';
+import { FieldError } from './field-error.js';
+import { PasswordFeedback } from './password-feedback.js';
+
+/**
+ * Schema for the change password form
+ * @param {Object} user - Signed-in user, whose name and email the new password may not contain
+ * @returns {Object} - Schema
+ */
+const getChangePasswordSchema = (user) => ({
+  currentPassword: [validators.required('validation.currentPasswordRequired')],
+  newPassword: [
+    ...newPasswordRules(() => user),
+    validators.differsFrom('currentPassword', 'validation.newPasswordSameAsCurrent')
+  ],
+  confirmPassword: confirmPasswordRules('newPassword')
+});
+
+export function ChangePasswordSection({ user, onUpdateProfile }) {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const form = useForm({
+    initialValues: { currentPassword: '', newPassword: '', confirmPassword: '' },
+    schema: getChangePasswordSchema(user),
+    onSubmit: async (values) => {
+      try {
+        onUpdateProfile(
+          await authService.changePassword(user.id, values.currentPassword, values.newPassword)
+        );
+      } catch (err) {
+        showAuthError(err, setError, form.setErrors);
+        return;
+      }
+
+      form.reset();
+      setSuccess(t('changePassword.success'));
+
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(''), 3000);
+    }
+  });
+  const { values, errors } = form;
+
+  /**
+   * Handle form submission for a password change
+   */
+  const handleSubmit = (e) => {
+    setError('');
+    setSuccess('');
+    return form.handleSubmit(e);
+  };
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('changePassword.title')}</h2>
+
+      {success && <div className="alert alert-success" role="status">{success}</div>}
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      <form onSubmit={handleSubmit}>
+        {/* Current Password Input */}
+        <div className="form-group">
+          <label className="form-label" htmlFor="currentPassword">
+            {t('fields.currentPassword')}
+          </label>
+          <input
+            type="password"
+            name="currentPassword"
+            className={`form-input ${errors.currentPassword ? 'error' : ''}`}
+            placeholder={t('placeholders.currentPassword')}
+            {...form.getFieldProps('currentPassword')}
+          />
+          <FieldError id="currentPassword" message={errors.currentPassword} />
+        </div>
+
+        {/* New Password Input with Strength Indicator */}
+        <div className="form-group">
+          <label className="form-label" htmlFor="newPassword">
+            {t('fields.newPassword')}
+          </label>
+          <input
+            type="password"
+            name="newPassword"
+            className={`form-input ${errors.newPassword ? 'error' : ''}`}
+            placeholder={t('placeholders.newPasswordChange')}
+            {...form.getFieldProps('newPassword', { hintIds: [values.newPassword && 'newPassword-feedback'] })}
+          />
+          <FieldError id="newPassword" message={errors.newPassword} />
+          <PasswordFeedback
+            id="newPassword-feedback"
+            password={values.newPassword}
+            user={user}
+            error={errors.newPassword}
+          />
+        </div>
+
+        {/* Confirm Password Input */}
+        <div className="form-group">
+          <label className="form-label" htmlFor="confirmNewPassword">
+            {t('fields.confirmNewPassword')}
+          </label>
+          <input
+            type="password"
+            name="confirmPassword"
+            className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+            placeholder={t('placeholders.confirmNewPassword')}
+            {...form.getFieldProps('confirmPassword', { id: 'confirmNewPassword' })}
+          />
+          <FieldError id="confirmNewPassword" message={errors.confirmPassword} />
+        </div>
+
+        {/* Submit Button */}
+        <div className="button-group">
+          <button type="submit" className="btn">
+            {t('changePassword.submit')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+// ============================================
+// FIELD ERROR COMPONENT (message under an input)
+// ============================================
+
+import React from 'react';
+import { fieldErrorId } from '../validation.js';
+
+/**
+ * Error message for one input. Its id is the one getFieldAriaProps points
+ * the input's aria-describedby at.
+ * @param {Object} props - { id, message } where id is the input's id
+ */
+export function FieldError({ id, message }) {
+  if (!message) return null;
+  return (
+    <span className="error-message" id={fieldErrorId(id)}>
+      {message}
+    </span>
+  );
+}
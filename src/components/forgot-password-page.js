@@ -0,0 +1,100 @@
+// ============================================
+// FORGOT PASSWORD COMPONENT
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+import { validateEmail } from '../utils.js';
+import { getFieldAriaProps, useFocusOnFieldErrors } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+export function ForgotPasswordPage({ onNavigate }) {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  useFocusOnFieldErrors(fieldErrors, { email: 'email' });
+  const [sent, setSent] = useState(false);
+
+  /**
+   * Handle form submission for a reset request
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (!validateEmail(email)) {
+      setFieldErrors({ email: t('validation.emailInvalid') });
+      return;
+    }
+
+    try {
+      await authService.requestPasswordReset(email.trim());
+      setSent(true);
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+    }
+  };
+
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{t('forgotPassword.title')}</h1>
+        <p className="page-subtitle">{t('forgotPassword.subtitle')}</p>
+
+        {/* Same message whether or not the account exists */}
+        {sent && (
+          <div className="alert alert-success" role="status">
+            {t('forgotPassword.sent')}
+          </div>
+        )}
+
+        {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {/* Email Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="email">
+              {t('fields.email')}
+            </label>
+            <input
+              type="email"
+              id="email"
+              {...getFieldAriaProps('email', fieldErrors.email)}
+              className={`form-input ${fieldErrors.email ? 'error' : ''}`}
+              placeholder={t('placeholders.email')}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <FieldError id="email" message={fieldErrors.email} />
+          </div>
+
+          {/* Submit Button */}
+          <button type="submit" className="btn">
+            {t('forgotPassword.submit')}
+          </button>
+        </form>
+
+        <div className="auth-link">
+          {t('forgotPassword.haveCode')}{' '}
+          <a href={buildRouteHash('reset-password')}>
+            {t('forgotPassword.resetLink')}
+          </a>
+        </div>
+
+        <div className="auth-link">
+          <a href={buildRouteHash('outbox')}>
+            {t('common.viewOutbox')}
+          </a>
+          {' · '}
+          <a href={buildRouteHash('login')}>
+            {t('common.backToLogin')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
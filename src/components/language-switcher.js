@@ -0,0 +1,24 @@
+// ============================================
+// LANGUAGE SWITCHER COMPONENT
+// ============================================
+
+import React from 'react';
+import I18n from '../../i18n.js';
+import { t } from '../locale.js';
+
+export function LanguageSwitcher({ locale, onChange }) {
+  return (
+    <div className="language-switcher">
+      <select
+        className="form-input"
+        aria-label={t('language.label')}
+        value={locale}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {Object.entries(I18n.LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
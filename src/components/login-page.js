@@ -0,0 +1,388 @@
+// ============================================
+// LOGIN COMPONENT
+// ============================================
+
+import React, { useState, useEffect } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { formatThrottleMessage } from '../login-throttle.js';
+import { authenticator, describeAuthenticatorError } from '../passkey-authenticator.js';
+import { buildRouteHash } from '../routing.js';
+import { validators, FIELD_RULES, useForm } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+const LOGIN_SCHEMA = {
+  email: FIELD_RULES.email,
+  password: [validators.required('validation.passwordRequired')]
+};
+
+const TWO_FACTOR_CODE_SCHEMA = {
+  code: [validators.required('validation.twoFactorCodeRequired')]
+};
+
+export function LoginPage({
+  onLogin,
+  onNavigate,
+  notice,
+  accounts = [],
+  isAddingAccount = false,
+  onSwitchAccount
+}) {
+  // Form state
+  const [remember, setRemember] = useState(false);
+  const [error, setError] = useState('');
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
+  const [resent, setResent] = useState(false);
+  const [throttle, setThrottle] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState('');
+  const [isPasskeyPending, setIsPasskeyPending] = useState(false);
+  const [isSwitching, setIsSwitching] = useState(false);
+
+  // Tick once a second while the user has to wait, then clear the wait
+  useEffect(() => {
+    if (!throttle) return undefined;
+    const intervalId = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= throttle.retryAt) setThrottle(null);
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [throttle]);
+
+  const loginForm = useForm({
+    initialValues: { email: '', password: '' },
+    schema: LOGIN_SCHEMA,
+    onSubmit: async ({ email, password }) => {
+      try {
+        const result = await authService.login(email.trim(), password);
+
+        // Password was right, but the account also needs a one-time code
+        if (result.twoFactorRequired) {
+          setChallengeToken(result.challengeToken);
+          return;
+        }
+
+        // Login successful
+        onLogin(result.user, { remember, token: result.token });
+      } catch (err) {
+        // Login failed
+        if (err.code === 'EMAIL_UNVERIFIED') {
+          setUnverifiedEmail(err.details.email);
+        }
+        if (err.code !== 'THROTTLED') {
+          showAuthError(err, setError, loginForm.setErrors);
+        }
+
+        // Tell the user when they may try again
+        if (err.details && err.details.retryAt) {
+          setNow(Date.now());
+          setThrottle(err.details);
+        }
+      }
+    }
+  });
+
+  // Second step: a code from the authenticator app or a recovery code
+  const codeForm = useForm({
+    initialValues: { code: '' },
+    schema: TWO_FACTOR_CODE_SCHEMA,
+    onSubmit: async ({ code }) => {
+      try {
+        const { user, token } = await authService.verifyTwoFactorLogin(challengeToken, code);
+        onLogin(user, { remember, token });
+      } catch (err) {
+        // The challenge is gone, so the password has to be entered again
+        if (err.code === 'CHALLENGE_EXPIRED') {
+          setChallengeToken('');
+          loginForm.reset({ ...loginForm.values, password: '' });
+        }
+        codeForm.reset();
+        if (err.code !== 'THROTTLED') {
+          showAuthError(err, setError, codeForm.setErrors);
+        }
+
+        // Wrong codes count as failed logins, so there may be a wait
+        if (err.details && err.details.retryAt) {
+          setNow(Date.now());
+          setThrottle(err.details);
+        }
+      }
+    }
+  });
+
+  /**
+   * Handle form submission for login
+   */
+  const handleSubmit = (e) => {
+    setError('');
+    setUnverifiedEmail('');
+    setResent(false);
+    return loginForm.handleSubmit(e);
+  };
+
+  /**
+   * Handle submission of the two-factor code
+   */
+  const handleVerifyCode = (e) => {
+    setError('');
+    return codeForm.handleSubmit(e);
+  };
+
+  /**
+   * Leave the second step and start the login over
+   */
+  const handleBackToLogin = () => {
+    setChallengeToken('');
+    codeForm.reset();
+    loginForm.reset({ ...loginForm.values, password: '' });
+    setError('');
+  };
+
+  /**
+   * Sign in with a passkey instead of an email and password
+   */
+  const handlePasskeyLogin = async () => {
+    setError('');
+    setUnverifiedEmail('');
+    setResent(false);
+    setIsPasskeyPending(true);
+    try {
+      const options = await authService.startPasskeyLogin();
+      let credential;
+      try {
+        credential = await authenticator.get(options);
+      } catch (err) {
+        setError(describeAuthenticatorError(err));
+        setIsPasskeyPending(false);
+        return;
+      }
+      const { user, token } = await authService.finishPasskeyLogin(credential);
+      onLogin(user, { remember, token });
+    } catch (err) {
+      if (err.code === 'EMAIL_UNVERIFIED') {
+        setUnverifiedEmail(err.details.email);
+      }
+      setError(err.message);
+      setIsPasskeyPending(false);
+    }
+  };
+
+  /**
+   * Carry on as an account that is still signed in on this browser
+   * @param {string} userId - Account to switch to
+   */
+  const handleContinueAs = async (userId) => {
+    setError('');
+    setIsSwitching(true);
+    try {
+      await onSwitchAccount(userId);
+    } catch (err) {
+      setError(err.message);
+      setIsSwitching(false);
+    }
+  };
+
+  /**
+   * Send a fresh verification code to the unverified account
+   */
+  const handleResend = async () => {
+    try {
+      await authService.resendVerification(unverifiedEmail);
+      setResent(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="app-container">
+        <div className="auth-card">
+          <h1 className="page-title">{t('twoFactor.loginTitle')}</h1>
+          <p className="page-subtitle">{t('twoFactor.loginSubtitle')}</p>
+
+          {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+          {throttle && (
+            <div className="alert alert-error" role="timer">{formatThrottleMessage(throttle, now)}</div>
+          )}
+
+          <form onSubmit={handleVerifyCode}>
+            <div className="form-group">
+              <label className="form-label" htmlFor="otp">
+                {t('fields.authCode')}
+              </label>
+              <input
+                type="text"
+                className={`form-input ${codeForm.errors.code ? 'error' : ''}`}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                autoFocus
+                {...codeForm.getFieldProps('code', { id: 'otp' })}
+              />
+              <FieldError id="otp" message={codeForm.errors.code} />
+            </div>
+
+            <div className="button-group">
+              <button type="submit" className="btn" disabled={Boolean(throttle) || codeForm.isSubmitting}>
+                {codeForm.isSubmitting ? t('common.verifying') : t('common.verify')}
+              </button>
+              <button type="button" className="btn btn-outline" onClick={handleBackToLogin}>
+                {t('common.backToLogin')}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{isAddingAccount ? t('login.addTitle') : t('login.title')}</h1>
+        <p className="page-subtitle">{isAddingAccount ? t('login.addSubtitle') : t('login.subtitle')}</p>
+
+        {/* Display notice passed from App (e.g. expired session) */}
+        {notice && !error && <div className="alert alert-error" role="alert">{notice}</div>}
+
+        {/* Display error message if login fails */}
+        {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+        {/* Display when the next attempt is allowed */}
+        {throttle && (
+          <div className="alert alert-error" role="timer">{formatThrottleMessage(throttle, now)}</div>
+        )}
+
+        {/* Unverified account actions */}
+        {unverifiedEmail && (
+          <div className="alert-actions">
+            {resent && (
+              <div className="alert alert-success" role="status">
+                {t('verifyEmail.codeResent', { email: unverifiedEmail })}
+              </div>
+            )}
+            <div className="button-group">
+              <button
+                type="button"
+                className="btn"
+                onClick={() => onNavigate('verify-email', { email: unverifiedEmail })}
+              >
+                {t('login.enterCode')}
+              </button>
+              <button type="button" className="btn btn-outline" onClick={handleResend}>
+                {t('verifyEmail.resend')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Accounts still signed in on this browser need no password */}
+        {accounts.length > 0 && (
+          <div className="continue-as">
+            <p className="form-label">{t('login.continueAs')}</p>
+            {accounts.map((account) => (
+              <button
+                key={account.id}
+                type="button"
+                className="btn btn-outline"
+                disabled={isSwitching}
+                onClick={() => handleContinueAs(account.id)}
+              >
+                {t('accounts.option', {
+                  name: `${account.firstName} ${account.lastName}`,
+                  email: account.email
+                })}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          {/* Email Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="email">
+              {t('fields.email')}
+            </label>
+            <input
+              type="email"
+              className={`form-input ${loginForm.errors.email ? 'error' : ''}`}
+              placeholder={t('placeholders.email')}
+              {...loginForm.getFieldProps('email')}
+            />
+            <FieldError id="email" message={loginForm.errors.email} />
+          </div>
+
+          {/* Password Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="password">
+              {t('fields.password')}
+            </label>
+            <input
+              type="password"
+              className={`form-input ${loginForm.errors.password ? 'error' : ''}`}
+              placeholder={t('placeholders.password')}
+              {...loginForm.getFieldProps('password')}
+            />
+            <FieldError id="password" message={loginForm.errors.password} />
+          </div>
+
+          {/* Remember Me */}
+          <div className="form-group">
+            <label className="form-checkbox" htmlFor="remember">
+              <input
+                type="checkbox"
+                id="remember"
+                checked={remember}
+                onChange={(e) => setRemember(e.target.checked)}
+              />
+              {t('login.remember')}
+            </label>
+          </div>
+
+          {/* Submit Button (disabled while throttled or submitting) */}
+          <button type="submit" className="btn" disabled={Boolean(throttle) || loginForm.isSubmitting}>
+            {loginForm.isSubmitting ? t('login.submitting') : t('login.submit')}
+          </button>
+        </form>
+
+        {/* Passwordless sign-in, where the browser supports it */}
+        {authenticator.isSupported() && (
+          <button
+            type="button"
+            className="btn btn-outline passkey-login"
+            disabled={isPasskeyPending}
+            onClick={handlePasskeyLogin}
+          >
+            {isPasskeyPending ? t('login.passkeyWaiting') : t('login.passkey')}
+          </button>
+        )}
+
+        {/* Back to the account that is already signed in */}
+        {isAddingAccount && (
+          <div className="auth-link">
+            <a href={buildRouteHash('profile')}>{t('login.cancelAdd')}</a>
+          </div>
+        )}
+
+        {/* Link to Password Reset */}
+        <div className="auth-link">
+          <a href={buildRouteHash('forgot-password')}>
+            {t('login.forgotPassword')}
+          </a>
+        </div>
+
+        {/* Link to Registration */}
+        <div className="auth-link">
+          {t('login.noAccount')}{' '}
+          <a href={buildRouteHash('register')}>
+            {t('login.registerLink')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+// ============================================
+// NOT FOUND COMPONENT
+// ============================================
+
+import React from 'react';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+
+export function NotFoundPage({ currentUser }) {
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{t('notFound.title')}</h1>
+        <p className="page-subtitle">{t('notFound.subtitle')}</p>
+
+        <div className="auth-link">
+          <a href={buildRouteHash(currentUser ? 'profile' : 'login')}>
+            {currentUser ? t('notFound.toProfile') : t('notFound.toLogin')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+// ============================================
+// OUTBOX COMPONENT (local stand-in for an email inbox)
+// ============================================
+
+import React, { useState } from 'react';
+import { t } from '../locale.js';
+import { getOutbox, clearOutbox } from '../mailer.js';
+import { formatDateTime } from '../utils.js';
+
+export function OutboxPage({ onNavigate }) {
+  const [messages, setMessages] = useState(getOutbox);
+
+  /**
+   * Empty the outbox
+   */
+  const handleClear = () => {
+    clearOutbox();
+    setMessages([]);
+  };
+
+  return (
+    <div className="app-container">
+      <div className="profile-container">
+        <div className="profile-header">
+          <div className="profile-header-content">
+            <h1 className="profile-title">{t('outbox.title')}</h1>
+            <button className="btn btn-secondary" onClick={() => onNavigate('login')}>
+              {t('common.backToLogin')}
+            </button>
+          </div>
+          <p className="page-subtitle">{t('outbox.subtitle')}</p>
+        </div>
+
+        <div className="profile-card">
+          <h2 className="profile-section-title">{t('outbox.messages')}</h2>
+
+          {messages.length === 0 && (
+            <p className="profile-info-value">{t('outbox.empty')}</p>
+          )}
+
+          <div className="profile-info">
+            {messages.map((message) => (
+              <div className="outbox-message" key={message.id}>
+                <span className="profile-info-label">
+                  {t('outbox.to', { email: message.to })} · {formatDateTime(message.sentAt)}
+                </span>
+                <span className="outbox-subject">{message.subject}</span>
+                <pre className="outbox-body">{message.body}</pre>
+              </div>
+            ))}
+          </div>
+
+          {messages.length > 0 && (
+            <div className="button-group">
+              <button className="btn btn-outline" onClick={handleClear}>
+                {t('outbox.clear')}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
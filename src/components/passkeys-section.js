@@ -0,0 +1,136 @@
+// ============================================
+// PASSKEYS COMPONENT (shown on the profile page)
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { authenticator, describeAuthenticatorError } from '../passkey-authenticator.js';
+import { formatDate } from '../utils.js';
+import { getFieldAriaProps, useFocusOnFieldErrors } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+export function PasskeysSection({ user, onUpdateProfile }) {
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  useFocusOnFieldErrors(fieldErrors, { name: 'passkeyName' });
+  const [name, setName] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  const passkeys = user.passkeys || [];
+
+  /**
+   * Create a passkey on this device and save it to the account
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (!name.trim()) {
+      setFieldErrors({ name: t('validation.passkeyNameRequired') });
+      return;
+    }
+
+    setIsAdding(true);
+    try {
+      const options = await authService.startPasskeyRegistration(user.id);
+      let credential;
+      try {
+        credential = await authenticator.create(options);
+      } catch (err) {
+        setError(describeAuthenticatorError(err));
+        setIsAdding(false);
+        return;
+      }
+      const updatedUser = await authService.finishPasskeyRegistration(user.id, credential, name);
+      setName('');
+      onUpdateProfile(updatedUser);
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+    }
+    setIsAdding(false);
+  };
+
+  /**
+   * Revoke a passkey so it can no longer be used to sign in
+   * @param {Object} passkey - { id, name }
+   */
+  const handleRemove = async (passkey) => {
+    if (!window.confirm(t('passkeys.removeConfirm', { name: passkey.name }))) return;
+    setError('');
+    setRemovingId(passkey.id);
+    try {
+      onUpdateProfile(await authService.removePasskey(user.id, passkey.id));
+    } catch (err) {
+      setError(err.message);
+    }
+    setRemovingId(null);
+  };
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('passkeys.title')}</h2>
+      <p className="page-subtitle">{t('passkeys.summary')}</p>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      {passkeys.length === 0 ? (
+        <p className="passkey-empty">{t('passkeys.none')}</p>
+      ) : (
+        <ul className="passkey-list">
+          {passkeys.map((passkey) => (
+            <li className="passkey-item" key={passkey.id}>
+              <div className="passkey-details">
+                <span className="passkey-name">{passkey.name}</span>
+                <span className="passkey-dates">
+                  {t('passkeys.added', { date: formatDate(passkey.createdAt) })}
+                  {' · '}
+                  {passkey.lastUsedAt
+                    ? t('passkeys.lastUsed', { date: formatDate(passkey.lastUsedAt) })
+                    : t('passkeys.neverUsed')}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="btn btn-outline btn-small"
+                disabled={removingId === passkey.id}
+                onClick={() => handleRemove(passkey)}
+              >
+                {t('passkeys.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {authenticator.isSupported() ? (
+        <form onSubmit={handleAdd}>
+          <div className="form-group">
+            <label className="form-label" htmlFor="passkeyName">
+              {t('fields.passkeyName')}
+            </label>
+            <input
+              type="text"
+              id="passkeyName"
+              {...getFieldAriaProps('passkeyName', fieldErrors.name)}
+              className={`form-input ${fieldErrors.name ? 'error' : ''}`}
+              placeholder={t('placeholders.passkeyName')}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <FieldError id="passkeyName" message={fieldErrors.name} />
+          </div>
+
+          <button type="submit" className="btn btn-outline" disabled={isAdding}>
+            {isAdding ? t('passkeys.adding') : t('passkeys.add')}
+          </button>
+        </form>
+      ) : (
+        <p className="passkey-empty">{t('passkeys.unsupported')}</p>
+      )}
+    </div>
+  );
+}
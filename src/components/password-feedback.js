@@ -0,0 +1,40 @@
+// ============================================
+// PASSWORD FEEDBACK COMPONENT (under new-password fields)
+// ============================================
+
+import React from 'react';
+import { t } from '../locale.js';
+import { checkNewPassword, describePasswordIssue } from '../password-rules.js';
+
+/**
+ * Live feedback while a new password is typed: what the policy objects to,
+ * hints about sequences and repeats, and the overall strength. The strength
+ * is spelled out in words (the colour only repeats it) and read out politely
+ * as it changes; the field lists `id` in its aria-describedby.
+ * @param {Object} props - { id, password, user, error } where user is the
+ *   account's { firstName, lastName, email } and error is the message already
+ *   shown under the field
+ */
+export function PasswordFeedback({ id, password, user, error }) {
+  if (!password) return null;
+
+  const { errors, warnings, strength } = checkNewPassword(password, user);
+  const hints = [...errors.filter((item) => describePasswordIssue(item) !== error), ...warnings];
+
+  return (
+    <div className="password-feedback" id={id}>
+      {hints.length > 0 && (
+        <ul className="password-hints">
+          {hints.map((hint) => (
+            <li key={hint.code}>{describePasswordIssue(hint)}</li>
+          ))}
+        </ul>
+      )}
+      {!error && (
+        <div className={`password-strength strength-${strength}`} aria-live="polite">
+          {t('password.strengthLabel', { strength: t(`password.strength.${strength}`) })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,347 @@
+// ============================================
+// PROFILE COMPONENT
+// ============================================
+// The fields on the profile card come from the registry in profile-fields.js:
+// ProfileFieldItem shows one in either mode, so adding a field there is enough.
+
+import React, { useState } from 'react';
+import ProfileFields from '../../profile-fields.js';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { isEmailUnverified } from '../email-verification.js';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+import { formatDate } from '../utils.js';
+import { validators, FIELD_RULES, useForm } from '../validation.js';
+import { AccountDataSection } from './account-data-section.js';
+import { AccountSwitcher } from './account-switcher.js';
+import { ActivitySection } from './activity.js';
+import { AvatarSection } from './avatar-section.js';
+import { ChangePasswordSection } from './change-password-section.js';
+import { FieldError } from './field-error.js';
+import { PasskeysSection } from './passkeys-section.js';
+import { TwoFactorSection } from './two-factor-section.js';
+
+/**
+ * Schema for the profile edit form
+ * @param {string} currentEmail - The user's address, which doesn't count as taken
+ * @returns {Object} - Schema
+ */
+const getProfileSchema = (currentEmail) => {
+  return Object.fromEntries(
+    ProfileFields.getVisibleFields().map((field) => [
+      field.name,
+      field.name === 'email'
+        ? [...FIELD_RULES.email, validators.emailAvailable({ except: currentEmail })]
+        : [validators.profileField(field.name)]
+    ])
+  );
+};
+
+/**
+ * Text shown for a stored profile value
+ * @param {Object} field - Field definition
+ * @param {string} value - Stored value (not empty)
+ * @returns {string}
+ */
+const formatProfileValue = (field, value) => {
+  // A date of birth is a calendar date: read it as local midnight so it
+  // doesn't move a day in time zones west of UTC
+  if (field.type === 'date') return formatDate(`${value}T00:00:00`);
+  if (field.optionLabel) return field.optionLabel(value);
+  return value;
+};
+
+/**
+ * Id of a profile field's input on the edit form
+ * @param {Object} field - Field definition
+ * @returns {string}
+ */
+const getInputId = (field) => `profile-${field.name}`;
+
+/**
+ * Whether a field shows how many characters are left
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+const hasCharCounter = (field) => field.type === 'textarea' && Boolean(field.maxLength);
+
+function ProfileFieldInput({ field, form, hasError }) {
+  const id = getInputId(field);
+  const props = {
+    className: `form-input ${hasError ? 'error' : ''}`,
+    placeholder: field.placeholder ? t(field.placeholder) : undefined,
+    autoComplete: field.autoComplete,
+    ...form.getFieldProps(field.name, { id, hintIds: [hasCharCounter(field) && `${id}-counter`] })
+  };
+
+  if (field.type === 'textarea') {
+    return <textarea rows={field.rows} maxLength={field.maxLength} {...props} />;
+  }
+  if (field.type === 'select') {
+    const label = field.optionLabel || ((option) => option);
+    return (
+      <select {...props}>
+        <option value="">{t('profile.notSet')}</option>
+        {field.options().map((option) => (
+          <option key={option} value={option}>
+            {label(option)}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  return <input type={field.type} {...props} />;
+}
+
+function ProfileFieldItem({ field, user, form, isEditing }) {
+  if (!isEditing) {
+    const value = user[field.name];
+    return (
+      <div className="profile-info-item">
+        <span className="profile-info-label">{t(field.label)}</span>
+        {value ? (
+          <span className={`profile-info-value ${field.type === 'textarea' ? 'multiline' : ''}`}>
+            {formatProfileValue(field, value)}
+          </span>
+        ) : (
+          <span className="profile-info-value not-set">{t('profile.notSet')}</span>
+        )}
+      </div>
+    );
+  }
+
+  const error = form.errors[field.name];
+  return (
+    <div className="profile-info-item">
+      <label className="profile-info-label" htmlFor={getInputId(field)}>
+        {t(field.label)}
+        {!field.required && <span className="optional-hint"> ({t('profile.optional')})</span>}
+      </label>
+      <div>
+        <ProfileFieldInput field={field} form={form} hasError={Boolean(error)} />
+        {hasCharCounter(field) && (
+          <span className="char-counter" id={`${getInputId(field)}-counter`}>
+            {t('profile.charactersLeft', { count: field.maxLength - form.values[field.name].length })}
+          </span>
+        )}
+        <FieldError id={getInputId(field)} message={error} />
+      </div>
+    </div>
+  );
+}
+
+export function ProfilePage({
+  user,
+  onLogout,
+  onUpdateProfile,
+  onAccountDeleted,
+  onNavigate,
+  otherAccounts = [],
+  onSwitchAccount,
+  onAddAccount,
+  onSignOutAll,
+  notice = ''
+}) {
+  // Edit mode state
+  const [isEditing, setIsEditing] = useState(false);
+  const [error, setError] = useState('');
+  // A notice from App (e.g. that the previous account was deleted) shows until the next message
+  const [success, setSuccess] = useState(notice);
+  // Version of the record the edit form started from (for conflict checks)
+  const [editBaseUpdatedAt, setEditBaseUpdatedAt] = useState(null);
+
+  /**
+   * The editable fields of a user record ('' for fields that aren't set)
+   */
+  const getEditValues = (source) => {
+    return Object.fromEntries(
+      ProfileFields.getVisibleFields().map((field) => [field.name, source[field.name] || ''])
+    );
+  };
+
+  const editForm = useForm({
+    initialValues: getEditValues(user),
+    schema: getProfileSchema(user.email),
+    onSubmit: async (values) => {
+      // Nothing to save
+      if (!editForm.isDirty) {
+        setIsEditing(false);
+        return;
+      }
+
+      // Update user data (the service checks the email isn't taken and
+      // sends a verification code if it changed)
+      const changes = ProfileFields.normalizeProfile(values);
+      const emailChanged = changes.email !== user.email;
+      let updatedUser;
+      try {
+        updatedUser = await authService.updateProfile(
+          user.id,
+          changes,
+          // Don't overwrite changes saved elsewhere since editing started
+          { expectedUpdatedAt: editBaseUpdatedAt }
+        );
+      } catch (err) {
+        if (err.code === 'CONFLICT') {
+          // Reload the form from the newer record
+          const latest = err.details.user;
+          onUpdateProfile(latest);
+          editForm.reset(getEditValues(latest));
+          setEditBaseUpdatedAt(latest.updatedAt);
+        }
+        showAuthError(err, setError, editForm.setErrors);
+        return;
+      }
+
+      // Update parent component
+      onUpdateProfile(updatedUser);
+
+      // Exit edit mode
+      setIsEditing(false);
+      setSuccess(
+        emailChanged
+          ? t('profile.updatedVerify')
+          : t('profile.updated')
+      );
+
+      // Clear success message after 3 seconds
+      setTimeout(() => setSuccess(''), 3000);
+    }
+  });
+
+  /**
+   * Enter edit mode with the latest profile values
+   */
+  const handleEdit = () => {
+    editForm.reset(getEditValues(user));
+    setEditBaseUpdatedAt(user.updatedAt);
+    setError('');
+    setIsEditing(true);
+  };
+
+  /**
+   * Handle saving profile changes
+   */
+  const handleSave = () => {
+    setError('');
+    setSuccess('');
+    return editForm.handleSubmit();
+  };
+
+  /**
+   * Handle canceling edit mode
+   */
+  const handleCancel = () => {
+    // Reset form to original values
+    editForm.reset(getEditValues(user));
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="app-container">
+      <div className="profile-container">
+        {/* Profile Header */}
+        <div className="profile-header">
+          <div className="profile-header-content">
+            <h1 className="profile-title">{t('profile.title')}</h1>
+            <div className="header-actions">
+              {user.role === 'admin' && (
+                <button className="btn btn-outline" onClick={() => onNavigate('admin')}>
+                  {t('profile.adminConsole')}
+                </button>
+              )}
+              <button className="btn btn-secondary" onClick={onLogout}>
+                {t('common.logout')}
+              </button>
+            </div>
+          </div>
+
+          {/* Other accounts signed in on this browser */}
+          <AccountSwitcher
+            user={user}
+            otherAccounts={otherAccounts}
+            onSwitch={onSwitchAccount}
+            onAdd={onAddAccount}
+            onSignOutAll={onSignOutAll}
+          />
+
+          {/* Success / Error Messages */}
+          {success && <div className="alert alert-success" role="status">{success}</div>}
+          {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+          {/* Unverified Email Notice */}
+          {isEmailUnverified(user) && (
+            <div className="alert alert-error" role="alert">
+              {t('profile.unverified')}{' '}
+              <a href={buildRouteHash('verify-email', { email: user.email })}>
+                {t('profile.verifyNow')}
+              </a>
+            </div>
+          )}
+        </div>
+
+        {/* Profile Information Card */}
+        <div className="profile-card">
+          <h2 className="profile-section-title">{t('profile.accountInfo')}</h2>
+
+          <div className="profile-info">
+            {ProfileFields.getVisibleFields().map((field) => (
+              <ProfileFieldItem
+                key={field.name}
+                field={field}
+                user={user}
+                form={editForm}
+                isEditing={isEditing}
+              />
+            ))}
+
+            {/* Member Since (Read-only) */}
+            <div className="profile-info-item">
+              <span className="profile-info-label">{t('fields.memberSince')}</span>
+              <span className="profile-info-value">
+                {formatDate(user.memberSince)}
+              </span>
+            </div>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="button-group">
+            {isEditing ? (
+              <>
+                <button className="btn" onClick={handleSave} disabled={editForm.isSubmitting}>
+                  {editForm.isSubmitting ? t('common.saving') : t('profile.save')}
+                </button>
+                <button className="btn btn-outline" onClick={handleCancel}>
+                  {t('common.cancel')}
+                </button>
+              </>
+            ) : (
+              <button className="btn" onClick={handleEdit}>
+                {t('profile.edit')}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Profile Photo Card */}
+        <AvatarSection user={user} onUpdateProfile={onUpdateProfile} />
+
+        {/* Change Password Card */}
+        <ChangePasswordSection user={user} onUpdateProfile={onUpdateProfile} />
+
+        {/* Two-Factor Authentication Card */}
+        <TwoFactorSection user={user} onUpdateProfile={onUpdateProfile} />
+
+        {/* Passkeys Card */}
+        <PasskeysSection user={user} onUpdateProfile={onUpdateProfile} />
+
+        {/* Recent Activity Card */}
+        <ActivitySection user={user} />
+
+        {/* Data Export / Account Deletion Card */}
+        <AccountDataSection user={user} onAccountDeleted={onAccountDeleted} />
+      </div>
+    </div>
+  );
+}
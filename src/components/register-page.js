@@ -0,0 +1,192 @@
+// ============================================
+// REGISTRATION COMPONENT
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+import {
+  validators,
+  FIELD_RULES,
+  newPasswordRules,
+  confirmPasswordRules,
+  useForm
+} from '../validation.js';
+import { FieldError } from './field-error.js';
+import { PasswordFeedback } from './password-feedback.js';
+
+const REGISTER_SCHEMA = {
+  firstName: FIELD_RULES.firstName,
+  lastName: FIELD_RULES.lastName,
+  email: [...FIELD_RULES.email, validators.emailAvailable()],
+  // The password may not contain the name or email typed above it
+  password: newPasswordRules((values) => values, ['firstName', 'lastName', 'email']),
+  confirmPassword: confirmPasswordRules('password')
+};
+
+export function RegisterPage({ onRegister, onNavigate }) {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+
+  const form = useForm({
+    initialValues: {
+      firstName: '',
+      lastName: '',
+      email: '',
+      password: '',
+      confirmPassword: ''
+    },
+    schema: REGISTER_SCHEMA,
+    onSubmit: async (values) => {
+      // Create the account (fails if the email is already registered)
+      let newUser;
+      try {
+        newUser = await authService.register({
+          firstName: values.firstName.trim(),
+          lastName: values.lastName.trim(),
+          email: values.email.trim(),
+          password: values.password
+        });
+      } catch (err) {
+        showAuthError(err, setError, form.setErrors);
+        return;
+      }
+
+      // Show success message and redirect to verification after delay
+      setSuccess(true);
+
+      // Redirect to email verification after 1.5 seconds
+      setTimeout(() => {
+        onNavigate('verify-email', { email: newUser.email });
+      }, 1500);
+    }
+  });
+  const { values, errors } = form;
+
+  /**
+   * Handle form submission for registration
+   */
+  const handleSubmit = (e) => {
+    setError('');
+    setSuccess(false);
+    return form.handleSubmit(e);
+  };
+
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{t('register.title')}</h1>
+        <p className="page-subtitle">{t('register.subtitle')}</p>
+
+        {/* Display success message */}
+        {success && (
+          <div className="alert alert-success" role="status">
+            {t('register.success')}
+          </div>
+        )}
+
+        {/* Display error message */}
+        {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {/* First Name and Last Name Row */}
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor="firstName">
+                {t('fields.firstName')}
+              </label>
+              <input
+                type="text"
+                name="firstName"
+                className={`form-input ${errors.firstName ? 'error' : ''}`}
+                placeholder={t('placeholders.firstName')}
+                {...form.getFieldProps('firstName')}
+              />
+              <FieldError id="firstName" message={errors.firstName} />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label" htmlFor="lastName">
+                {t('fields.lastName')}
+              </label>
+              <input
+                type="text"
+                name="lastName"
+                className={`form-input ${errors.lastName ? 'error' : ''}`}
+                placeholder={t('placeholders.lastName')}
+                {...form.getFieldProps('lastName')}
+              />
+              <FieldError id="lastName" message={errors.lastName} />
+            </div>
+          </div>
+
+          {/* Email Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="email">
+              {t('fields.email')}
+            </label>
+            <input
+              type="email"
+              name="email"
+              className={`form-input ${errors.email ? 'error' : ''}`}
+              placeholder={t('placeholders.email')}
+              {...form.getFieldProps('email')}
+            />
+            <FieldError id="email" message={errors.email} />
+          </div>
+
+          {/* Password Input with Strength Indicator */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="password">
+              {t('fields.password')}
+            </label>
+            <input
+              type="password"
+              name="password"
+              className={`form-input ${errors.password ? 'error' : ''}`}
+              placeholder={t('placeholders.newPassword')}
+              {...form.getFieldProps('password', { hintIds: [values.password && 'password-feedback'] })}
+            />
+            <FieldError id="password" message={errors.password} />
+            <PasswordFeedback
+              id="password-feedback"
+              password={values.password}
+              user={values}
+              error={errors.password}
+            />
+          </div>
+
+          {/* Confirm Password Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="confirmPassword">
+              {t('fields.confirmPassword')}
+            </label>
+            <input
+              type="password"
+              name="confirmPassword"
+              className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+              placeholder={t('placeholders.confirmPassword')}
+              {...form.getFieldProps('confirmPassword')}
+            />
+            <FieldError id="confirmPassword" message={errors.confirmPassword} />
+          </div>
+
+          {/* Submit Button */}
+          <button type="submit" className="btn" disabled={form.isSubmitting || success}>
+            {form.isSubmitting ? t('register.submitting') : t('register.submit')}
+          </button>
+        </form>
+
+        {/* Link to Login */}
+        <div className="auth-link">
+          {t('register.haveAccount')}{' '}
+          <a href={buildRouteHash('login')}>
+            {t('register.loginLink')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+// ============================================
+// RESET PASSWORD COMPONENT
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+import { validators, newPasswordRules, confirmPasswordRules, useForm } from '../validation.js';
+import { FieldError } from './field-error.js';
+import { PasswordFeedback } from './password-feedback.js';
+
+const RESET_PASSWORD_SCHEMA = {
+  token: [validators.required('validation.resetCodeRequired')],
+  // Whose account it is isn't known until the code is checked, so the
+  // name and email check happens on submit
+  password: newPasswordRules(),
+  confirmPassword: confirmPasswordRules('password')
+};
+
+export function ResetPasswordPage({ initialToken = '', onNavigate }) {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+
+  const form = useForm({
+    initialValues: {
+      token: initialToken,
+      password: '',
+      confirmPassword: ''
+    },
+    schema: RESET_PASSWORD_SCHEMA,
+    onSubmit: async (values) => {
+      try {
+        await authService.resetPassword(values.token.trim(), values.password);
+      } catch (err) {
+        showAuthError(err, setError, form.setErrors);
+        return;
+      }
+
+      setSuccess(true);
+
+      // Redirect to login after 1.5 seconds
+      setTimeout(() => {
+        onNavigate('login');
+      }, 1500);
+    }
+  });
+  const { values, errors } = form;
+
+  /**
+   * Handle form submission for a password reset
+   */
+  const handleSubmit = (e) => {
+    setError('');
+    setSuccess(false);
+    return form.handleSubmit(e);
+  };
+
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{t('resetPassword.title')}</h1>
+        <p className="page-subtitle">{t('resetPassword.subtitle')}</p>
+
+        {success && (
+          <div className="alert alert-success" role="status">
+            {t('resetPassword.success')}
+          </div>
+        )}
+
+        {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {/* Reset Code Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="token">
+              {t('fields.resetCode')}
+            </label>
+            <input
+              type="text"
+              name="token"
+              className={`form-input ${errors.token ? 'error' : ''}`}
+              placeholder={t('placeholders.resetCode')}
+              {...form.getFieldProps('token')}
+            />
+            <FieldError id="token" message={errors.token} />
+          </div>
+
+          {/* New Password Input with Strength Indicator */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="password">
+              {t('fields.newPassword')}
+            </label>
+            <input
+              type="password"
+              name="password"
+              className={`form-input ${errors.password ? 'error' : ''}`}
+              placeholder={t('placeholders.newPassword')}
+              {...form.getFieldProps('password', { hintIds: [values.password && 'password-feedback'] })}
+            />
+            <FieldError id="password" message={errors.password} />
+            <PasswordFeedback id="password-feedback" password={values.password} error={errors.password} />
+          </div>
+
+          {/* Confirm Password Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="confirmPassword">
+              {t('fields.confirmPassword')}
+            </label>
+            <input
+              type="password"
+              name="confirmPassword"
+              className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+              placeholder={t('placeholders.confirmPassword')}
+              {...form.getFieldProps('confirmPassword')}
+            />
+            <FieldError id="confirmPassword" message={errors.confirmPassword} />
+          </div>
+
+          {/* Submit Button */}
+          <button type="submit" className="btn">
+            {t('resetPassword.submit')}
+          </button>
+        </form>
+
+        <div className="auth-link">
+          <a href={buildRouteHash('outbox')}>
+            {t('common.viewOutbox')}
+          </a>
+          {' · '}
+          <a href={buildRouteHash('login')}>
+            {t('common.backToLogin')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// ============================================
+// STORAGE NOTICE COMPONENT
+// ============================================
+
+import React, { useState } from 'react';
+import { t } from '../locale.js';
+import { getStorageNotices } from '../migrations.js';
+
+export function StorageNotices() {
+  const [notices, setNotices] = useState(getStorageNotices);
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="storage-notices">
+      {notices.map((notice, index) => (
+        <div className="alert alert-error storage-notice" role="alert" key={index}>
+          <span>{t(notice.key, notice.params)}</span>
+          <button
+            type="button"
+            className="storage-notice-dismiss"
+            aria-label={t('common.dismiss')}
+            onClick={() => setNotices((prev) => prev.filter((_, i) => i !== index))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+// ============================================
+// TWO-FACTOR COMPONENT (shown on the profile page)
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { getFieldAriaProps, useFocusOnFieldErrors } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+export function TwoFactorSection({ user, onUpdateProfile }) {
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  useFocusOnFieldErrors(fieldErrors, { code: 'twoFactorCode', password: 'twoFactorPassword' });
+  // { secret, uri } while the user is adding the account to their app
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  // Shown once, right after two-factor authentication is turned on
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Clear the form and go back to the summary
+   */
+  const reset = () => {
+    setSetup(null);
+    setCode('');
+    setIsDisabling(false);
+    setPassword('');
+    setError('');
+    setFieldErrors({});
+  };
+
+  /**
+   * Create a secret for the user to scan into their authenticator app
+   */
+  const handleStart = async () => {
+    setError('');
+    try {
+      setSetup(await authService.startTwoFactorSetup(user.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  /**
+   * Turn two-factor authentication on once a code from the app checks out
+   */
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      setFieldErrors({ code: t('validation.appCodeFormat') });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await authService.confirmTwoFactorSetup(user.id, code);
+      reset();
+      setRecoveryCodes(result.recoveryCodes);
+      onUpdateProfile(result.user);
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+    }
+    setIsSubmitting(false);
+  };
+
+  /**
+   * Turn two-factor authentication off after checking the password
+   */
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+
+    if (!password) {
+      setFieldErrors({ password: t('validation.confirmWithPassword') });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const updatedUser = await authService.disableTwoFactor(user.id, password);
+      reset();
+      onUpdateProfile(updatedUser);
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+    }
+    setIsSubmitting(false);
+  };
+
+  // The QR code library is optional; without it the URI and secret still work
+  const qrCodeUrl = (() => {
+    if (!setup || !window.qrcode) return null;
+    const qr = window.qrcode(0, 'M');
+    qr.addData(setup.uri);
+    qr.make();
+    return qr.createDataURL(4);
+  })();
+
+  let content;
+  if (recoveryCodes) {
+    content = (
+      <div>
+        <div className="alert alert-success" role="status">{t('twoFactor.enabled')}</div>
+        <p className="page-subtitle">{t('twoFactor.recoveryCodesHint')}</p>
+        <ul className="recovery-codes">
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+        <button type="button" className="btn" onClick={() => setRecoveryCodes(null)}>
+          {t('common.done')}
+        </button>
+      </div>
+    );
+  } else if (setup) {
+    content = (
+      <form onSubmit={handleConfirm}>
+        <p className="page-subtitle">{t('twoFactor.setupHint')}</p>
+        {qrCodeUrl && (
+          <img className="two-factor-qr" src={qrCodeUrl} alt={t('twoFactor.qrAlt')} />
+        )}
+        <p className="two-factor-secret">
+          {t('twoFactor.key')} <code>{setup.secret}</code>
+        </p>
+        <p className="two-factor-secret">
+          <a href={setup.uri}>{setup.uri}</a>
+        </p>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="twoFactorCode">
+            {t('fields.appCode')}
+          </label>
+          <input
+            type="text"
+            id="twoFactorCode"
+            {...getFieldAriaProps('twoFactorCode', fieldErrors.code)}
+            className={`form-input ${fieldErrors.code ? 'error' : ''}`}
+            placeholder="123456"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <FieldError id="twoFactorCode" message={fieldErrors.code} />
+        </div>
+
+        <div className="button-group">
+          <button type="submit" className="btn" disabled={isSubmitting}>
+            {isSubmitting ? t('common.checking') : t('twoFactor.turnOn')}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={reset}>
+            {t('common.cancel')}
+          </button>
+        </div>
+      </form>
+    );
+  } else if (isDisabling) {
+    content = (
+      <form onSubmit={handleDisable}>
+        <div className="form-group">
+          <label className="form-label" htmlFor="twoFactorPassword">
+            {t('fields.confirmWithPassword')}
+          </label>
+          <input
+            type="password"
+            id="twoFactorPassword"
+            {...getFieldAriaProps('twoFactorPassword', fieldErrors.password)}
+            className={`form-input ${fieldErrors.password ? 'error' : ''}`}
+            placeholder={t('placeholders.password')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <FieldError id="twoFactorPassword" message={fieldErrors.password} />
+        </div>
+
+        <div className="button-group">
+          <button type="submit" className="btn" disabled={isSubmitting}>
+            {isSubmitting ? t('twoFactor.turningOff') : t('twoFactor.turnOffConfirm')}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={reset}>
+            {t('common.cancel')}
+          </button>
+        </div>
+      </form>
+    );
+  } else if (user.twoFactorEnabled) {
+    content = (
+      <div>
+        <p className="page-subtitle">{t('twoFactor.onSummary')}</p>
+        <button type="button" className="btn btn-outline" onClick={() => setIsDisabling(true)}>
+          {t('twoFactor.turnOff')}
+        </button>
+      </div>
+    );
+  } else {
+    content = (
+      <div>
+        <p className="page-subtitle">{t('twoFactor.offSummary')}</p>
+        <button type="button" className="btn btn-outline" onClick={handleStart}>
+          {t('twoFactor.setUp')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('twoFactor.title')}</h2>
+
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      {content}
+    </div>
+  );
+}
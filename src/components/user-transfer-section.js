@@ -0,0 +1,216 @@
+// ============================================
+// IMPORT AND EXPORT COMPONENT (shown in the admin console)
+// ============================================
+
+import React, { useState } from 'react';
+import ProfileFields from '../../profile-fields.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { parseUserFile, formatUserExport } from '../user-transfer.js';
+import { downloadFile, readTextFile } from '../utils.js';
+
+// Labels for the columns an import can report problems with
+const COLUMN_LABELS = {
+  ...Object.fromEntries(ProfileFields.PROFILE_FIELDS.map((field) => [field.name, field.label])),
+  password: 'fields.password',
+  role: 'admin.column.role',
+  verified: 'transfer.column.verified'
+};
+
+export function UserTransferSection({ onImported }) {
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  // The file being imported: { rows, ignoredColumns, results }
+  const [preview, setPreview] = useState(null);
+
+  /**
+   * Download every account in a format
+   * @param {string} format - 'csv' or 'json'
+   */
+  const handleExport = async (format) => {
+    setError('');
+    setSuccess('');
+    setIsExporting(true);
+    try {
+      const users = await authService.adminListUsers();
+      const { content, type } = formatUserExport(users, format);
+      downloadFile(`accounts-${new Date().toISOString().slice(0, 10)}.${format}`, content, type);
+      setSuccess(t('transfer.exported', { count: users.length }));
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsExporting(false);
+  };
+
+  /**
+   * Read the chosen file and show what importing it would do
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again once it has been edited
+    e.target.value = '';
+    setError('');
+    setSuccess('');
+    setPreview(null);
+    if (!file) return;
+
+    setIsChecking(true);
+    let text;
+    try {
+      text = await readTextFile(file);
+    } catch (err) {
+      setError(t('transfer.errors.unreadable'));
+      setIsChecking(false);
+      return;
+    }
+    try {
+      const { rows, ignoredColumns } = parseUserFile(text, file.name);
+      const { results } = await authService.adminImportUsers(rows, { dryRun: true });
+      setPreview({ rows, ignoredColumns, results });
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsChecking(false);
+  };
+
+  /**
+   * Create the accounts whose rows passed the checks
+   */
+  const handleImport = async () => {
+    setError('');
+    setIsImporting(true);
+    try {
+      const { imported } = await authService.adminImportUsers(preview.rows);
+      setSuccess(t('transfer.imported', { count: imported }));
+      setPreview(null);
+      onImported();
+    } catch (err) {
+      setError(err.message);
+    }
+    setIsImporting(false);
+  };
+
+  const validCount = preview
+    ? preview.results.filter((result) => Object.keys(result.errors).length === 0).length
+    : 0;
+
+  return (
+    <div className="profile-card">
+      <h2 className="profile-section-title">{t('transfer.title')}</h2>
+      <p className="page-subtitle">{t('transfer.summary')}</p>
+
+      {success && <div className="alert alert-success" role="status">{success}</div>}
+      {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+      <div className="transfer-actions">
+        <button
+          type="button"
+          className="btn btn-outline btn-small"
+          disabled={isExporting}
+          onClick={() => handleExport('csv')}
+        >
+          {t('transfer.exportCsv')}
+        </button>
+        <button
+          type="button"
+          className="btn btn-outline btn-small"
+          disabled={isExporting}
+          onClick={() => handleExport('json')}
+        >
+          {t('transfer.exportJson')}
+        </button>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label" htmlFor="importFile">
+          {t('transfer.file')}
+        </label>
+        <input
+          type="file"
+          id="importFile"
+          className="form-input"
+          accept=".csv,.json,text/csv,application/json"
+          disabled={isChecking || isImporting}
+          onChange={handleFileChange}
+        />
+        <span className="transfer-hint">{t('transfer.fileHint')}</span>
+      </div>
+
+      {isChecking && <p className="admin-empty">{t('transfer.checking')}</p>}
+
+      {preview && (
+        <div className="transfer-preview">
+          <p className="transfer-summary">
+            {t('transfer.previewSummary', { valid: validCount, count: preview.results.length })}
+          </p>
+          {preview.ignoredColumns.length > 0 && (
+            <p className="transfer-summary">
+              {t('transfer.ignoredColumns', { columns: preview.ignoredColumns.join(', ') })}
+            </p>
+          )}
+
+          <div className="admin-table-wrapper">
+            <table className="admin-table transfer-table">
+              <thead>
+                <tr>
+                  <th>{t('transfer.column.row')}</th>
+                  <th>{t('admin.column.email')}</th>
+                  <th>{t('transfer.column.result')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.results.map((result) => {
+                  const problems = Object.entries(result.errors);
+                  return (
+                    <tr key={result.row} className={problems.length > 0 ? 'transfer-row-invalid' : ''}>
+                      <td>{result.row}</td>
+                      <td>{result.email}</td>
+                      <td>
+                        {problems.length === 0 ? (
+                          t('transfer.ready')
+                        ) : (
+                          <ul className="transfer-errors">
+                            {problems.map(([column, message]) => (
+                              <li key={column}>
+                                {t('transfer.problem', {
+                                  column: COLUMN_LABELS[column] ? t(COLUMN_LABELS[column]) : column,
+                                  message
+                                })}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="transfer-actions">
+            <button
+              type="button"
+              className="btn btn-small"
+              disabled={validCount === 0 || isImporting}
+              onClick={handleImport}
+            >
+              {isImporting ? t('transfer.importing') : t('transfer.import', { count: validCount })}
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary btn-small"
+              disabled={isImporting}
+              onClick={() => setPreview(null)}
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
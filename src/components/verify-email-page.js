@@ -0,0 +1,151 @@
+// ============================================
+// VERIFY EMAIL COMPONENT
+// ============================================
+
+import React, { useState } from 'react';
+import { showAuthError } from '../auth-error.js';
+import { authService } from '../auth-service.js';
+import { t } from '../locale.js';
+import { buildRouteHash } from '../routing.js';
+import { validateEmail } from '../utils.js';
+import { getFieldAriaProps, useFocusOnFieldErrors } from '../validation.js';
+import { FieldError } from './field-error.js';
+
+export function VerifyEmailPage({ initialEmail = '', currentUser, onVerified, onNavigate }) {
+  const [email, setEmail] = useState(initialEmail);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  useFocusOnFieldErrors(fieldErrors, { email: 'email', code: 'code' });
+  const [success, setSuccess] = useState(false);
+
+  // Logged-in users come back to their profile, everyone else goes to login
+  const returnPage = currentUser ? 'profile' : 'login';
+
+  /**
+   * Handle form submission for email verification
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    setFieldErrors({});
+
+    const errors = {};
+    if (!validateEmail(email)) errors.email = t('validation.emailInvalid');
+    if (!/^\d{6}$/.test(code.trim())) errors.code = t('validation.emailCodeFormat');
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    let user;
+    try {
+      user = await authService.verifyEmail(email.trim(), code.trim());
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+      return;
+    }
+
+    onVerified(user);
+    setSuccess(true);
+
+    // Redirect after 1.5 seconds
+    setTimeout(() => {
+      onNavigate(returnPage);
+    }, 1500);
+  };
+
+  /**
+   * Send a fresh verification code
+   */
+  const handleResend = async () => {
+    setError('');
+    if (!validateEmail(email)) {
+      setFieldErrors({ email: t('validation.emailInvalid') });
+      return;
+    }
+    try {
+      await authService.resendVerification(email.trim());
+      setNotice(t('verifyEmail.resendNotice'));
+    } catch (err) {
+      showAuthError(err, setError, setFieldErrors);
+    }
+  };
+
+  return (
+    <div className="app-container">
+      <div className="auth-card">
+        <h1 className="page-title">{t('verifyEmail.title')}</h1>
+        <p className="page-subtitle">{t('verifyEmail.subtitle')}</p>
+
+        {success && (
+          <div className="alert alert-success" role="status">
+            {t('verifyEmail.success')}
+          </div>
+        )}
+        {notice && <div className="alert alert-success" role="status">{notice}</div>}
+        {error && <div className="alert alert-error" role="alert">{error}</div>}
+
+        <form onSubmit={handleSubmit}>
+          {/* Email Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="email">
+              {t('fields.email')}
+            </label>
+            <input
+              type="email"
+              id="email"
+              {...getFieldAriaProps('email', fieldErrors.email)}
+              className={`form-input ${fieldErrors.email ? 'error' : ''}`}
+              placeholder={t('placeholders.email')}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <FieldError id="email" message={fieldErrors.email} />
+          </div>
+
+          {/* Code Input */}
+          <div className="form-group">
+            <label className="form-label" htmlFor="code">
+              {t('fields.verificationCode')}
+            </label>
+            <input
+              type="text"
+              id="code"
+              {...getFieldAriaProps('code', fieldErrors.code)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className={`form-input ${fieldErrors.code ? 'error' : ''}`}
+              placeholder={t('placeholders.sixDigitCode')}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <FieldError id="code" message={fieldErrors.code} />
+          </div>
+
+          {/* Action Buttons */}
+          <div className="button-group">
+            <button type="submit" className="btn">
+              {t('common.verify')}
+            </button>
+            <button type="button" className="btn btn-outline" onClick={handleResend}>
+              {t('verifyEmail.resend')}
+            </button>
+          </div>
+        </form>
+
+        <div className="auth-link">
+          <a href={buildRouteHash('outbox')}>
+            {t('common.viewOutbox')}
+          </a>
+          {' · '}
+          <a href={buildRouteHash(returnPage)}>
+            {currentUser ? t('common.backToProfile') : t('common.backToLogin')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
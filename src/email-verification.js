@@ -0,0 +1,130 @@
+// ============================================
+// EMAIL VERIFICATION
+// ============================================
+// New accounts (and accounts whose email changes) get `verified: false` and a
+// six-digit code by email. Records saved before verification existed are
+// marked verified by the first schema migration.
+
+import { t } from './locale.js';
+import { mailer } from './mailer.js';
+import { hashToken } from './password-reset.js';
+import { buildAppUrl } from './routing.js';
+import { userRepository } from './user-repository.js';
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  storageKey: 'emailVerifications',
+  codeTtlMs: 24 * 60 * 60 * 1000, // 24 hours
+  maxAttempts: 5
+};
+
+/**
+ * Check whether a user still has to confirm their email address
+ * @param {Object} user - User record
+ * @returns {boolean} - True if the email is unverified
+ */
+export const isEmailUnverified = (user) => {
+  return user.verified === false;
+};
+
+/**
+ * Generate a random six-digit verification code
+ * @returns {string} - Zero-padded numeric code
+ */
+const generateVerificationCode = () => {
+  const value = crypto.getRandomValues(new Uint32Array(1))[0] % 1000000;
+  return value.toString().padStart(6, '0');
+};
+
+/**
+ * Read stored verification codes, dropping any that have expired
+ * @returns {Array} - Active verification records
+ */
+export const loadVerifications = () => {
+  let records;
+  try {
+    records = JSON.parse(localStorage.getItem(EMAIL_VERIFICATION_CONFIG.storageKey)) || [];
+  } catch (err) {
+    records = [];
+  }
+  return records.filter((r) => r.expiresAt > Date.now());
+};
+
+/**
+ * Write verification records to storage
+ * @param {Array} records - Verification records
+ */
+export const saveVerifications = (records) => {
+  localStorage.setItem(EMAIL_VERIFICATION_CONFIG.storageKey, JSON.stringify(records));
+};
+
+/**
+ * Issue a new verification code for a user's current email and mail it.
+ * Any earlier code for the same user stops working.
+ * @param {Object} user - User record
+ */
+export const sendVerificationEmail = async (user) => {
+  const code = generateVerificationCode();
+  const record = {
+    userId: user.id,
+    email: user.email,
+    codeHash: await hashToken(code),
+    attempts: 0,
+    expiresAt: Date.now() + EMAIL_VERIFICATION_CONFIG.codeTtlMs
+  };
+
+  saveVerifications([
+    ...loadVerifications().filter((r) => r.userId !== user.id),
+    record
+  ]);
+
+  await mailer.send({
+    to: user.email,
+    subject: t('email.verify.subject'),
+    body: t('email.verify.body', {
+      firstName: user.firstName,
+      code,
+      link: buildAppUrl('verify-email', { email: user.email })
+    })
+  });
+};
+
+/**
+ * Resend the verification code for an unverified account.
+ * Does nothing for unknown or already verified emails.
+ * @param {string} email - Email address of the account
+ */
+export const resendVerificationEmail = async (email) => {
+  const user = await userRepository.findByEmail(email);
+  if (user && isEmailUnverified(user)) {
+    await sendVerificationEmail(user);
+  }
+};
+
+/**
+ * Confirm an email address with the code that was mailed to it
+ * @param {string} email - Email address being verified
+ * @param {string} code - Six-digit code from the email
+ * @returns {Promise<Object|null>} - The verified user, or null if the code was wrong
+ */
+export const verifyEmailCode = async (email, code) => {
+  const user = await userRepository.findByEmail(email);
+  if (!user) return null;
+
+  const records = loadVerifications();
+  const record = records.find((r) => r.userId === user.id && r.email === user.email);
+  if (!record) return null;
+
+  if (record.codeHash !== (await hashToken(code))) {
+    // Limit guesses: the code is dropped after too many wrong attempts
+    record.attempts += 1;
+    saveVerifications(
+      record.attempts >= EMAIL_VERIFICATION_CONFIG.maxAttempts
+        ? records.filter((r) => r !== record)
+        : records
+    );
+    return null;
+  }
+
+  saveVerifications(records.filter((r) => r !== record));
+  return userRepository.update(user.id, { verified: true });
+};
@@ -0,0 +1,69 @@
+// ============================================
+// INTERNATIONALIZATION
+// ============================================
+// All text shown to users goes through t(key, params). The catalogs, plural
+// handling and language negotiation live in i18n.js and locales/, which the
+// mock server shares. The chosen language is remembered in localStorage;
+// until the user picks one, the browser's preferred languages decide.
+
+import I18n from '../i18n.js';
+
+export const I18N_CONFIG = {
+  storageKey: 'locale'
+};
+
+/**
+ * Work out the language to start in
+ * @returns {string} - Key of I18n.LOCALES
+ */
+const loadLocale = () => {
+  const saved = localStorage.getItem(I18N_CONFIG.storageKey);
+  if (saved && I18n.LOCALES[saved]) return saved;
+  return I18n.negotiateLocale(navigator.languages || [navigator.language]);
+};
+
+let currentLocale = loadLocale();
+
+/**
+ * Get the active language
+ * @returns {string} - Key of I18n.LOCALES
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Translate a message into the active language
+ * @param {string} key - Message key from locales/
+ * @param {Object} params - Placeholder values; `count` picks the plural form
+ * @returns {string} - Translated text
+ */
+export const t = (key, params) => I18n.translate(currentLocale, key, params);
+
+/**
+ * Set the page's language, text direction and title
+ * @param {string} locale - Key of I18n.LOCALES
+ */
+export const applyLocaleToDocument = (locale) => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = I18n.getDirection(locale);
+  document.title = t('app.title');
+};
+
+/**
+ * Switch language and remember the choice. Components re-render through App's
+ * locale state; this only updates what lives outside React.
+ * @param {string} locale - Key of I18n.LOCALES
+ */
+export const setLocale = (locale) => {
+  if (!I18n.LOCALES[locale]) return;
+  currentLocale = locale;
+  localStorage.setItem(I18N_CONFIG.storageKey, locale);
+  applyLocaleToDocument(locale);
+};
+
+/**
+ * Adopt a language chosen in another tab
+ */
+export const reloadLocale = () => {
+  currentLocale = loadLocale();
+  applyLocaleToDocument(currentLocale);
+};
@@ -0,0 +1,157 @@
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+// Failed logins are counted per account (by email) and per client (this
+// browser). Each failure adds an exponentially growing wait before the next
+// attempt, and too many failures inside the window lock the key for a while.
+
+import { t } from './locale.js';
+import { generateToken } from './sessions.js';
+
+export const LOGIN_THROTTLE_CONFIG = {
+  storageKey: 'loginAttempts',
+  clientIdKey: 'clientId',
+  windowMs: 15 * 60 * 1000, // Failures older than this are forgotten
+  accountMaxFailures: 5, // Lock an account after this many failures
+  clientMaxFailures: 20, // Lock this browser after this many failures (any account)
+  lockoutMs: 15 * 60 * 1000,
+  baseDelayMs: 1000, // Wait after the first failure, doubled for each one after
+  maxDelayMs: 30 * 1000
+};
+
+/**
+ * Get (or create) the random ID that identifies this browser
+ * @returns {string} - Client ID
+ */
+const getClientId = () => {
+  let clientId = localStorage.getItem(LOGIN_THROTTLE_CONFIG.clientIdKey);
+  if (!clientId) {
+    clientId = generateToken();
+    localStorage.setItem(LOGIN_THROTTLE_CONFIG.clientIdKey, clientId);
+  }
+  return clientId;
+};
+
+/**
+ * Get the throttle keys a login attempt counts against
+ * @param {string} email - Email address entered on the login form
+ * @returns {Array} - [{ key, maxFailures }] for the account and the client
+ */
+export const getThrottleKeys = (email) => [
+  { key: `account:${email.trim().toLowerCase()}`, maxFailures: LOGIN_THROTTLE_CONFIG.accountMaxFailures },
+  { key: `client:${getClientId()}`, maxFailures: LOGIN_THROTTLE_CONFIG.clientMaxFailures }
+];
+
+/**
+ * Read failed-attempt records from storage
+ * @returns {Object} - Records keyed by throttle key
+ */
+export const loadLoginAttempts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LOGIN_THROTTLE_CONFIG.storageKey)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/**
+ * Write failed-attempt records to storage
+ * @param {Object} attempts - Records keyed by throttle key
+ */
+export const saveLoginAttempts = (attempts) => {
+  localStorage.setItem(LOGIN_THROTTLE_CONFIG.storageKey, JSON.stringify(attempts));
+};
+
+/**
+ * Work out when a throttle key may next be used
+ * @param {Object} record - { failures: [timestamps], lockedUntil } record
+ * @param {number} now - Current timestamp
+ * @returns {Object} - { retryAt, locked }; retryAt is 0 when no wait is needed
+ */
+export const getThrottleState = (record, now) => {
+  if (!record) return { retryAt: 0, locked: false };
+
+  if (record.lockedUntil && record.lockedUntil > now) {
+    return { retryAt: record.lockedUntil, locked: true };
+  }
+
+  const failures = record.failures.filter((t) => now - t < LOGIN_THROTTLE_CONFIG.windowMs);
+  if (failures.length === 0) return { retryAt: 0, locked: false };
+
+  const delay = Math.min(
+    LOGIN_THROTTLE_CONFIG.baseDelayMs * 2 ** (failures.length - 1),
+    LOGIN_THROTTLE_CONFIG.maxDelayMs
+  );
+  const retryAt = failures[failures.length - 1] + delay;
+  return { retryAt: retryAt > now ? retryAt : 0, locked: false };
+};
+
+/**
+ * Check whether a login attempt for this email may go ahead right now
+ * @param {string} email - Email address entered on the login form
+ * @returns {Object} - { retryAt, locked } for the most restrictive key
+ */
+export const checkLoginThrottle = (email) => {
+  const now = Date.now();
+  const attempts = loadLoginAttempts();
+  return getThrottleKeys(email)
+    .map(({ key }) => getThrottleState(attempts[key], now))
+    .reduce(
+      (worst, state) => (state.retryAt > worst.retryAt ? state : worst),
+      { retryAt: 0, locked: false }
+    );
+};
+
+/**
+ * Record a failed login and lock any key that has hit its limit
+ * @param {string} email - Email address entered on the login form
+ * @returns {Object} - { retryAt, locked } to show to the user
+ */
+export const recordLoginFailure = (email) => {
+  const now = Date.now();
+  const attempts = loadLoginAttempts();
+
+  getThrottleKeys(email).forEach(({ key, maxFailures }) => {
+    const record = attempts[key] || { failures: [], lockedUntil: 0 };
+    record.failures = [
+      ...record.failures.filter((t) => now - t < LOGIN_THROTTLE_CONFIG.windowMs),
+      now
+    ];
+    if (record.failures.length >= maxFailures) {
+      record.lockedUntil = now + LOGIN_THROTTLE_CONFIG.lockoutMs;
+      record.failures = [];
+    }
+    attempts[key] = record;
+  });
+
+  saveLoginAttempts(attempts);
+  return checkLoginThrottle(email);
+};
+
+/**
+ * Clear the failure counters after a successful login
+ * @param {string} email - Email address that logged in
+ */
+export const resetLoginFailures = (email) => {
+  const attempts = loadLoginAttempts();
+  getThrottleKeys(email).forEach(({ key }) => {
+    delete attempts[key];
+  });
+  saveLoginAttempts(attempts);
+};
+
+/**
+ * Build the message telling the user when they can try again
+ * @param {Object} throttle - { retryAt, locked } state
+ * @param {number} now - Current timestamp
+ * @returns {string} - Message for the login form
+ */
+export const formatThrottleMessage = ({ retryAt, locked }, now = Date.now()) => {
+  const seconds = Math.max(1, Math.ceil((retryAt - now) / 1000));
+  const wait =
+    seconds < 60
+      ? t('throttle.seconds', { count: seconds })
+      : t('throttle.minutes', { count: Math.ceil(seconds / 60) });
+
+  return locked ? t('throttle.locked', { wait }) : t('throttle.retry', { wait });
+};
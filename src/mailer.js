@@ -0,0 +1,57 @@
+// ============================================
+// MAILER
+// ============================================
+// A mailer is any object with `send({ to, subject, body })` returning a
+// Promise. There is no mail server in this app, so the default mailer logs
+// each message to the console and keeps it in a local outbox that can be read
+// on the Outbox page. Swap it with setMailer() to deliver real email.
+export const OUTBOX_CONFIG = {
+  storageKey: 'outbox',
+  maxMessages: 20
+};
+
+/**
+ * Read the messages held in the local outbox
+ * @returns {Array} - Messages, newest first
+ */
+export const getOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_CONFIG.storageKey)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Remove every message from the local outbox
+ */
+export const clearOutbox = () => {
+  localStorage.removeItem(OUTBOX_CONFIG.storageKey);
+};
+
+// Default mailer: console + localStorage outbox
+const outboxMailer = {
+  send: async ({ to, subject, body }) => {
+    const message = {
+      id: Date.now().toString(),
+      to,
+      subject,
+      body,
+      sentAt: new Date().toISOString()
+    };
+    const outbox = [message, ...getOutbox()].slice(0, OUTBOX_CONFIG.maxMessages);
+    localStorage.setItem(OUTBOX_CONFIG.storageKey, JSON.stringify(outbox));
+    console.info(`[mailer] To: ${to}\nSubject: ${subject}\n\n${body}`);
+    return message;
+  }
+};
+
+export let mailer = outboxMailer;
+
+/**
+ * Replace the mailer used to deliver account emails
+ * @param {Object} newMailer - Object with a send({ to, subject, body }) method
+ */
+export const setMailer = (newMailer) => {
+  mailer = newMailer;
+};
@@ -0,0 +1,24 @@
+// ============================================
+// STARTUP
+// ============================================
+// Entry point, loaded last: gets stored data ready, then renders the app.
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { purgeDeletedAccounts } from './account-deletion.js';
+import { App } from './components/app.js';
+import { applyLocaleToDocument, getLocale } from './locale.js';
+import { migrateUserStorage } from './migrations.js';
+import { STORAGE_CONFIG } from './user-storage.js';
+
+// Upgrade (or recover) stored data before anything reads it
+migrateUserStorage(STORAGE_CONFIG.usersKey);
+
+purgeDeletedAccounts().catch((err) => console.error('Could not purge deleted accounts', err));
+
+applyLocaleToDocument(getLocale());
+
+// ============================================
+// RENDER APP TO DOM
+// ============================================
+const root = createRoot(document.getElementById('root'));
+root.render(<App />);
@@ -0,0 +1,186 @@
+// ============================================
+// STORAGE SCHEMA & MIGRATIONS
+// ============================================
+// The users array in localStorage carries a schema version. On startup any
+// older data is run through the migrations below, in order, and every record
+// is validated. Data that can't be parsed, migrated or validated is moved to a
+// quarantine key (so nothing is thrown away) and a notice is shown instead of
+// the app crashing.
+export const SCHEMA_CONFIG = {
+  versionKey: 'schemaVersion',
+  quarantineKey: 'quarantine'
+};
+
+export const USER_ROLES = ['user', 'admin'];
+
+// Each migration upgrades a single record from `version - 1` to `version`.
+// An optional `upAll` then runs once on the whole array of migrated, valid
+// records, for changes that depend on other accounts.
+// Add new migrations to the end; never edit one that has shipped.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add verified, role and updatedAt fields',
+    up: (user) => ({
+      ...user,
+      // Accounts created before verification existed count as verified
+      verified: typeof user.verified === 'boolean' ? user.verified : true,
+      role: user.role || 'user',
+      updatedAt: user.updatedAt || user.memberSince
+    })
+  },
+  {
+    version: 2,
+    description: 'Add disabled and passwordResetRequired flags; ensure there is an admin',
+    up: (user) => ({
+      ...user,
+      disabled: Boolean(user.disabled),
+      passwordResetRequired: Boolean(user.passwordResetRequired)
+    }),
+    // Existing installs had no admins: promote the oldest account
+    upAll: (users) => {
+      if (users.length === 0 || users.some((u) => u.role === 'admin')) return users;
+      const oldest = users.reduce((a, b) => (Date.parse(b.memberSince) < Date.parse(a.memberSince) ? b : a));
+      return users.map((u) => (u === oldest ? { ...u, role: 'admin' } : u));
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Problems found while loading storage, shown to the user by App.
+// Kept as message keys so they follow the chosen language.
+const storageNotices = [];
+
+/**
+ * Get the notices raised while loading storage
+ * @returns {Array} - Notices as { key, params } for t()
+ */
+export const getStorageNotices = () => [...storageNotices];
+
+/**
+ * Move data that can't be used into the quarantine key
+ * @param {string} reason - Why the data was set aside
+ * @param {*} data - Raw string or record that was removed
+ */
+export const quarantineData = (reason, data) => {
+  let quarantine;
+  try {
+    quarantine = JSON.parse(localStorage.getItem(SCHEMA_CONFIG.quarantineKey)) || [];
+  } catch (err) {
+    quarantine = [];
+  }
+  quarantine.push({ quarantinedAt: new Date().toISOString(), reason, data });
+  localStorage.setItem(SCHEMA_CONFIG.quarantineKey, JSON.stringify(quarantine));
+};
+
+/**
+ * Check a stored user record against the current schema
+ * @param {Object} user - Record to check
+ * @returns {string|null} - Description of the first problem, or null if valid
+ */
+export const validateUserRecord = (user) => {
+  if (!user || typeof user !== 'object' || Array.isArray(user)) return 'not an object';
+  if (typeof user.id !== 'string' || !user.id) return 'missing id';
+  if (typeof user.email !== 'string' || !user.email) return 'missing email';
+  if (typeof user.firstName !== 'string') return 'missing firstName';
+  if (typeof user.lastName !== 'string') return 'missing lastName';
+  if (Number.isNaN(Date.parse(user.memberSince))) return 'invalid memberSince';
+
+  const hash = user.passwordHash;
+  const hasHash =
+    hash && typeof hash.salt === 'string' && typeof hash.hash === 'string' && hash.iterations > 0;
+  if (!hasHash && typeof user.password !== 'string') return 'missing password';
+
+  if (typeof user.verified !== 'boolean') return 'invalid verified flag';
+  if (!USER_ROLES.includes(user.role)) return 'invalid role';
+  if (Number.isNaN(Date.parse(user.updatedAt))) return 'invalid updatedAt';
+  if (typeof user.disabled !== 'boolean') return 'invalid disabled flag';
+  if (typeof user.passwordResetRequired !== 'boolean') return 'invalid passwordResetRequired flag';
+  return null;
+};
+
+/**
+ * Run user records through the migrations they haven't had yet and validate
+ * them. Nothing is stored or quarantined here; the caller decides.
+ * @param {Array} users - Records as read from storage
+ * @param {number} fromVersion - Schema version the records were written with
+ * @returns {Object} - { users, rejected } where rejected lists { reason, data }
+ *   for each record that can't be used
+ */
+export const migrateUserRecords = (users, fromVersion) => {
+  const pending = MIGRATIONS.filter((m) => m.version > fromVersion);
+  let kept = [];
+  const rejected = [];
+  users.forEach((user) => {
+    if (!user || typeof user !== 'object' || Array.isArray(user)) {
+      rejected.push({ reason: 'Invalid user record: not an object', data: user });
+      return;
+    }
+
+    let migrated = user;
+    try {
+      pending.forEach((m) => {
+        migrated = m.up(migrated);
+      });
+    } catch (err) {
+      rejected.push({ reason: `Migration failed: ${err.message}`, data: user });
+      return;
+    }
+
+    const problem = validateUserRecord(migrated);
+    if (problem) {
+      rejected.push({ reason: `Invalid user record: ${problem}`, data: user });
+      return;
+    }
+    kept.push(migrated);
+  });
+
+  pending.forEach((m) => {
+    if (m.upAll) kept = m.upAll(kept);
+  });
+  return { users: kept, rejected };
+};
+
+/**
+ * Bring the stored users array up to the current schema version, quarantining
+ * anything that can't be read. Runs once on startup.
+ * @param {string} storageKey - localStorage key holding the users array
+ */
+export const migrateUserStorage = (storageKey) => {
+  const raw = localStorage.getItem(storageKey);
+  const storedVersion = Number(localStorage.getItem(SCHEMA_CONFIG.versionKey)) || 0;
+
+  if (raw === null) {
+    localStorage.setItem(SCHEMA_CONFIG.versionKey, String(CURRENT_SCHEMA_VERSION));
+    return;
+  }
+
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    // Written by a newer version of the app: leave it alone rather than guess
+    storageNotices.push({ key: 'notices.newerVersion' });
+    return;
+  }
+
+  let users;
+  try {
+    users = JSON.parse(raw);
+    if (!Array.isArray(users)) throw new Error('users is not an array');
+  } catch (err) {
+    quarantineData(`Unreadable user data: ${err.message}`, raw);
+    localStorage.setItem(storageKey, '[]');
+    localStorage.setItem(SCHEMA_CONFIG.versionKey, String(CURRENT_SCHEMA_VERSION));
+    storageNotices.push({ key: 'notices.damaged' });
+    return;
+  }
+
+  const { users: kept, rejected } = migrateUserRecords(users, storedVersion);
+  rejected.forEach(({ reason, data }) => quarantineData(reason, data));
+
+  localStorage.setItem(storageKey, JSON.stringify(kept));
+  localStorage.setItem(SCHEMA_CONFIG.versionKey, String(CURRENT_SCHEMA_VERSION));
+
+  if (rejected.length > 0) {
+    storageNotices.push({ key: 'notices.quarantined', params: { count: rejected.length } });
+  }
+};
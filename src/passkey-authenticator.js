@@ -0,0 +1,94 @@
+// ============================================
+// PASSKEY AUTHENTICATOR
+// ============================================
+// An authenticator is any object with `isSupported()`, `create(options)` and
+// `get(options)`, where options and results are the JSON shapes from
+// webauthn.js (binary values as base64url strings). The default one uses the
+// browser's navigator.credentials; swap it with setAuthenticator(), e.g. for
+// a software authenticator in tests.
+import WebAuthn from '../webauthn.js';
+import { t } from './locale.js';
+
+const { base64urlToBytes, bytesToBase64url } = WebAuthn;
+
+/**
+ * Turn the base64url IDs in a credential descriptor list into bytes
+ * @param {Array} descriptors - [{ type, id, transports }]
+ * @returns {Array}
+ */
+const decodeDescriptors = (descriptors = []) =>
+  descriptors.map((descriptor) => ({ ...descriptor, id: base64urlToBytes(descriptor.id) }));
+
+// Default authenticator: whatever the browser and operating system offer
+const browserAuthenticator = {
+  isSupported: () => Boolean(window.PublicKeyCredential && navigator.credentials),
+
+  create: async (options) => {
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBytes(options.challenge),
+        user: { ...options.user, id: base64urlToBytes(options.user.id) },
+        excludeCredentials: decodeDescriptors(options.excludeCredentials)
+      }
+    });
+    const { response } = credential;
+    return {
+      id: credential.id,
+      rawId: bytesToBase64url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: bytesToBase64url(response.clientDataJSON),
+        attestationObject: bytesToBase64url(response.attestationObject),
+        authenticatorData: bytesToBase64url(response.getAuthenticatorData()),
+        publicKey: bytesToBase64url(response.getPublicKey()),
+        publicKeyAlgorithm: response.getPublicKeyAlgorithm(),
+        transports: response.getTransports ? response.getTransports() : []
+      }
+    };
+  },
+
+  get: async (options) => {
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBytes(options.challenge),
+        allowCredentials: decodeDescriptors(options.allowCredentials)
+      }
+    });
+    const { response } = credential;
+    return {
+      id: credential.id,
+      rawId: bytesToBase64url(credential.rawId),
+      type: credential.type,
+      response: {
+        clientDataJSON: bytesToBase64url(response.clientDataJSON),
+        authenticatorData: bytesToBase64url(response.authenticatorData),
+        signature: bytesToBase64url(response.signature),
+        userHandle: response.userHandle ? bytesToBase64url(response.userHandle) : null
+      }
+    };
+  }
+};
+
+export let authenticator = browserAuthenticator;
+
+/**
+ * Replace the authenticator used to create and use passkeys
+ * @param {Object} newAuthenticator - Object with isSupported(), create(options) and get(options)
+ */
+export const setAuthenticator = (newAuthenticator) => {
+  authenticator = newAuthenticator;
+};
+
+/**
+ * Explain why the authenticator didn't hand back a credential
+ * @param {Error} err - Error thrown by create() or get()
+ * @returns {string} - Message for the user
+ */
+export const describeAuthenticatorError = (err) => {
+  // The browser reports a cancelled prompt and a timeout the same way
+  if (err && err.name === 'NotAllowedError') return t('passkeys.errors.cancelled');
+  if (err && err.name === 'InvalidStateError') return t('passkeys.errors.alreadyRegistered');
+  return t('passkeys.errors.failed');
+};
@@ -0,0 +1,188 @@
+// ============================================
+// PASSKEYS (WebAuthn)
+// ============================================
+// Passwordless sign-in. Checking what authenticators send back is done by
+// webauthn.js (the `WebAuthn` global); this section plays the relying party
+// for this browser: it hands out challenges and keeps each user's passkeys
+// on their record under `passkeys`, as
+// [{ id, name, publicKey, algorithm, signCount, transports, createdAt, lastUsedAt }].
+
+import WebAuthn from '../webauthn.js';
+import { userRepository } from './user-repository.js';
+
+export const PASSKEY_CONFIG = {
+  rpName: 'Account Manager', // shown by the browser when creating a passkey
+  challengeTtlMs: 5 * 60 * 1000, // 5 minutes to finish with the authenticator
+  timeoutMs: 60 * 1000, // how long the browser's prompt stays open
+  userVerification: 'preferred',
+  maxPasskeys: 10,
+  maxNameLength: 64
+};
+
+// Outstanding ceremonies: challenge -> { userId (null when signing in), expiresAt }
+export const passkeyChallenges = new Map();
+
+/**
+ * The site passkeys are bound to: this page's host name and origin
+ * @returns {Object} - { rpId, origin }
+ */
+const getRelyingParty = () => ({ rpId: location.hostname, origin: location.origin });
+
+/**
+ * Remember a challenge until the matching finish call
+ * @param {string|null} userId - Account adding a passkey, or null for sign-in
+ * @returns {string} - Challenge
+ */
+const issueChallenge = (userId) => {
+  const challenge = WebAuthn.generateChallenge();
+  passkeyChallenges.set(challenge, { userId, expiresAt: Date.now() + PASSKEY_CONFIG.challengeTtlMs });
+  return challenge;
+};
+
+/**
+ * Use up the challenge a credential answers
+ * @param {Object} credential - Credential JSON from the authenticator
+ * @param {string|null} userId - Account the challenge must have been issued to
+ * @returns {string|null} - The challenge, or null if it is unknown, expired or someone else's
+ */
+const takeChallenge = (credential, userId) => {
+  const clientData = credential && credential.response && WebAuthn.parseClientData(credential.response.clientDataJSON);
+  const challenge = clientData && clientData.challenge;
+  const record = challenge && passkeyChallenges.get(challenge);
+  if (!record) return null;
+  passkeyChallenges.delete(challenge);
+  return record.expiresAt >= Date.now() && record.userId === userId ? challenge : null;
+};
+
+/**
+ * List a user's passkeys without their keys, for the UI
+ * @param {Array} passkeys - Stored passkeys
+ * @returns {Array} - [{ id, name, createdAt, lastUsedAt }]
+ */
+export const summarizePasskeys = (passkeys = []) =>
+  passkeys.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt: lastUsedAt || null }));
+
+/**
+ * Check the name given to a new passkey
+ * @param {string} name - Name as typed
+ * @returns {string|null} - Message key of the problem, or null if it is fine
+ */
+export const validatePasskeyName = (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'validation.passkeyNameRequired';
+  if (trimmed.length > PASSKEY_CONFIG.maxNameLength) return 'validation.tooLong';
+  return null;
+};
+
+/**
+ * Options for creating a new passkey for a user
+ * @param {Object} user - Stored user record
+ * @returns {Object} - Creation options JSON for the authenticator
+ */
+export const startPasskeyRegistration = (user) => {
+  const { rpId } = getRelyingParty();
+  return WebAuthn.buildCreationOptions({
+    rpId,
+    rpName: PASSKEY_CONFIG.rpName,
+    user: { id: user.id, email: user.email, displayName: `${user.firstName} ${user.lastName}` },
+    challenge: issueChallenge(user.id),
+    excludeIds: (user.passkeys || []).map((passkey) => passkey.id),
+    timeout: PASSKEY_CONFIG.timeoutMs,
+    userVerification: PASSKEY_CONFIG.userVerification
+  });
+};
+
+/**
+ * Store a new passkey once the authenticator's response checks out
+ * @param {Object} user - Stored user record
+ * @param {Object} credential - Credential JSON from the authenticator
+ * @param {string} name - Name the user gave the passkey
+ * @returns {Promise<Object|null>} - Updated user record, or null if the credential isn't valid
+ */
+export const finishPasskeyRegistration = async (user, credential, name) => {
+  const expectedChallenge = takeChallenge(credential, user.id);
+  if (!expectedChallenge) return null;
+
+  const { rpId, origin } = getRelyingParty();
+  const verified = await WebAuthn.verifyRegistration({
+    credential,
+    expectedChallenge,
+    expectedOrigin: origin,
+    rpId,
+    requireUserVerification: PASSKEY_CONFIG.userVerification === 'required'
+  });
+  const passkeys = user.passkeys || [];
+  if (!verified || passkeys.some((passkey) => passkey.id === verified.id)) return null;
+
+  return userRepository.update(user.id, {
+    passkeys: [
+      ...passkeys,
+      { ...verified, name: name.trim(), createdAt: new Date().toISOString(), lastUsedAt: null }
+    ]
+  });
+};
+
+/**
+ * Options for signing in with any passkey this site knows
+ * @returns {Object} - Request options JSON for the authenticator
+ */
+export const startPasskeyLogin = () => {
+  const { rpId } = getRelyingParty();
+  return WebAuthn.buildRequestOptions({
+    rpId,
+    challenge: issueChallenge(null),
+    timeout: PASSKEY_CONFIG.timeoutMs,
+    userVerification: PASSKEY_CONFIG.userVerification
+  });
+};
+
+/**
+ * Find the account a sign-in assertion is for and check its signature,
+ * recording the new signature counter and when the passkey was used
+ * @param {Object} credential - Assertion JSON from the authenticator
+ * @returns {Promise<Object>} - { user, verified }: the account the passkey
+ *   claims (null if unknown) and whether the assertion checked out
+ */
+export const checkPasskeyLogin = async (credential) => {
+  const expectedChallenge = takeChallenge(credential, null);
+  const userHandle = credential && credential.response && credential.response.userHandle;
+  let user = null;
+  try {
+    user = userHandle ? await userRepository.getById(WebAuthn.fromUserHandle(userHandle)) : null;
+  } catch (err) {
+    user = null; // not a user handle we gave out
+  }
+  const passkey = user && (user.passkeys || []).find((p) => p.id === credential.id);
+  if (!passkey || !expectedChallenge) return { user, verified: false };
+
+  const { rpId, origin } = getRelyingParty();
+  const result = await WebAuthn.verifyAuthentication({
+    credential,
+    passkey,
+    expectedChallenge,
+    expectedOrigin: origin,
+    rpId,
+    requireUserVerification: PASSKEY_CONFIG.userVerification === 'required'
+  });
+  if (!result) return { user, verified: false };
+
+  const updatedUser = await userRepository.update(user.id, {
+    passkeys: user.passkeys.map((p) =>
+      p.id === passkey.id ? { ...p, signCount: result.signCount, lastUsedAt: new Date().toISOString() } : p
+    )
+  });
+  return { user: updatedUser, verified: true };
+};
+
+/**
+ * Revoke one of a user's passkeys
+ * @param {Object} user - Stored user record
+ * @param {string} passkeyId - Credential ID of the passkey
+ * @returns {Promise<Object|null>} - Updated user record, or null if the user has no such passkey
+ */
+export const removePasskey = async (user, passkeyId) => {
+  const passkeys = user.passkeys || [];
+  if (!passkeys.some((passkey) => passkey.id === passkeyId)) return null;
+  const remaining = passkeys.filter((passkey) => passkey.id !== passkeyId);
+  return userRepository.update(user.id, { passkeys: remaining.length > 0 ? remaining : undefined });
+};
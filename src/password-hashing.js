@@ -0,0 +1,134 @@
+// ============================================
+// PASSWORD HASHING (Web Crypto PBKDF2)
+// ============================================
+import { userRepository } from './user-repository.js';
+import { bytesToBase64, base64ToBytes } from './utils.js';
+
+// Settings used when hashing new passwords. Stored hashes keep their own
+// algorithm and iteration count, so raising these only affects new hashes
+// (and old ones get upgraded on the next successful login).
+export const PASSWORD_HASH_CONFIG = {
+  algorithm: 'PBKDF2-SHA256',
+  iterations: 210000,
+  saltBytes: 16,
+  keyBits: 256
+};
+
+/**
+ * Derive PBKDF2 key bits from a password and salt
+ * @param {string} password - Plaintext password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @param {number} keyBits - Length of the derived key in bits
+ * @returns {Promise<Uint8Array>} - Derived key bytes
+ */
+const derivePbkdf2 = async (password, salt, iterations, keyBits) => {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    keyBits
+  );
+  return new Uint8Array(bits);
+};
+
+/**
+ * Compare two byte arrays without returning early on the first mismatch
+ * @param {Uint8Array} a - First byte array
+ * @param {Uint8Array} b - Second byte array
+ * @returns {boolean} - True if both arrays are identical
+ */
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+};
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object>} - { algorithm, iterations, salt, hash } record to store
+ */
+export const hashPassword = async (password) => {
+  const { algorithm, iterations, saltBytes, keyBits } = PASSWORD_HASH_CONFIG;
+  const salt = crypto.getRandomValues(new Uint8Array(saltBytes));
+  const hash = await derivePbkdf2(password, salt, iterations, keyBits);
+  return {
+    algorithm,
+    iterations,
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(hash)
+  };
+};
+
+/**
+ * Check a password against a stored hash record
+ * @param {string} password - Plaintext password to check
+ * @param {Object} passwordHash - Stored { algorithm, iterations, salt, hash } record
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  if (!passwordHash || passwordHash.algorithm !== 'PBKDF2-SHA256') return false;
+  const expected = base64ToBytes(passwordHash.hash);
+  const actual = await derivePbkdf2(
+    password,
+    base64ToBytes(passwordHash.salt),
+    passwordHash.iterations,
+    expected.length * 8
+  );
+  return timingSafeEqual(actual, expected);
+};
+
+/**
+ * Check whether a stored hash was made with weaker settings than the current config
+ * @param {Object} passwordHash - Stored hash record
+ * @returns {boolean} - True if the hash should be regenerated
+ */
+export const needsRehash = (passwordHash) => {
+  return (
+    passwordHash.algorithm !== PASSWORD_HASH_CONFIG.algorithm ||
+    passwordHash.iterations < PASSWORD_HASH_CONFIG.iterations
+  );
+};
+
+/**
+ * Hash and store a new password for a user, dropping any legacy plaintext copy
+ * @param {string} userId - ID of the user
+ * @param {string} password - New plaintext password
+ * @returns {Promise<Object|null>} - Updated user record
+ */
+export const setUserPassword = async (userId, password) => {
+  return userRepository.update(userId, {
+    passwordHash: await hashPassword(password),
+    password: undefined // JSON storage drops undefined fields
+  });
+};
+
+/**
+ * Verify a user's password, upgrading legacy plaintext or outdated hashes
+ * @param {Object} user - User record from the database
+ * @param {string} password - Plaintext password entered by the user
+ * @returns {Promise<boolean>} - True if the password is correct
+ */
+export const checkUserPassword = async (user, password) => {
+  let valid;
+  if (user.passwordHash) {
+    valid = await verifyPassword(password, user.passwordHash);
+  } else {
+    // Records created before hashing was introduced store the password as-is
+    valid = typeof user.password === 'string' && user.password === password;
+  }
+
+  if (valid && (!user.passwordHash || needsRehash(user.passwordHash))) {
+    await setUserPassword(user.id, password); // Persist the upgraded hash
+  }
+
+  return valid;
+};
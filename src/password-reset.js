@@ -0,0 +1,119 @@
+// ============================================
+// PASSWORD RESET TOKENS
+// ============================================
+
+import { recordAuditEvent } from './audit-log.js';
+import { t } from './locale.js';
+import { resetLoginFailures } from './login-throttle.js';
+import { mailer } from './mailer.js';
+import { setUserPassword } from './password-hashing.js';
+import { assertPasswordAllowed } from './password-rules.js';
+import { buildAppUrl } from './routing.js';
+import { generateToken } from './sessions.js';
+import { userRepository } from './user-repository.js';
+import { bytesToBase64 } from './utils.js';
+
+export const PASSWORD_RESET_CONFIG = {
+  storageKey: 'passwordResets',
+  tokenTtlMs: 30 * 60 * 1000 // 30 minutes
+};
+
+/**
+ * Hash a reset token so the raw value is never kept in storage
+ * @param {string} token - Raw token
+ * @returns {Promise<string>} - Base64 SHA-256 digest
+ */
+export const hashToken = async (token) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return bytesToBase64(new Uint8Array(digest));
+};
+
+/**
+ * Read stored reset tokens, dropping any that have expired
+ * @returns {Array} - Active reset token records
+ */
+export const loadResetTokens = () => {
+  let tokens;
+  try {
+    tokens = JSON.parse(localStorage.getItem(PASSWORD_RESET_CONFIG.storageKey)) || [];
+  } catch (err) {
+    tokens = [];
+  }
+  return tokens.filter((t) => t.expiresAt > Date.now());
+};
+
+/**
+ * Write reset token records to storage
+ * @param {Array} tokens - Reset token records
+ */
+export const saveResetTokens = (tokens) => {
+  localStorage.setItem(PASSWORD_RESET_CONFIG.storageKey, JSON.stringify(tokens));
+};
+
+/**
+ * Issue a reset token and mail it to the account owner.
+ * Does nothing for unknown emails so the caller can't tell whether an account exists.
+ * @param {string} email - Email address entered on the Forgot Password page
+ */
+export const requestPasswordReset = async (email) => {
+  const user = await userRepository.findByEmail(email);
+  if (!user) return;
+
+  const token = generateToken();
+  const record = {
+    tokenHash: await hashToken(token),
+    userId: user.id,
+    expiresAt: Date.now() + PASSWORD_RESET_CONFIG.tokenTtlMs
+  };
+
+  // Only the most recent token for a user stays valid
+  saveResetTokens([
+    ...loadResetTokens().filter((t) => t.userId !== user.id),
+    record
+  ]);
+
+  await mailer.send({
+    to: user.email,
+    subject: t('email.reset.subject'),
+    body: t('email.reset.body', {
+      firstName: user.firstName,
+      link: buildAppUrl('reset-password', { token }),
+      token,
+      expiry: t('email.reset.expiry', { count: PASSWORD_RESET_CONFIG.tokenTtlMs / 60000 })
+    })
+  });
+};
+
+/**
+ * Set a new password using a reset token. The token is consumed on success.
+ * @param {string} token - Raw reset token from the email
+ * @param {string} newPassword - New plaintext password
+ * @returns {Promise<boolean>} - True if the token was valid and the password changed.
+ *   Throws a VALIDATION_ERROR, keeping the token, if the password breaks the policy.
+ */
+export const resetPasswordWithToken = async (token, newPassword) => {
+  const tokenHash = await hashToken(token);
+  const tokens = loadResetTokens();
+  const record = tokens.find((t) => t.tokenHash === tokenHash);
+  if (!record) return false;
+
+  // Turning down the password leaves the token usable, so the user can pick another
+  const owner = await userRepository.getById(record.userId);
+  if (owner) assertPasswordAllowed(newPassword, owner, 'password');
+
+  // Consume the token before doing anything else so it can't be replayed
+  saveResetTokens(tokens.filter((t) => t !== record));
+
+  const user = await setUserPassword(record.userId, newPassword);
+  if (!user) return false;
+
+  // A reset forced by an admin is done once a new password has been chosen
+  if (user.passwordResetRequired) {
+    await userRepository.update(user.id, { passwordResetRequired: false });
+  }
+
+  // Proving ownership of the email lifts any lockout on the account
+  resetLoginFailures(user.email);
+  recordAuditEvent('password-reset', { user });
+  return true;
+};
@@ -0,0 +1,51 @@
+// ============================================
+// PASSWORD POLICY
+// ============================================
+// The checks themselves live in password-policy.js, which the mock server
+// shares. Registration, password changes and resets all go through
+// checkNewPassword, so the forms and the service agree on what's allowed.
+
+import PasswordPolicy from '../password-policy.js';
+import { AuthError } from './auth-error.js';
+import { t } from './locale.js';
+
+// Overrides for PasswordPolicy.POLICY_DEFAULTS (minLength, minEntropyBits, ...)
+export const PASSWORD_POLICY = {};
+
+/**
+ * Check a proposed password for an account
+ * @param {string} password - Proposed password
+ * @param {Object} user - { firstName, lastName, email } of the account; the
+ *   password may not contain them. Leave out what isn't known yet.
+ * @returns {Object} - { valid, errors, warnings, entropyBits, strength }
+ */
+export const checkNewPassword = (password, { firstName, lastName, email } = {}) => {
+  return PasswordPolicy.checkPassword(password, {
+    userInputs: [firstName, lastName, email],
+    policy: PASSWORD_POLICY
+  });
+};
+
+/**
+ * Describe a password policy error or warning in the active language
+ * @param {Object} item - { code, params } from checkNewPassword
+ * @returns {string} - Message
+ */
+export const describePasswordIssue = (item) => t(`passwordPolicy.${item.code}`, item.params);
+
+/**
+ * Throw a VALIDATION_ERROR if a password breaks the policy
+ * @param {string} password - Proposed password
+ * @param {Object} user - Account it is for
+ * @param {string} field - Form field the message belongs under
+ */
+export const assertPasswordAllowed = (password, user, field) => {
+  const { valid, errors } = checkNewPassword(password || '', user);
+  if (!valid) {
+    const message = describePasswordIssue(errors[0]);
+    throw new AuthError(message, {
+      code: 'VALIDATION_ERROR',
+      fieldErrors: { [field]: message }
+    });
+  }
+};
@@ -0,0 +1,145 @@
+// ============================================
+// ROUTING (hash-based)
+// ============================================
+// Each page has a path under the URL hash (e.g. #/profile), so the back
+// button, bookmarks and shared links work without server support. Page
+// parameters travel in the hash query string: #/verify-email?email=a@b.co
+//
+// `access` decides who may open a page:
+//   'auth'  - logged-in users only; guests are sent to login with ?returnTo=
+//   'admin' - like 'auth', and other users are sent to their profile
+//   'guest' - logged-out users only; logged-in users are sent to their profile
+//             (except #/login?add=1, which signs in to another account)
+//   'any'   - everyone
+// To add a page, add a route here and render it in App.
+
+import { useState, useEffect } from 'react';
+
+export const ROUTES = {
+  login: { path: '/login', access: 'guest' },
+  register: { path: '/register', access: 'guest' },
+  'verify-email': { path: '/verify-email', access: 'any' },
+  'forgot-password': { path: '/forgot-password', access: 'guest' },
+  'reset-password': { path: '/reset-password', access: 'any' },
+  outbox: { path: '/outbox', access: 'any' },
+  profile: { path: '/profile', access: 'auth' },
+  admin: { path: '/admin', access: 'admin' }
+};
+
+/**
+ * Build the hash for a page
+ * @param {string} page - Route name (a key of ROUTES)
+ * @param {Object} params - Query parameters; empty values are left out
+ * @returns {string} - e.g. '#/verify-email?email=a%40b.co'
+ */
+export const buildRouteHash = (page, params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  });
+  const search = query.toString();
+  return `#${ROUTES[page].path}${search ? `?${search}` : ''}`;
+};
+
+/**
+ * Build an absolute link to a page of this app (for emails)
+ * @param {string} page - Route name
+ * @param {Object} params - Query parameters
+ * @returns {string} - Full URL including the hash
+ */
+export const buildAppUrl = (page, params = {}) => {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}${buildRouteHash(page, params)}`;
+};
+
+/**
+ * Work out which page a hash points to
+ * @param {string} hash - window.location.hash
+ * @returns {Object} - { page, params, fullPath }; page is null for an empty
+ *   hash and 'not-found' for unknown paths. fullPath is the hash without '#'.
+ */
+export const parseRouteHash = (hash) => {
+  const fullPath = hash.replace(/^#/, '');
+  const [path, search = ''] = fullPath.split('?');
+  const params = Object.fromEntries(new URLSearchParams(search));
+
+  if (path === '' || path === '/') {
+    return { page: null, params, fullPath };
+  }
+
+  const page = Object.keys(ROUTES).find((name) => ROUTES[name].path === path);
+  return { page: page || 'not-found', params, fullPath };
+};
+
+/**
+ * Go to a page
+ * @param {string} page - Route name
+ * @param {Object} params - Query parameters
+ * @param {Object} options - `replace: true` swaps the current history entry
+ *   instead of adding one (used for redirects)
+ */
+export const navigateTo = (page, params = {}, { replace = false } = {}) => {
+  const hash = buildRouteHash(page, params);
+  if (window.location.hash === hash) return;
+
+  if (replace) {
+    window.location.replace(hash);
+  } else {
+    window.location.hash = hash;
+  }
+};
+
+/**
+ * Check that a returnTo value points at a page of this app, so a crafted
+ * link can't send users somewhere else after logging in
+ * @param {string} returnTo - Hash path such as '/profile?tab=x'
+ * @returns {boolean}
+ */
+export const isSafeReturnTo = (returnTo) => {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/')) return false;
+  const { page } = parseRouteHash(returnTo);
+  return Boolean(page) && page !== 'not-found' && ROUTES[page].access !== 'guest';
+};
+
+/**
+ * Decide whether a route may be shown in the current auth state
+ * @param {Object} route - Result of parseRouteHash
+ * @param {Object|null} user - Logged-in user, if any
+ * @returns {string|null} - Hash to redirect to, or null to show the route
+ */
+export const getRouteRedirect = (route, user) => {
+  const isLoggedIn = Boolean(user);
+  const home = buildRouteHash(isLoggedIn ? 'profile' : 'login');
+
+  if (!route.page) return home;
+  if (route.page === 'not-found') return null;
+
+  const { access } = ROUTES[route.page];
+  if ((access === 'auth' || access === 'admin') && !isLoggedIn) {
+    return buildRouteHash('login', { returnTo: route.fullPath });
+  }
+  if (access === 'admin' && user.role !== 'admin') return home;
+  if (access === 'guest' && isLoggedIn) {
+    if (route.page === 'login' && route.params.add) return null;
+    // Finish a login that started from a protected page
+    const { returnTo } = route.params;
+    return isSafeReturnTo(returnTo) ? `#${returnTo}` : home;
+  }
+  return null;
+};
+
+/**
+ * Current route, kept up to date with the URL hash
+ * @returns {Object} - Result of parseRouteHash
+ */
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseRouteHash(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRouteHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return route;
+};
@@ -0,0 +1,229 @@
+// ============================================
+// SESSIONS
+// ============================================
+// Sessions live in sessionStorage (closed with the tab) or, when the user
+// ticks "Remember me", in localStorage so they survive a browser restart.
+//
+// Several accounts can be signed in at once. The active one is stored under
+// `storageKey` as before; the others wait under `otherSessionsKey` (a list,
+// in the storage area that matches each session) until the user switches to
+// them or signs them out.
+
+import { bytesToBase64 } from './utils.js';
+
+export const SESSION_CONFIG = {
+  storageKey: 'session',
+  otherSessionsKey: 'otherSessions',
+  idleTimeoutMs: 30 * 60 * 1000, // 30 minutes without activity
+  absoluteTimeoutMs: 12 * 60 * 60 * 1000, // 12 hours after login
+  rememberIdleTimeoutMs: 7 * 24 * 60 * 60 * 1000, // 7 days without activity
+  rememberAbsoluteTimeoutMs: 30 * 24 * 60 * 60 * 1000, // 30 days after login
+  checkIntervalMs: 60 * 1000
+};
+
+/**
+ * Generate a random, URL-safe session token
+ * @returns {string} - Random token
+ */
+export const generateToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Get the storage area a session belongs in
+ * @param {boolean} persistent - True for "Remember me" sessions
+ * @returns {Storage} - localStorage or sessionStorage
+ */
+const getSessionStorage = (persistent) => {
+  return persistent ? localStorage : sessionStorage;
+};
+
+/**
+ * Save a session record to its storage area
+ * @param {Object} session - Session record
+ */
+const saveSession = (session) => {
+  getSessionStorage(session.persistent).setItem(
+    SESSION_CONFIG.storageKey,
+    JSON.stringify(session)
+  );
+};
+
+/**
+ * Read the list of inactive sessions kept in one storage area
+ * @param {Storage} storage - localStorage or sessionStorage
+ * @returns {Array} - Session records (damaged data counts as none)
+ */
+const readOtherSessions = (storage) => {
+  try {
+    const sessions = JSON.parse(storage.getItem(SESSION_CONFIG.otherSessionsKey));
+    return Array.isArray(sessions) ? sessions.filter((session) => session && session.token) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Save the inactive sessions, each in the storage area it belongs in
+ * @param {Array} sessions - Session records
+ */
+const saveOtherSessions = (sessions) => {
+  [true, false].forEach((persistent) => {
+    const storage = getSessionStorage(persistent);
+    const kept = sessions.filter((session) => Boolean(session.persistent) === persistent);
+    if (kept.length > 0) {
+      storage.setItem(SESSION_CONFIG.otherSessionsKey, JSON.stringify(kept));
+    } else {
+      storage.removeItem(SESSION_CONFIG.otherSessionsKey);
+    }
+  });
+};
+
+/**
+ * Load the sessions of the signed-in accounts that aren't active,
+ * discarding expired ones
+ * @returns {Array} - Valid session records
+ */
+export const loadOtherSessions = () => {
+  const stored = [...readOtherSessions(sessionStorage), ...readOtherSessions(localStorage)];
+  const sessions = stored.filter((session) => !isSessionExpired(session));
+  if (sessions.length !== stored.length) saveOtherSessions(sessions);
+  return sessions;
+};
+
+/**
+ * Set the active session aside so another account can take its place
+ * @param {string} userId - Account about to become active; a session of the
+ *   same account is dropped rather than kept twice
+ */
+const setActiveSessionAside = (userId) => {
+  const active = loadSession();
+  const others = loadOtherSessions().filter((session) => session.userId !== userId);
+  if (active && active.userId !== userId) {
+    others.push(active);
+  }
+  saveOtherSessions(others);
+  clearSession();
+};
+
+/**
+ * Create and store a new session for a user. An account that was already
+ * active stays signed in as one of the other sessions.
+ * @param {string} userId - ID of the logged-in user
+ * @param {boolean} remember - Keep the session across browser restarts
+ * @param {string} token - Token issued by the auth service (a random one if omitted)
+ * @returns {Object} - The new session record
+ */
+export const createSession = (userId, remember, token = generateToken()) => {
+  setActiveSessionAside(userId);
+  const now = Date.now();
+  const session = {
+    token,
+    userId,
+    createdAt: now,
+    lastSeen: now,
+    expiresAt:
+      now + (remember ? SESSION_CONFIG.rememberAbsoluteTimeoutMs : SESSION_CONFIG.absoluteTimeoutMs),
+    persistent: remember
+  };
+  saveSession(session);
+  return session;
+};
+
+/**
+ * Check whether a session has passed its idle or absolute timeout
+ * @param {Object} session - Session record
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - True if the session is no longer valid
+ */
+export const isSessionExpired = (session, now = Date.now()) => {
+  const idleTimeout = session.persistent
+    ? SESSION_CONFIG.rememberIdleTimeoutMs
+    : SESSION_CONFIG.idleTimeoutMs;
+  return now >= session.expiresAt || now - session.lastSeen >= idleTimeout;
+};
+
+/**
+ * Load the current session, discarding it if it has expired
+ * @returns {Object|null} - Valid session record or null
+ */
+export const loadSession = () => {
+  const stored =
+    sessionStorage.getItem(SESSION_CONFIG.storageKey) ||
+    localStorage.getItem(SESSION_CONFIG.storageKey);
+  if (!stored) return null;
+
+  let session;
+  try {
+    session = JSON.parse(stored);
+  } catch (err) {
+    clearSession();
+    return null;
+  }
+
+  if (!session || !session.token || isSessionExpired(session)) {
+    clearSession();
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Make one of the other sessions the active one, setting the active
+ * session aside in its place
+ * @param {string} userId - Account to switch to
+ * @returns {Object|null} - The now active session, or null if that account
+ *   has no valid session
+ */
+export const switchSession = (userId) => {
+  const session = loadOtherSessions().find((other) => other.userId === userId);
+  if (!session) return null;
+  setActiveSessionAside(userId);
+  session.lastSeen = Date.now();
+  saveSession(session);
+  return session;
+};
+
+/**
+ * Sign one of the other accounts out of this browser
+ * @param {string} userId - Account whose session to drop
+ */
+export const removeOtherSession = (userId) => {
+  saveOtherSessions(loadOtherSessions().filter((session) => session.userId !== userId));
+};
+
+/**
+ * Record user activity to push back the idle timeout. The other signed-in
+ * accounts count as active too, since it's the same person at the keyboard.
+ * @returns {Object|null} - Updated session record or null if it has expired
+ */
+export const touchSession = () => {
+  const session = loadSession();
+  if (!session) return null;
+  const now = Date.now();
+  session.lastSeen = now;
+  saveSession(session);
+  const others = loadOtherSessions();
+  if (others.length > 0) {
+    saveOtherSessions(others.map((other) => ({ ...other, lastSeen: now })));
+  }
+  return session;
+};
+
+/**
+ * Remove the current session from both storage areas
+ */
+export const clearSession = () => {
+  sessionStorage.removeItem(SESSION_CONFIG.storageKey);
+  localStorage.removeItem(SESSION_CONFIG.storageKey);
+};
+
+/**
+ * Sign every account out of this browser
+ */
+export const clearAllSessions = () => {
+  clearSession();
+  sessionStorage.removeItem(SESSION_CONFIG.otherSessionsKey);
+  localStorage.removeItem(SESSION_CONFIG.otherSessionsKey);
+};
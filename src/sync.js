@@ -0,0 +1,55 @@
+// ============================================
+// TAB SYNC
+// ============================================
+// Keeps several open tabs in step. Changes arrive two ways: `storage` events
+// (fired by the browser when another tab writes localStorage) and messages on
+// a BroadcastChannel (for things storage events can't see, like IndexedDB
+// writes or a logout of a tab-only sessionStorage session).
+
+import { I18N_CONFIG } from './locale.js';
+import { SESSION_CONFIG } from './sessions.js';
+import { STORAGE_CONFIG } from './user-storage.js';
+
+const SYNC_CONFIG = {
+  channelName: 'account-manager-sync'
+};
+
+const syncChannel =
+  typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SYNC_CONFIG.channelName) : null;
+
+/**
+ * Tell other tabs about a change
+ * @param {Object} message - { type, ...details }
+ */
+export const broadcastSync = (message) => {
+  if (syncChannel) syncChannel.postMessage(message);
+};
+
+/**
+ * Listen for changes made in other tabs
+ * @param {Function} handler - Called with { type: 'users-changed' | 'session-changed' | 'locale-changed' | 'logout', ... }
+ * @returns {Function} - Call to stop listening
+ */
+export const subscribeToSync = (handler) => {
+  const handleStorage = (e) => {
+    if (e.key === STORAGE_CONFIG.usersKey) handler({ type: 'users-changed' });
+    if (e.key === SESSION_CONFIG.storageKey || e.key === SESSION_CONFIG.otherSessionsKey) {
+      handler({ type: 'session-changed' });
+    }
+    if (e.key === I18N_CONFIG.storageKey) handler({ type: 'locale-changed' });
+    if (e.key === null) {
+      // localStorage.clear() in another tab
+      handler({ type: 'users-changed' });
+      handler({ type: 'session-changed' });
+    }
+  };
+  const handleMessage = (e) => handler(e.data);
+
+  window.addEventListener('storage', handleStorage);
+  if (syncChannel) syncChannel.addEventListener('message', handleMessage);
+
+  return () => {
+    window.removeEventListener('storage', handleStorage);
+    if (syncChannel) syncChannel.removeEventListener('message', handleMessage);
+  };
+};
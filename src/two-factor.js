@@ -0,0 +1,133 @@
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================
+// Optional second login step. The one-time password maths lives in totp.js
+// (the `Totp` global); this section keeps the secret and hashed recovery
+// codes on the user record under `twoFactor`, and tracks logins that have
+// passed the password check but still need a code.
+
+import Totp from '../totp.js';
+import { hashToken } from './password-reset.js';
+import { generateToken } from './sessions.js';
+import { userRepository } from './user-repository.js';
+
+export const TWO_FACTOR_CONFIG = {
+  issuer: 'Account Manager', // shown in authenticator apps
+  recoveryCodeCount: 10,
+  challengeTtlMs: 5 * 60 * 1000, // 5 minutes to enter the code
+  maxCodeAttempts: 5
+};
+
+// Pending logins: challenge token -> { userId, expiresAt, attempts }
+export const twoFactorChallenges = new Map();
+
+/**
+ * Check whether a user has two-factor authentication turned on
+ * @param {Object} user - Stored user record
+ * @returns {boolean}
+ */
+export const isTwoFactorEnabled = (user) => Boolean(user.twoFactor && user.twoFactor.enabledAt);
+
+/**
+ * Create a recovery code such as 'k3vq-7hxa'
+ * @returns {string}
+ */
+const generateRecoveryCode = () => {
+  const code = Totp.base32Encode(crypto.getRandomValues(new Uint8Array(5))).toLowerCase();
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+/**
+ * Make recovery code input comparable (case, spaces and dashes don't matter)
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Create a new secret for the user to add to their authenticator app. It only
+ * takes effect once confirmTwoFactorSetup sees a valid code for it.
+ * @param {Object} user - Stored user record
+ * @returns {Promise<Object>} - { secret, uri } where uri is the otpauth:// link
+ */
+export const startTwoFactorSetup = async (user) => {
+  const secret = Totp.generateSecret();
+  await userRepository.update(user.id, {
+    twoFactorPending: { secret, createdAt: new Date().toISOString() }
+  });
+  return {
+    secret,
+    uri: Totp.buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_CONFIG.issuer })
+  };
+};
+
+/**
+ * Turn two-factor authentication on once the user proves their app works
+ * @param {Object} user - Stored user record with twoFactorPending
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<Object|null>} - { user, recoveryCodes }, or null if the code is wrong
+ */
+export const confirmTwoFactorSetup = async (user, code) => {
+  const pending = user.twoFactorPending;
+  const step = pending ? await Totp.verifyTotp(pending.secret, code.trim()) : null;
+  if (step === null) return null;
+
+  // Recovery codes are shown once and only their hashes are kept
+  const recoveryCodes = Array.from({ length: TWO_FACTOR_CONFIG.recoveryCodeCount }, generateRecoveryCode);
+  const updatedUser = await userRepository.update(user.id, {
+    twoFactorPending: undefined,
+    twoFactor: {
+      secret: pending.secret,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+      recoveryCodeHashes: await Promise.all(
+        recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c)))
+      )
+    }
+  });
+  return { user: updatedUser, recoveryCodes };
+};
+
+/**
+ * Check a code from the authenticator app or a recovery code, using it up
+ * @param {Object} user - Stored user record with two-factor enabled
+ * @param {string} code - Code entered at login
+ * @returns {Promise<boolean>} - True if the code was accepted
+ */
+export const checkSecondFactor = async (user, code) => {
+  const { twoFactor } = user;
+  const trimmed = code.trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = await Totp.verifyTotp(twoFactor.secret, trimmed);
+    // Each code works once, even while it is still within its time window
+    if (step === null || step <= twoFactor.lastUsedStep) return false;
+    await userRepository.update(user.id, { twoFactor: { ...twoFactor, lastUsedStep: step } });
+    return true;
+  }
+
+  const hash = await hashToken(normalizeRecoveryCode(trimmed));
+  if (!twoFactor.recoveryCodeHashes.includes(hash)) return false;
+  await userRepository.update(user.id, {
+    twoFactor: {
+      ...twoFactor,
+      recoveryCodeHashes: twoFactor.recoveryCodeHashes.filter((h) => h !== hash)
+    }
+  });
+  return true;
+};
+
+/**
+ * Remember a login that still needs its second factor
+ * @param {Object} user - Stored user record
+ * @returns {string} - Challenge token for the second step
+ */
+export const createTwoFactorChallenge = (user) => {
+  const token = generateToken();
+  twoFactorChallenges.set(token, {
+    userId: user.id,
+    expiresAt: Date.now() + TWO_FACTOR_CONFIG.challengeTtlMs,
+    attempts: 0
+  });
+  return token;
+};
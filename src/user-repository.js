@@ -0,0 +1,52 @@
+// ============================================
+// USER REPOSITORY IN USE
+// ============================================
+// The repository every service reads and writes users through, built for
+// STORAGE_CONFIG.backend. Its writes are announced to other tabs.
+import { broadcastSync } from './sync.js';
+import {
+  STORAGE_CONFIG,
+  createMemoryUserRepository,
+  createLocalStorageUserRepository,
+  createIndexedDbUserRepository
+} from './user-storage.js';
+
+/**
+ * Wrap a repository so every write tells other tabs that user data changed
+ * (IndexedDB writes don't fire `storage` events on their own)
+ * @param {Object} repository - UserRepository
+ * @returns {Object} - UserRepository
+ */
+const withChangeBroadcast = (repository) => {
+  const notify = (result) => {
+    broadcastSync({ type: 'users-changed' });
+    return result;
+  };
+  return {
+    ...repository,
+    create: (...args) => repository.create(...args).then(notify),
+    update: (...args) => repository.update(...args).then(notify),
+    delete: (...args) => repository.delete(...args).then(notify)
+  };
+};
+
+/**
+ * Create the repository for a configured backend
+ * @param {string} backend - 'localStorage', 'indexedDB' or 'memory'
+ * @returns {Object} - UserRepository
+ */
+export const createUserRepository = (backend) => {
+  if (backend === 'indexedDB') return withChangeBroadcast(createIndexedDbUserRepository());
+  if (backend === 'memory') return createMemoryUserRepository();
+  return withChangeBroadcast(createLocalStorageUserRepository());
+};
+
+export let userRepository = createUserRepository(STORAGE_CONFIG.backend);
+
+/**
+ * Replace the repository used for all user data (e.g. with an in-memory one in tests)
+ * @param {Object} repository - UserRepository implementation
+ */
+export const setUserRepository = (repository) => {
+  userRepository = repository;
+};
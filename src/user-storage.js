@@ -0,0 +1,274 @@
+// ============================================
+// DATA STORAGE (User Repository)
+// ============================================
+// All user records are read and written through a UserRepository. Every
+// adapter returns an object with the same async methods:
+//   getById(id)          -> user or null
+//   findByEmail(email)   -> user or null
+//   create(user)         -> created user
+//   update(id, changes, { expectedUpdatedAt })
+//                        -> updated user, or null if no such user; throws a
+//                           StorageConflictError if expectedUpdatedAt is given
+//                           and the stored record has changed since
+//   delete(id)           -> true if a user was removed
+//   list()               -> array of all users
+// Records handed out are copies, so changes only stick once passed to update().
+// Passing `undefined` for a field in update() removes that field.
+
+import { SCHEMA_CONFIG, migrateUserRecords, quarantineData } from './migrations.js';
+
+export const STORAGE_CONFIG = {
+  backend: 'localStorage', // 'localStorage', 'indexedDB' or 'memory'
+  usersKey: 'users',
+  indexedDbName: 'account-manager',
+  indexedDbStore: 'users'
+};
+
+/**
+ * Thrown by update() when the record was changed by someone else (e.g. another
+ * tab) after the caller read it. `current` holds the stored record.
+ */
+export class StorageConflictError extends Error {
+  constructor(current) {
+    super('The record was changed by someone else');
+    this.name = 'StorageConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Refuse an update if the stored record isn't the version the caller read
+ * @param {Object} existing - Stored user record
+ * @param {string} expectedUpdatedAt - updatedAt of the record the caller read
+ */
+const checkUpdatedAt = (existing, expectedUpdatedAt) => {
+  if (expectedUpdatedAt && existing.updatedAt !== expectedUpdatedAt) {
+    throw new StorageConflictError(cloneUser(existing));
+  }
+};
+
+/**
+ * Copy a user record so callers can't change stored data by accident
+ * @param {Object|null} user - User record
+ * @returns {Object|null} - Deep copy of the record
+ */
+const cloneUser = (user) => {
+  return user ? JSON.parse(JSON.stringify(user)) : null;
+};
+
+/**
+ * Apply changes to a stored record, dropping fields set to undefined
+ * @param {Object} existing - Stored user record
+ * @param {Object} changes - Fields to change
+ * @returns {Object} - New record (the id can't be changed; updatedAt is bumped)
+ */
+const mergeUser = (existing, changes) => {
+  const merged = { ...existing, ...changes, id: existing.id, updatedAt: new Date().toISOString() };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === undefined) delete merged[key];
+  });
+  return merged;
+};
+
+/**
+ * Create a repository that keeps users in memory only (handy for tests)
+ * @param {Array} initialUsers - Users to start with
+ * @returns {Object} - UserRepository
+ */
+export const createMemoryUserRepository = (initialUsers = []) => {
+  const users = new Map(initialUsers.map((u) => [u.id, cloneUser(u)]));
+
+  return {
+    getById: async (id) => cloneUser(users.get(id)),
+    findByEmail: async (email) => {
+      return cloneUser([...users.values()].find((u) => u.email === email));
+    },
+    create: async (user) => {
+      users.set(user.id, cloneUser(user));
+      return cloneUser(user);
+    },
+    update: async (id, changes, { expectedUpdatedAt } = {}) => {
+      if (!users.has(id)) return null;
+      checkUpdatedAt(users.get(id), expectedUpdatedAt);
+      const updated = cloneUser(mergeUser(users.get(id), changes));
+      users.set(id, updated);
+      return cloneUser(updated);
+    },
+    delete: async (id) => users.delete(id),
+    list: async () => [...users.values()].map(cloneUser)
+  };
+};
+
+/**
+ * Read the JSON array of users kept in localStorage. Damaged data is set
+ * aside in the quarantine and replaced with an empty list.
+ * @param {string} storageKey - localStorage key holding the array
+ * @returns {Array} - User records
+ */
+const readStoredUsers = (storageKey) => {
+  const raw = localStorage.getItem(storageKey);
+  try {
+    const users = JSON.parse(raw) || [];
+    if (!Array.isArray(users)) throw new Error('users is not an array');
+    return users;
+  } catch (err) {
+    quarantineData(`Unreadable user data: ${err.message}`, raw);
+    localStorage.setItem(storageKey, '[]');
+    return [];
+  }
+};
+
+/**
+ * Create a repository that keeps users as a JSON array in localStorage
+ * @param {string} storageKey - localStorage key holding the array
+ * @returns {Object} - UserRepository
+ */
+export const createLocalStorageUserRepository = (storageKey = STORAGE_CONFIG.usersKey) => {
+  // Read on every call so changes made elsewhere are never overwritten
+  const read = () => readStoredUsers(storageKey);
+  const write = (users) => localStorage.setItem(storageKey, JSON.stringify(users));
+
+  return {
+    getById: async (id) => cloneUser(read().find((u) => u.id === id)),
+    findByEmail: async (email) => cloneUser(read().find((u) => u.email === email)),
+    create: async (user) => {
+      write([...read(), user]);
+      return cloneUser(user);
+    },
+    update: async (id, changes, { expectedUpdatedAt } = {}) => {
+      // Read, check and write happen in one synchronous step, so no other
+      // tab can slip a change in between
+      const users = read();
+      const index = users.findIndex((u) => u.id === id);
+      if (index === -1) return null;
+      checkUpdatedAt(users[index], expectedUpdatedAt);
+      users[index] = mergeUser(users[index], changes);
+      write(users);
+      return cloneUser(users[index]);
+    },
+    delete: async (id) => {
+      const users = read();
+      const remaining = users.filter((u) => u.id !== id);
+      write(remaining);
+      return remaining.length !== users.length;
+    },
+    list: async () => read()
+  };
+};
+
+/**
+ * Wrap an IndexedDB request in a Promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} - Request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Create a repository backed by IndexedDB, which isn't bound by the ~5MB
+ * localStorage quota. The first time the database is opened, the users
+ * already in localStorage are copied over; records that can't be used are
+ * quarantined instead.
+ * @param {Object} options - { dbName, storeName, legacyStorageKey }
+ * @returns {Object} - UserRepository
+ */
+export const createIndexedDbUserRepository = ({
+  dbName = STORAGE_CONFIG.indexedDbName,
+  storeName = STORAGE_CONFIG.indexedDbStore,
+  legacyStorageKey = STORAGE_CONFIG.usersKey
+} = {}) => {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        let rejectedUsers = [];
+        let importError = null;
+
+        // The store is created and the legacy users copied in the same
+        // transaction, so if the copy fails the database isn't created and
+        // the next open tries again
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(storeName, { keyPath: 'id' });
+          store.createIndex('email', 'email');
+          if (!legacyStorageKey) return;
+          try {
+            // Normally already migrated and validated by migrateUserStorage()
+            // on startup, but it may have been written or damaged since
+            const storedVersion = Number(localStorage.getItem(SCHEMA_CONFIG.versionKey)) || 0;
+            const { users, rejected } = migrateUserRecords(readStoredUsers(legacyStorageKey), storedVersion);
+            users.forEach((user) => store.put(user));
+            rejectedUsers = rejected;
+          } catch (err) {
+            importError = err;
+            request.transaction.abort();
+          }
+        };
+        request.onsuccess = () => {
+          rejectedUsers.forEach(({ reason, data }) => quarantineData(reason, data));
+          resolve(request.result);
+        };
+        request.onerror = () => reject(importError || request.error);
+      }).catch((err) => {
+        // Let the next call try again rather than fail for the whole session
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Open the object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>} - Object store
+   */
+  const openStore = async (mode) => {
+    const db = await openDb();
+    return db.transaction(storeName, mode).objectStore(storeName);
+  };
+
+  /**
+   * Run a single request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  const withStore = async (mode, callback) => {
+    return promisifyRequest(callback(await openStore(mode)));
+  };
+
+  return {
+    getById: async (id) => (await withStore('readonly', (store) => store.get(id))) || null,
+    findByEmail: async (email) => {
+      return (await withStore('readonly', (store) => store.index('email').get(email))) || null;
+    },
+    create: async (user) => {
+      await withStore('readwrite', (store) => store.add(user));
+      return cloneUser(user);
+    },
+    update: async (id, changes, { expectedUpdatedAt } = {}) => {
+      // Read and write in one transaction so concurrent updates can't interleave
+      const store = await openStore('readwrite');
+      const existing = await promisifyRequest(store.get(id));
+      if (!existing) return null;
+      checkUpdatedAt(existing, expectedUpdatedAt);
+      const updated = mergeUser(existing, changes);
+      await promisifyRequest(store.put(updated));
+      return cloneUser(updated);
+    },
+    delete: async (id) => {
+      const store = await openStore('readwrite');
+      const existing = await promisifyRequest(store.get(id));
+      if (!existing) return false;
+      await promisifyRequest(store.delete(id));
+      return true;
+    },
+    list: async () => withStore('readonly', (store) => store.getAll())
+  };
+};
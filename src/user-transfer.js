@@ -0,0 +1,272 @@
+// ============================================
+// USER IMPORT AND EXPORT
+// ============================================
+// Admins can add accounts in bulk from a CSV or JSON file and download every
+// account in either format. Files hold one account per row, with columns
+// named after the profile fields plus the optional IMPORT_EXTRA_COLUMNS.
+// Parsing happens here in the browser; the rows are then checked (and, once
+// the admin has seen the preview, created) by authService.adminImportUsers.
+// Exports are built from the admin's list of public users, so they never
+// contain password hashes, two-factor secrets or passkey keys.
+
+import ProfileFields from '../profile-fields.js';
+import { AuthError } from './auth-error.js';
+import { t } from './locale.js';
+import { USER_ROLES } from './migrations.js';
+import { checkNewPassword } from './password-rules.js';
+
+export const USER_TRANSFER_CONFIG = {
+  maxRows: 500 // per import; every row with a password has to be hashed
+};
+
+const PROFILE_COLUMNS = ProfileFields.PROFILE_FIELDS.map((field) => field.name);
+
+// Columns an import may have besides the profile fields
+export const IMPORT_EXTRA_COLUMNS = ['password', 'role', 'verified'];
+
+// Columns of an export, in order. Importing an export ignores the ones the
+// import doesn't use instead of reporting them.
+export const EXPORT_COLUMNS = [
+  'id',
+  ...PROFILE_COLUMNS,
+  'role',
+  'verified',
+  'disabled',
+  'passwordResetRequired',
+  'twoFactorEnabled',
+  'memberSince',
+  'updatedAt'
+];
+
+const IMPORT_COLUMNS = [...PROFILE_COLUMNS, ...IMPORT_EXTRA_COLUMNS];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Match a column heading to a column name, ignoring case, spaces and
+ * punctuation ("First name" and "first_name" both mean firstName)
+ * @param {string} heading - Heading from the file
+ * @returns {string|null} - Column name, or null if it isn't one
+ */
+const toColumnName = (heading) => {
+  const simplified = String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return [...IMPORT_COLUMNS, ...EXPORT_COLUMNS].find((name) => name.toLowerCase() === simplified) || null;
+};
+
+/**
+ * Split CSV text into records of fields (RFC 4180: fields may be quoted, and
+ * quoted fields may hold commas, line breaks and doubled quotes)
+ * @param {string} text - CSV text
+ * @returns {Array} - Records, each an array of strings
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  // A byte order mark would end up in the first heading
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+/**
+ * Write records as CSV, quoting fields where needed. Fields that a
+ * spreadsheet would run as a formula are prefixed with an apostrophe.
+ * @param {Array} records - Records, each an array of values
+ * @returns {string} - CSV text
+ */
+export const formatCsv = (records) => {
+  const formatField = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return records.map((record) => record.map(formatField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Turn a value from a file into the string the checks expect
+ * @param {*} value - Cell or JSON value
+ * @returns {string}
+ */
+const toCellText = (value) => {
+  if (typeof value === 'string') {
+    // Undo the formula protection formatCsv adds
+    return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+  }
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : '';
+};
+
+/**
+ * Keep the import columns of a row, keyed by column name
+ * @param {Array} entries - [heading, value] pairs
+ * @returns {Object} - { column: string }
+ */
+const toImportValues = (entries) => {
+  const values = {};
+  entries.forEach(([heading, value]) => {
+    const name = toColumnName(heading);
+    if (name && IMPORT_COLUMNS.includes(name)) values[name] = toCellText(value);
+  });
+  return values;
+};
+
+/**
+ * Throw an error about the file as a whole
+ * @param {string} key - Message key
+ * @param {Object} params - Message parameters
+ */
+const rejectFile = (key, params) => {
+  throw new AuthError(t(key, params), { code: 'INVALID_FILE' });
+};
+
+/**
+ * Read the accounts out of an import file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name; its extension picks the format
+ * @returns {Object} - { rows: [{ row, values }], ignoredColumns } where row
+ *   is the row number to show (spreadsheet row for CSV, position for JSON)
+ *   and ignoredColumns lists headings that aren't columns of either format
+ */
+export const parseUserFile = (text, fileName) => {
+  const extension = (fileName.match(/\.([^.]+)$/) || [])[1];
+  let rows;
+  let headings;
+
+  if (/^json$/i.test(extension || '')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      rejectFile('transfer.errors.badJson');
+    }
+    // Exports wrap the list as { exportedAt, users }
+    const list = Array.isArray(data) ? data : data && data.users;
+    if (!Array.isArray(list) || list.some((item) => !item || typeof item !== 'object' || Array.isArray(item))) {
+      rejectFile('transfer.errors.notAList');
+    }
+    headings = [...new Set(list.flatMap((item) => Object.keys(item)))];
+    rows = list.map((item, index) => ({ row: index + 1, values: toImportValues(Object.entries(item)) }));
+  } else if (/^csv$/i.test(extension || '')) {
+    const [header = [], ...records] = parseCsv(text);
+    headings = header.map((heading) => heading.trim()).filter(Boolean);
+    if (!header.some((heading) => toColumnName(heading) === 'email')) {
+      rejectFile('transfer.errors.noEmailColumn');
+    }
+    rows = records
+      .map((record, index) => ({
+        row: index + 2, // the heading is row 1
+        values: toImportValues(header.map((heading, i) => [heading, record[i]])),
+        isBlank: record.every((value) => !value.trim())
+      }))
+      .filter((row) => !row.isBlank)
+      .map(({ row, values }) => ({ row, values }));
+  } else {
+    rejectFile('transfer.errors.unknownFormat');
+  }
+
+  if (rows.length === 0) rejectFile('transfer.errors.empty');
+  if (rows.length > USER_TRANSFER_CONFIG.maxRows) {
+    rejectFile('errors.tooManyImportRows', { max: USER_TRANSFER_CONFIG.maxRows });
+  }
+  return { rows, ignoredColumns: headings.filter((heading) => !toColumnName(heading)) };
+};
+
+/**
+ * Read a yes/no cell
+ * @param {string} value - Cell text
+ * @returns {boolean|null|undefined} - The answer, null if the cell is empty,
+ *   or undefined if it isn't yes or no
+ */
+const parseYesNo = (value) => {
+  const answer = (value || '').trim().toLowerCase();
+  if (!answer) return null;
+  if (['true', 'yes', 'y', '1'].includes(answer)) return true;
+  if (['false', 'no', 'n', '0'].includes(answer)) return false;
+  return undefined;
+};
+
+/**
+ * Check one imported row with the same rules as registration. Checking that
+ * the email address is free is left to the caller, which knows the accounts.
+ * @param {Object} values - { column: string } from parseUserFile
+ * @returns {Object} - { profile, password, role, verified, problems } where
+ *   profile holds the normalized profile fields that have a value and
+ *   problems are { field: { key, params } }
+ */
+export const checkImportRow = (values) => {
+  const normalized = ProfileFields.normalizeProfile(values);
+  const problems = ProfileFields.validateProfile(normalized, [
+    ...new Set(['firstName', 'lastName', 'email', ...Object.keys(normalized)])
+  ]);
+  const profile = Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== ''));
+
+  const password = typeof values.password === 'string' ? values.password : '';
+  if (password) {
+    const { valid, errors } = checkNewPassword(password, profile);
+    if (!valid) problems.password = { key: `passwordPolicy.${errors[0].code}`, params: errors[0].params };
+  }
+
+  const role = (values.role || '').trim().toLowerCase() || 'user';
+  if (!USER_ROLES.includes(role)) problems.role = { key: 'validation.roleUnknown' };
+
+  // Addresses still have to be confirmed unless the file says they were
+  const verified = parseYesNo(values.verified);
+  if (verified === undefined) problems.verified = { key: 'validation.yesOrNo' };
+
+  return { profile, password, role, verified: verified === true, problems };
+};
+
+/**
+ * Build an export of accounts
+ * @param {Array} users - Public user records
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} - { content, type } ready to download
+ */
+export const formatUserExport = (users, format) => {
+  const records = users.map((user) =>
+    Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, user[column] === undefined ? null : user[column]]))
+  );
+  if (format === 'csv') {
+    return {
+      content: formatCsv([EXPORT_COLUMNS, ...records.map((record) => EXPORT_COLUMNS.map((column) => record[column]))]),
+      type: 'text/csv'
+    };
+  }
+  return {
+    content: JSON.stringify({ exportedAt: new Date().toISOString(), users: records }, null, 2),
+    type: 'application/json'
+  };
+};
@@ -0,0 +1,105 @@
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+import { getLocale } from './locale.js';
+
+/**
+ * Validate email format using regex
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid email format
+ */
+export const validateEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+/**
+ * Format date to readable string in the active language
+ * @param {Date} date - Date object to format
+ * @returns {string} - Formatted date string
+ */
+export const formatDate = (date) => {
+  return new Date(date).toLocaleDateString(getLocale(), {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Format a timestamp as date and time in the active language, e.g. 'Oct 18, 2026, 3:04 PM'
+ * @param {string|number|Date} date - Moment to format
+ * @returns {string} - Formatted date and time
+ */
+export const formatDateTime = (date) => {
+  return new Date(date).toLocaleString(getLocale(), {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Offer text to the user as a downloaded file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Read a file the user picked as text
+ * @param {File} file - Picked file
+ * @returns {Promise<string>} - Its contents
+ */
+export const readTextFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Offer data to the user as a downloaded JSON file
+ * @param {string} filename - Suggested file name
+ * @param {*} data - Value to save
+ */
+export const downloadJson = (filename, data) => {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+};
+
+/**
+ * Encode bytes as a base64 string for storage
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+};
+
+/**
+ * Decode a base64 string back into bytes
+ * @param {string} base64 - Base64 string to decode
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const base64ToBytes = (base64) => {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+};
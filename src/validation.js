@@ -0,0 +1,364 @@
+// ============================================
+// FORM VALIDATION
+// ============================================
+// Forms describe their fields with a schema: { fieldName: [rule, ...] }. A
+// rule is a function (value, values) that returns an error message, or null
+// when the value is fine; rules that need the auth service return a Promise.
+// The rule factories take message keys and translate when the rule runs.
+// A field's rules run in order and the first message wins. Rules that compare
+// against another field list it in `dependsOn`, so editing that field
+// re-checks this one. The useForm hook connects a schema to a form.
+//
+// An input and its error message are tied together with aria-invalid and
+// aria-describedby (the message's id is fieldErrorId(inputId); FieldError
+// renders it), so screen readers read the message with the field.
+
+import { useState, useEffect, useRef } from 'react';
+import ProfileFields from '../profile-fields.js';
+import { authService } from './auth-service.js';
+import { getLocale, t } from './locale.js';
+import { checkNewPassword, describePasswordIssue } from './password-rules.js';
+import { validateEmail } from './utils.js';
+
+/**
+ * Note which other fields a rule reads
+ * @param {Function} rule - Validation rule
+ * @param {Array} fields - Names of the fields it compares against
+ * @returns {Function} - The same rule
+ */
+const dependsOn = (rule, fields) => Object.assign(rule, { dependsOn: fields });
+
+// Rule factories
+export const validators = {
+  required: (messageKey) => (value) => (String(value).trim() ? null : t(messageKey)),
+
+  email: (messageKey = 'validation.emailInvalid') => (value) =>
+    !value.trim() || validateEmail(value.trim()) ? null : t(messageKey),
+
+  minLength: (min, messageKey) => (value) => (!value || value.length >= min ? null : t(messageKey, { min })),
+
+  pattern: (regex, messageKey) => (value) => (!value.trim() || regex.test(value.trim()) ? null : t(messageKey)),
+
+  matches: (field, messageKey) =>
+    dependsOn((value, values) => (!value || value === values[field] ? null : t(messageKey)), [field]),
+
+  differsFrom: (field, messageKey) =>
+    dependsOn((value, values) => (!value || value !== values[field] ? null : t(messageKey)), [field]),
+
+  /**
+   * Check a new password against the password policy
+   * @param {Function} getUser - (values) => the account's { firstName, lastName, email }
+   * @param {Array} fields - Form fields getUser reads
+   */
+  passwordPolicy: (getUser = () => ({}), fields = []) =>
+    dependsOn((value, values) => {
+      if (!value) return null;
+      const { valid, errors } = checkNewPassword(value, getUser(values));
+      return valid ? null : describePasswordIssue(errors[0]);
+    }, fields),
+
+  /**
+   * Check a profile field against its definition in profile-fields.js
+   * @param {string} name - Field name in the registry
+   */
+  profileField: (name) => (value) => {
+    const problem = ProfileFields.checkValue(ProfileFields.getField(name), value);
+    return problem ? t(problem.key, problem.params) : null;
+  },
+
+  /**
+   * Check with the auth service that no other account uses the address.
+   * If the check itself fails the field passes; the service checks again on submit.
+   * @param {Object} options - { messageKey, except } where except is an address
+   *   that is always allowed (the user's current one)
+   */
+  emailAvailable: ({ messageKey = 'validation.emailTaken', except } = {}) => async (value) => {
+    const email = value.trim();
+    if (!validateEmail(email) || email === except) return null;
+    try {
+      return (await authService.isEmailAvailable(email)) ? null : t(messageKey);
+    } catch (err) {
+      return null;
+    }
+  }
+};
+
+// Rules shared by every form that has these fields
+export const FIELD_RULES = {
+  firstName: [validators.profileField('firstName')],
+  lastName: [validators.profileField('lastName')],
+  email: [validators.profileField('email')]
+};
+
+/**
+ * Rules for choosing a new password
+ * @param {Function} getUser - (values) => the account's { firstName, lastName, email }
+ * @param {Array} fields - Form fields getUser reads
+ * @returns {Array} - Rules
+ */
+export const newPasswordRules = (getUser, fields) => [
+  validators.required('validation.passwordRequired'),
+  validators.passwordPolicy(getUser, fields)
+];
+
+/**
+ * Rules for a "confirm password" field
+ * @param {string} passwordField - Name of the field it has to match
+ * @returns {Array} - Rules
+ */
+export const confirmPasswordRules = (passwordField) => [
+  validators.required('validation.confirmPasswordRequired'),
+  validators.matches(passwordField, 'validation.passwordsDontMatch')
+];
+
+/**
+ * Id of the element holding a field's error message
+ * @param {string} id - Id of the input
+ * @returns {string}
+ */
+export const fieldErrorId = (id) => `${id}-error`;
+
+/**
+ * Attributes that mark an input invalid and point it at its error message
+ * and any hints shown with it
+ * @param {string} id - Id of the input
+ * @param {string} error - Error message shown for it, if any
+ * @param {Array} hintIds - Ids of other elements describing it
+ * @returns {Object} - { 'aria-invalid', 'aria-describedby' }
+ */
+export const getFieldAriaProps = (id, error, hintIds = []) => {
+  const describedBy = [...(error ? [fieldErrorId(id)] : []), ...hintIds.filter(Boolean)];
+  return {
+    'aria-invalid': error ? true : undefined,
+    'aria-describedby': describedBy.length > 0 ? describedBy.join(' ') : undefined
+  };
+};
+
+/**
+ * Move focus to the first field of a form that has an error
+ * @param {Array} names - Field names in the order the form shows them
+ * @param {Object} errors - Error messages keyed by field
+ * @param {Object} ids - Input ids keyed by field
+ */
+const focusFirstError = (names, errors, ids) => {
+  const name = names.find((field) => errors[field] && ids[field]);
+  const input = name && document.getElementById(ids[name]);
+  if (input) input.focus();
+};
+
+/**
+ * Move focus to the first invalid field of a form that keeps its own field
+ * errors instead of using useForm. Such forms only set errors on submit, so
+ * every new set of errors takes focus.
+ * @param {Object} fieldErrors - Error messages keyed by field
+ * @param {Object} ids - Input ids keyed by field, in the order the form shows them
+ */
+export const useFocusOnFieldErrors = (fieldErrors, ids) => {
+  useEffect(() => {
+    focusFirstError(Object.keys(ids), fieldErrors, ids);
+  }, [fieldErrors]);
+};
+
+/**
+ * Check one field against its rules
+ * @param {Object} schema - Form schema
+ * @param {string} name - Field name
+ * @param {Object} values - All of the form's values
+ * @returns {Promise<string|null>} - First error message, or null
+ */
+const validateField = async (schema, name, values) => {
+  for (const rule of schema[name] || []) {
+    const message = await rule(values[name], values);
+    if (message) return message;
+  }
+  return null;
+};
+
+/**
+ * Check several fields (all of them by default)
+ * @param {Object} schema - Form schema
+ * @param {Object} values - All of the form's values
+ * @param {Array} names - Fields to check
+ * @returns {Promise<Object>} - Error messages keyed by field; empty if all pass
+ */
+export const validateValues = async (schema, values, names = Object.keys(schema)) => {
+  const messages = await Promise.all(names.map((name) => validateField(schema, name, values)));
+  const errors = {};
+  names.forEach((name, i) => {
+    if (messages[i]) errors[name] = messages[i];
+  });
+  return errors;
+};
+
+/**
+ * Find the fields whose rules read a given field
+ * @param {Object} schema - Form schema
+ * @param {string} name - Field that changed
+ * @returns {Array} - Names of the dependent fields
+ */
+export const getDependentFields = (schema, name) => {
+  return Object.keys(schema).filter((field) =>
+    schema[field].some((rule) => (rule.dependsOn || []).includes(name))
+  );
+};
+
+/**
+ * Form state and validation for a schema. A field is validated when it loses
+ * focus, re-validated on every change once it has been touched, and every
+ * field is validated on submit; onSubmit only runs when they all pass.
+ * When a submit turns up errors, whether from the rules or from setErrors
+ * (e.g. the server's field errors), focus moves to the first invalid field.
+ * @param {Object} options - { initialValues, schema, onSubmit(values) }
+ * @returns {Object} - { values, errors, touched, dirty, isDirty, isSubmitting,
+ *   getFieldProps, handleChange, handleBlur, handleSubmit, setErrors, reset }
+ */
+export const useForm = ({ initialValues, schema, onSubmit }) => {
+  const [values, setValues] = useState(initialValues);
+  // Values the form started from, for dirty tracking
+  const [baseValues, setBaseValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Latest validation run per field, so a slow async check can't overwrite a newer result
+  const runIds = useRef({});
+  const locale = getLocale();
+  const lastLocale = useRef(locale);
+  // Input ids by field (from getFieldProps), and whether the next errors
+  // found should take focus
+  const fieldIds = useRef({});
+  const focusPending = useRef(false);
+  // Set as soon as a submit starts, so a second click can't start another
+  // while the first is still validating
+  const submitting = useRef(false);
+
+  /**
+   * Validate some fields and store their errors
+   * @param {Array} names - Fields to check
+   * @param {Object} nextValues - Values to check them against
+   * @returns {Promise<Object>} - Errors found
+   */
+  const runValidation = async (names, nextValues) => {
+    const ids = {};
+    names.forEach((name) => {
+      ids[name] = (runIds.current[name] || 0) + 1;
+      runIds.current[name] = ids[name];
+    });
+
+    const found = await validateValues(schema, nextValues, names);
+    setErrors((prev) => {
+      const next = { ...prev };
+      names.forEach((name) => {
+        if (runIds.current[name] !== ids[name]) return;
+        if (found[name]) next[name] = found[name];
+        else delete next[name];
+      });
+      return next;
+    });
+    return found;
+  };
+
+  // Messages are translated when a rule runs, so re-check the fields showing
+  // one when the language changes
+  useEffect(() => {
+    if (lastLocale.current === locale) return;
+    lastLocale.current = locale;
+    const shown = Object.keys(errors).filter((name) => schema[name]);
+    if (shown.length > 0) runValidation(shown, values);
+  }, [locale]);
+
+  // Focus the first invalid field once a submit's errors have rendered
+  useEffect(() => {
+    if (!focusPending.current || Object.keys(errors).length === 0) return;
+    focusPending.current = false;
+    focusFirstError([...Object.keys(values), ...Object.keys(errors)], errors, fieldIds.current);
+  }, [errors]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const nextValues = { ...values, [name]: value };
+    setValues(nextValues);
+
+    const recheck = [name, ...getDependentFields(schema, name)].filter(
+      (field) => touched[field] && schema[field]
+    );
+    if (recheck.length > 0) runValidation(recheck, nextValues);
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    if (!schema[name]) return;
+    setTouched((prev) => ({ ...prev, [name]: true }));
+    runValidation([name], values);
+  };
+
+  const handleSubmit = async (e) => {
+    if (e) e.preventDefault();
+    if (submitting.current) return;
+    submitting.current = true;
+    setIsSubmitting(true);
+
+    try {
+      const names = Object.keys(schema);
+      setTouched(Object.fromEntries(names.map((name) => [name, true])));
+
+      focusPending.current = true;
+      const found = await runValidation(names, values);
+      if (Object.keys(found).length > 0) return;
+      focusPending.current = false;
+
+      await onSubmit(values);
+    } finally {
+      submitting.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Start over from new values (or the initial ones)
+   * @param {Object} nextValues - Values to load
+   */
+  const reset = (nextValues = initialValues) => {
+    setValues(nextValues);
+    setBaseValues(nextValues);
+    setErrors({});
+    setTouched({});
+  };
+
+  const dirty = Object.fromEntries(
+    Object.keys(values).map((name) => [name, values[name] !== baseValues[name]])
+  );
+
+  return {
+    values,
+    errors,
+    touched,
+    dirty,
+    isDirty: Object.values(dirty).some(Boolean),
+    isSubmitting,
+    /**
+     * Props for a field's input
+     * @param {string} name - Field name
+     * @param {Object} options - { id, hintIds } where id defaults to the
+     *   field name and hintIds lists other elements that describe the input
+     */
+    getFieldProps: (name, { id = name, hintIds } = {}) => {
+      fieldIds.current[name] = id;
+      return {
+        id,
+        name,
+        value: values[name],
+        onChange: handleChange,
+        onBlur: handleBlur,
+        ...getFieldAriaProps(id, errors[name], hintIds)
+      };
+    },
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    setErrors: (next) => {
+      focusPending.current = Object.keys(next).length > 0;
+      setErrors(next);
+    },
+    reset
+  };
+};
@@ -0,0 +1,79 @@
+// ============================================
+// SERVICE WORKER (production build only)
+// ============================================
+// Caches the app shell so the built app (see scripts/build.js) starts and
+// runs without a network connection. The build prepends
+//   const BUILD = { version, files };
+// where files lists every file of the shell. A new build means a new
+// version, so its worker caches the new files and deletes the old cache.
+//
+// Only the shell is served from the cache. Everything else (the REST API in
+// API mode, for one) goes to the network as usual, except fonts, which are
+// kept once loaded so the page looks the same offline.
+
+const CACHE_PREFIX = 'account-manager-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${BUILD.version}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(BUILD.files))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== FONT_CACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Answer from a cache, filling it from the network on a miss. The worker is
+ * kept alive until the copy is stored.
+ * @param {string} cacheName - Cache to use
+ * @param {FetchEvent} event - Fetch to answer
+ * @returns {Promise<Response>}
+ */
+const fromCacheFirst = async (cacheName, event) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+  const response = await fetch(event.request);
+  if (response.ok) event.waitUntil(cache.put(event.request, response.clone()));
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages are all index.html; the route lives in the hash
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(
+      caches.match('index.html', { cacheName: SHELL_CACHE }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then((cached) => cached || fetch(request)));
+    return;
+  }
+
+  if (request.destination === 'font') {
+    event.respondWith(fromCacheFirst(FONT_CACHE, event));
+  }
+});
@@ -0,0 +1,123 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const axe = require('axe-core');
+const { App } = require('../../src/components/app.js');
+const { applyLocaleToDocument, getLocale } = require('../../src/locale.js');
+const { createAccount, logIn } = require('../helpers/accounts');
+const { render, cleanup, getField, type, click, submit, waitFor, textOf } = require('../helpers/dom');
+
+/**
+ * Open a page of the app
+ * @param {string} hash - Page address
+ * @param {string} selector - Element to wait for
+ */
+const openPage = async (hash, selector = 'h1') => {
+  window.location.hash = hash;
+  await render(React.createElement(App));
+  await waitFor(() => document.querySelector(selector));
+};
+
+/**
+ * Run axe over the page and fail with a readable list of what it found.
+ * jsdom doesn't lay pages out, so colour contrast can't be measured here.
+ */
+const assertAccessible = async () => {
+  const { violations } = await axe.run(document, { rules: { 'color-contrast': { enabled: false } } });
+  const found = violations.map(
+    (violation) => `${violation.id}: ${violation.nodes.map((node) => node.target.join(' ')).join(', ')}`
+  );
+  assert.deepEqual(found, []);
+};
+
+describe('Accessibility', () => {
+  beforeEach(() => {
+    resetBrowser();
+    // As startup does
+    applyLocaleToDocument(getLocale());
+  });
+  afterEach(cleanup);
+
+  for (const hash of ['#/login', '#/register', '#/forgot-password', '#/reset-password', '#/verify-email']) {
+    it(`passes axe on ${hash}, with and without errors`, async () => {
+      await openPage(hash, 'form');
+      await assertAccessible();
+      await submit();
+      await waitFor(() => document.querySelector('[aria-invalid="true"]'));
+      await assertAccessible();
+    });
+  }
+
+  it('passes axe on the outbox and the not-found page', async () => {
+    await openPage('#/outbox');
+    await assertAccessible();
+    await cleanup();
+    await openPage('#/nowhere');
+    await assertAccessible();
+  });
+
+  it('passes axe on the profile page, its edit form and the admin console', async () => {
+    await createAccount();
+    await logIn();
+    await openPage('#/profile', '.profile-title');
+    await assertAccessible();
+
+    await click('Edit Profile');
+    await type(document.getElementById('profile-firstName'), '');
+    await click('Save Changes');
+    await waitFor(() => document.querySelector('[aria-invalid="true"]'));
+    await assertAccessible();
+
+    await cleanup();
+    await openPage('#/admin', '.admin-table tbody tr');
+    await assertAccessible();
+  });
+
+  it('ties error messages to their inputs and focuses the first invalid one', async () => {
+    await openPage('#/register', 'form');
+    await type('Last Name', 'Lovelace');
+    await submit();
+
+    const firstName = getField('First Name');
+    assert.equal(document.activeElement, firstName);
+    assert.equal(firstName.getAttribute('aria-invalid'), 'true');
+    assert.equal(
+      document.getElementById(firstName.getAttribute('aria-describedby')).textContent,
+      'First name is required'
+    );
+    assert.equal(getField('Last Name').getAttribute('aria-invalid'), null);
+  });
+
+  it('focuses fields the server rejects and announces alerts', async () => {
+    await openPage('#/forgot-password', 'form');
+    await type('Email Address', 'nope');
+    await submit();
+    assert.equal(document.activeElement, getField('Email Address'));
+    assert.equal(getField('Email Address').getAttribute('aria-describedby'), 'email-error');
+
+    await cleanup();
+    await openPage('#/login', 'form');
+    await type('Email Address', 'ada@example.com');
+    await type('Password', 'wrong');
+    await submit();
+    await waitFor(() => document.querySelector('[role="alert"]'));
+    assert.equal(textOf('[role="alert"]'), 'Invalid email or password');
+  });
+
+  it('describes password strength in words and links it to the field', async () => {
+    await openPage('#/register', 'form');
+    await type('Password', 'Vq7#mistral-Lake');
+    const password = getField('Password');
+    const feedback = document.getElementById(password.getAttribute('aria-describedby'));
+    assert.match(feedback.textContent, /Password strength: strong/);
+    assert.equal(feedback.querySelector('.password-strength').getAttribute('aria-live'), 'polite');
+  });
+
+  it('moves focus to the heading of each new page', async () => {
+    await openPage('#/login', 'form');
+    await click('Register here');
+    await waitFor(() => textOf('h1') === 'Create Account');
+    assert.equal(document.activeElement, document.querySelector('h1'));
+  });
+});
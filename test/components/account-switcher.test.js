@@ -0,0 +1,189 @@
+const { resetBrowser } = require('../helpers/setup');
+
+// Stands in for the channel other tabs post to; tests deliver their messages
+const syncChannels = [];
+Object.defineProperty(globalThis, 'BroadcastChannel', {
+  configurable: true,
+  value: class extends EventTarget {
+    constructor() {
+      super();
+      syncChannels.push(this);
+    }
+
+    postMessage() {}
+  }
+});
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { App } = require('../../src/components/app.js');
+const {
+  clearSession,
+  loadSession,
+  loadOtherSessions,
+  removeOtherSession,
+  switchSession
+} = require('../../src/sessions.js');
+const { PASSWORD, createAccount, logIn } = require('../helpers/accounts');
+const { render, cleanup, flush, getField, type, click, submit, waitFor, textOf } = require('../helpers/dom');
+
+const { act } = React;
+
+/**
+ * Sign in to Ada and then Grace, the way two logins in a row would
+ * @returns {Promise<Object>} - { ada, grace }
+ */
+const signInToBoth = async () => {
+  await createAccount();
+  await createAccount({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com' });
+  const ada = await logIn();
+  const grace = await logIn('grace@example.com');
+  return { ada, grace };
+};
+
+/**
+ * Open the profile page of the active account
+ */
+const openProfile = async () => {
+  window.location.hash = '#/profile';
+  await render(React.createElement(App));
+  await waitFor(() => document.querySelector('.profile-title'));
+};
+
+/**
+ * Pick an option in a select, as the user would
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} value - Option value
+ */
+const choose = async (select, value) => {
+  await act(async () => {
+    select.value = value;
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+  });
+  await flush(50);
+};
+
+/**
+ * Deliver a message as if another tab had broadcast it
+ * @param {Object} message - { type, ...details }
+ */
+const receiveFromOtherTab = async (message) => {
+  await act(async () => {
+    syncChannels.forEach((channel) => channel.dispatchEvent(new MessageEvent('message', { data: message })));
+  });
+  await flush(50);
+};
+
+describe('AccountSwitcher', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('switches between signed-in accounts without a password', async () => {
+    const { ada, grace } = await signInToBoth();
+    await openProfile();
+    const switcher = getField('Switch account');
+    await waitFor(() => switcher.options.length === 2);
+    assert.equal(switcher.value, grace.id);
+    assert.match(textOf('.profile-info'), /Grace/);
+
+    await choose(switcher, ada.id);
+    await waitFor(() => /Ada/.test(textOf('.profile-info')));
+    assert.equal(loadSession().userId, ada.id);
+    assert.deepEqual(loadOtherSessions().map((session) => session.userId), [grace.id]);
+    assert.equal(getField('Switch account').value, ada.id);
+  });
+
+  it('adds another account through the login page', async () => {
+    await createAccount();
+    await createAccount({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com' });
+    const ada = await logIn();
+    await openProfile();
+
+    await click('Add Account');
+    await waitFor(() => textOf('.page-title') === 'Add an Account');
+    await type('Email Address', 'grace@example.com');
+    await type('Password', PASSWORD);
+    await submit();
+
+    await waitFor(() => window.location.hash === '#/profile' && /Grace/.test(textOf('.profile-info')));
+    await waitFor(() => getField('Switch account').options.length === 2);
+    assert.deepEqual(loadOtherSessions().map((session) => session.userId), [ada.id]);
+  });
+
+  it('carries on as the other account after a logout, then signs out of all', async () => {
+    const { ada } = await signInToBoth();
+    await openProfile();
+    await waitFor(() => getField('Switch account').options.length === 2);
+
+    await click('Logout');
+    await waitFor(() => /Ada/.test(textOf('.profile-info')));
+    assert.equal(loadSession().userId, ada.id);
+    assert.deepEqual(loadOtherSessions(), []);
+
+    await createAccount({ firstName: 'Alan', lastName: 'Turing', email: 'alan@example.com' });
+    await logIn('alan@example.com');
+    await cleanup();
+    await openProfile();
+    await waitFor(() => getField('Switch account').options.length === 2);
+
+    await click('Sign Out of All Accounts');
+    await waitFor(() => window.location.hash === '#/login');
+    assert.equal(loadSession(), null);
+    assert.deepEqual(loadOtherSessions(), []);
+  });
+
+  it('carries on as the other account after deleting the active one', async () => {
+    const { ada, grace } = await signInToBoth();
+    await openProfile();
+    await waitFor(() => getField('Switch account').options.length === 2);
+
+    await click('Delete account');
+    await type('Confirm with your password', PASSWORD);
+    await submit(document.getElementById('deletePassword').form);
+
+    await waitFor(() => /Ada/.test(textOf('.profile-info')));
+    assert.equal(window.location.hash, '#/profile');
+    assert.match(textOf('.alert-success'), /^Your account has been deleted\. Log in again before .+ to restore it\.$/);
+    assert.equal(loadSession().userId, ada.id);
+    assert.deepEqual(loadOtherSessions(), []);
+    assert.ok(!textOf().includes(grace.email));
+  });
+
+  it('offers the accounts still signed in on the login page', async () => {
+    const { ada } = await signInToBoth();
+    clearSession();
+    window.location.hash = '#/login';
+    await render(React.createElement(App));
+    await waitFor(() => textOf().includes('Continue as'));
+
+    await click('Ada Lovelace (ada@example.com)');
+    await waitFor(() => window.location.hash === '#/profile');
+    assert.equal(loadSession().userId, ada.id);
+  });
+
+  it('follows another tab that logged out and carried on as the other account', async () => {
+    const { ada, grace } = await signInToBoth();
+    await openProfile();
+    await waitFor(() => getField('Switch account').options.length === 2);
+
+    // The other tab logs Grace out and carries on as Ada
+    switchSession(ada.id);
+    removeOtherSession(grace.id);
+    await receiveFromOtherTab({ type: 'logout', userId: grace.id });
+
+    await waitFor(() => /Ada/.test(textOf('.profile-info')));
+    assert.equal(window.location.hash, '#/profile');
+    assert.equal(loadSession().userId, ada.id);
+  });
+
+  it('signs out when another tab logs out the account it shows', async () => {
+    const { grace } = await signInToBoth();
+    await openProfile();
+
+    await receiveFromOtherTab({ type: 'logout', userId: grace.id });
+    await waitFor(() => textOf('.page-title') === 'Welcome Back');
+    assert.equal(textOf('[role="alert"]'), 'You were logged out in another tab.');
+    assert.equal(loadSession(), null);
+  });
+});
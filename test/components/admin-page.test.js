@@ -0,0 +1,96 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { App } = require('../../src/components/app.js');
+const { authService } = require('../../src/auth-service.js');
+const { loadVerifications } = require('../../src/email-verification.js');
+const { loadResetTokens } = require('../../src/password-reset.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { createAccount, logIn } = require('../helpers/accounts');
+const { render, cleanup, flush, getField, click, waitFor, textOf } = require('../helpers/dom');
+
+const { act } = React;
+
+/**
+ * Log in as the first (admin) account and open the admin console
+ * @param {Function} addAccounts - Sets up other accounts once the admin exists
+ */
+const openAdminConsole = async (addAccounts = async () => {}) => {
+  await createAccount();
+  await addAccounts();
+  await logIn();
+  window.location.hash = '#/admin';
+  await render(React.createElement(App));
+  await waitFor(() => document.querySelector('.admin-table tbody tr'));
+};
+
+/**
+ * Pick a file in a file input, as the browser's file dialog would
+ * @param {HTMLInputElement} input - File input
+ * @param {string} name - File name
+ * @param {string} content - File contents
+ */
+const chooseFile = async (input, name, content) => {
+  Object.defineProperty(input, 'files', { configurable: true, value: [new window.File([content], name)] });
+  await act(async () => {
+    input.dispatchEvent(new window.Event('change', { bubbles: true }));
+  });
+  await flush(50);
+};
+
+describe('AdminPage import', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('previews each row and imports only the valid ones', async () => {
+    await openAdminConsole();
+    await chooseFile(
+      getField('File to import'),
+      'people.csv',
+      'firstName,lastName,email\nGrace,Hopper,grace@example.com\nAlan,,ada@example.com\n'
+    );
+    await waitFor(() => document.querySelector('.transfer-table'));
+
+    assert.match(textOf('.transfer-summary'), /1 of 2 rows can be imported/);
+    const problems = textOf('.transfer-row-invalid');
+    assert.match(problems, /Last Name: Last name is required/);
+    assert.match(problems, /Email Address: This email is already in use/);
+    assert.equal((await userRepository.list()).length, 1);
+
+    await click('Import 1 account');
+    await waitFor(() => textOf().includes('1 account was imported.'));
+    assert.ok(await userRepository.findByEmail('grace@example.com'));
+    assert.equal(document.querySelector('.transfer-table'), null);
+    await waitFor(() => textOf('.admin-table').includes('grace@example.com'));
+  });
+
+  it('explains a file it cannot read', async () => {
+    await openAdminConsole();
+    await chooseFile(getField('File to import'), 'people.csv', 'name\nGrace\n');
+    await waitFor(() => textOf('.alert-error').includes('The file needs an email column.'));
+  });
+});
+
+describe('AdminPage delete', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('removes the account with its reset codes and verification codes', async (t) => {
+    let grace;
+    await openAdminConsole(async () => {
+      grace = await createAccount({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com' }, { verified: false });
+      await authService.requestPasswordReset('grace@example.com');
+    });
+    assert.equal(loadResetTokens().filter((token) => token.userId === grace.id).length, 1);
+    assert.equal(loadVerifications().filter((record) => record.userId === grace.id).length, 1);
+
+    t.mock.method(window, 'confirm', () => true);
+    await click('Delete');
+    await waitFor(() => textOf().includes('grace@example.com was deleted.'));
+
+    assert.equal(await userRepository.getById(grace.id), null);
+    assert.deepEqual(loadResetTokens().filter((token) => token.userId === grace.id), []);
+    assert.deepEqual(loadVerifications().filter((record) => record.userId === grace.id), []);
+  });
+});
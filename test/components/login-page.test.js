@@ -0,0 +1,173 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { App } = require('../../src/components/app.js');
+const { authService } = require('../../src/auth-service.js');
+const { authenticator, setAuthenticator } = require('../../src/passkey-authenticator.js');
+const { loadSession } = require('../../src/sessions.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { PASSWORD, latestCode, createAccount } = require('../helpers/accounts');
+const { createSoftwareAuthenticator } = require('../helpers/software-authenticator');
+const { render, cleanup, type, click, submit, waitFor, textOf } = require('../helpers/dom');
+
+/**
+ * Open the login page and submit the form
+ * @param {string} email - Email to enter
+ * @param {string} password - Password to enter
+ */
+const logInThroughForm = async (email, password) => {
+  window.location.hash = '#/login';
+  await render(React.createElement(App));
+  await type('Email Address', email);
+  await type('Password', password);
+  await submit();
+};
+
+describe('LoginPage', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('refuses a wrong password', async () => {
+    await createAccount();
+    await logInThroughForm('ada@example.com', 'Vq7#mistral-Lakes');
+
+    assert.match(textOf('.alert-error'), /^Invalid email or password/);
+    assert.equal(loadSession(), null);
+    assert.equal(window.location.hash, '#/login');
+  });
+
+  it('refuses an unknown email with the same message', async () => {
+    await logInThroughForm('nobody@example.com', PASSWORD);
+
+    assert.match(textOf('.alert-error'), /^Invalid email or password/);
+  });
+
+  it('asks for both fields before trying', async () => {
+    window.location.hash = '#/login';
+    await render(React.createElement(App));
+    await submit();
+
+    assert.equal(textOf('.error-message'), 'Email is required\nPassword is required');
+  });
+
+  it('makes the next attempt wait after repeated failures', async () => {
+    await createAccount();
+    await logInThroughForm('ada@example.com', 'wrong-password-1');
+    await submit();
+
+    assert.match(textOf('.alert-error'), /Too many failed login attempts\. Try again in \d+ seconds?\./);
+  });
+
+  it('sends unverified accounts to verify first, then logs them in', async () => {
+    await createAccount({}, { verified: false });
+    await logInThroughForm('ada@example.com', PASSWORD);
+    assert.match(textOf('.alert-error'), /Please verify your email address before logging in/);
+
+    // Verify with the code from the outbox; the page then returns to login
+    await click('Enter Code');
+    await waitFor(() => document.getElementById('code'));
+    await type('Verification Code', latestCode('ada@example.com'));
+    await submit();
+    assert.equal(textOf('.alert-success'), 'Email verified! Redirecting...');
+    await waitFor(() => textOf('.page-title') === 'Welcome Back');
+
+    await type('Email Address', 'ada@example.com');
+    await type('Password', PASSWORD);
+    await submit();
+
+    await waitFor(() => window.location.hash === '#/profile');
+    const user = await userRepository.findByEmail('ada@example.com');
+    assert.equal(loadSession().userId, user.id);
+    assert.equal((await waitFor(() => document.querySelector('.profile-title'))).textContent, 'My Profile');
+  });
+
+  it('rejects a wrong verification code', async () => {
+    await createAccount({}, { verified: false });
+    window.location.hash = '#/verify-email?email=ada%40example.com';
+    await render(React.createElement(App));
+    const code = latestCode('ada@example.com');
+    await type('Verification Code', code === '000000' ? '111111' : '000000');
+    await submit();
+
+    assert.equal(textOf('.alert-error'), 'This verification code is invalid or has expired');
+  });
+
+  it('returns to the page that asked for a login', async () => {
+    await createAccount();
+    window.location.hash = '#/profile';
+    await render(React.createElement(App));
+    await waitFor(() => textOf('.page-title') === 'Welcome Back');
+    assert.equal(window.location.hash, '#/login?returnTo=%2Fprofile');
+
+    await type('Email Address', 'ada@example.com');
+    await type('Password', PASSWORD);
+    await submit();
+
+    await waitFor(() => window.location.hash === '#/profile');
+  });
+
+  it('logs out back to the login page', async () => {
+    await createAccount();
+    await logInThroughForm('ada@example.com', PASSWORD);
+    await waitFor(() => document.querySelector('.profile-title'));
+
+    await click('Logout');
+
+    await waitFor(() => window.location.hash === '#/login');
+    assert.equal(loadSession(), null);
+  });
+
+  describe('passkeys', () => {
+    const browserAuthenticator = authenticator;
+    let softwareAuthenticator;
+    beforeEach(() => {
+      softwareAuthenticator = createSoftwareAuthenticator();
+      setAuthenticator(softwareAuthenticator);
+    });
+    afterEach(() => setAuthenticator(browserAuthenticator));
+
+    /**
+     * Create an account with a passkey on the software authenticator
+     * @returns {Promise<Object>} - The user
+     */
+    const createAccountWithPasskey = async () => {
+      const user = await createAccount();
+      const credential = await softwareAuthenticator.create(await authService.startPasskeyRegistration(user.id));
+      return authService.finishPasskeyRegistration(user.id, credential, 'Laptop');
+    };
+
+    it('signs in with a passkey', async () => {
+      const user = await createAccountWithPasskey();
+      window.location.hash = '#/login';
+      await render(React.createElement(App));
+      await click('Sign in with a passkey');
+
+      await waitFor(() => document.querySelector('.profile-title'));
+      assert.equal(loadSession().userId, user.id);
+      assert.match(textOf('.passkey-dates'), /Last used/);
+    });
+
+    it('explains a cancelled prompt', async () => {
+      await createAccountWithPasskey();
+      softwareAuthenticator.failNext('NotAllowedError');
+      window.location.hash = '#/login';
+      await render(React.createElement(App));
+      await click('Sign in with a passkey');
+
+      assert.equal(textOf('.alert-error'), 'The passkey request was cancelled or timed out.');
+      assert.equal(loadSession(), null);
+    });
+
+    it('refuses a passkey that was removed from the account', async () => {
+      const user = await createAccountWithPasskey();
+      await userRepository.update(user.id, { passkeys: undefined });
+      window.location.hash = '#/login';
+      await render(React.createElement(App));
+      await click('Sign in with a passkey');
+
+      assert.match(textOf('.alert-error'), /^That passkey isn't linked to an account here/);
+      assert.equal(loadSession(), null);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { App } = require('../../src/components/app.js');
+const { authenticator, setAuthenticator } = require('../../src/passkey-authenticator.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { createAccount, logIn } = require('../helpers/accounts');
+const { createSoftwareAuthenticator } = require('../helpers/software-authenticator');
+const { render, cleanup, getField, type, click, waitFor, textOf } = require('../helpers/dom');
+
+const field = (name) => document.getElementById(`profile-${name}`);
+
+/**
+ * Log in as a fresh account and open its profile
+ * @returns {Promise<Object>} - The user
+ */
+const openOwnProfile = async () => {
+  await createAccount();
+  const user = await logIn();
+  window.location.hash = '#/profile';
+  await render(React.createElement(App));
+  await waitFor(() => document.querySelector('.profile-title'));
+  return user;
+};
+
+/**
+ * Log in as a fresh account and open its profile in edit mode
+ * @returns {Promise<Object>} - The user
+ */
+const editOwnProfile = async () => {
+  const user = await openOwnProfile();
+  await click('Edit Profile');
+  return user;
+};
+
+describe('ProfilePage', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('saves edited fields', async () => {
+    const user = await editOwnProfile();
+    await type(field('firstName'), 'Augusta');
+    await type(field('phone'), '+44 20 7946 0958');
+    await type(field('bio'), 'Wrote the first program.');
+    await click('Save Changes');
+
+    assert.equal(textOf('.alert-success'), 'Profile updated successfully!');
+    assert.equal(field('firstName'), null);
+    assert.match(textOf('.profile-info'), /Augusta/);
+    assert.match(textOf('.profile-info'), /\+442079460958/);
+
+    const stored = await userRepository.getById(user.id);
+    assert.equal(stored.firstName, 'Augusta');
+    assert.equal(stored.phone, '+442079460958');
+    assert.equal(stored.bio, 'Wrote the first program.');
+    assert.equal(stored.verified, true);
+  });
+
+  it('shows field errors and keeps the form open', async () => {
+    const user = await editOwnProfile();
+    await type(field('firstName'), ' ');
+    await type(field('phone'), '555-0199');
+    await type(field('birthDate'), '2999-01-01');
+    await click('Save Changes');
+
+    assert.equal(
+      textOf('.error-message'),
+      [
+        'First name is required',
+        'Enter the number in international format, starting with + and the country code',
+        'Date of birth must be in the past'
+      ].join('\n')
+    );
+    assert.notEqual(field('firstName'), null);
+    assert.equal((await userRepository.getById(user.id)).firstName, 'Ada');
+  });
+
+  it("refuses another account's email address", async () => {
+    await createAccount({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com' });
+    const user = await editOwnProfile();
+    await type(field('email'), 'grace@example.com');
+    await click('Save Changes');
+
+    assert.equal(textOf('.error-message'), 'This email is already in use');
+    assert.equal((await userRepository.getById(user.id)).email, 'ada@example.com');
+  });
+
+  it('asks for verification after the email changes', async () => {
+    const user = await editOwnProfile();
+    await type(field('email'), 'ada.king@example.com');
+    await click('Save Changes');
+
+    assert.equal(
+      textOf('.alert-success'),
+      'Profile updated! Check your new email address for a verification code.'
+    );
+    assert.match(textOf('.profile-header'), /Your email address hasn't been verified yet/);
+    const stored = await userRepository.getById(user.id);
+    assert.equal(stored.email, 'ada.king@example.com');
+    assert.equal(stored.verified, false);
+  });
+
+  it('reloads the form when the profile was changed elsewhere meanwhile', async () => {
+    const user = await editOwnProfile();
+    // Saved from another tab after editing started here
+    await userRepository.update(user.id, { lastName: 'King' });
+    await type(field('firstName'), 'Augusta');
+    await click('Save Changes');
+
+    assert.match(textOf('.alert-error'), /^Your profile was changed somewhere else/);
+    assert.equal(field('lastName').value, 'King');
+    assert.equal(field('firstName').value, 'Ada');
+    assert.equal((await userRepository.getById(user.id)).firstName, 'Ada');
+  });
+
+  it('throws edits away on cancel', async () => {
+    const user = await editOwnProfile();
+    await type(field('firstName'), 'Augusta');
+    await click('Cancel');
+
+    assert.equal(field('firstName'), null);
+    assert.doesNotMatch(textOf('.profile-info'), /Augusta/);
+    assert.equal((await userRepository.getById(user.id)).firstName, 'Ada');
+  });
+
+  describe('passkeys', () => {
+    const browserAuthenticator = authenticator;
+    let softwareAuthenticator;
+    beforeEach(() => {
+      softwareAuthenticator = createSoftwareAuthenticator();
+      setAuthenticator(softwareAuthenticator);
+    });
+    afterEach(() => setAuthenticator(browserAuthenticator));
+
+    it('adds, lists and removes passkeys', async (t) => {
+      const user = await openOwnProfile();
+      assert.equal(textOf('.passkey-empty'), 'You have no passkeys yet.');
+
+      await type('Passkey name', 'Work laptop');
+      await click('Add a passkey');
+      await waitFor(() => document.querySelector('.passkey-name'));
+      assert.equal(textOf('.passkey-name'), 'Work laptop');
+      assert.match(textOf('.passkey-dates'), /^Added .+ · Never used$/);
+      assert.equal(getField('Passkey name').value, '');
+      assert.equal((await userRepository.getById(user.id)).passkeys.length, 1);
+
+      t.mock.method(window, 'confirm', () => true);
+      await click('Remove');
+      await waitFor(() => !document.querySelector('.passkey-name'));
+      assert.equal((await userRepository.getById(user.id)).passkeys, undefined);
+    });
+
+    it('asks for a name first', async () => {
+      await openOwnProfile();
+      await click('Add a passkey');
+
+      assert.equal(textOf('.error-message'), 'Give the passkey a name');
+      assert.equal(softwareAuthenticator.credentials.length, 0);
+    });
+
+    it('explains a cancelled prompt', async () => {
+      const user = await openOwnProfile();
+      softwareAuthenticator.failNext('NotAllowedError');
+      await type('Passkey name', 'Phone');
+      await click('Add a passkey');
+
+      assert.equal(textOf('.alert-error'), 'The passkey request was cancelled or timed out.');
+      assert.equal((await userRepository.getById(user.id)).passkeys, undefined);
+    });
+  });
+});
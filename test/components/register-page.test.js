@@ -0,0 +1,127 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { authService, setAuthService } = require('../../src/auth-service.js');
+const { App } = require('../../src/components/app.js');
+const { getOutbox } = require('../../src/mailer.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { PASSWORD, createAccount } = require('../helpers/accounts');
+const { render, cleanup, flush, type, submit, waitFor, textOf } = require('../helpers/dom');
+
+/**
+ * Open the registration page and fill in the form
+ * @param {Object} fields - Overrides for the default values
+ */
+const fillRegisterForm = async (fields = {}) => {
+  window.location.hash = '#/register';
+  await render(React.createElement(App));
+  const values = {
+    'First Name': 'Grace',
+    'Last Name': 'Hopper',
+    'Email Address': 'grace@example.com',
+    Password: PASSWORD,
+    'Confirm Password': PASSWORD,
+    ...fields
+  };
+  for (const [label, value] of Object.entries(values)) await type(label, value);
+};
+
+describe('RegisterPage', () => {
+  beforeEach(resetBrowser);
+  afterEach(cleanup);
+
+  it('creates an unverified account, emails a code and moves on to verification', async () => {
+    await fillRegisterForm();
+    await submit();
+
+    assert.match(textOf('.alert-success'), /Account created successfully/);
+    const user = await userRepository.findByEmail('grace@example.com');
+    assert.equal(user.firstName, 'Grace');
+    assert.equal(user.verified, false);
+    assert.equal(user.password, undefined);
+    assert.equal(getOutbox()[0].to, 'grace@example.com');
+
+    await waitFor(() => document.getElementById('code'));
+    assert.equal(window.location.hash, '#/verify-email?email=grace%40example.com');
+    assert.equal(document.getElementById('email').value, 'grace@example.com');
+  });
+
+  it('refuses an email address that is already registered', async () => {
+    await createAccount({ email: 'grace@example.com' });
+    await fillRegisterForm();
+    await submit();
+
+    assert.equal(textOf('.error-message'), 'This email is already in use');
+    assert.equal((await userRepository.list()).length, 1);
+  });
+
+  it('shows the service error when the address is taken between check and submit', async (t) => {
+    await createAccount({ email: 'grace@example.com' });
+    // The form's availability check says yes; the service still refuses
+    setAuthService({ ...authService, isEmailAvailable: async () => true });
+    t.after(() => setAuthService(authService));
+
+    await fillRegisterForm();
+    await submit();
+
+    assert.equal(textOf('.alert-error'), 'An account with this email already exists');
+  });
+
+  it('creates one account when the form is submitted twice in a row', async (t) => {
+    let registrations = 0;
+    setAuthService({
+      ...authService,
+      register: (details) => {
+        registrations++;
+        return authService.register(details);
+      }
+    });
+    t.after(() => setAuthService(authService));
+
+    await fillRegisterForm();
+    const form = document.querySelector('form');
+    await React.act(async () => {
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    });
+    await flush(50);
+
+    assert.match(textOf('.alert-success'), /Account created successfully/);
+    assert.equal(registrations, 1);
+    assert.equal((await userRepository.list()).length, 1);
+  });
+
+  it('refuses passwords that do not match', async () => {
+    await fillRegisterForm({ 'Confirm Password': 'Vq7#mistral-Lakes' });
+    await submit();
+
+    assert.equal(textOf('.error-message'), 'Passwords do not match');
+    assert.deepEqual(await userRepository.list(), []);
+  });
+
+  it('shows an error under every missing field', async () => {
+    window.location.hash = '#/register';
+    await render(React.createElement(App));
+    await submit();
+
+    assert.equal(
+      textOf('.error-message'),
+      [
+        'First name is required',
+        'Last name is required',
+        'Email is required',
+        'Password is required',
+        'Please confirm your password'
+      ].join('\n')
+    );
+  });
+
+  it('refuses a password that breaks the policy', async () => {
+    await fillRegisterForm({ Password: 'Hopper-Vq7#', 'Confirm Password': 'Hopper-Vq7#' });
+    await submit();
+
+    assert.equal(textOf('.error-message'), 'Password must not contain your name or email address');
+    assert.deepEqual(await userRepository.list(), []);
+  });
+});
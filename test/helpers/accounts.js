@@ -0,0 +1,51 @@
+// ============================================
+// TEST ACCOUNTS
+// ============================================
+// Create accounts through the local auth service, the same way the
+// registration and verification pages do, and log them in.
+const { authService } = require('../../src/auth-service.js');
+const { getOutbox } = require('../../src/mailer.js');
+const { PASSWORD_HASH_CONFIG } = require('../../src/password-hashing.js');
+const { createSession } = require('../../src/sessions.js');
+
+// The real iteration count makes every hash take a noticeable moment
+PASSWORD_HASH_CONFIG.iterations = 1000;
+
+const PASSWORD = 'Vq7#mistral-Lake';
+
+/**
+ * Read the six-digit code from the newest email sent to an address
+ * @param {string} email - Recipient
+ * @returns {string|null}
+ */
+const latestCode = (email) => {
+  const message = getOutbox().find((m) => m.to === email);
+  const match = message && /\b\d{6}\b/.exec(message.body);
+  return match ? match[0] : null;
+};
+
+/**
+ * Register an account and (unless told otherwise) verify its email
+ * @param {Object} fields - Overrides for firstName, lastName, email, password
+ * @param {Object} options - { verified }
+ * @returns {Promise<Object>} - The public user
+ */
+const createAccount = async (fields = {}, { verified = true } = {}) => {
+  const details = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: PASSWORD, ...fields };
+  const user = await authService.register(details);
+  return verified ? authService.verifyEmail(details.email, latestCode(details.email)) : user;
+};
+
+/**
+ * Log in and save the session, as the login page does
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} - The logged-in user
+ */
+const logIn = async (email = 'ada@example.com', password = PASSWORD) => {
+  const { user, token } = await authService.login(email, password);
+  createSession(user.id, false, token);
+  return user;
+};
+
+module.exports = { PASSWORD, latestCode, createAccount, logIn };
@@ -0,0 +1,131 @@
+// ============================================
+// COMPONENT TEST HELPERS
+// ============================================
+// Render into the jsdom page from setup.js and drive it the way a user would.
+// Every interaction runs inside React.act() so state updates, effects and the
+// promises they start have settled before the test looks at the page.
+const React = require('react');
+const { createRoot } = require('react-dom/client');
+
+const { act } = React;
+let root = null;
+
+/**
+ * Let timers and pending promises run (inside act)
+ * @param {number} ms - How long to wait
+ */
+const flush = (ms = 0) => act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+
+/**
+ * Render an element into #root, replacing whatever was there
+ * @param {Object} element - React element
+ */
+const render = async (element) => {
+  if (!root) root = createRoot(document.getElementById('root'));
+  await act(async () => {
+    root.render(element);
+  });
+  await flush();
+};
+
+/**
+ * Unmount whatever render() put on the page
+ */
+const cleanup = async () => {
+  if (!root) return;
+  await act(async () => {
+    root.unmount();
+  });
+  root = null;
+};
+
+/**
+ * Wait until check() returns something truthy, or fail after a timeout
+ * @param {Function} check - Returns the thing being waited for
+ * @param {number} timeoutMs - How long to keep trying
+ * @returns {Promise<*>} - What check() returned
+ */
+const waitFor = async (check, timeoutMs = 3000) => {
+  const start = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) return result;
+    if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${check}`);
+    await flush(20);
+  }
+};
+
+/**
+ * Find the form control whose <label> reads `text`
+ * @param {string} text - Label text (without the required-field marker)
+ * @returns {HTMLElement}
+ */
+const getField = (text) => {
+  const label = [...document.querySelectorAll('label')].find(
+    (el) => el.textContent.replace('*', '').trim() === text
+  );
+  const field = label && (document.getElementById(label.htmlFor) || label.querySelector('input'));
+  if (!field) throw new Error(`No field labelled "${text}"`);
+  return field;
+};
+
+/**
+ * Find a button (or link) by its text
+ * @param {string} text - Visible text
+ * @returns {HTMLElement}
+ */
+const getButton = (text) => {
+  const button = [...document.querySelectorAll('button, a')].find((el) => el.textContent.trim() === text);
+  if (!button) throw new Error(`No button "${text}"`);
+  return button;
+};
+
+/**
+ * Type into a field. Goes through the native value setter so React sees
+ * the change, the same as a keystroke would.
+ * @param {HTMLElement|string} field - Element or its label text
+ * @param {string} value - New value
+ */
+const type = async (field, value) => {
+  const el = typeof field === 'string' ? getField(field) : field;
+  const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value');
+  await act(async () => {
+    set.call(el, value);
+    el.dispatchEvent(new window.Event('input', { bubbles: true }));
+  });
+};
+
+/**
+ * Click an element and let the work it starts finish
+ * @param {HTMLElement|string} target - Element or button text
+ */
+const click = async (target) => {
+  const el = typeof target === 'string' ? getButton(target) : target;
+  await act(async () => {
+    el.click();
+  });
+  await flush(50);
+};
+
+/**
+ * Submit a form and let the work it starts finish
+ * @param {HTMLFormElement} form - Defaults to the first form on the page
+ */
+const submit = async (form = document.querySelector('form')) => {
+  await act(async () => {
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+  });
+  await flush(50);
+};
+
+/**
+ * Text of the page, or of the elements matching a selector
+ * @param {string} selector - Optional CSS selector
+ * @returns {string}
+ */
+const textOf = (selector) =>
+  selector
+    ? [...document.querySelectorAll(selector)].map((el) => el.textContent).join('\n')
+    : document.getElementById('root').textContent;
+
+module.exports = { render, cleanup, flush, waitFor, getField, getButton, type, click, submit, textOf };
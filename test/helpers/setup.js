@@ -0,0 +1,58 @@
+// ============================================
+// TEST SETUP
+// ============================================
+// Gives Node the browser globals the app expects (window, document,
+// localStorage, ...) from a jsdom page, and compiles the ES modules in src/
+// (JSX and import/export) on the fly so tests can require them. Every test
+// file requires this before anything from src/.
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!doctype html><html><body><div id="root"></div></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true
+});
+const { window } = dom;
+
+// Node has its own crypto, TextEncoder, URL, fetch, ... keep those; borrow the rest
+Object.getOwnPropertyNames(window)
+  .filter((key) => !key.startsWith('_') && !(key in globalThis))
+  .forEach((key) => {
+    Object.defineProperty(globalThis, key, {
+      configurable: true,
+      get: () => window[key]
+    });
+  });
+['window', 'self', 'document', 'navigator', 'location', 'localStorage', 'sessionStorage'].forEach((key) => {
+  Object.defineProperty(globalThis, key, { configurable: true, get: () => window[key] });
+});
+
+// jsdom has no BroadcastChannel, and Node's would keep the test process
+// alive; the app simply skips tab sync without one, as in older browsers
+Object.defineProperty(globalThis, 'BroadcastChannel', { configurable: true, value: undefined });
+
+// Lets React.act() flush renders and effects
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// The default mailer prints every message it sends; tests read them from the
+// outbox instead
+console.info = () => {};
+
+require('@babel/register')({
+  only: [path.join(__dirname, '..', '..', 'src')],
+  presets: [require.resolve('@babel/preset-react')],
+  plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')],
+  babelrc: false,
+  configFile: false
+});
+
+/**
+ * Empty localStorage and sessionStorage and go back to the start page
+ */
+const resetBrowser = () => {
+  localStorage.clear();
+  sessionStorage.clear();
+  window.location.hash = '';
+};
+
+module.exports = { window, resetBrowser };
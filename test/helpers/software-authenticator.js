@@ -0,0 +1,165 @@
+// ============================================
+// SOFTWARE AUTHENTICATOR
+// ============================================
+// Stands in for navigator.credentials in tests: creates ES256 passkeys with
+// Web Crypto and signs assertions with them, answering in the same JSON
+// shapes as the browser authenticator in src/passkey-authenticator.js.
+const WebAuthn = require('../../webauthn.js');
+
+const { bytesToBase64url } = WebAuthn;
+
+const encode = (text) => new TextEncoder().encode(text);
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+const concat = (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+/**
+ * Encode a raw r||s ECDSA signature as DER, as real authenticators send it
+ * @param {Uint8Array} raw - 64-byte signature
+ * @returns {Uint8Array}
+ */
+const rawToDerSignature = (raw) => {
+  const integer = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const value = bytes.slice(start);
+    // A leading zero keeps high values positive
+    const body = value[0] & 0x80 ? concat(Uint8Array.of(0), value) : value;
+    return concat(Uint8Array.of(0x02, body.length), body);
+  };
+  const sequence = concat(integer(raw.slice(0, 32)), integer(raw.slice(32)));
+  return concat(Uint8Array.of(0x30, sequence.length), sequence);
+};
+
+/**
+ * Create a software authenticator
+ * @param {Object} options - { origin, userVerified }: the origin written into
+ *   client data (defaults to the page's) and whether the user "unlocks" it
+ * @returns {Object} - Authenticator with isSupported(), create(), get(),
+ *   plus `credentials` and failNext(name) for tests
+ */
+const createSoftwareAuthenticator = ({ origin, userVerified = true } = {}) => {
+  const credentials = [];
+  let nextError = null;
+
+  const takeError = () => {
+    const error = nextError;
+    nextError = null;
+    if (error) throw new DOMException('The operation failed', error);
+  };
+
+  const clientData = (type, challenge) =>
+    encode(JSON.stringify({ type, challenge, origin: origin || location.origin, crossOrigin: false }));
+
+  const flags = (extra) => 0x01 | (userVerified ? 0x04 : 0) | extra;
+
+  return {
+    credentials,
+
+    /**
+     * Make the next create() or get() fail like the browser would
+     * @param {string} name - DOMException name, e.g. 'NotAllowedError'
+     */
+    failNext: (name) => {
+      nextError = name;
+    },
+
+    isSupported: () => true,
+
+    create: async (options) => {
+      takeError();
+      const excluded = (options.excludeCredentials || []).map((descriptor) => descriptor.id);
+      if (credentials.some((c) => c.rpId === options.rp.id && excluded.includes(c.id))) {
+        throw new DOMException('Already registered', 'InvalidStateError');
+      }
+
+      const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, [
+        'sign',
+        'verify'
+      ]);
+      const rawId = crypto.getRandomValues(new Uint8Array(16));
+      const credential = {
+        id: bytesToBase64url(rawId),
+        rpId: options.rp.id,
+        userHandle: options.user.id,
+        privateKey: keyPair.privateKey,
+        signCount: 0
+      };
+      credentials.push(credential);
+
+      // COSE EC2 key: { 1: 2 (EC2), 3: -7 (ES256), -1: 1 (P-256), -2: x, -3: y }
+      const point = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+      const coseKey = concat(
+        Uint8Array.of(0xa5, 0x01, 0x02, 0x03, 0x26, 0x20, 0x01, 0x21, 0x58, 0x20),
+        point.slice(1, 33),
+        Uint8Array.of(0x22, 0x58, 0x20),
+        point.slice(33)
+      );
+      const authenticatorData = concat(
+        await sha256(encode(options.rp.id)),
+        Uint8Array.of(flags(0x40), 0, 0, 0, 0),
+        new Uint8Array(16), // AAGUID
+        Uint8Array.of(rawId.length >> 8, rawId.length & 0xff),
+        rawId,
+        coseKey
+      );
+      const spki = new Uint8Array(await crypto.subtle.exportKey('spki', keyPair.publicKey));
+
+      return {
+        id: credential.id,
+        rawId: credential.id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: bytesToBase64url(clientData('webauthn.create', options.challenge)),
+          authenticatorData: bytesToBase64url(authenticatorData),
+          publicKey: bytesToBase64url(spki),
+          publicKeyAlgorithm: WebAuthn.ALGORITHMS.ES256,
+          transports: ['internal']
+        }
+      };
+    },
+
+    get: async (options) => {
+      takeError();
+      // Like a platform authenticator, offer the newest passkey for the site
+      const credential = [...credentials].reverse().find((c) => c.rpId === options.rpId);
+      if (!credential) throw new DOMException('No passkey for this site', 'NotAllowedError');
+
+      credential.signCount++;
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const count = credential.signCount;
+      const authenticatorData = concat(
+        await sha256(encode(options.rpId)),
+        Uint8Array.of(flags(0), count >>> 24, (count >>> 16) & 0xff, (count >>> 8) & 0xff, count & 0xff)
+      );
+      const signature = new Uint8Array(
+        await crypto.subtle.sign(
+          { name: 'ECDSA', hash: 'SHA-256' },
+          credential.privateKey,
+          concat(authenticatorData, await sha256(clientDataJSON))
+        )
+      );
+
+      return {
+        id: credential.id,
+        rawId: credential.id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: bytesToBase64url(clientDataJSON),
+          authenticatorData: bytesToBase64url(authenticatorData),
+          signature: bytesToBase64url(rawToDerSignature(signature)),
+          userHandle: credential.userHandle
+        }
+      };
+    }
+  };
+};
+
+module.exports = { createSoftwareAuthenticator };
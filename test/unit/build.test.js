@@ -0,0 +1,188 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { MODULE_GLOBALS, build, buildPage, listScripts } = require('../../scripts/build.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const devPage = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+/**
+ * Open the built app in its own jsdom window, with every network request failing
+ * @param {string} outDir - Build directory
+ * @returns {Object} - { window, requests } where requests lists what fetch was asked for
+ */
+const openBuiltApp = (outDir) => {
+  const page = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+  // Only problems reach the test output, not the mailer's messages
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(...args));
+  virtualConsole.on('jsdomError', (err) => console.error(err));
+  const { window } = new JSDOM(page.replace(/<script[\s\S]*?<\/script>/g, ''), {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const requests = [];
+  Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+  Object.assign(window, { TextEncoder, TextDecoder });
+  window.fetch = (url) => {
+    requests.push(String(url));
+    return Promise.reject(new TypeError('Failed to fetch'));
+  };
+  window.eval(fs.readFileSync(path.join(outDir, 'app.js'), 'utf8'));
+  return { window, requests };
+};
+
+/**
+ * Wait until a check passes in the built app's window
+ * @param {Function} check - Returns something truthy when ready
+ * @param {string} description - What is being waited for, for the failure message
+ */
+const waitFor = async (check, description) => {
+  const deadline = Date.now() + 5000;
+  while (!check()) {
+    if (Date.now() > deadline) assert.fail(`Timed out waiting for ${description}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+/**
+ * Fill in a field by its label, as typing would
+ * @param {Window} window - Built app's window
+ * @param {string} label - Label text
+ * @param {string} value - New value
+ */
+const fillIn = (window, label, value) => {
+  const labelElement = [...window.document.querySelectorAll('label')].find((el) => el.textContent.trim() === label);
+  const input = window.document.getElementById(labelElement.htmlFor);
+  Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value').set.call(input, value);
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+};
+
+/**
+ * Click a button by its text
+ * @param {Window} window - Built app's window
+ * @param {string} text - Button text
+ */
+const clickButton = (window, text) => {
+  [...window.document.querySelectorAll('button')].find((el) => el.textContent.trim() === text).click();
+};
+
+describe('listScripts', () => {
+  it('lists the scripts of a page in order, marking the Babel modules', () => {
+    const html = [
+      '<script src="https://example.com/lib.js"></script>',
+      '<script>inline()</script>',
+      '<script type="text/babel" data-presets="app" src="src/a.js"></script>',
+      '<script src="b.js"></script>'
+    ].join('\n');
+    assert.deepEqual(listScripts(html), [
+      { src: 'https://example.com/lib.js', isModule: false },
+      { src: 'src/a.js', isModule: true },
+      { src: 'b.js', isModule: false }
+    ]);
+  });
+});
+
+describe('buildPage', () => {
+  const page = buildPage(devPage);
+
+  it('loads app.js instead of the CDN, Babel and module scripts', () => {
+    assert.deepEqual(listScripts(page), [{ src: 'app.js', isModule: false }]);
+    assert.doesNotMatch(page, /unpkg|babel/i);
+    assert.match(page, /<div id="root"><\/div>/);
+  });
+
+  it('links the manifest and registers the service worker', () => {
+    assert.match(page, /<link rel="manifest" href="manifest.webmanifest">/);
+    assert.match(page, /navigator\.serviceWorker\.register\('sw.js'\)/);
+  });
+});
+
+describe('MODULE_GLOBALS', () => {
+  it('matches the globals of the in-browser preset', () => {
+    const preset = /globals: (\{[\s\S]*?\})\n/.exec(devPage)[1];
+    assert.deepEqual(MODULE_GLOBALS, new Function(`return ${preset}`)());
+  });
+});
+
+describe('build', () => {
+  let outDir;
+  let shell;
+
+  before(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'account-manager-build-'));
+    shell = build({ outDir });
+  });
+  after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  it('writes every file the service worker caches', () => {
+    assert.match(shell.version, /^[0-9a-f]{12}$/);
+    assert.equal(shell.files[0], './');
+    for (const file of shell.files.slice(1)) {
+      assert.ok(fs.existsSync(path.join(outDir, file)), file);
+    }
+    const worker = fs.readFileSync(path.join(outDir, 'sw.js'), 'utf8');
+    assert.ok(worker.startsWith(`const BUILD = ${JSON.stringify(shell)};`));
+  });
+
+  it('gives the same sources the same version', () => {
+    const again = fs.mkdtempSync(path.join(os.tmpdir(), 'account-manager-build-'));
+    try {
+      assert.equal(build({ outDir: again }).version, shell.version);
+    } finally {
+      fs.rmSync(again, { recursive: true, force: true });
+    }
+  });
+
+  it('registers, signs in and saves a profile without any network access', async () => {
+    const { window, requests } = openBuiltApp(outDir);
+    const { document } = window;
+    const heading = () => document.querySelector('h1') && document.querySelector('h1').textContent;
+    const pageText = () => document.body.textContent;
+    // The real iteration count makes every hash take a noticeable moment
+    window.passwordHashing.PASSWORD_HASH_CONFIG.iterations = 1000;
+
+    try {
+      await waitFor(() => heading() === 'Welcome Back', 'the login page');
+
+      window.location.hash = '#/register';
+      await waitFor(() => heading() === 'Create Account', 'the registration page');
+      fillIn(window, 'First Name', 'Ada');
+      fillIn(window, 'Last Name', 'Lovelace');
+      fillIn(window, 'Email Address', 'ada@example.com');
+      fillIn(window, 'Password', 'Vq7#mistral-Lake');
+      fillIn(window, 'Confirm Password', 'Vq7#mistral-Lake');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      clickButton(window, 'Create Account');
+      await waitFor(() => heading() === 'Verify Email', 'the verification page');
+
+      const [message] = JSON.parse(window.localStorage.getItem('outbox'));
+      fillIn(window, 'Verification Code', /\b\d{6}\b/.exec(message.body)[0]);
+      clickButton(window, 'Verify');
+      await waitFor(() => heading() === 'Welcome Back', 'the login page after verifying');
+
+      fillIn(window, 'Email Address', 'ada@example.com');
+      fillIn(window, 'Password', 'Vq7#mistral-Lake');
+      clickButton(window, 'Login');
+      await waitFor(() => heading() === 'My Profile', 'the profile page');
+
+      clickButton(window, 'Edit Profile');
+      await waitFor(() => document.getElementById('profile-firstName'), 'the profile form');
+      fillIn(window, 'First Name', 'Augusta');
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      clickButton(window, 'Save Changes');
+      await waitFor(() => pageText().includes('Profile updated successfully!'), 'the profile to save');
+
+      const user = await window.userRepository.userRepository.findByEmail('ada@example.com');
+      assert.equal(user.firstName, 'Augusta');
+      assert.deepEqual(requests, []);
+    } finally {
+      window.close();
+    }
+  });
+});
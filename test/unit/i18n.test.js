@@ -0,0 +1,49 @@
+require('../helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../../i18n.js');
+
+describe('I18n.translate', () => {
+  it('looks messages up in the requested language', () => {
+    assert.equal(I18n.translate('en', 'login.submit'), 'Login');
+    assert.notEqual(I18n.translate('es', 'login.submit'), 'Login');
+  });
+
+  it('fills in placeholders', () => {
+    assert.equal(
+      I18n.translate('en', 'passwordPolicy.TOO_SHORT', { min: 12 }),
+      'Password must be at least 12 characters'
+    );
+  });
+
+  it('picks the plural form from count', () => {
+    assert.equal(I18n.translate('en', 'throttle.minutes', { count: 1 }), '1 minute');
+    assert.equal(I18n.translate('en', 'throttle.minutes', { count: 15 }), '15 minutes');
+  });
+
+  it('falls back to English, then to the key', () => {
+    I18n.addMessages('en', { 'test.onlyInEnglish': 'Only in English' });
+    assert.equal(I18n.translate('es', 'test.onlyInEnglish'), 'Only in English');
+    assert.equal(I18n.translate('en', 'test.noSuchKey'), 'test.noSuchKey');
+  });
+});
+
+describe('I18n.negotiateLocale', () => {
+  it('matches languages by their base tag', () => {
+    assert.equal(I18n.negotiateLocale(['es-MX', 'en']), 'es');
+    assert.equal(I18n.negotiateLocale('fr-FR,ar;q=0.8'), 'ar');
+  });
+
+  it('defaults to English', () => {
+    assert.equal(I18n.negotiateLocale(['fr', 'de']), 'en');
+    assert.equal(I18n.negotiateLocale(undefined), 'en');
+  });
+});
+
+describe('I18n.getDirection', () => {
+  it('knows which languages are right-to-left', () => {
+    assert.equal(I18n.getDirection('ar'), 'rtl');
+    assert.equal(I18n.getDirection('en'), 'ltr');
+    assert.equal(I18n.getDirection('xx'), 'ltr');
+  });
+});
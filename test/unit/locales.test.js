@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../../i18n.js');
+
+/**
+ * Placeholder names used anywhere in a message (all plural forms together)
+ * @param {string|Object} message - Text or plural forms
+ * @returns {Set} - Names without braces
+ */
+const getPlaceholders = (message) => {
+  const forms = typeof message === 'object' ? Object.values(message) : [message];
+  return new Set(forms.flatMap((form) => [...form.matchAll(/\{(\w+)\}/g)].map((match) => match[1])));
+};
+
+/**
+ * Compare placeholder sets. Plural forms may spell the number out ("one
+ * day"), so {count} can be left out of them.
+ * @returns {string|null} - Description of the difference, or null
+ */
+const comparePlaceholders = (expected, actual, isPlural) => {
+  const missing = [...expected].filter((name) => !actual.has(name) && !(isPlural && name === 'count'));
+  const extra = [...actual].filter((name) => !expected.has(name));
+  if (missing.length === 0 && extra.length === 0) return null;
+  return [
+    missing.length > 0 ? `missing {${missing.join('}, {')}}` : '',
+    extra.length > 0 ? `unknown {${extra.join('}, {')}}` : ''
+  ]
+    .filter(Boolean)
+    .join('; ');
+};
+
+const english = I18n.getMessages(I18n.DEFAULT_LOCALE);
+
+describe('Locale catalogs', () => {
+  for (const locale of Object.keys(I18n.LOCALES)) {
+    const messages = I18n.getMessages(locale);
+
+    it(`${locale} has exactly the English keys`, () => {
+      assert.deepEqual(
+        Object.keys(english).filter((key) => !(key in messages)),
+        [],
+        'keys missing from the catalog'
+      );
+      assert.deepEqual(
+        Object.keys(messages).filter((key) => !(key in english)),
+        [],
+        'keys the English catalog does not have'
+      );
+    });
+
+    it(`${locale} uses the English placeholders`, () => {
+      const problems = Object.entries(messages)
+        .filter(([key]) => key in english)
+        .map(([key, message]) => {
+          const problem = comparePlaceholders(
+            getPlaceholders(english[key]),
+            getPlaceholders(message),
+            typeof message === 'object'
+          );
+          return problem && `${key}: ${problem}`;
+        })
+        .filter(Boolean);
+      assert.deepEqual(problems, []);
+    });
+
+    it(`${locale} has every plural form the language needs`, () => {
+      const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+      const problems = Object.entries(messages)
+        .filter(([, message]) => typeof message === 'object')
+        .flatMap(([key, message]) =>
+          categories
+            .filter((category) => message[category] === undefined)
+            .map((category) => `${key}: no "${category}" form`)
+        );
+      assert.deepEqual(problems, []);
+    });
+  }
+});
@@ -0,0 +1,88 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOGIN_THROTTLE_CONFIG,
+  getThrottleState,
+  checkLoginThrottle,
+  recordLoginFailure,
+  resetLoginFailures,
+  formatThrottleMessage
+} = require('../../src/login-throttle.js');
+
+const { baseDelayMs, maxDelayMs, windowMs, lockoutMs, accountMaxFailures } = LOGIN_THROTTLE_CONFIG;
+
+describe('getThrottleState', () => {
+  const now = Date.UTC(2024, 0, 1);
+
+  it('allows keys without failures', () => {
+    assert.deepEqual(getThrottleState(undefined, now), { retryAt: 0, locked: false });
+    assert.deepEqual(getThrottleState({ failures: [], lockedUntil: 0 }, now), { retryAt: 0, locked: false });
+  });
+
+  it('doubles the wait for each failure, up to the maximum', () => {
+    const failures = (count) => ({ failures: Array(count).fill(now), lockedUntil: 0 });
+    assert.equal(getThrottleState(failures(1), now).retryAt, now + baseDelayMs);
+    assert.equal(getThrottleState(failures(3), now).retryAt, now + baseDelayMs * 4);
+    assert.equal(getThrottleState(failures(20), now).retryAt, now + maxDelayMs);
+  });
+
+  it('forgets failures outside the window', () => {
+    const record = { failures: [now - windowMs], lockedUntil: 0 };
+    assert.deepEqual(getThrottleState(record, now), { retryAt: 0, locked: false });
+  });
+
+  it('reports locks until they run out', () => {
+    const record = { failures: [], lockedUntil: now + 1000 };
+    assert.deepEqual(getThrottleState(record, now), { retryAt: now + 1000, locked: true });
+    assert.equal(getThrottleState(record, now + 1000).locked, false);
+  });
+});
+
+describe('recording failures', () => {
+  beforeEach(resetBrowser);
+
+  it('makes the next attempt wait', () => {
+    const state = recordLoginFailure('ada@example.com');
+    assert.equal(state.locked, false);
+    assert.ok(state.retryAt > Date.now());
+    assert.deepEqual(checkLoginThrottle('ada@example.com'), state);
+  });
+
+  it('counts the account regardless of case and spacing', () => {
+    recordLoginFailure('Ada@Example.com ');
+    const { failures } = JSON.parse(localStorage.getItem(LOGIN_THROTTLE_CONFIG.storageKey))['account:ada@example.com'];
+    assert.equal(failures.length, 1);
+  });
+
+  it('locks the account after too many failures', () => {
+    let state;
+    for (let i = 0; i < accountMaxFailures; i++) state = recordLoginFailure('ada@example.com');
+    assert.equal(state.locked, true);
+    assert.ok(state.retryAt - Date.now() > lockoutMs - 1000);
+  });
+
+  it('clears the counters after a successful login', () => {
+    recordLoginFailure('ada@example.com');
+    resetLoginFailures('ada@example.com');
+    assert.deepEqual(checkLoginThrottle('ada@example.com'), { retryAt: 0, locked: false });
+  });
+});
+
+describe('formatThrottleMessage', () => {
+  const now = Date.UTC(2024, 0, 1);
+
+  it('counts short waits in seconds', () => {
+    assert.equal(
+      formatThrottleMessage({ retryAt: now + 1500, locked: false }, now),
+      'Too many failed login attempts. Try again in 2 seconds.'
+    );
+  });
+
+  it('counts long waits in minutes', () => {
+    assert.equal(
+      formatThrottleMessage({ retryAt: now + lockoutMs, locked: true }, now),
+      'Too many failed login attempts. Login is locked for 15 minutes.'
+    );
+  });
+});
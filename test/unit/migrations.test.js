@@ -0,0 +1,120 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCHEMA_CONFIG,
+  CURRENT_SCHEMA_VERSION,
+  getStorageNotices,
+  validateUserRecord,
+  migrateUserStorage
+} = require('../../src/migrations.js');
+
+const KEY = 'users';
+
+// A record as version 0 of the app stored it
+const legacyUser = (fields = {}) => ({
+  id: '1',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: 'Vq7#mistral-Lake',
+  memberSince: '2020-01-01T00:00:00.000Z',
+  ...fields
+});
+
+const storedUsers = () => JSON.parse(localStorage.getItem(KEY));
+const quarantine = () => JSON.parse(localStorage.getItem(SCHEMA_CONFIG.quarantineKey)) || [];
+const lastNotice = () => getStorageNotices().slice(-1)[0];
+
+describe('migrateUserStorage', () => {
+  beforeEach(resetBrowser);
+
+  it('marks a fresh install as current', () => {
+    migrateUserStorage(KEY);
+    assert.equal(localStorage.getItem(SCHEMA_CONFIG.versionKey), String(CURRENT_SCHEMA_VERSION));
+    assert.equal(localStorage.getItem(KEY), null);
+  });
+
+  it('upgrades old records to the current schema', () => {
+    localStorage.setItem(KEY, JSON.stringify([legacyUser()]));
+    migrateUserStorage(KEY);
+
+    const [user] = storedUsers();
+    assert.equal(user.verified, true);
+    assert.equal(user.updatedAt, user.memberSince);
+    assert.equal(user.disabled, false);
+    assert.equal(user.passwordResetRequired, false);
+    assert.equal(validateUserRecord(user), null);
+    assert.equal(localStorage.getItem(SCHEMA_CONFIG.versionKey), String(CURRENT_SCHEMA_VERSION));
+  });
+
+  it('makes the oldest account an admin when there is none', () => {
+    localStorage.setItem(
+      KEY,
+      JSON.stringify([
+        legacyUser({ id: '1', memberSince: '2021-05-01T00:00:00.000Z' }),
+        legacyUser({ id: '2', email: 'b@example.com', memberSince: '2019-05-01T00:00:00.000Z' })
+      ])
+    );
+    migrateUserStorage(KEY);
+    assert.deepEqual(storedUsers().map((u) => u.role), ['user', 'admin']);
+  });
+
+  it('quarantines records that fail validation and keeps the rest', () => {
+    localStorage.setItem(KEY, JSON.stringify([legacyUser(), { id: 2 }, 'junk']));
+    migrateUserStorage(KEY);
+
+    assert.equal(storedUsers().length, 1);
+    assert.deepEqual(quarantine().map((entry) => entry.reason), [
+      'Invalid user record: missing id',
+      'Invalid user record: not an object'
+    ]);
+    assert.deepEqual(lastNotice(), { key: 'notices.quarantined', params: { count: 2 } });
+  });
+
+  it('sets unreadable data aside and starts empty', () => {
+    localStorage.setItem(KEY, '{not json');
+    migrateUserStorage(KEY);
+
+    assert.deepEqual(storedUsers(), []);
+    assert.equal(quarantine()[0].data, '{not json');
+    assert.deepEqual(lastNotice(), { key: 'notices.damaged' });
+  });
+
+  it('leaves data from a newer version alone', () => {
+    const raw = JSON.stringify([{ id: 'x', shape: 'unknown' }]);
+    localStorage.setItem(KEY, raw);
+    localStorage.setItem(SCHEMA_CONFIG.versionKey, String(CURRENT_SCHEMA_VERSION + 1));
+    migrateUserStorage(KEY);
+
+    assert.equal(localStorage.getItem(KEY), raw);
+    assert.deepEqual(lastNotice(), { key: 'notices.newerVersion' });
+  });
+});
+
+describe('validateUserRecord', () => {
+  const current = legacyUser({
+    verified: true,
+    role: 'user',
+    updatedAt: '2020-01-01T00:00:00.000Z',
+    disabled: false,
+    passwordResetRequired: false
+  });
+
+  it('accepts a current record', () => {
+    assert.equal(validateUserRecord(current), null);
+  });
+
+  it('accepts a password hash instead of a plaintext password', () => {
+    const hashed = { ...current, password: undefined, passwordHash: { algorithm: 'PBKDF2-SHA256', iterations: 1000, salt: 'c2FsdA==', hash: 'aGFzaA==' } };
+    assert.equal(validateUserRecord(hashed), null);
+  });
+
+  it('names the first problem', () => {
+    assert.equal(validateUserRecord(null), 'not an object');
+    assert.equal(validateUserRecord({ ...current, email: '' }), 'missing email');
+    assert.equal(validateUserRecord({ ...current, password: undefined }), 'missing password');
+    assert.equal(validateUserRecord({ ...current, role: 'owner' }), 'invalid role');
+    assert.equal(validateUserRecord({ ...current, memberSince: 'yesterday' }), 'invalid memberSince');
+  });
+});
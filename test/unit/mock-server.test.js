@@ -0,0 +1,285 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { totp, base32Decode } = require('../../totp.js');
+const { routes } = require('../../server/mock-server.js');
+
+const PASSWORD = 'Vq7#mistral-Lake';
+
+// The mock server prints every email it sends; keep them to read codes from
+const mail = [];
+console.log = (text) => mail.push(String(text));
+
+/**
+ * Read the code from the newest email sent to an address
+ * @param {string} email - Recipient
+ * @returns {string}
+ */
+const latestCode = (email) => {
+  const message = mail.filter((text) => text.includes(`To: ${email}\n`)).pop();
+  return /code is (\S+)/.exec(message)[1];
+};
+
+// Failed logins are throttled per client too, so each test gets its own address
+let clientCount = 0;
+let clientIp;
+beforeEach(() => {
+  clientCount++;
+  clientIp = `10.0.0.${clientCount}`;
+});
+
+/**
+ * Call a route the way the server does for a request
+ * @param {string} route - e.g. 'POST /auth/login'
+ * @param {Object} options - { body, token, ip, params, query }; ip defaults to the test's client
+ * @returns {Promise<Array>} - [status, body]
+ */
+const call = async (route, { body = {}, token, ip = clientIp, params = {}, query = {} } = {}) => {
+  const req = {
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    socket: { remoteAddress: ip }
+  };
+  return routes[route]({ req, body, params, query });
+};
+
+/**
+ * Register and verify an account
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - Public user
+ */
+const createAccount = async (email) => {
+  await call('POST /users', { body: { firstName: 'Ada', lastName: 'Lovelace', email, password: PASSWORD } });
+  const [, { user }] = await call('POST /auth/verify-email', { body: { email, code: latestCode(email) } });
+  return user;
+};
+
+/**
+ * Log in with the right password
+ * @param {string} email - Account email
+ * @param {string} ip - Client address
+ * @returns {Promise<Object>} - Response body
+ */
+const logIn = async (email, ip) => {
+  const [, body] = await call('POST /auth/login', { body: { email, password: PASSWORD }, ip });
+  return body;
+};
+
+/**
+ * Create an account with two-factor authentication turned on
+ * @param {string} email - Account email
+ * @returns {Promise<string>} - The base32 secret
+ */
+const createTwoFactorAccount = async (email) => {
+  await createAccount(email);
+  const { token } = await logIn(email);
+  const [, { secret }] = await call('POST /users/me/2fa/setup', { token });
+  await call('POST /users/me/2fa/confirm', { token, body: { code: await totp(base32Decode(secret)) } });
+  return secret;
+};
+
+/**
+ * Let a throttle delay run out
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Expect a route to fail with an API error
+ * @param {Promise} promise - Route call
+ * @param {number} status - Expected HTTP status
+ * @param {string} code - Expected error code
+ * @returns {Promise<Object>} - The error
+ */
+const assertApiError = async (promise, status, code) => {
+  let error;
+  await assert.rejects(promise, (err) => {
+    error = err;
+    return err.status === status && err.code === code;
+  });
+  return error;
+};
+
+describe('mock server login', () => {
+  it('signs in with the right password and refuses a wrong one', async () => {
+    await createAccount('login@example.com');
+    const { token, user } = await logIn('login@example.com');
+    assert.ok(token);
+    assert.equal(user.email, 'login@example.com');
+    assert.ok(!('passwordHash' in user));
+
+    const err = await assertApiError(
+      call('POST /auth/login', { body: { email: 'login@example.com', password: 'wrong' } }),
+      401,
+      'INVALID_CREDENTIALS'
+    );
+    assert.ok(err.details.retryAt > Date.now());
+  });
+
+  it('refuses an email or password that is not a string', async () => {
+    await createAccount('login-types@example.com');
+    const err = await assertApiError(
+      call('POST /auth/login', { body: { email: 'login-types@example.com', password: 12345678 } }),
+      400,
+      'VALIDATION_ERROR'
+    );
+    assert.deepEqual(err.fieldErrors, { password: 'validation.passwordRequired' });
+    await assertApiError(
+      call('POST /auth/login', { body: { email: ['login-types@example.com'], password: PASSWORD } }),
+      400,
+      'VALIDATION_ERROR'
+    );
+    // Neither counts as a failed login
+    assert.ok((await logIn('login-types@example.com')).token);
+  });
+});
+
+describe('mock server two-factor login', () => {
+  it('makes the next code wait after a wrong one', async () => {
+    await createTwoFactorAccount('2fa-wait@example.com');
+    const { challengeToken } = await logIn('2fa-wait@example.com');
+
+    const err = await assertApiError(
+      call('POST /auth/login/2fa', { body: { challengeToken, code: '000000' } }),
+      400,
+      'INVALID_CODE'
+    );
+    assert.ok(err.details.retryAt > Date.now());
+    await assertApiError(call('POST /auth/login/2fa', { body: { challengeToken, code: '111111' } }), 429, 'THROTTLED');
+  });
+
+  it('refuses a code that is not a string', async () => {
+    await createTwoFactorAccount('2fa-types@example.com');
+    const { challengeToken } = await logIn('2fa-types@example.com');
+    const err = await assertApiError(
+      call('POST /auth/login/2fa', { body: { challengeToken, code: 123456 } }),
+      400,
+      'VALIDATION_ERROR'
+    );
+    assert.deepEqual(err.fieldErrors, { code: 'validation.twoFactorCodeRequired' });
+  });
+
+  it('keeps the failures when a new challenge is started, and clears them once the code is right', async () => {
+    const secret = await createTwoFactorAccount('2fa-reset@example.com');
+    let { challengeToken } = await logIn('2fa-reset@example.com');
+    await assertApiError(
+      call('POST /auth/login/2fa', { body: { challengeToken, code: '000000' } }),
+      400,
+      'INVALID_CODE'
+    );
+
+    // The right password doesn't clear the first failure, so the second doubles the wait
+    await wait(1000);
+    ({ challengeToken } = await logIn('2fa-reset@example.com'));
+    const err = await assertApiError(
+      call('POST /auth/login/2fa', { body: { challengeToken, code: '000000' } }),
+      400,
+      'INVALID_CODE'
+    );
+    assert.ok(err.details.retryAt - Date.now() > 1000);
+
+    await wait(2000);
+    const next = await totp(base32Decode(secret), { time: Date.now() + 30000 });
+    const [status, body] = await call('POST /auth/login/2fa', { body: { challengeToken, code: next } });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+
+    // A wrong password now starts the count from scratch
+    const restarted = await assertApiError(
+      call('POST /auth/login', { body: { email: '2fa-reset@example.com', password: 'wrong' } }),
+      401,
+      'INVALID_CREDENTIALS'
+    );
+    assert.ok(restarted.details.retryAt - Date.now() <= 1000);
+  });
+});
+
+describe('mock server login throttling', () => {
+  it('makes the next login wait after a wrong password, even with the right one', async () => {
+    await createAccount('throttle@example.com');
+    await assertApiError(
+      call('POST /auth/login', { body: { email: 'throttle@example.com', password: 'wrong' } }),
+      401,
+      'INVALID_CREDENTIALS'
+    );
+    const err = await assertApiError(
+      call('POST /auth/login', { body: { email: 'throttle@example.com', password: PASSWORD } }),
+      429,
+      'THROTTLED'
+    );
+    assert.equal(err.details.locked, false);
+
+    await wait(1000);
+    assert.ok((await logIn('throttle@example.com')).token);
+  });
+
+  it('counts failures against the client as well as the account', async () => {
+    await createAccount('client-a@example.com');
+    await createAccount('client-b@example.com');
+    await assertApiError(
+      call('POST /auth/login', { body: { email: 'client-a@example.com', password: 'wrong' } }),
+      401,
+      'INVALID_CREDENTIALS'
+    );
+
+    // Another account from the same client has to wait
+    await assertApiError(
+      call('POST /auth/login', { body: { email: 'client-b@example.com', password: PASSWORD } }),
+      429,
+      'THROTTLED'
+    );
+    // ...but not from a different client
+    const { token } = await logIn('client-b@example.com', '192.168.0.1');
+    assert.ok(token);
+  });
+});
+
+describe('mock server password change', () => {
+  const NEW_PASSWORD = 'Zx9$harbor-Lantern';
+
+  it('changes the password and bumps updatedAt', async () => {
+    await createAccount('password@example.com');
+    const { token, user } = await logIn('password@example.com');
+
+    const [status, body] = await call('POST /users/me/password', {
+      token,
+      body: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD }
+    });
+    assert.equal(status, 200);
+    assert.ok(body.user.updatedAt > user.updatedAt);
+
+    const [, { token: newToken }] = await call('POST /auth/login', {
+      body: { email: 'password@example.com', password: NEW_PASSWORD }
+    });
+    assert.ok(newToken);
+    await assertApiError(
+      call('POST /auth/login', { body: { email: 'password@example.com', password: PASSWORD } }),
+      401,
+      'INVALID_CREDENTIALS'
+    );
+  });
+
+  it('refuses a wrong current password and passwords that are not strings', async () => {
+    await createAccount('password-checks@example.com');
+    const { token, user } = await logIn('password-checks@example.com');
+
+    await assertApiError(
+      call('POST /users/me/password', { token, body: { currentPassword: 'wrong', newPassword: NEW_PASSWORD } }),
+      400,
+      'INVALID_PASSWORD'
+    );
+    const err = await assertApiError(
+      call('POST /users/me/password', { token, body: { currentPassword: PASSWORD, newPassword: { length: 20 } } }),
+      400,
+      'VALIDATION_ERROR'
+    );
+    assert.deepEqual(err.fieldErrors, { newPassword: 'validation.passwordRequired' });
+    await assertApiError(
+      call('POST /users/me/password', { token, body: { currentPassword: 1234, newPassword: NEW_PASSWORD } }),
+      400,
+      'VALIDATION_ERROR'
+    );
+
+    const [, { user: unchanged }] = await call('GET /users/me', { token });
+    assert.equal(unchanged.updatedAt, user.updatedAt);
+  });
+});
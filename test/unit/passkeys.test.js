@@ -0,0 +1,154 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryAuditLog } = require('../../src/audit-log.js');
+const { authService } = require('../../src/auth-service.js');
+const { PASSKEY_CONFIG, passkeyChallenges } = require('../../src/passkeys.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { createAccount } = require('../helpers/accounts');
+const { createSoftwareAuthenticator } = require('../helpers/software-authenticator');
+
+/**
+ * Create a passkey for a user the way the profile page does
+ * @returns {Promise<Object>} - Updated public user
+ */
+const addPasskey = async (authenticator, userId, name = 'Laptop') => {
+  const options = await authService.startPasskeyRegistration(userId);
+  const credential = await authenticator.create(options);
+  return authService.finishPasskeyRegistration(userId, credential, name);
+};
+
+/**
+ * Sign in with a passkey the way the login page does
+ * @returns {Promise<Object>} - { user, token }
+ */
+const signIn = async (authenticator) => {
+  const credential = await authenticator.get(await authService.startPasskeyLogin());
+  return authService.finishPasskeyLogin(credential);
+};
+
+describe('passkeys (local auth service)', () => {
+  let authenticator;
+  beforeEach(() => {
+    resetBrowser();
+    passkeyChallenges.clear();
+    authenticator = createSoftwareAuthenticator();
+  });
+
+  it('registers a passkey and only shows its summary', async () => {
+    const user = await createAccount();
+    const updated = await addPasskey(authenticator, user.id, '  Work laptop ');
+
+    assert.equal(updated.passkeys.length, 1);
+    const [summary] = updated.passkeys;
+    assert.deepEqual(Object.keys(summary).sort(), ['createdAt', 'id', 'lastUsedAt', 'name']);
+    assert.equal(summary.name, 'Work laptop');
+    assert.equal(summary.lastUsedAt, null);
+
+    const stored = await userRepository.getById(user.id);
+    assert.equal(stored.passkeys[0].publicKey.length > 0, true);
+    assert.equal(queryAuditLog({ userId: user.id, type: 'passkey-added' }).length, 1);
+  });
+
+  it('offers creation options bound to this page and excluding existing passkeys', async () => {
+    const user = await createAccount();
+    const updated = await addPasskey(authenticator, user.id);
+    const options = await authService.startPasskeyRegistration(user.id);
+
+    assert.equal(options.rp.id, 'localhost');
+    assert.equal(options.user.name, 'ada@example.com');
+    assert.deepEqual(
+      options.excludeCredentials.map((descriptor) => descriptor.id),
+      [updated.passkeys[0].id]
+    );
+    await assert.rejects(authenticator.create(options), { name: 'InvalidStateError' });
+  });
+
+  it('requires a name', async () => {
+    const user = await createAccount();
+    const credential = await authenticator.create(await authService.startPasskeyRegistration(user.id));
+    await assert.rejects(authService.finishPasskeyRegistration(user.id, credential, ' '), {
+      code: 'VALIDATION_ERROR',
+      fieldErrors: { name: 'Give the passkey a name' }
+    });
+  });
+
+  it('accepts each registration challenge once, for the user it was issued to', async () => {
+    const user = await createAccount();
+    const other = await createAccount({ email: 'grace@example.com' });
+    const credential = await authenticator.create(await authService.startPasskeyRegistration(user.id));
+
+    await assert.rejects(authService.finishPasskeyRegistration(other.id, credential, 'Laptop'), {
+      code: 'INVALID_PASSKEY'
+    });
+    // The failed attempt used the challenge up
+    await assert.rejects(authService.finishPasskeyRegistration(user.id, credential, 'Laptop'), {
+      code: 'INVALID_PASSKEY'
+    });
+  });
+
+  it('limits how many passkeys an account can have', async () => {
+    const user = await createAccount();
+    await userRepository.update(user.id, {
+      passkeys: Array.from({ length: PASSKEY_CONFIG.maxPasskeys }, (_, i) => ({ id: `k${i}`, name: `Key ${i}` }))
+    });
+    await assert.rejects(authService.startPasskeyRegistration(user.id), { code: 'TOO_MANY_PASSKEYS' });
+  });
+
+  it('signs in with a passkey and records when it was used', async () => {
+    const user = await createAccount();
+    await addPasskey(authenticator, user.id);
+
+    const result = await signIn(authenticator);
+    assert.equal(result.user.id, user.id);
+    assert.ok(result.token);
+    assert.ok(result.user.passkeys[0].lastUsedAt);
+
+    const stored = await userRepository.getById(user.id);
+    assert.equal(stored.passkeys[0].signCount, 1);
+    assert.equal(queryAuditLog({ userId: user.id, type: 'login' }).length, 1);
+  });
+
+  it('does not ask for a two-factor code', async () => {
+    const user = await createAccount();
+    await addPasskey(authenticator, user.id);
+    await userRepository.update(user.id, { twoFactor: { secret: 'JBSWY3DPEHPK3PXP', enabledAt: new Date().toISOString() } });
+
+    const result = await signIn(authenticator);
+    assert.equal(result.twoFactorRequired, undefined);
+    assert.equal(result.user.id, user.id);
+  });
+
+  it('rejects a replayed assertion', async () => {
+    const user = await createAccount();
+    await addPasskey(authenticator, user.id);
+    const credential = await authenticator.get(await authService.startPasskeyLogin());
+    await authService.finishPasskeyLogin(credential);
+
+    await assert.rejects(authService.finishPasskeyLogin(credential), { code: 'INVALID_CREDENTIALS' });
+    assert.equal(queryAuditLog({ userId: user.id, type: 'login-failed' }).length, 1);
+  });
+
+  it('applies the same account checks as password login', async () => {
+    const user = await createAccount();
+    await addPasskey(authenticator, user.id);
+
+    await userRepository.update(user.id, { disabled: true });
+    await assert.rejects(signIn(authenticator), { code: 'ACCOUNT_DISABLED' });
+
+    await userRepository.update(user.id, { disabled: false, verified: false });
+    await assert.rejects(signIn(authenticator), { code: 'EMAIL_UNVERIFIED' });
+  });
+
+  it('stops a removed passkey from signing in', async () => {
+    const user = await createAccount();
+    const { passkeys } = await addPasskey(authenticator, user.id);
+
+    const updated = await authService.removePasskey(user.id, passkeys[0].id);
+    assert.deepEqual(updated.passkeys, []);
+    assert.equal(queryAuditLog({ userId: user.id, type: 'passkey-removed' }).length, 1);
+
+    await assert.rejects(signIn(authenticator), { code: 'INVALID_CREDENTIALS' });
+    await assert.rejects(authService.removePasskey(user.id, passkeys[0].id), { code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,82 @@
+require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PASSWORD_HASH_CONFIG,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  checkUserPassword
+} = require('../../src/password-hashing.js');
+const { setUserRepository } = require('../../src/user-repository.js');
+const { createMemoryUserRepository } = require('../../src/user-storage.js');
+
+// The real iteration count makes every hash take a noticeable moment
+PASSWORD_HASH_CONFIG.iterations = 1000;
+
+describe('password hashing', () => {
+  it('hashes with a fresh salt each time', async () => {
+    const a = await hashPassword('Vq7#mistral-Lake');
+    const b = await hashPassword('Vq7#mistral-Lake');
+    assert.equal(a.algorithm, 'PBKDF2-SHA256');
+    assert.equal(a.iterations, 1000);
+    assert.notEqual(a.salt, b.salt);
+    assert.notEqual(a.hash, b.hash);
+  });
+
+  it('verifies the right password only', async () => {
+    const stored = await hashPassword('Vq7#mistral-Lake');
+    assert.equal(await verifyPassword('Vq7#mistral-Lake', stored), true);
+    assert.equal(await verifyPassword('vq7#mistral-lake', stored), false);
+    assert.equal(await verifyPassword('Vq7#mistral-Lake', { ...stored, algorithm: 'MD5' }), false);
+    assert.equal(await verifyPassword('Vq7#mistral-Lake', null), false);
+  });
+
+  it('verifies hashes made with other iteration counts', async () => {
+    const stored = await hashPassword('Vq7#mistral-Lake');
+    PASSWORD_HASH_CONFIG.iterations = 2000;
+    try {
+      assert.equal(await verifyPassword('Vq7#mistral-Lake', stored), true);
+      assert.equal(needsRehash(stored), true);
+    } finally {
+      PASSWORD_HASH_CONFIG.iterations = 1000;
+    }
+    assert.equal(needsRehash(stored), false);
+  });
+});
+
+describe('checkUserPassword', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createMemoryUserRepository();
+    setUserRepository(repository);
+  });
+
+  it('upgrades a legacy plaintext password to a hash', async () => {
+    const user = await repository.create({ id: 'u1', email: 'a@example.com', password: 'Vq7#mistral-Lake' });
+    assert.equal(await checkUserPassword(user, 'Vq7#mistral-Lake'), true);
+
+    const stored = await repository.getById('u1');
+    assert.equal(stored.password, undefined);
+    assert.equal(await verifyPassword('Vq7#mistral-Lake', stored.passwordHash), true);
+  });
+
+  it('leaves a legacy password alone when the guess is wrong', async () => {
+    const user = await repository.create({ id: 'u1', email: 'a@example.com', password: 'Vq7#mistral-Lake' });
+    assert.equal(await checkUserPassword(user, 'wrong'), false);
+    assert.equal((await repository.getById('u1')).password, 'Vq7#mistral-Lake');
+  });
+
+  it('rehashes outdated hashes after a successful check', async () => {
+    const passwordHash = await hashPassword('Vq7#mistral-Lake');
+    PASSWORD_HASH_CONFIG.iterations = 2000;
+    try {
+      const user = await repository.create({ id: 'u1', email: 'a@example.com', passwordHash });
+      assert.equal(await checkUserPassword(user, 'Vq7#mistral-Lake'), true);
+      assert.equal((await repository.getById('u1')).passwordHash.iterations, 2000);
+    } finally {
+      PASSWORD_HASH_CONFIG.iterations = 1000;
+    }
+  });
+});
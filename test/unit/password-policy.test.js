@@ -0,0 +1,141 @@
+require('../helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordPolicy = require('../../password-policy.js');
+const {
+  PASSWORD_POLICY,
+  checkNewPassword,
+  describePasswordIssue,
+  assertPasswordAllowed
+} = require('../../src/password-rules.js');
+
+const codes = (items) => items.map((item) => item.code);
+
+describe('PasswordPolicy.checkPassword', () => {
+  it('rejects passwords shorter than the minimum', () => {
+    const result = PasswordPolicy.checkPassword('Xq7#a');
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors[0], {
+      code: 'TOO_SHORT',
+      message: 'Password must be at least 8 characters',
+      params: { min: 8 }
+    });
+  });
+
+  it('rejects passwords longer than the maximum', () => {
+    const result = PasswordPolicy.checkPassword('Xq7#'.repeat(33));
+    assert.ok(codes(result.errors).includes('TOO_LONG'));
+  });
+
+  it('rejects common passwords, also when disguised', () => {
+    for (const password of ['password', 'P@ssw0rd', 'Password123!', 'letmein1']) {
+      assert.ok(codes(PasswordPolicy.checkPassword(password).errors).includes('COMMON'), password);
+    }
+  });
+
+  it("rejects passwords containing the user's name or email", () => {
+    const userInputs = ['Margaret', 'Holloway', 'mags@example.com'];
+    for (const password of ['margaret-Xq7#zz', 'Vk2!HOLLOWAY9', 'mags@example.com!']) {
+      assert.ok(codes(PasswordPolicy.checkPassword(password, { userInputs }).errors).includes('PERSONAL_INFO'), password);
+    }
+  });
+
+  it('ignores name parts shorter than minPersonalInfoLength', () => {
+    const result = PasswordPolicy.checkPassword('Vq7#mistral-Lake', { userInputs: ['Al', 'Li'] });
+    assert.equal(result.valid, true);
+  });
+
+  it('rejects passwords that are too easy to guess', () => {
+    const result = PasswordPolicy.checkPassword('abcabcab');
+    assert.deepEqual(codes(result.errors), ['LOW_ENTROPY']);
+  });
+
+  it('warns about sequences and repeats without rejecting', () => {
+    const sequence = PasswordPolicy.checkPassword('Vq7#mistral-abcd');
+    assert.equal(sequence.valid, true);
+    assert.deepEqual(codes(sequence.warnings), ['SEQUENCE']);
+
+    const repeat = PasswordPolicy.checkPassword('Vq7#mistral-zzzz');
+    assert.equal(repeat.valid, true);
+    assert.deepEqual(codes(repeat.warnings), ['REPEAT']);
+  });
+
+  it('lets the policy be overridden', () => {
+    assert.equal(PasswordPolicy.checkPassword('Vq7#mistral-Lake', { policy: { minLength: 20 } }).valid, false);
+    assert.equal(PasswordPolicy.checkPassword('password', { policy: { rejectCommon: false, minEntropyBits: 0 } }).valid, true);
+  });
+});
+
+describe('password strength', () => {
+  it('rates rejected passwords as weak', () => {
+    assert.equal(PasswordPolicy.checkPassword('short').strength, 'weak');
+    assert.equal(PasswordPolicy.checkPassword('password').strength, 'weak');
+  });
+
+  it('rates acceptable passwords below the strong threshold as medium', () => {
+    const result = PasswordPolicy.checkPassword('tangerine');
+    assert.equal(result.valid, true);
+    assert.ok(result.entropyBits < PasswordPolicy.POLICY_DEFAULTS.strongEntropyBits);
+    assert.equal(result.strength, 'medium');
+  });
+
+  it('rates long, varied passwords without warnings as strong', () => {
+    const result = PasswordPolicy.checkPassword('Vq7#mistral-Lake');
+    assert.ok(result.entropyBits >= PasswordPolicy.POLICY_DEFAULTS.strongEntropyBits);
+    assert.equal(result.strength, 'strong');
+  });
+
+  it('caps passwords with warnings at medium', () => {
+    assert.equal(PasswordPolicy.checkPassword('Vq7#mistral-abcd').strength, 'medium');
+  });
+
+  it('gives more entropy to longer passwords and bigger character sets', () => {
+    const { estimateEntropy } = PasswordPolicy;
+    assert.ok(estimateEntropy('kqzvmwtj') < estimateEntropy('kqzvmwtjxr'));
+    assert.ok(estimateEntropy('kqzvmwtj') < estimateEntropy('kQzV7wt#'));
+  });
+});
+
+describe('checkNewPassword', () => {
+  it('checks against the account the password is for', () => {
+    const user = { firstName: 'Margaret', lastName: 'Holloway', email: 'mags@example.com' };
+    assert.equal(checkNewPassword('Holloway-Vq7#', user).valid, false);
+    assert.equal(checkNewPassword('Vq7#mistral-Lake', user).valid, true);
+  });
+
+  it('works before the name and email are known', () => {
+    assert.equal(checkNewPassword('Vq7#mistral-Lake').valid, true);
+  });
+
+  it('applies the overrides in PASSWORD_POLICY', (t) => {
+    t.after(() => delete PASSWORD_POLICY.minLength);
+    PASSWORD_POLICY.minLength = 20;
+    assert.deepEqual(codes(checkNewPassword('Vq7#mistral-Lake').errors), ['TOO_SHORT']);
+  });
+});
+
+describe('describePasswordIssue', () => {
+  it('translates the code with its params', () => {
+    const [issue] = checkNewPassword('Xq7#a').errors;
+    assert.equal(describePasswordIssue(issue), 'Password must be at least 8 characters');
+  });
+});
+
+describe('assertPasswordAllowed', () => {
+  it('throws a VALIDATION_ERROR under the given field', () => {
+    assert.throws(
+      () => assertPasswordAllowed('password', {}, 'newPassword'),
+      (err) => {
+        assert.equal(err.code, 'VALIDATION_ERROR');
+        assert.deepEqual(err.fieldErrors, {
+          newPassword: 'This is one of the most commonly used passwords. Please choose another'
+        });
+        return true;
+      }
+    );
+  });
+
+  it('returns quietly for an allowed password', () => {
+    assert.doesNotThrow(() => assertPasswordAllowed('Vq7#mistral-Lake', {}, 'password'));
+  });
+});
@@ -0,0 +1,78 @@
+require('../helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ProfileFields = require('../../profile-fields.js');
+
+const { getField, checkValue, normalizeValue, validateProfile, normalizeProfile } = ProfileFields;
+
+describe('ProfileFields.checkValue', () => {
+  it('requires the name and email fields', () => {
+    assert.deepEqual(checkValue(getField('firstName'), '  '), { key: 'validation.firstNameRequired', params: {} });
+    assert.deepEqual(checkValue(getField('email'), ''), { key: 'validation.emailRequired', params: {} });
+  });
+
+  it('leaves optional fields blank without complaint', () => {
+    for (const name of ['phone', 'address', 'bio', 'timezone', 'birthDate']) {
+      assert.equal(checkValue(getField(name), ''), null, name);
+    }
+  });
+
+  it('checks email addresses', () => {
+    assert.equal(checkValue(getField('email'), 'jane@example.com'), null);
+    assert.equal(checkValue(getField('email'), 'jane@example').key, 'validation.emailInvalid');
+  });
+
+  it('accepts phone numbers in international format', () => {
+    assert.equal(checkValue(getField('phone'), '+44 (20) 7946-0958'), null);
+    assert.equal(checkValue(getField('phone'), '020 7946 0958').key, 'validation.phoneInvalid');
+  });
+
+  it('enforces maximum lengths', () => {
+    assert.deepEqual(checkValue(getField('bio'), 'x'.repeat(501)), { key: 'validation.tooLong', params: { max: 500 } });
+    assert.equal(checkValue(getField('bio'), 'x'.repeat(500)), null);
+  });
+
+  it('only accepts known time zones', () => {
+    assert.equal(checkValue(getField('timezone'), 'Europe/Madrid'), null);
+    assert.equal(checkValue(getField('timezone'), 'Mars/Olympus_Mons').key, 'validation.timezoneInvalid');
+  });
+
+  it('rejects impossible, ancient and future birth dates', () => {
+    assert.equal(checkValue(getField('birthDate'), '1990-02-28'), null);
+    assert.equal(checkValue(getField('birthDate'), '2023-02-30').key, 'validation.birthDateInvalid');
+    assert.equal(checkValue(getField('birthDate'), '1850-01-01').key, 'validation.birthDateInvalid');
+    assert.equal(checkValue(getField('birthDate'), '2999-01-01').key, 'validation.birthDateFuture');
+  });
+});
+
+describe('ProfileFields.normalizeValue', () => {
+  it('trims text and strips phone punctuation', () => {
+    assert.equal(normalizeValue(getField('firstName'), '  Jane '), 'Jane');
+    assert.equal(normalizeValue(getField('phone'), ' +1 (555) 010-9999 '), '+15550109999');
+  });
+
+  it('treats anything but a string as empty', () => {
+    assert.equal(normalizeValue(getField('bio'), null), '');
+    assert.equal(normalizeValue(getField('bio'), 42), '');
+  });
+});
+
+describe('ProfileFields.validateProfile', () => {
+  it('reports a problem per invalid field', () => {
+    const problems = validateProfile({ firstName: '', lastName: 'Doe', email: 'nope', phone: '12' });
+    assert.deepEqual(Object.keys(problems).sort(), ['email', 'firstName', 'phone']);
+  });
+
+  it('can check just some of the fields', () => {
+    assert.deepEqual(validateProfile({ firstName: '' }, ['lastName']), { lastName: { key: 'validation.lastNameRequired', params: {} } });
+  });
+});
+
+describe('ProfileFields.normalizeProfile', () => {
+  it('keeps only known fields that were submitted', () => {
+    assert.deepEqual(normalizeProfile({ firstName: ' Jane ', phone: '+1 555 010 9999', role: 'admin' }), {
+      firstName: 'Jane',
+      phone: '+15550109999'
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildRouteHash,
+  buildAppUrl,
+  parseRouteHash,
+  navigateTo,
+  isSafeReturnTo,
+  getRouteRedirect
+} = require('../../src/routing.js');
+
+const user = { id: 'u1', role: 'user' };
+const admin = { id: 'u2', role: 'admin' };
+const redirectFor = (hash, who) => getRouteRedirect(parseRouteHash(hash), who);
+
+describe('buildRouteHash', () => {
+  it('builds hashes with encoded parameters, leaving out empty ones', () => {
+    assert.equal(buildRouteHash('profile'), '#/profile');
+    assert.equal(buildRouteHash('verify-email', { email: 'a@b.co', code: '' }), '#/verify-email?email=a%40b.co');
+  });
+
+  it('builds absolute links for emails', () => {
+    assert.equal(buildAppUrl('reset-password', { token: 'abc' }), 'http://localhost/#/reset-password?token=abc');
+  });
+});
+
+describe('parseRouteHash', () => {
+  it('finds the page and its parameters', () => {
+    assert.deepEqual(parseRouteHash('#/verify-email?email=a%40b.co'), {
+      page: 'verify-email',
+      params: { email: 'a@b.co' },
+      fullPath: '/verify-email?email=a%40b.co'
+    });
+  });
+
+  it('has no page for an empty hash and not-found for unknown paths', () => {
+    assert.equal(parseRouteHash('').page, null);
+    assert.equal(parseRouteHash('#/').page, null);
+    assert.equal(parseRouteHash('#/nowhere').page, 'not-found');
+  });
+});
+
+describe('navigateTo', () => {
+  beforeEach(resetBrowser);
+
+  it('changes the hash', () => {
+    navigateTo('register');
+    assert.equal(window.location.hash, '#/register');
+  });
+});
+
+describe('isSafeReturnTo', () => {
+  it('allows pages of this app that need a login', () => {
+    assert.equal(isSafeReturnTo('/profile'), true);
+    assert.equal(isSafeReturnTo('/admin'), true);
+  });
+
+  it('refuses other sites, unknown pages and guest pages', () => {
+    assert.equal(isSafeReturnTo('https://evil.example'), false);
+    assert.equal(isSafeReturnTo('//evil.example'), false);
+    assert.equal(isSafeReturnTo('/nowhere'), false);
+    assert.equal(isSafeReturnTo('/login'), false);
+    assert.equal(isSafeReturnTo(undefined), false);
+  });
+});
+
+describe('getRouteRedirect', () => {
+  it('sends an empty hash home', () => {
+    assert.equal(redirectFor('', null), '#/login');
+    assert.equal(redirectFor('', user), '#/profile');
+  });
+
+  it('sends guests on protected pages to login, remembering the page', () => {
+    assert.equal(redirectFor('#/profile', null), '#/login?returnTo=%2Fprofile');
+  });
+
+  it('keeps non-admins out of the admin console', () => {
+    assert.equal(redirectFor('#/admin', user), '#/profile');
+    assert.equal(redirectFor('#/admin', admin), null);
+  });
+
+  it('sends logged-in users away from guest pages, honouring a safe returnTo', () => {
+    assert.equal(redirectFor('#/register', user), '#/profile');
+    assert.equal(redirectFor('#/login?returnTo=%2Fadmin', admin), '#/admin');
+    assert.equal(redirectFor('#/login?returnTo=https%3A%2F%2Fevil.example', user), '#/profile');
+  });
+
+  it('lets logged-in users open login to add another account', () => {
+    assert.equal(redirectFor('#/login?add=1', user), null);
+    assert.equal(redirectFor('#/login?add=1', null), null);
+  });
+
+  it('shows pages open to everyone, and the not-found page', () => {
+    assert.equal(redirectFor('#/outbox', null), null);
+    assert.equal(redirectFor('#/outbox', user), null);
+    assert.equal(redirectFor('#/nowhere', null), null);
+  });
+});
@@ -0,0 +1,149 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SESSION_CONFIG,
+  generateToken,
+  createSession,
+  isSessionExpired,
+  loadSession,
+  touchSession,
+  clearSession,
+  loadOtherSessions,
+  switchSession,
+  removeOtherSession,
+  clearAllSessions
+} = require('../../src/sessions.js');
+
+describe('generateToken', () => {
+  it('returns distinct URL-safe tokens', () => {
+    const tokens = new Set(Array.from({ length: 20 }, generateToken));
+    assert.equal(tokens.size, 20);
+    for (const token of tokens) assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  });
+});
+
+describe('sessions', () => {
+  beforeEach(resetBrowser);
+
+  it('keep ordinary sessions in sessionStorage', () => {
+    const session = createSession('u1', false, 'tok');
+    assert.equal(session.persistent, false);
+    assert.equal(JSON.parse(sessionStorage.getItem(SESSION_CONFIG.storageKey)).token, 'tok');
+    assert.equal(localStorage.getItem(SESSION_CONFIG.storageKey), null);
+  });
+
+  it('keep "Remember me" sessions in localStorage, with longer limits', () => {
+    const session = createSession('u1', true);
+    assert.equal(sessionStorage.getItem(SESSION_CONFIG.storageKey), null);
+    assert.equal(session.expiresAt - session.createdAt, SESSION_CONFIG.rememberAbsoluteTimeoutMs);
+  });
+
+  it('take over from any earlier session, keeping it as another account', () => {
+    createSession('u1', true);
+    createSession('u2', false);
+    assert.equal(localStorage.getItem(SESSION_CONFIG.storageKey), null);
+    assert.equal(loadSession().userId, 'u2');
+    assert.deepEqual(loadOtherSessions().map((session) => session.userId), ['u1']);
+    assert.equal(JSON.parse(localStorage.getItem(SESSION_CONFIG.otherSessionsKey))[0].userId, 'u1');
+  });
+
+  it('keep one session per account', () => {
+    createSession('u1', false, 'old');
+    createSession('u2', false);
+    createSession('u1', false, 'new');
+    assert.equal(loadSession().token, 'new');
+    assert.deepEqual(loadOtherSessions().map((session) => session.userId), ['u2']);
+  });
+
+  it('load back until cleared', () => {
+    createSession('u1', false, 'tok');
+    assert.equal(loadSession().token, 'tok');
+    clearSession();
+    assert.equal(loadSession(), null);
+  });
+
+  it('discard damaged session data', () => {
+    sessionStorage.setItem(SESSION_CONFIG.storageKey, '{oops');
+    assert.equal(loadSession(), null);
+    assert.equal(sessionStorage.getItem(SESSION_CONFIG.storageKey), null);
+  });
+
+  it('discard expired sessions on load', () => {
+    const session = createSession('u1', false);
+    session.lastSeen -= SESSION_CONFIG.idleTimeoutMs;
+    sessionStorage.setItem(SESSION_CONFIG.storageKey, JSON.stringify(session));
+    assert.equal(loadSession(), null);
+  });
+
+  it('push back the idle timeout when touched', () => {
+    const session = createSession('u1', false);
+    session.lastSeen -= 60 * 1000;
+    sessionStorage.setItem(SESSION_CONFIG.storageKey, JSON.stringify(session));
+    assert.ok(touchSession().lastSeen > session.lastSeen);
+  });
+});
+
+describe('other sessions', () => {
+  beforeEach(resetBrowser);
+
+  it('switch places with the active session', () => {
+    createSession('u1', false, 'one');
+    createSession('u2', true, 'two');
+    assert.equal(switchSession('u1').token, 'one');
+    assert.equal(loadSession().userId, 'u1');
+    assert.deepEqual(loadOtherSessions().map((session) => session.token), ['two']);
+    assert.equal(switchSession('nobody'), null);
+    assert.equal(loadSession().userId, 'u1');
+  });
+
+  it('drop expired and signed-out accounts', () => {
+    const stale = createSession('u1', false);
+    createSession('u2', false);
+    createSession('u3', false);
+    stale.lastSeen -= SESSION_CONFIG.idleTimeoutMs;
+    const others = JSON.parse(sessionStorage.getItem(SESSION_CONFIG.otherSessionsKey));
+    others[0] = stale;
+    sessionStorage.setItem(SESSION_CONFIG.otherSessionsKey, JSON.stringify(others));
+
+    assert.deepEqual(loadOtherSessions().map((session) => session.userId), ['u2']);
+    removeOtherSession('u2');
+    assert.deepEqual(loadOtherSessions(), []);
+    assert.equal(sessionStorage.getItem(SESSION_CONFIG.otherSessionsKey), null);
+  });
+
+  it('stay alive while the active account is used, until all are cleared', () => {
+    createSession('u1', false);
+    createSession('u2', false);
+    const others = JSON.parse(sessionStorage.getItem(SESSION_CONFIG.otherSessionsKey));
+    others[0].lastSeen -= 60 * 1000;
+    sessionStorage.setItem(SESSION_CONFIG.otherSessionsKey, JSON.stringify(others));
+    touchSession();
+    assert.ok(loadOtherSessions()[0].lastSeen > others[0].lastSeen);
+
+    clearAllSessions();
+    assert.equal(loadSession(), null);
+    assert.deepEqual(loadOtherSessions(), []);
+  });
+});
+
+describe('isSessionExpired', () => {
+  const now = Date.UTC(2024, 0, 1);
+  const session = (fields) => ({ createdAt: now, lastSeen: now, expiresAt: now + SESSION_CONFIG.absoluteTimeoutMs, persistent: false, ...fields });
+
+  it('expires after the idle timeout', () => {
+    assert.equal(isSessionExpired(session(), now + SESSION_CONFIG.idleTimeoutMs - 1), false);
+    assert.equal(isSessionExpired(session(), now + SESSION_CONFIG.idleTimeoutMs), true);
+  });
+
+  it('expires at the absolute timeout even while active', () => {
+    const later = now + SESSION_CONFIG.absoluteTimeoutMs;
+    assert.equal(isSessionExpired(session({ lastSeen: later - 1000 }), later), true);
+  });
+
+  it('gives persistent sessions the longer idle timeout', () => {
+    const persistent = session({ persistent: true, expiresAt: now + SESSION_CONFIG.rememberAbsoluteTimeoutMs });
+    assert.equal(isSessionExpired(persistent, now + SESSION_CONFIG.idleTimeoutMs), false);
+    assert.equal(isSessionExpired(persistent, now + SESSION_CONFIG.rememberIdleTimeoutMs), true);
+  });
+});
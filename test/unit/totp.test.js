@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hotp, totp, base32Encode, base32Decode } = require('../../totp.js');
+
+const ascii = (text) => new Uint8Array(Buffer.from(text, 'ascii'));
+
+// RFC 6238 uses a different key length for each hash
+const RFC_SECRETS = {
+  'SHA-1': ascii('12345678901234567890'),
+  'SHA-256': ascii('12345678901234567890123456789012'),
+  'SHA-512': ascii('1234567890123456789012345678901234567890123456789012345678901234')
+};
+
+// RFC 4226 Appendix D, counters 0 to 9
+const HOTP_VECTORS = [
+  '755224', '287082', '359152', '969429', '338314',
+  '254676', '287922', '162583', '399871', '520489'
+];
+
+// RFC 6238 Appendix B: [time in seconds, SHA-1, SHA-256, SHA-512], 8 digits, 30 second steps
+const TOTP_VECTORS = [
+  [59, '94287082', '46119246', '90693936'],
+  [1111111109, '07081804', '68084774', '25091201'],
+  [1111111111, '14050471', '67062674', '99943326'],
+  [1234567890, '89005924', '91819424', '93441116'],
+  [2000000000, '69279037', '90698825', '38618901'],
+  [20000000000, '65353130', '77737706', '47863826']
+];
+
+// RFC 4648 section 10 (without padding)
+const BASE32_EXAMPLES = { f: 'MY', fo: 'MZXQ', foo: 'MZXW6', foob: 'MZXW6YQ', fooba: 'MZXW6YTB', foobar: 'MZXW6YTBOI' };
+
+describe('hotp', () => {
+  it('matches the RFC 4226 test vectors', async () => {
+    for (const [counter, expected] of HOTP_VECTORS.entries()) {
+      assert.equal(await hotp(RFC_SECRETS['SHA-1'], counter), expected, `counter ${counter}`);
+    }
+  });
+});
+
+describe('totp', () => {
+  for (const [i, algorithm] of ['SHA-1', 'SHA-256', 'SHA-512'].entries()) {
+    it(`matches the RFC 6238 test vectors for ${algorithm}`, async () => {
+      for (const [seconds, ...codes] of TOTP_VECTORS) {
+        const code = await totp(RFC_SECRETS[algorithm], { time: seconds * 1000, digits: 8, algorithm });
+        assert.equal(code, codes[i], `at ${seconds}s`);
+      }
+    });
+  }
+});
+
+describe('base32', () => {
+  it('encodes and decodes the RFC 4648 examples', () => {
+    for (const [text, encoded] of Object.entries(BASE32_EXAMPLES)) {
+      assert.equal(base32Encode(ascii(text)), encoded);
+      assert.equal(Buffer.from(base32Decode(encoded)).toString('ascii'), text);
+    }
+  });
+});
@@ -0,0 +1,92 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { totp, base32Decode } = require('../../totp.js');
+const { authService } = require('../../src/auth-service.js');
+const { LOGIN_THROTTLE_CONFIG, checkLoginThrottle, loadLoginAttempts } = require('../../src/login-throttle.js');
+const { userRepository } = require('../../src/user-repository.js');
+const { PASSWORD, createAccount } = require('../helpers/accounts');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+/**
+ * Create Ada with two-factor authentication turned on
+ * @returns {Promise<Object>} - The user
+ */
+const createTwoFactorAccount = async () => {
+  const user = await createAccount();
+  await userRepository.update(user.id, { twoFactor: { secret: SECRET, enabledAt: new Date().toISOString() } });
+  return user;
+};
+
+/**
+ * Enter the password and get a two-factor challenge
+ * @returns {Promise<string>} - Challenge token
+ */
+const startLogin = async () => {
+  const result = await authService.login('ada@example.com', PASSWORD);
+  assert.equal(result.twoFactorRequired, true);
+  return result.challengeToken;
+};
+
+/**
+ * Turn off the wait between attempts, leaving only the lockout
+ * @param {Object} t - Test context
+ */
+const withoutDelays = (t) => {
+  const { baseDelayMs } = LOGIN_THROTTLE_CONFIG;
+  LOGIN_THROTTLE_CONFIG.baseDelayMs = 0;
+  t.after(() => {
+    LOGIN_THROTTLE_CONFIG.baseDelayMs = baseDelayMs;
+  });
+};
+
+describe('Two-factor login throttling', () => {
+  beforeEach(resetBrowser);
+
+  it('makes the next code wait after a wrong one', async () => {
+    await createTwoFactorAccount();
+    const challengeToken = await startLogin();
+
+    await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, '000000'), (err) => {
+      assert.equal(err.code, 'INVALID_CODE');
+      assert.ok(err.details.retryAt > Date.now());
+      return true;
+    });
+    await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, '111111'), { code: 'THROTTLED' });
+  });
+
+  it('keeps counting wrong codes across new challenges until the account locks', async (t) => {
+    withoutDelays(t);
+    await createTwoFactorAccount();
+
+    let challengeToken = await startLogin();
+    for (let i = 0; i < LOGIN_THROTTLE_CONFIG.accountMaxFailures - 1; i++) {
+      await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, '000000'), { code: 'INVALID_CODE' });
+    }
+    // The right password again doesn't clear the failures
+    challengeToken = await startLogin();
+    await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, '000000'), (err) => {
+      assert.equal(err.details.locked, true);
+      return true;
+    });
+
+    const code = await totp(base32Decode(SECRET));
+    await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, code), { code: 'THROTTLED' });
+    await assert.rejects(authService.login('ada@example.com', PASSWORD), { code: 'THROTTLED' });
+  });
+
+  it('clears the failures only once the code is right', async (t) => {
+    withoutDelays(t);
+    await createTwoFactorAccount();
+    const challengeToken = await startLogin();
+    await assert.rejects(authService.verifyTwoFactorLogin(challengeToken, '000000'), { code: 'INVALID_CODE' });
+    assert.notEqual(loadLoginAttempts()['account:ada@example.com'], undefined);
+
+    const { user, token } = await authService.verifyTwoFactorLogin(challengeToken, await totp(base32Decode(SECRET)));
+    assert.equal(user.email, 'ada@example.com');
+    assert.ok(token);
+    assert.deepEqual(checkLoginThrottle('ada@example.com'), { retryAt: 0, locked: false });
+    assert.equal(loadLoginAttempts()['account:ada@example.com'], undefined);
+  });
+});
@@ -0,0 +1,179 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { indexedDB } = require('fake-indexeddb');
+const {
+  StorageConflictError,
+  createMemoryUserRepository,
+  createLocalStorageUserRepository,
+  createIndexedDbUserRepository
+} = require('../../src/user-storage.js');
+
+const user = (fields = {}) => ({
+  id: 'u1',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  updatedAt: '2020-01-01T00:00:00.000Z',
+  ...fields
+});
+
+// jsdom has no IndexedDB
+globalThis.indexedDB = indexedDB;
+
+// A fresh database for each IndexedDB repository
+let databaseCount = 0;
+const createTestIndexedDbRepository = (options = {}) => {
+  databaseCount++;
+  return createIndexedDbUserRepository({ dbName: `test-${databaseCount}`, ...options });
+};
+
+// Every adapter has to behave the same
+const adapters = {
+  memory: () => createMemoryUserRepository(),
+  localStorage: () => createLocalStorageUserRepository('users'),
+  indexedDB: () => createTestIndexedDbRepository()
+};
+
+for (const [name, createRepository] of Object.entries(adapters)) {
+  describe(`${name} user repository`, () => {
+    let repository;
+
+    beforeEach(() => {
+      resetBrowser();
+      repository = createRepository();
+    });
+
+    it('creates and finds users by id and email', async () => {
+      await repository.create(user());
+      assert.equal((await repository.getById('u1')).firstName, 'Ada');
+      assert.equal((await repository.findByEmail('ada@example.com')).id, 'u1');
+      assert.equal(await repository.getById('nope'), null);
+      assert.equal(await repository.findByEmail('nope@example.com'), null);
+    });
+
+    it('returns copies, not the stored records', async () => {
+      await repository.create(user());
+      const copy = await repository.getById('u1');
+      copy.firstName = 'Changed';
+      assert.equal((await repository.getById('u1')).firstName, 'Ada');
+    });
+
+    it('merges updates, keeps the id and bumps updatedAt', async () => {
+      await repository.create(user());
+      const updated = await repository.update('u1', { id: 'other', lastName: 'King', phone: undefined });
+      assert.equal(updated.id, 'u1');
+      assert.equal(updated.lastName, 'King');
+      assert.ok(!('phone' in updated));
+      assert.notEqual(updated.updatedAt, '2020-01-01T00:00:00.000Z');
+    });
+
+    it('refuses an update based on a stale read', async () => {
+      await repository.create(user());
+      await repository.update('u1', { firstName: 'Augusta' });
+      await assert.rejects(
+        repository.update('u1', { firstName: 'Ada' }, { expectedUpdatedAt: '2020-01-01T00:00:00.000Z' }),
+        (err) => err instanceof StorageConflictError && err.current.firstName === 'Augusta'
+      );
+    });
+
+    it('returns null when updating a missing user', async () => {
+      assert.equal(await repository.update('nope', { firstName: 'X' }), null);
+    });
+
+    it('lists and deletes users', async () => {
+      await repository.create(user());
+      await repository.create(user({ id: 'u2', email: 'b@example.com' }));
+      await repository.delete('u1');
+      assert.deepEqual((await repository.list()).map((u) => u.id), ['u2']);
+    });
+  });
+}
+
+describe('localStorage user repository', () => {
+  beforeEach(resetBrowser);
+
+  it('sees changes written by another tab', async () => {
+    const repository = createLocalStorageUserRepository('users');
+    localStorage.setItem('users', JSON.stringify([user()]));
+    assert.equal((await repository.getById('u1')).email, 'ada@example.com');
+  });
+
+  it('quarantines damaged data instead of failing', async () => {
+    const repository = createLocalStorageUserRepository('users');
+    localStorage.setItem('users', '[broken');
+    assert.deepEqual(await repository.list(), []);
+    assert.equal(JSON.parse(localStorage.getItem('quarantine'))[0].data, '[broken');
+  });
+});
+
+describe('indexedDB user repository', () => {
+  beforeEach(resetBrowser);
+
+  // A record as the first versions of the app stored it, before any migration
+  const legacyUser = (fields = {}) => ({
+    id: 'u1',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    email: 'ada@example.com',
+    password: 'hunter2',
+    memberSince: '2020-01-01T00:00:00.000Z',
+    ...fields
+  });
+
+  it('copies the users in localStorage over when the database is created, migrating them', async () => {
+    localStorage.setItem(
+      'users',
+      JSON.stringify([legacyUser(), legacyUser({ id: 'u2', email: 'grace@example.com', memberSince: '2021-01-01' })])
+    );
+    const repository = createTestIndexedDbRepository();
+    assert.deepEqual((await repository.list()).map((u) => u.id), ['u1', 'u2']);
+
+    const grace = await repository.findByEmail('grace@example.com');
+    assert.equal(grace.verified, true);
+    assert.equal(grace.role, 'user');
+    assert.equal(grace.disabled, false);
+    // The oldest account becomes the admin
+    assert.equal((await repository.getById('u1')).role, 'admin');
+    assert.equal(localStorage.getItem('quarantine'), null);
+  });
+
+  it('imports the valid legacy users and quarantines the rest', async () => {
+    localStorage.setItem('users', JSON.stringify([{ email: 'no-id@example.com' }, legacyUser(), 'nonsense']));
+    const repository = createTestIndexedDbRepository();
+    assert.deepEqual((await repository.list()).map((u) => u.id), ['u1']);
+
+    const quarantine = JSON.parse(localStorage.getItem('quarantine'));
+    assert.deepEqual(
+      quarantine.map(({ reason, data }) => [reason, data]),
+      [
+        ['Invalid user record: missing id', { email: 'no-id@example.com' }],
+        ['Invalid user record: not an object', 'nonsense']
+      ]
+    );
+    await repository.create(legacyUser({ id: 'u2', email: 'grace@example.com' }));
+    assert.equal((await repository.list()).length, 2);
+  });
+
+  it('quarantines damaged legacy data and opens empty', async () => {
+    localStorage.setItem('users', '[broken');
+    const repository = createTestIndexedDbRepository();
+    assert.deepEqual(await repository.list(), []);
+    assert.equal(JSON.parse(localStorage.getItem('quarantine'))[0].data, '[broken');
+  });
+
+  it('leaves the database uncreated when the import fails, and tries again next time', async (t) => {
+    localStorage.setItem('users', JSON.stringify([legacyUser()]));
+    t.mock.method(
+      window.Storage.prototype,
+      'getItem',
+      () => {
+        throw new Error('Storage is unavailable');
+      },
+      { times: 1 }
+    );
+    const repository = createTestIndexedDbRepository();
+    await assert.rejects(repository.list(), /Storage is unavailable/);
+    assert.deepEqual((await repository.list()).map((u) => u.id), ['u1']);
+  });
+});
@@ -0,0 +1,190 @@
+const { resetBrowser } = require('../helpers/setup');
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryAuditLog } = require('../../src/audit-log.js');
+const { authService } = require('../../src/auth-service.js');
+const { getOutbox } = require('../../src/mailer.js');
+const { userRepository } = require('../../src/user-repository.js');
+const {
+  USER_TRANSFER_CONFIG,
+  EXPORT_COLUMNS,
+  parseCsv,
+  formatCsv,
+  parseUserFile,
+  formatUserExport
+} = require('../../src/user-transfer.js');
+const { PASSWORD, createAccount, logIn } = require('../helpers/accounts');
+
+/**
+ * Rows as parseUserFile returns them
+ * @param {...Object} values - Values of each row
+ * @returns {Array}
+ */
+const toRows = (...values) => values.map((row, index) => ({ row: index + 2, values: row }));
+
+describe('parseCsv / formatCsv', () => {
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    const text = '\uFEFFname,bio\r\n"Lovelace, Ada","Said ""hi""\ntwice"\nGrace,\n';
+    assert.deepEqual(parseCsv(text), [
+      ['name', 'bio'],
+      ['Lovelace, Ada', 'Said "hi"\ntwice'],
+      ['Grace', '']
+    ]);
+  });
+
+  it('round-trips what it writes and defuses formulas', () => {
+    const records = [['a', 'b'], ['x,y', '"quoted"'], ['=SUM(A1)', '+441234']];
+    const text = formatCsv(records);
+    assert.match(text, /'=SUM\(A1\)/);
+    assert.deepEqual(parseCsv(text), [['a', 'b'], ['x,y', '"quoted"'], ["'=SUM(A1)", "'+441234"]]);
+  });
+});
+
+describe('parseUserFile', () => {
+  it('matches CSV headings loosely and numbers rows like a spreadsheet', () => {
+    const text =
+      'First Name,last_name,E-mail,Shoe size\n' +
+      'Ada,Lovelace,ada@example.com,5\n' +
+      ',,,\n' +
+      'Grace,Hopper,grace@example.com,7\n';
+    const { rows, ignoredColumns } = parseUserFile(text, 'people.CSV');
+    assert.deepEqual(rows, [
+      { row: 2, values: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' } },
+      { row: 4, values: { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com' } }
+    ]);
+    assert.deepEqual(ignoredColumns, ['Shoe size']);
+  });
+
+  it('reads a JSON list or an export, keeping import columns only', () => {
+    const users = [{ id: '1', firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', verified: false }];
+    const { rows, ignoredColumns } = parseUserFile(JSON.stringify({ exportedAt: 'now', users }), 'accounts.json');
+    assert.deepEqual(rows, [
+      { row: 1, values: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', verified: 'false' } }
+    ]);
+    assert.deepEqual(ignoredColumns, []);
+  });
+
+  it('rejects files it cannot use', () => {
+    const rejects = (text, name) => assert.throws(() => parseUserFile(text, name), { code: 'INVALID_FILE' });
+    rejects('{', 'a.json');
+    rejects('{"users": "nope"}', 'a.json');
+    rejects('[]', 'a.json');
+    rejects('name\nAda\n', 'a.csv');
+    rejects('email\n', 'a.csv');
+    rejects('email\nada@example.com\n', 'a.txt');
+
+    const tooMany = `email\n${'a@example.com\n'.repeat(USER_TRANSFER_CONFIG.maxRows + 1)}`;
+    assert.throws(() => parseUserFile(tooMany, 'a.csv'), {
+      message: `Import at most ${USER_TRANSFER_CONFIG.maxRows} accounts at a time`
+    });
+  });
+});
+
+describe('formatUserExport', () => {
+  it('writes only the export columns', () => {
+    const user = {
+      id: '1',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      phone: '+441234567890',
+      role: 'user',
+      passkeys: [{ id: 'k' }]
+    };
+    const { users } = JSON.parse(formatUserExport([user], 'json').content);
+    assert.deepEqual(Object.keys(users[0]), EXPORT_COLUMNS);
+    assert.equal(users[0].address, null);
+
+    const { content, type } = formatUserExport([user], 'csv');
+    assert.equal(type, 'text/csv');
+    const { rows } = parseUserFile(content, 'accounts.csv');
+    assert.equal(rows[0].values.phone, '+441234567890');
+  });
+});
+
+describe('adminImportUsers (local auth service)', () => {
+  beforeEach(async () => {
+    resetBrowser();
+    await createAccount({ email: 'admin@example.com' });
+    await logIn('admin@example.com');
+  });
+
+  it('reports problems per row without creating anything on a dry run', async () => {
+    const rows = toRows(
+      { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' },
+      { firstName: '', lastName: 'Hopper', email: 'grace@' },
+      { firstName: 'Ada', lastName: 'Again', email: 'ada@example.com', role: 'owner', verified: 'maybe' },
+      { firstName: 'Alan', lastName: 'Turing', email: 'admin@example.com', password: 'short' }
+    );
+    const { results, imported } = await authService.adminImportUsers(rows, { dryRun: true });
+
+    assert.equal(imported, 0);
+    assert.deepEqual(results[0], { row: 2, email: 'ada@example.com', errors: {} });
+    assert.deepEqual(results[1].errors, {
+      firstName: 'First name is required',
+      email: 'Please enter a valid email address'
+    });
+    assert.deepEqual(results[2].errors, {
+      email: 'This email appears earlier in the file',
+      role: 'Use “user” or “admin”',
+      verified: 'Use yes or no'
+    });
+    assert.equal(results[3].errors.email, 'This email is already in use');
+    assert.ok(results[3].errors.password);
+    assert.equal((await userRepository.list()).length, 1);
+  });
+
+  it('creates the valid rows and sends reset codes where there is no password', async () => {
+    const rows = toRows(
+      {
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        email: 'ada@example.com',
+        password: PASSWORD,
+        role: 'Admin',
+        verified: 'yes'
+      },
+      { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', phone: '+1 415 555 2671' },
+      { firstName: 'Bad', lastName: 'Row', email: 'nope' }
+    );
+    const { imported } = await authService.adminImportUsers(rows);
+    assert.equal(imported, 2);
+
+    const ada = await userRepository.findByEmail('ada@example.com');
+    assert.equal(ada.role, 'admin');
+    assert.equal(ada.verified, true);
+    assert.equal(ada.passwordResetRequired, false);
+    assert.equal((await authService.login('ada@example.com', PASSWORD)).user.id, ada.id);
+
+    const grace = await userRepository.findByEmail('grace@example.com');
+    assert.notEqual(grace.id, ada.id);
+    assert.equal(grace.phone, '+14155552671');
+    assert.equal(grace.passwordResetRequired, true);
+    assert.ok(grace.passwordHash);
+    assert.ok(getOutbox().some((message) => message.to === 'grace@example.com'));
+    assert.equal(queryAuditLog({ type: 'account-imported' }).length, 2);
+  });
+
+  it('leaves addresses unverified unless the row says they are verified', async () => {
+    const rows = toRows(
+      { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: PASSWORD },
+      { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: PASSWORD, verified: 'no' },
+      { firstName: 'Alan', lastName: 'Turing', email: 'alan@example.com', password: PASSWORD, verified: 'Yes' }
+    );
+    assert.equal((await authService.adminImportUsers(rows)).imported, 3);
+
+    assert.equal((await userRepository.findByEmail('ada@example.com')).verified, false);
+    assert.equal((await userRepository.findByEmail('grace@example.com')).verified, false);
+    assert.equal((await userRepository.findByEmail('alan@example.com')).verified, true);
+    const askedToVerify = (email) =>
+      getOutbox().some((message) => message.to === email && message.subject === 'Verify your email address');
+    assert.deepEqual(['ada@example.com', 'grace@example.com', 'alan@example.com'].map(askedToVerify), [true, true, false]);
+    await assert.rejects(authService.login('ada@example.com', PASSWORD), { code: 'EMAIL_UNVERIFIED' });
+  });
+
+  it('only lets admins import', async () => {
+    await createAccount();
+    await logIn();
+    await assert.rejects(authService.adminImportUsers(toRows({ email: 'x@example.com' })), { code: 'FORBIDDEN' });
+  });
+});
@@ -0,0 +1,63 @@
+require('../helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateEmail,
+  formatDate,
+  formatDateTime,
+  bytesToBase64,
+  base64ToBytes
+} = require('../../src/utils.js');
+const { setLocale } = require('../../src/locale.js');
+
+describe('validateEmail', () => {
+  it('accepts ordinary addresses', () => {
+    assert.equal(validateEmail('jane@example.com'), true);
+    assert.equal(validateEmail('jane.doe+news@mail.example.co.uk'), true);
+  });
+
+  it('rejects addresses without an @, a domain or a dot in the domain', () => {
+    assert.equal(validateEmail('jane.example.com'), false);
+    assert.equal(validateEmail('jane@'), false);
+    assert.equal(validateEmail('@example.com'), false);
+    assert.equal(validateEmail('jane@example'), false);
+  });
+
+  it('rejects whitespace and empty input', () => {
+    assert.equal(validateEmail(''), false);
+    assert.equal(validateEmail('jane doe@example.com'), false);
+    assert.equal(validateEmail(' jane@example.com'), false);
+  });
+});
+
+describe('formatDate', () => {
+  it('formats ISO strings, timestamps and Date objects the same way', () => {
+    const date = new Date(2024, 0, 5, 12);
+    assert.equal(formatDate(date), 'January 5, 2024');
+    assert.equal(formatDate(date.toISOString()), 'January 5, 2024');
+    assert.equal(formatDate(date.getTime()), 'January 5, 2024');
+  });
+
+  it('formats in the active language', (t) => {
+    t.after(() => setLocale('en'));
+    setLocale('es');
+    assert.equal(formatDate(new Date(2024, 0, 5, 12)), '5 de enero de 2024');
+  });
+});
+
+describe('formatDateTime', () => {
+  it('includes the time of day', () => {
+    assert.equal(formatDateTime(new Date(2024, 0, 5, 15, 4)), 'Jan 5, 2024, 3:04 PM');
+  });
+});
+
+describe('bytesToBase64 / base64ToBytes', () => {
+  it('round-trips every byte value', () => {
+    const bytes = new Uint8Array(256).map((_, i) => i);
+    assert.deepEqual(base64ToBytes(bytesToBase64(bytes)), bytes);
+  });
+
+  it('produces standard base64', () => {
+    assert.equal(bytesToBase64(new TextEncoder().encode('hello')), 'aGVsbG8=');
+  });
+});
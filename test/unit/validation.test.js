@@ -0,0 +1,162 @@
+require('../helpers/setup');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const React = require('react');
+const { authService, setAuthService } = require('../../src/auth-service.js');
+const {
+  validators,
+  FIELD_RULES,
+  newPasswordRules,
+  confirmPasswordRules,
+  validateValues,
+  getDependentFields,
+  useForm
+} = require('../../src/validation.js');
+const { render, cleanup, type, submit, flush, textOf } = require('../helpers/dom');
+
+describe('validators', () => {
+  it('required rejects blank values', () => {
+    const rule = validators.required('validation.passwordRequired');
+    assert.equal(rule('   '), 'Password is required');
+    assert.equal(rule('x'), null);
+  });
+
+  it('email leaves empty values to required', () => {
+    const rule = validators.email();
+    assert.equal(rule(''), null);
+    assert.equal(rule('jane@'), 'Please enter a valid email address');
+    assert.equal(rule(' jane@example.com '), null);
+  });
+
+  it('matches compares with another field', () => {
+    const [, matches] = confirmPasswordRules('password');
+    assert.equal(matches('abc', { password: 'abd' }), 'Passwords do not match');
+    assert.equal(matches('abc', { password: 'abc' }), null);
+    assert.deepEqual(matches.dependsOn, ['password']);
+  });
+
+  it('passwordPolicy checks against the account in the form', () => {
+    const rule = validators.passwordPolicy((values) => values, ['firstName']);
+    assert.equal(
+      rule('Margaret-Vq7#', { firstName: 'Margaret' }),
+      'Password must not contain your name or email address'
+    );
+    assert.equal(rule('Vq7#mistral-Lake', { firstName: 'Margaret' }), null);
+  });
+
+  it('profileField uses the profile field registry', () => {
+    assert.equal(validators.profileField('phone')('12345'), 'Enter the number in international format, starting with + and the country code');
+    assert.equal(validators.profileField('phone')(''), null);
+  });
+});
+
+describe('validators.emailAvailable', () => {
+  afterEach(() => setAuthService(authService));
+
+  it('asks the auth service about well-formed addresses', async () => {
+    const asked = [];
+    setAuthService({ isEmailAvailable: async (email) => asked.push(email) && email !== 'taken@example.com' });
+    const rule = validators.emailAvailable();
+    assert.equal(await rule(' taken@example.com '), 'This email is already in use');
+    assert.equal(await rule('free@example.com'), null);
+    assert.equal(await rule('not-an-email'), null);
+    assert.deepEqual(asked, ['taken@example.com', 'free@example.com']);
+  });
+
+  it('always allows the excepted address', async () => {
+    setAuthService({ isEmailAvailable: async () => false });
+    assert.equal(await validators.emailAvailable({ except: 'me@example.com' })('me@example.com'), null);
+  });
+
+  it('passes when the check itself fails', async () => {
+    setAuthService({ isEmailAvailable: async () => { throw new Error('offline'); } });
+    assert.equal(await validators.emailAvailable()('a@example.com'), null);
+  });
+});
+
+describe('validateValues', () => {
+  const schema = {
+    firstName: FIELD_RULES.firstName,
+    password: newPasswordRules(() => ({}), []),
+    confirmPassword: confirmPasswordRules('password')
+  };
+
+  it('returns the first message per failing field', async () => {
+    const errors = await validateValues(schema, { firstName: '', password: '', confirmPassword: 'x' });
+    assert.deepEqual(errors, {
+      firstName: 'First name is required',
+      password: 'Password is required',
+      confirmPassword: 'Passwords do not match'
+    });
+  });
+
+  it('returns nothing when every field passes', async () => {
+    const values = { firstName: 'Jane', password: 'Vq7#mistral-Lake', confirmPassword: 'Vq7#mistral-Lake' };
+    assert.deepEqual(await validateValues(schema, values), {});
+  });
+
+  it('can check just some fields', async () => {
+    const errors = await validateValues(schema, { firstName: '', password: '', confirmPassword: '' }, ['firstName']);
+    assert.deepEqual(Object.keys(errors), ['firstName']);
+  });
+
+  it('knows which fields read another one', () => {
+    assert.deepEqual(getDependentFields(schema, 'password'), ['confirmPassword']);
+    assert.deepEqual(getDependentFields(schema, 'firstName'), []);
+  });
+});
+
+describe('useForm', () => {
+  afterEach(cleanup);
+
+  const schema = {
+    password: [validators.required('validation.passwordRequired')],
+    confirmPassword: confirmPasswordRules('password')
+  };
+
+  function TestForm({ onSubmit }) {
+    const form = useForm({ initialValues: { password: '', confirmPassword: '' }, schema, onSubmit });
+    return React.createElement(
+      'form',
+      { onSubmit: form.handleSubmit },
+      ['password', 'confirmPassword'].map((name) =>
+        React.createElement(
+          'div',
+          { key: name },
+          React.createElement('label', { htmlFor: name }, name),
+          React.createElement('input', { id: name, ...form.getFieldProps(name) }),
+          form.errors[name] && React.createElement('span', { className: 'error-message' }, form.errors[name])
+        )
+      )
+    );
+  }
+
+  it('shows every error on submit and does not call onSubmit', async () => {
+    let submitted = null;
+    await render(React.createElement(TestForm, { onSubmit: (values) => { submitted = values; } }));
+    await submit();
+    assert.equal(textOf('.error-message'), 'Password is required\nPlease confirm your password');
+    assert.equal(submitted, null);
+  });
+
+  it('re-checks a touched field when the field it depends on changes', async () => {
+    await render(React.createElement(TestForm, { onSubmit: () => {} }));
+    await type('password', 'one');
+    await type('confirmPassword', 'two');
+    await submit();
+    assert.equal(textOf('.error-message'), 'Passwords do not match');
+
+    await type('password', 'two');
+    await flush();
+    assert.equal(textOf('.error-message'), '');
+  });
+
+  it('calls onSubmit with the values once they pass', async () => {
+    let submitted = null;
+    await render(React.createElement(TestForm, { onSubmit: (values) => { submitted = values; } }));
+    await type('password', 'secret');
+    await type('confirmPassword', 'secret');
+    await submit();
+    assert.deepEqual(submitted, { password: 'secret', confirmPassword: 'secret' });
+  });
+});
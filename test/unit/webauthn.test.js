@@ -0,0 +1,187 @@
+require('../helpers/setup');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WebAuthn = require('../../webauthn.js');
+const { createSoftwareAuthenticator } = require('../helpers/software-authenticator');
+
+const ORIGIN = 'https://app.example';
+const RP_ID = 'app.example';
+
+/**
+ * Create a passkey with a software authenticator and check it in
+ * @returns {Promise<Object>} - { authenticator, credential, passkey, challenge }
+ */
+const register = async (authenticator = createSoftwareAuthenticator({ origin: ORIGIN })) => {
+  const challenge = WebAuthn.generateChallenge();
+  const options = WebAuthn.buildCreationOptions({
+    rpId: RP_ID,
+    rpName: 'Test',
+    user: { id: 'u1', email: 'ada@example.com' },
+    challenge
+  });
+  const credential = await authenticator.create(options);
+  const passkey = await WebAuthn.verifyRegistration({
+    credential,
+    expectedChallenge: challenge,
+    expectedOrigin: ORIGIN,
+    rpId: RP_ID
+  });
+  return { authenticator, credential, passkey, challenge };
+};
+
+/**
+ * Sign a fresh challenge with the authenticator
+ * @returns {Promise<Object>} - { credential, challenge }
+ */
+const assertion = async (authenticator) => {
+  const challenge = WebAuthn.generateChallenge();
+  const credential = await authenticator.get(WebAuthn.buildRequestOptions({ rpId: RP_ID, challenge }));
+  return { credential, challenge };
+};
+
+describe('base64url', () => {
+  it('round-trips bytes without padding', () => {
+    const bytes = Uint8Array.from([251, 255, 0, 62, 63]);
+    const text = WebAuthn.bytesToBase64url(bytes);
+    assert.doesNotMatch(text, /[+/=]/);
+    assert.deepEqual(WebAuthn.base64urlToBytes(text), bytes);
+  });
+
+  it('round-trips user handles', () => {
+    assert.equal(WebAuthn.fromUserHandle(WebAuthn.toUserHandle('1760000000000')), '1760000000000');
+  });
+});
+
+describe('derToRawSignature', () => {
+  it('strips sign bytes and pads short integers', () => {
+    const r = [0x00, 0x80, ...new Array(31).fill(1)];
+    const s = [0x05];
+    const der = Uint8Array.from([0x30, 2 + r.length + 2 + s.length, 0x02, r.length, ...r, 0x02, s.length, ...s]);
+    const raw = WebAuthn.derToRawSignature(der);
+    assert.equal(raw.length, 64);
+    assert.deepEqual([...raw.slice(0, 2)], [0x80, 1]);
+    assert.deepEqual([...raw.slice(32, 63)], new Array(31).fill(0));
+    assert.equal(raw[63], 5);
+  });
+
+  it('rejects anything that is not a DER sequence', () => {
+    assert.equal(WebAuthn.derToRawSignature(new Uint8Array(64)), null);
+  });
+});
+
+describe('verifyRegistration', () => {
+  it('returns the key to store for a valid response', async () => {
+    const { credential, passkey } = await register();
+    assert.equal(passkey.id, credential.id);
+    assert.equal(passkey.algorithm, -7);
+    assert.equal(passkey.signCount, 0);
+    assert.equal(passkey.publicKey, credential.response.publicKey);
+    assert.deepEqual(passkey.transports, ['internal']);
+  });
+
+  it('rejects a response for another challenge, origin or site', async () => {
+    const { credential, challenge } = await register();
+    const check = (overrides) =>
+      WebAuthn.verifyRegistration({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        rpId: RP_ID,
+        ...overrides
+      });
+    assert.equal(await check({ expectedChallenge: WebAuthn.generateChallenge() }), null);
+    assert.equal(await check({ expectedOrigin: 'https://evil.example' }), null);
+    assert.equal(await check({ rpId: 'evil.example' }), null);
+  });
+
+  it('requires user verification only when asked to', async () => {
+    const authenticator = createSoftwareAuthenticator({ origin: ORIGIN, userVerified: false });
+    const { credential, challenge, passkey } = await register(authenticator);
+    assert.ok(passkey);
+    const strict = await WebAuthn.verifyRegistration({
+      credential,
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      rpId: RP_ID,
+      requireUserVerification: true
+    });
+    assert.equal(strict, null);
+  });
+
+  it('rejects unsupported algorithms and mismatched credential IDs', async () => {
+    const { credential, challenge } = await register();
+    const check = (changes) =>
+      WebAuthn.verifyRegistration({
+        credential: { ...credential, ...changes },
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        rpId: RP_ID
+      });
+    assert.equal(await check({ response: { ...credential.response, publicKeyAlgorithm: -8 } }), null);
+    assert.equal(await check({ id: WebAuthn.generateChallenge() }), null);
+  });
+});
+
+describe('verifyAuthentication', () => {
+  it('accepts a signed assertion and returns the new counter', async () => {
+    const { authenticator, passkey } = await register();
+    const { credential, challenge } = await assertion(authenticator);
+    const result = await WebAuthn.verifyAuthentication({
+      credential,
+      passkey,
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      rpId: RP_ID
+    });
+    assert.deepEqual(result, { signCount: 1 });
+  });
+
+  it('rejects a tampered signature or client data', async () => {
+    const { authenticator, passkey } = await register();
+    const { credential, challenge } = await assertion(authenticator);
+    const check = (response) =>
+      WebAuthn.verifyAuthentication({
+        credential: { ...credential, response: { ...credential.response, ...response } },
+        passkey,
+        expectedChallenge: challenge,
+        expectedOrigin: ORIGIN,
+        rpId: RP_ID
+      });
+
+    const signature = WebAuthn.base64urlToBytes(credential.response.signature);
+    signature[signature.length - 1] ^= 1;
+    assert.equal(await check({ signature: WebAuthn.bytesToBase64url(signature) }), null);
+
+    // Client data that still passes the checks, but isn't what was signed
+    const clientData = WebAuthn.parseClientData(credential.response.clientDataJSON);
+    const forged = JSON.stringify({ ...clientData, crossOrigin: true });
+    assert.equal(await check({ clientDataJSON: WebAuthn.bytesToBase64url(new TextEncoder().encode(forged)) }), null);
+  });
+
+  it('rejects a signature from a different key', async () => {
+    const { authenticator } = await register();
+    const { passkey: otherPasskey } = await register();
+    const { credential, challenge } = await assertion(authenticator);
+    const result = await WebAuthn.verifyAuthentication({
+      credential,
+      passkey: otherPasskey,
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      rpId: RP_ID
+    });
+    assert.equal(result, null);
+  });
+
+  it('rejects a counter that did not go up', async () => {
+    const { authenticator, passkey } = await register();
+    const { credential, challenge } = await assertion(authenticator);
+    const result = await WebAuthn.verifyAuthentication({
+      credential,
+      passkey: { ...passkey, signCount: 1 },
+      expectedChallenge: challenge,
+      expectedOrigin: ORIGIN,
+      rpId: RP_ID
+    });
+    assert.equal(result, null);
+  });
+});
@@ -0,0 +1,188 @@
+// ============================================
+// HOTP / TOTP (RFC 4226 / RFC 6238)
+// ============================================
+// One-time password helpers used for two-factor authentication. Plain
+// JavaScript with no dependencies beyond Web Crypto, so the same file runs in
+// the browser (as the `Totp` global) and in Node 20+ (via require), where the
+// mock server and test/unit/totp.test.js use it.
+//
+// Secrets are exchanged as base32 strings, the format authenticator apps
+// expect in otpauth:// URIs.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Totp = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  const TOTP_DEFAULTS = {
+    digits: 6,
+    period: 30, // seconds
+    algorithm: 'SHA-1', // what authenticator apps assume unless told otherwise
+    window: 1 // accept codes this many periods early or late (clock drift)
+  };
+
+  const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+  /**
+   * Encode bytes as unpadded base32 (RFC 4648)
+   * @param {Uint8Array} bytes - Data to encode
+   * @returns {string} - Base32 string
+   */
+  const base32Encode = (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    bytes.forEach((byte) => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+  };
+
+  /**
+   * Decode base32, ignoring case, spaces and padding
+   * @param {string} text - Base32 string
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  const base32Decode = (text) => {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  };
+
+  /**
+   * Create a random secret
+   * @param {number} byteLength - 20 bytes (160 bits) as RFC 4226 recommends
+   * @returns {string} - Base32 secret
+   */
+  const generateSecret = (byteLength = 20) => {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(byteLength)));
+  };
+
+  /**
+   * Compute an HOTP value (RFC 4226)
+   * @param {Uint8Array|string} secret - Key bytes, or a base32 string
+   * @param {number} counter - Moving factor
+   * @param {Object} options - { digits, algorithm } ('SHA-1', 'SHA-256' or 'SHA-512')
+   * @returns {Promise<string>} - Zero-padded code
+   */
+  const hotp = async (secret, counter, { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = {}) => {
+    const keyBytes = typeof secret === 'string' ? base32Decode(secret) : secret;
+    const key = await crypto.subtle.importKey(
+      'raw',
+      keyBytes,
+      { name: 'HMAC', hash: algorithm },
+      false,
+      ['sign']
+    );
+
+    // 8-byte big-endian counter; split in two since bitwise ops are 32-bit
+    const message = new DataView(new ArrayBuffer(8));
+    message.setUint32(0, Math.floor(counter / 2 ** 32));
+    message.setUint32(4, counter % 2 ** 32);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+      ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  };
+
+  /**
+   * Time step number for a moment in time (RFC 6238 "T")
+   * @param {number} time - Milliseconds since the epoch
+   * @param {number} period - Step length in seconds
+   * @returns {number}
+   */
+  const getTimeStep = (time = Date.now(), period = TOTP_DEFAULTS.period) => {
+    return Math.floor(time / 1000 / period);
+  };
+
+  /**
+   * Compute the TOTP code for a moment in time (RFC 6238)
+   * @param {Uint8Array|string} secret - Key bytes, or a base32 string
+   * @param {Object} options - { time, period, digits, algorithm }
+   * @returns {Promise<string>} - Zero-padded code
+   */
+  const totp = (secret, { time = Date.now(), period = TOTP_DEFAULTS.period, ...options } = {}) => {
+    return hotp(secret, getTimeStep(time, period), options);
+  };
+
+  /**
+   * Check a TOTP code, allowing for some clock drift
+   * @param {Uint8Array|string} secret - Key bytes, or a base32 string
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - { time, period, digits, algorithm, window }
+   * @returns {Promise<number|null>} - The matching time step (store it to stop
+   *   the same code being used twice), or null if the code is wrong
+   */
+  const verifyTotp = async (
+    secret,
+    code,
+    { time = Date.now(), period = TOTP_DEFAULTS.period, window = TOTP_DEFAULTS.window, ...options } = {}
+  ) => {
+    const digits = options.digits || TOTP_DEFAULTS.digits;
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+    const current = getTimeStep(time, period);
+    for (let step = current - window; step <= current + window; step++) {
+      if ((await hotp(secret, step, options)) === code) return step;
+    }
+    return null;
+  };
+
+  /**
+   * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+   * @param {Object} params - { secret, accountName, issuer, digits, period, algorithm }
+   * @returns {string} - URI
+   */
+  const buildOtpauthUri = ({
+    secret,
+    accountName,
+    issuer,
+    digits = TOTP_DEFAULTS.digits,
+    period = TOTP_DEFAULTS.period,
+    algorithm = TOTP_DEFAULTS.algorithm
+  }) => {
+    const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+    const query = new URLSearchParams({ secret, digits: String(digits), period: String(period) });
+    query.set('algorithm', algorithm.replace('-', ''));
+    if (issuer) query.set('issuer', issuer);
+    return `otpauth://totp/${label}?${query.toString()}`;
+  };
+
+  return {
+    TOTP_DEFAULTS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    getTimeStep,
+    totp,
+    verifyTotp,
+    buildOtpauthUri
+  };
+});
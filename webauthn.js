@@ -0,0 +1,339 @@
+// ============================================
+// WEBAUTHN RELYING PARTY (passkeys)
+// ============================================
+// The server side of passkey registration and sign-in: building the options
+// passed to navigator.credentials.create/get and checking what the
+// authenticator sends back. Plain JavaScript with no dependencies beyond Web
+// Crypto, so the same file runs in the browser (as the `WebAuthn` global) and
+// in Node 20+ (via require), where the mock server uses it.
+//
+// Binary values travel as base64url strings, in the JSON shapes that
+// PublicKeyCredential.toJSON() produces. Only 'none' attestation is asked
+// for: the public key is read from response.publicKey (SPKI) and the
+// authenticator itself isn't vouched for.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WebAuthn = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  // COSE algorithm identifiers we accept, in order of preference
+  const ALGORITHMS = {
+    ES256: -7, // ECDSA P-256 with SHA-256
+    RS256: -257 // RSASSA-PKCS1-v1_5 with SHA-256
+  };
+
+  // Bits of the authenticator data flags byte
+  const FLAGS = {
+    userPresent: 0x01,
+    userVerified: 0x04,
+    attestedCredentialData: 0x40
+  };
+
+  /**
+   * Encode bytes as unpadded base64url
+   * @param {Uint8Array|ArrayBuffer} bytes - Data to encode
+   * @returns {string} - Base64url string
+   */
+  const bytesToBase64url = (bytes) => {
+    let binary = '';
+    new Uint8Array(bytes).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  /**
+   * Decode base64url (padding optional)
+   * @param {string} text - Base64url string
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  const base64urlToBytes = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  };
+
+  /**
+   * Create a random challenge for one ceremony
+   * @returns {string} - 32 random bytes as base64url
+   */
+  const generateChallenge = () => bytesToBase64url(crypto.getRandomValues(new Uint8Array(32)));
+
+  /**
+   * Turn a user ID into the opaque user handle stored with a passkey
+   * @param {string} userId - ID of the account
+   * @returns {string} - Base64url user handle
+   */
+  const toUserHandle = (userId) => bytesToBase64url(new TextEncoder().encode(userId));
+
+  /**
+   * Read the account ID back out of a user handle
+   * @param {string} userHandle - Base64url user handle
+   * @returns {string} - ID of the account
+   */
+  const fromUserHandle = (userHandle) => new TextDecoder().decode(base64urlToBytes(userHandle));
+
+  /**
+   * Options for navigator.credentials.create(), as JSON
+   * @param {Object} params - { rpId, rpName, user, challenge, excludeIds, timeout, userVerification }
+   *   where user is { id, email, displayName } and excludeIds lists the
+   *   user's existing credential IDs
+   * @returns {Object} - PublicKeyCredentialCreationOptionsJSON
+   */
+  const buildCreationOptions = ({
+    rpId,
+    rpName,
+    user,
+    challenge,
+    excludeIds = [],
+    timeout,
+    userVerification = 'preferred'
+  }) => ({
+    rp: { id: rpId, name: rpName },
+    user: { id: toUserHandle(user.id), name: user.email, displayName: user.displayName || user.email },
+    challenge,
+    pubKeyCredParams: Object.values(ALGORITHMS).map((alg) => ({ type: 'public-key', alg })),
+    timeout,
+    excludeCredentials: excludeIds.map((id) => ({ type: 'public-key', id })),
+    // Discoverable credentials let the user sign in without typing an email
+    authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification },
+    attestation: 'none'
+  });
+
+  /**
+   * Options for navigator.credentials.get(), as JSON. No allowCredentials:
+   * the authenticator offers whichever passkeys it holds for this site.
+   * @param {Object} params - { rpId, challenge, timeout, userVerification }
+   * @returns {Object} - PublicKeyCredentialRequestOptionsJSON
+   */
+  const buildRequestOptions = ({ rpId, challenge, timeout, userVerification = 'preferred' }) => ({
+    rpId,
+    challenge,
+    timeout,
+    userVerification,
+    allowCredentials: []
+  });
+
+  /**
+   * Decode the client data the browser signed over
+   * @param {string} clientDataJSON - Base64url client data
+   * @returns {Object|null} - { type, challenge, origin, ... }, or null if it isn't valid JSON
+   */
+  const parseClientData = (clientDataJSON) => {
+    try {
+      return JSON.parse(new TextDecoder().decode(base64urlToBytes(clientDataJSON)));
+    } catch (err) {
+      return null;
+    }
+  };
+
+  /**
+   * Split authenticator data into its fields
+   * @param {Uint8Array} bytes - Raw authenticator data
+   * @returns {Object|null} - { rpIdHash, flags, signCount, credentialId }
+   *   (credentialId only when attested credential data is present), or null if truncated
+   */
+  const parseAuthenticatorData = (bytes) => {
+    if (bytes.length < 37) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = bytes[32];
+    const data = {
+      rpIdHash: bytes.slice(0, 32),
+      flags: {
+        userPresent: Boolean(flags & FLAGS.userPresent),
+        userVerified: Boolean(flags & FLAGS.userVerified),
+        attestedCredentialData: Boolean(flags & FLAGS.attestedCredentialData)
+      },
+      signCount: view.getUint32(33)
+    };
+    if (data.flags.attestedCredentialData) {
+      // 16-byte AAGUID, 2-byte length, then the credential ID
+      if (bytes.length < 55) return null;
+      const idLength = view.getUint16(53);
+      if (bytes.length < 55 + idLength) return null;
+      data.credentialId = bytesToBase64url(bytes.slice(55, 55 + idLength));
+    }
+    return data;
+  };
+
+  /**
+   * Convert a DER-encoded ECDSA signature to the raw r||s form Web Crypto verifies
+   * @param {Uint8Array} der - ASN.1 SEQUENCE of two INTEGERs
+   * @param {number} size - Length of r and s in bytes (32 for P-256)
+   * @returns {Uint8Array|null} - Raw signature, or null if malformed
+   */
+  const derToRawSignature = (der, size = 32) => {
+    if (der[0] !== 0x30) return null;
+    const raw = new Uint8Array(size * 2);
+    let offset = 2;
+    for (let i = 0; i < 2; i++) {
+      if (der[offset] !== 0x02) return null;
+      const length = der[offset + 1];
+      let value = der.slice(offset + 2, offset + 2 + length);
+      offset += 2 + length;
+      // Drop the sign byte(s) DER adds in front of high values
+      while (value.length > size && value[0] === 0) value = value.slice(1);
+      if (value.length > size) return null;
+      raw.set(value, i * size + (size - value.length));
+    }
+    return raw;
+  };
+
+  const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+  const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+  /**
+   * Check the client data for a ceremony
+   * @returns {boolean}
+   */
+  const checkClientData = (clientData, type, expectedChallenge, expectedOrigin) =>
+    Boolean(clientData) &&
+    clientData.type === type &&
+    clientData.challenge === expectedChallenge &&
+    clientData.origin === expectedOrigin;
+
+  /**
+   * Check that authenticator data is for our site and the user was there
+   * @returns {Promise<boolean>}
+   */
+  const checkAuthenticatorData = async (authData, rpId, requireUserVerification) =>
+    Boolean(authData) &&
+    bytesEqual(authData.rpIdHash, await sha256(new TextEncoder().encode(rpId))) &&
+    authData.flags.userPresent &&
+    (!requireUserVerification || authData.flags.userVerified);
+
+  /**
+   * Web Crypto parameters for a COSE algorithm
+   * @param {number} algorithm - COSE algorithm identifier
+   * @returns {Object|null} - { importParams, verifyParams }
+   */
+  const getAlgorithmParams = (algorithm) => {
+    if (algorithm === ALGORITHMS.ES256) {
+      return {
+        importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+      };
+    }
+    if (algorithm === ALGORITHMS.RS256) {
+      return {
+        importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+      };
+    }
+    return null;
+  };
+
+  /**
+   * Check a new passkey sent back by navigator.credentials.create()
+   * @param {Object} params - { credential, expectedChallenge, expectedOrigin, rpId, requireUserVerification }
+   * @returns {Promise<Object|null>} - { id, publicKey, algorithm, signCount, transports }
+   *   to store, or null if anything doesn't check out
+   */
+  const verifyRegistration = async ({
+    credential,
+    expectedChallenge,
+    expectedOrigin,
+    rpId,
+    requireUserVerification = false
+  }) => {
+    try {
+      const { response } = credential;
+      const clientData = parseClientData(response.clientDataJSON);
+      if (!checkClientData(clientData, 'webauthn.create', expectedChallenge, expectedOrigin)) return null;
+
+      const authData = parseAuthenticatorData(base64urlToBytes(response.authenticatorData));
+      if (!(await checkAuthenticatorData(authData, rpId, requireUserVerification))) return null;
+      if (authData.credentialId !== credential.id) return null;
+
+      // The key has to be one we can verify signatures with later
+      const params = getAlgorithmParams(response.publicKeyAlgorithm);
+      if (!params || !response.publicKey) return null;
+      await crypto.subtle.importKey('spki', base64urlToBytes(response.publicKey), params.importParams, false, [
+        'verify'
+      ]);
+
+      return {
+        id: credential.id,
+        publicKey: response.publicKey,
+        algorithm: response.publicKeyAlgorithm,
+        signCount: authData.signCount,
+        transports: Array.isArray(response.transports) ? response.transports : []
+      };
+    } catch (err) {
+      return null;
+    }
+  };
+
+  /**
+   * Check a sign-in assertion from navigator.credentials.get()
+   * @param {Object} params - { credential, passkey, expectedChallenge, expectedOrigin, rpId,
+   *   requireUserVerification } where passkey is the stored { publicKey, algorithm, signCount }
+   * @returns {Promise<Object|null>} - { signCount } to store, or null if it doesn't check out
+   */
+  const verifyAuthentication = async ({
+    credential,
+    passkey,
+    expectedChallenge,
+    expectedOrigin,
+    rpId,
+    requireUserVerification = false
+  }) => {
+    try {
+      const { response } = credential;
+      const clientData = parseClientData(response.clientDataJSON);
+      if (!checkClientData(clientData, 'webauthn.get', expectedChallenge, expectedOrigin)) return null;
+
+      const authDataBytes = base64urlToBytes(response.authenticatorData);
+      const authData = parseAuthenticatorData(authDataBytes);
+      if (!(await checkAuthenticatorData(authData, rpId, requireUserVerification))) return null;
+
+      const params = getAlgorithmParams(passkey.algorithm);
+      if (!params) return null;
+      const key = await crypto.subtle.importKey(
+        'spki',
+        base64urlToBytes(passkey.publicKey),
+        params.importParams,
+        false,
+        ['verify']
+      );
+      let signature = base64urlToBytes(response.signature);
+      if (passkey.algorithm === ALGORITHMS.ES256) signature = derToRawSignature(signature);
+      if (!signature) return null;
+
+      // The signature covers the authenticator data followed by the client data hash
+      const clientDataHash = await sha256(base64urlToBytes(response.clientDataJSON));
+      const signed = new Uint8Array(authDataBytes.length + clientDataHash.length);
+      signed.set(authDataBytes);
+      signed.set(clientDataHash, authDataBytes.length);
+      if (!(await crypto.subtle.verify(params.verifyParams, key, signature, signed))) return null;
+
+      // Counters only ever go up; one that doesn't suggests a cloned authenticator.
+      // Many passkeys don't keep a counter at all and always report 0.
+      if ((authData.signCount !== 0 || passkey.signCount !== 0) && authData.signCount <= passkey.signCount) {
+        return null;
+      }
+      return { signCount: authData.signCount };
+    } catch (err) {
+      return null;
+    }
+  };
+
+  return {
+    ALGORITHMS,
+    bytesToBase64url,
+    base64urlToBytes,
+    generateChallenge,
+    toUserHandle,
+    fromUserHandle,
+    buildCreationOptions,
+    buildRequestOptions,
+    parseClientData,
+    parseAuthenticatorData,
+    derToRawSignature,
+    verifyRegistration,
+    verifyAuthentication
+  };
+});